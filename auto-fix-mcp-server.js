@@ -9,6 +9,8 @@ import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'yaml';
+import { checkAvailability } from './k8s-mcp-server/kubectl-availability.js';
+import { runKubectl } from './k8s-mcp-server/command-runner.js';
 
 const execAsync = promisify(exec);
 
@@ -372,12 +374,23 @@ class AutoFixMCPServer {
         };
       }
 
-      // Restart the deployment
-      await execAsync(`kubectl rollout restart deployment/${deploymentInfo.deploymentName} -n ${namespace}`);
+      // Restart the deployment, unless that would take it below its availability budget
+      const availability = await checkAvailability('restart', { kind: 'Deployment', name: deploymentInfo.deploymentName, namespace });
+      if (!availability.allowed) {
+        const alternative = availability.alternative ? `\n- Within budget instead: ${availability.alternative.reason}` : '';
+        return {
+          content: [{
+            type: 'text',
+            text: `🛡️ Did not restart deployment ${deploymentInfo.deploymentName} for ${pod_name}:\n${availability.blockers.map(blocker => `- ${blocker.reason}`).join('\n')}${alternative}`
+          }]
+        };
+      }
+
+      await runKubectl(['rollout', 'restart', `deployment/${deploymentInfo.deploymentName}`, '-n', namespace]);
       
       // Wait a bit and check status
       await new Promise(resolve => setTimeout(resolve, 5000));
-      const status = await execAsync(`kubectl rollout status deployment/${deploymentInfo.deploymentName} -n ${namespace} --timeout=60s`);
+      const status = await runKubectl(['rollout', 'status', `deployment/${deploymentInfo.deploymentName}`, '-n', namespace, '--timeout=60s']);
 
       return {
         content: [{
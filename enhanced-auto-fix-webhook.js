@@ -6,6 +6,7 @@ import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'yaml';
+import { restartDeploymentWithinBudget, deletePodWithinBudget } from './k8s-mcp-server/kubectl-availability.js';
 import { config, getWebhookUrl } from './config.js';
 
 const execAsync = promisify(exec);
@@ -384,7 +385,8 @@ class EnhancedAutoFixWebhook {
         message: `All CrashLoopBackOff fix strategies failed for ${podName}`,
         action: 'all_strategies_failed',
         details: {
-          deployment: deploymentInfo.deploymentName
+          deployment: deploymentInfo.deploymentName,
+          error: restartResult.error
         }
       };
 
@@ -744,20 +746,7 @@ class EnhancedAutoFixWebhook {
 
   async restartDeployment(deploymentName, namespace) {
     try {
-      console.log(`🔄 Restarting deployment: ${deploymentName}`);
-      await execAsync(`kubectl rollout restart deployment/${deploymentName} -n ${namespace}`);
-      
-      // Wait and check status
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      const { stdout } = await execAsync(`kubectl rollout status deployment/${deploymentName} -n ${namespace} --timeout=60s`);
-      
-      return {
-        success: true,
-        details: {
-          restart_completed: true,
-          status: stdout.trim()
-        }
-      };
+      return await restartDeploymentWithinBudget(deploymentName, namespace);
     } catch (error) {
       console.error('Error restarting deployment:', error);
       return { success: false, error: error.message };
@@ -766,19 +755,11 @@ class EnhancedAutoFixWebhook {
 
   async restartPod(podName, namespace) {
     try {
-      console.log(`🔄 Restarting pod directly: ${podName}`);
-      await execAsync(`kubectl delete pod ${podName} -n ${namespace}`);
-      
-      return {
-        message: `Pod ${podName} restarted directly`,
-        action: 'direct_pod_restart',
-        details: {
-          pod_restarted: true,
-          method: 'direct_delete'
-        }
-      };
+      return await deletePodWithinBudget(podName, namespace);
     } catch (error) {
       return {
+        success: false,
+        error: error.message,
         message: `Failed to restart pod ${podName}: ${error.message}`,
         action: 'error'
       };
@@ -6,6 +6,7 @@ import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'yaml';
+import { restartDeploymentWithinBudget, deletePodWithinBudget } from './k8s-mcp-server/kubectl-availability.js';
 
 const execAsync = promisify(exec);
 
@@ -306,7 +307,8 @@ class GitMCPAutoFixWebhook {
         message: `All CrashLoopBackOff fix strategies failed for ${podName}`,
         action: 'all_strategies_failed',
         details: {
-          deployment: deploymentInfo.deploymentName
+          deployment: deploymentInfo.deploymentName,
+          error: restartResult.error
         }
       };
 
@@ -617,20 +619,7 @@ This PR was automatically created by the GitOps auto-fix system in response to a
 
   async restartDeployment(deploymentName, namespace) {
     try {
-      console.log(`🔄 Restarting deployment: ${deploymentName}`);
-      await execAsync(`kubectl rollout restart deployment/${deploymentName} -n ${namespace}`);
-      
-      // Wait and check status
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      const { stdout } = await execAsync(`kubectl rollout status deployment/${deploymentName} -n ${namespace} --timeout=60s`);
-      
-      return {
-        success: true,
-        details: {
-          restart_completed: true,
-          status: stdout.trim()
-        }
-      };
+      return await restartDeploymentWithinBudget(deploymentName, namespace);
     } catch (error) {
       console.error('Error restarting deployment:', error);
       return { success: false, error: error.message };
@@ -639,19 +628,11 @@ This PR was automatically created by the GitOps auto-fix system in response to a
 
   async restartPod(podName, namespace) {
     try {
-      console.log(`🔄 Restarting pod directly: ${podName}`);
-      await execAsync(`kubectl delete pod ${podName} -n ${namespace}`);
-      
-      return {
-        message: `Pod ${podName} restarted directly`,
-        action: 'direct_pod_restart',
-        details: {
-          pod_restarted: true,
-          method: 'direct_delete'
-        }
-      };
+      return await deletePodWithinBudget(podName, namespace);
     } catch (error) {
       return {
+        success: false,
+        error: error.message,
         message: `Failed to restart pod ${podName}: ${error.message}`,
         action: 'error'
       };
@@ -0,0 +1,337 @@
+/**
+ * ✋ Approval Queue
+ *
+ * Human checkpoint between detecting an issue and remediating it:
+ * - Detected fixes become proposals with an ID, a diff and a rationale
+ * - Proposals wait to be approved or rejected, unless the policy auto-approves them as low risk
+ * - Stale proposals expire instead of being applied long after the incident
+ * - Proposals left executing by a crashed process are failed after a timeout, so they
+ *   stop absorbing later detections of their issue
+ * - Kept in a JSON file on the data volume so the MCP and HTTP servers share one queue;
+ *   every read-modify-write holds a lock file, so changes from both processes are kept
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import yaml from 'js-yaml';
+
+// pending → approved → executing → executed | failed, or pending → rejected | expired;
+// executing → failed too once the execution timeout passes without an outcome
+export const PROPOSAL_STATUSES = ['pending', 'approved', 'executing', 'executed', 'failed', 'rejected', 'expired'];
+const OPEN_STATUSES = new Set(['pending', 'approved', 'executing']);
+
+// 🔐 Lock held by a process for one read-modify-write; an older lock was left by a crashed process
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ❌ Raised for unknown IDs (`not-found`) and invalid transitions (`conflict`)
+export class ApprovalError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.code = code;
+  }
+}
+
+// 🧬 Stable identity of an issue so repeated detections map to the same proposal / PR.
+// Storage fixes are about a claim, autoscaling fixes about a whole workload.
+export function issueFingerprint({ namespace, workload, container, claim, type }) {
+  if (claim) return `${namespace}/pvc/${claim}/${type}`;
+  return type === 'autoscaling' ? `${namespace}/${workload}/${type}` : `${namespace}/${workload}/${container}/${type}`;
+}
+
+/**
+ * Build a GitOps fix proposal from a create-gitops-fix-pr issue.
+ * `target` is the resolved values location, when known, and fills in the diff.
+ * An issue's `cluster` is kept on the proposal, which is then executed against that cluster.
+ */
+export function buildFixProposal({ issue, source, rationale, target = {} }) {
+  const workload = target.workload || issue.workload;
+  const fingerprint = issueFingerprint({ ...issue, workload, container: target.container || issue.container });
+  return {
+    action: 'gitops-fix-pr',
+    source,
+    cluster: issue.cluster,
+    type: issue.type,
+    namespace: issue.namespace,
+    workload,
+    container: target.container || issue.container,
+    claim: issue.claim,
+    pod: issue.pod,
+    fingerprint: issue.cluster ? `${issue.cluster}/${fingerprint}` : fingerprint,
+    diff: [{
+      resourceType: target.probe || issue.probe || issue.resourceType,
+      from: target.current ?? issue.currentLimit,
+      to: target.proposed || issue.settings || issue.recommendedLimit,
+      valuesFile: target.valuesFile,
+      yamlPath: target.sizePath || target.probePath || target.autoscalingPath || (target.resourcesPath ? `${target.resourcesPath}.limits.${issue.resourceType}` : undefined)
+    }],
+    rationale,
+    payload: { issue: { ...issue, workload } }
+  };
+}
+
+// 🔤 A fix value for messages: a quantity as is, a probe or autoscaling block as one line of flow YAML
+export function formatFixValue(value) {
+  return value && typeof value === 'object' ? yaml.dump(value, { flowLevel: 0 }).trim() : value;
+}
+
+// 📝 Render a proposal's diff as values-file changes
+export function formatProposalDiff(proposal) {
+  return proposal.diff.map(change => {
+    const key = change.yamlPath || (change.resourceType?.endsWith('Probe') ? change.resourceType : `resources.limits.${change.resourceType}`);
+    return `${change.valuesFile || '(values file resolved when executed)'}\n` +
+      `- ${key}: ${formatFixValue(change.from)}\n` +
+      `+ ${key}: ${formatFixValue(change.to)}`;
+  }).join('\n');
+}
+
+export class ApprovalQueue {
+  /**
+   * Without a `filePath` proposals only live in memory (local runs, tests).
+   * Closed proposals beyond `maxClosed` are pruned, oldest first. Proposals still
+   * executing `executionTimeoutMs` after they were claimed are failed by expireStale().
+   */
+  constructor({ filePath = null, ttlMs = 24 * 60 * 60 * 1000, executionTimeoutMs = 60 * 60 * 1000, maxClosed = 500 } = {}) {
+    this.filePath = filePath;
+    this.ttlMs = ttlMs;
+    this.executionTimeoutMs = executionTimeoutMs;
+    this.maxClosed = maxClosed;
+    this.proposals = [];
+  }
+
+  init() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Exclusive create, so a queue the other server has just created is kept instead of replaced
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ proposals: [] }, null, 2), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    this.load();
+  }
+
+  // The file is re-read on every operation so changes made by the other server are seen.
+  // Reads and writes are synchronous so a read-modify-write can't interleave within a process;
+  // only waiting for the lock yields to the event loop.
+  load() {
+    if (!this.filePath) return this.proposals;
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).proposals || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Approval queue ${this.filePath} is unreadable: ${error.message}`);
+    }
+  }
+
+  save(proposals) {
+    const open = proposals.filter(proposal => OPEN_STATUSES.has(proposal.status));
+    const closed = proposals.filter(proposal => !OPEN_STATUSES.has(proposal.status));
+    const kept = [...open, ...closed.slice(-this.maxClosed)]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (!this.filePath) {
+      this.proposals = kept;
+      return;
+    }
+    // Write-then-rename so a reader never sees a half-written file
+    const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ proposals: kept }, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  // Load, change and save under the lock file, so the MCP and HTTP servers never overwrite each other
+  async update(mutate) {
+    const release = await this.lock();
+    try {
+      const proposals = this.load();
+      const result = mutate(proposals);
+      this.save(proposals);
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  async lock() {
+    if (!this.filePath) return () => {};
+    const lockFile = `${this.filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockFile, 'wx'));
+        return () => fs.rmSync(lockFile, { force: true });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Approval queue ${this.filePath} is locked by another process (${lockFile})`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  isStale(proposal, now = Date.now()) {
+    return proposal.status === 'pending' && new Date(proposal.expiresAt).getTime() <= now;
+  }
+
+  isStuck(proposal, now = Date.now()) {
+    return proposal.status === 'executing' &&
+      now - new Date(proposal.executionStartedAt).getTime() > this.executionTimeoutMs;
+  }
+
+  // Stale pending proposals read as expired even before expireStale() persists it
+  view(proposal) {
+    return this.isStale(proposal) ? { ...proposal, status: 'expired' } : proposal;
+  }
+
+  /**
+   * Queue a proposal. A fingerprint that already has an open proposal is not queued
+   * twice; the existing one is returned with its occurrence count bumped.
+   * `autoApproval` is the policy verdict ({ approved, reason }) for this proposal.
+   */
+  async propose(fields, { autoApproval } = {}) {
+    return this.update(proposals => {
+      const now = new Date();
+      const existing = proposals.find(proposal =>
+        proposal.fingerprint === fields.fingerprint && OPEN_STATUSES.has(proposal.status) &&
+        !this.isStale(proposal) && !this.isStuck(proposal));
+      if (existing) {
+        existing.occurrences += 1;
+        existing.lastSeenAt = now.toISOString();
+        return { proposal: existing, created: false };
+      }
+
+      const proposal = {
+        id: randomUUID(),
+        ...fields,
+        status: autoApproval?.approved ? 'approved' : 'pending',
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.ttlMs).toISOString(),
+        occurrences: 1,
+        autoApproval: autoApproval || null,
+        ...(autoApproval?.approved ? { decidedBy: 'policy', decidedAt: now.toISOString(), decisionReason: autoApproval.reason } : {})
+      };
+      proposals.push(proposal);
+      return { proposal, created: true };
+    });
+  }
+
+  // Newest first; `status` may be a single status or "all"
+  list({ status = 'pending', namespace, cluster } = {}) {
+    return this.load()
+      .map(proposal => this.view(proposal))
+      .filter(proposal => (status === 'all' || proposal.status === status) &&
+        (!namespace || proposal.namespace === namespace) &&
+        (!cluster || proposal.cluster === cluster))
+      .reverse();
+  }
+
+  get(id) {
+    const proposal = this.load().find(candidate => candidate.id === id);
+    return proposal ? this.view(proposal) : null;
+  }
+
+  async decide(id, status, { actor = 'unknown', reason } = {}) {
+    const decided = await this.update(proposals => {
+      const proposal = proposals.find(candidate => candidate.id === id);
+      if (!proposal) throw new ApprovalError('not-found', `No proposal with ID ${id}`);
+      if (this.isStale(proposal)) {
+        // Returned rather than thrown, so the expiry is saved
+        proposal.status = 'expired';
+        return new ApprovalError('conflict', `Proposal ${id} expired at ${proposal.expiresAt}`);
+      }
+      if (proposal.status !== 'pending') {
+        throw new ApprovalError('conflict', `Proposal ${id} is already ${proposal.status}`);
+      }
+      Object.assign(proposal, { status, decidedBy: actor, decidedAt: new Date().toISOString(), decisionReason: reason });
+      return { ...proposal };
+    });
+    if (decided instanceof ApprovalError) throw decided;
+    return decided;
+  }
+
+  async approve(id, options) {
+    return this.decide(id, 'approved', options);
+  }
+
+  async reject(id, options) {
+    return this.decide(id, 'rejected', options);
+  }
+
+  // 🔒 Move approved proposals to "executing" so each runs once; returns the claimed ones
+  async claimApproved(ids) {
+    return this.update(proposals => proposals
+      .filter(proposal => proposal.status === 'approved' && (!ids || ids.includes(proposal.id)))
+      .map(proposal => {
+        proposal.status = 'executing';
+        proposal.executionStartedAt = new Date().toISOString();
+        return { ...proposal };
+      }));
+  }
+
+  async complete(id, { status, result, error }) {
+    return this.update(proposals => {
+      const proposal = proposals.find(candidate => candidate.id === id);
+      if (!proposal) return null;
+      Object.assign(proposal, { status, completedAt: new Date().toISOString(), result, error });
+      return { ...proposal };
+    });
+  }
+
+  // ⌛ Persist expiry for stale pending proposals and fail stuck executions; returns the proposals just closed
+  async expireStale(now = Date.now()) {
+    return this.update(proposals => proposals
+      .filter(proposal => this.isStale(proposal, now) || this.isStuck(proposal, now))
+      .map(proposal => {
+        if (proposal.status === 'executing') {
+          Object.assign(proposal, {
+            status: 'failed',
+            completedAt: new Date(now).toISOString(),
+            error: `No outcome within ${Math.round(this.executionTimeoutMs / 60000)} minute(s) of execution starting at ${proposal.executionStartedAt}`
+          });
+        } else {
+          proposal.status = 'expired';
+        }
+        return { ...proposal };
+      }));
+  }
+}
+
+// 📍 Queue file and TTL: environment first, then the autoHeal section of config.yaml
+export function approvalQueueSettings(fileConfig = {}) {
+  return {
+    filePath: process.env.APPROVAL_QUEUE_FILE || fileConfig.autoHeal?.approvalQueuePath || './data/pending-actions.json',
+    ttlHours: parseInt(process.env.APPROVAL_TTL_HOURS) || fileConfig.autoHeal?.approvalTtlHours || 24
+  };
+}
+
+/**
+ * Build the queue on the shared file, falling back to memory if it can't be used.
+ */
+export function createApprovalQueue({ filePath, ttlMs, executionTimeoutMs } = {}) {
+  if (filePath) {
+    const queue = new ApprovalQueue({ filePath, ttlMs, executionTimeoutMs });
+    try {
+      queue.init();
+      return queue;
+    } catch (error) {
+      console.error(`⚠️  Approval queue file ${filePath} unavailable (${error.message}), using in-memory queue`);
+    }
+  }
+  return new ApprovalQueue({ ttlMs, executionTimeoutMs });
+}
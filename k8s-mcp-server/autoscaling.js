@@ -0,0 +1,246 @@
+/**
+ * 📐 Autoscaling Analysis
+ *
+ * Tells when scaling out beats raising per-pod limits, from the CPU usage
+ * percentiles in Prometheus and the HorizontalPodAutoscalers in place:
+ * - Stateless Deployments under sustained CPU pressure and no HPA: enable autoscaling
+ * - HPAs held at maxReplicas above their CPU target: raise maxReplicas
+ * - HPAs whose minReplicas is below what the median load needs, or whose target
+ *   leaves no headroom for bursts
+ * - HPAs that cannot scale at all (no metrics, containers without CPU requests)
+ *
+ * Settings use the conventional chart value names (enabled, minReplicas, maxReplicas,
+ * targetCPUUtilizationPercentage); planAutoscalingFix maps them onto the chart's keys.
+ */
+
+import { parseCpuQuantity } from './resource-quantities.js';
+import { containerUsageKey } from './prometheus-usage.js';
+
+export const AUTOSCALING_SETTINGS = ['enabled', 'minReplicas', 'maxReplicas', 'targetCPUUtilizationPercentage'];
+
+// Median CPU at or above this share of the requests is sustained pressure
+const PRESSURE_UTILIZATION = 80;
+// Target proposed for new autoscalers and for targets without headroom
+const TARGET_UTILIZATION = 70;
+// Above this target, bursts outrun the scale-up
+const MAX_TARGET_UTILIZATION = 85;
+// maxReplicas leaves room for 50% more load than the p95 needs, and grows at most 2x per fix
+const PEAK_HEADROOM = 1.5;
+const MAX_SCALE_FACTOR = 2;
+
+// ⚙️ An HPA's spec in settings terms
+export function hpaSettings(hpa) {
+  const cpu = (hpa.spec?.metrics || []).find(metric => metric.type === 'Resource' && metric.resource?.name === 'cpu');
+  return {
+    enabled: true,
+    minReplicas: hpa.spec?.minReplicas ?? 1,
+    maxReplicas: hpa.spec?.maxReplicas,
+    targetCPUUtilizationPercentage: cpu?.resource?.target?.averageUtilization ?? hpa.spec?.targetCPUUtilizationPercentage ?? null
+  };
+}
+
+const matchesSelector = (pod, matchLabels = {}) =>
+  Object.entries(matchLabels).every(([key, value]) => pod.metadata.labels?.[key] === value);
+
+// 📊 CPU use as a percentage of the requests at a usage percentile, averaged over pods like the HPA does.
+// Pods with a container lacking a CPU request or usage data are left out.
+function cpuUtilization(pods, usage, stat) {
+  const samples = [];
+  for (const pod of pods) {
+    let used = 0;
+    let requested = 0;
+    const complete = (pod.spec?.containers || []).every(container => {
+      const request = parseCpuQuantity(container.resources?.requests?.cpu);
+      const value = usage.get(containerUsageKey(pod.metadata.namespace, pod.metadata.name, container.name))?.cpu?.[stat];
+      if (!request || value === undefined) return false;
+      used += value;
+      requested += request;
+      return true;
+    });
+    if (complete && requested > 0) samples.push(used / requested * 100);
+  }
+  return samples.length > 0 ? Math.round(samples.reduce((sum, sample) => sum + sample, 0) / samples.length) : null;
+}
+
+function describeSettings(settings, current) {
+  if (!current) {
+    return `Enable autoscaling between ${settings.minReplicas} and ${settings.maxReplicas} replicas at ${settings.targetCPUUtilizationPercentage}% CPU`;
+  }
+  return Object.entries(settings)
+    .map(([field, value]) => `${value > current[field] ? 'raise' : 'lower'} ${field} from ${current[field]} to ${value}`)
+    .join(' and ')
+    .replace(/^./, first => first.toUpperCase());
+}
+
+// 📋 HorizontalPodAutoscalers (autoscaling/v2) in a namespace, or in all of them
+export async function listAutoscalers(autoscalingApi, namespace) {
+  const { body } = namespace
+    ? await autoscalingApi.listNamespacedHorizontalPodAutoscaler(namespace)
+    : await autoscalingApi.listHorizontalPodAutoscalerForAllNamespaces();
+  return body.items;
+}
+
+/**
+ * 🔎 Autoscaling findings for the Deployments and StatefulSets of `workloads` (as listed
+ * by listWorkloads). `usage` is the Map from getContainerUsage, empty when Prometheus
+ * is unavailable, which leaves only what the HPAs report themselves.
+ * Returns findings with the CPU utilization seen and the settings an
+ * create-gitops-fix-pr autoscaling fix would apply.
+ */
+export function analyzeAutoscaling({ workloads, hpas, pods, usage = new Map() }, { window = '24h' } = {}) {
+  const findings = [];
+
+  const candidates = [
+    ...workloads.deployments.map(object => ({ kind: 'Deployment', object })),
+    ...workloads.statefulSets.map(object => ({ kind: 'StatefulSet', object }))
+  ];
+  for (const { kind, object } of candidates) {
+    const { name, namespace } = object.metadata;
+    const hpa = hpas.find(candidate => candidate.metadata.namespace === namespace &&
+      candidate.spec?.scaleTargetRef?.kind === kind && candidate.spec.scaleTargetRef.name === name);
+    const workloadPods = pods.filter(pod => pod.metadata.namespace === namespace && pod.status?.phase === 'Running' &&
+      matchesSelector(pod, object.spec?.selector?.matchLabels));
+    const replicas = hpa?.status?.currentReplicas ?? object.spec?.replicas ?? 1;
+    const median = cpuUtilization(workloadPods, usage, 'p50');
+    const peak = cpuUtilization(workloadPods, usage, 'p95');
+    const observed = median !== null ? `CPU at ${median}% of requests (median) and ${peak}% (p95) over ${window}` : null;
+    const finding = (fields) => findings.push({
+      kind,
+      namespace,
+      name,
+      hpa: hpa?.metadata.name || null,
+      replicas,
+      cpuUtilization: { median, peak },
+      ...fields
+    });
+
+    if (!hpa) {
+      // Scaling out only helps pods that share no volume and own no state
+      const stateless = kind === 'Deployment' &&
+        !(object.spec?.template?.spec?.volumes || []).some(volume => volume.persistentVolumeClaim);
+      if (!stateless || median === null || median < PRESSURE_UTILIZATION) continue;
+
+      const minReplicas = Math.max(replicas, Math.ceil(replicas * median / TARGET_UTILIZATION));
+      const peakReplicas = Math.ceil(replicas * peak / TARGET_UTILIZATION);
+      const settings = {
+        enabled: true,
+        minReplicas,
+        maxReplicas: Math.max(minReplicas * 2, Math.ceil(peakReplicas * PEAK_HEADROOM)),
+        targetCPUUtilizationPercentage: TARGET_UTILIZATION
+      };
+      finding({
+        issue: 'Sustained CPU pressure without autoscaling',
+        severity: peak >= 100 ? 'critical' : 'warning',
+        details: `${observed}; fixed at ${replicas} replica(s)`,
+        current: null,
+        recommendedSettings: settings,
+        remediation: {
+          action: `${describeSettings(settings, null)} instead of raising per-pod CPU (create-gitops-fix-pr with type "autoscaling")`,
+          command: `kubectl top pods -n ${namespace} -l ${Object.entries(object.spec.selector.matchLabels).map(([key, value]) => `${key}=${value}`).join(',')}`
+        }
+      });
+      continue;
+    }
+
+    const current = hpaSettings(hpa);
+    const command = `kubectl describe hpa ${hpa.metadata.name} -n ${namespace}`;
+    const scalingActive = (hpa.status?.conditions || []).find(condition => condition.type === 'ScalingActive');
+    if (scalingActive?.status === 'False') {
+      finding({
+        issue: 'Autoscaler cannot scale',
+        severity: 'critical',
+        details: `${scalingActive.reason}: ${scalingActive.message}`,
+        current,
+        recommendedSettings: null,
+        remediation: {
+          action: scalingActive.reason === 'FailedGetResourceMetric'
+            ? 'Set CPU requests on every container and check that metrics-server serves pod metrics'
+            : 'Check the autoscaler\'s metrics and events',
+          command
+        }
+      });
+      continue;
+    }
+
+    const target = current.targetCPUUtilizationPercentage;
+    if (!target) continue; // Scales on memory or custom metrics only
+    const hpaUtilization = (hpa.status?.currentMetrics || [])
+      .find(metric => metric.type === 'Resource' && metric.resource?.name === 'cpu')?.resource?.current?.averageUtilization ?? null;
+    const now = hpaUtilization ?? median;
+
+    const settings = {};
+    if (replicas >= current.maxReplicas && now !== null && now > target) {
+      const needed = Math.ceil(replicas * Math.max(now, peak ?? 0) / target);
+      settings.maxReplicas = Math.min(Math.max(Math.ceil(needed * PEAK_HEADROOM), current.maxReplicas + 1), current.maxReplicas * MAX_SCALE_FACTOR);
+    }
+    if (median !== null && median > target) {
+      const baseline = Math.min(Math.ceil(replicas * median / target), settings.maxReplicas ?? current.maxReplicas);
+      if (baseline > current.minReplicas) settings.minReplicas = baseline;
+    }
+    if (target > MAX_TARGET_UTILIZATION && peak !== null && peak >= 100) {
+      settings.targetCPUUtilizationPercentage = TARGET_UTILIZATION;
+    }
+    if (Object.keys(settings).length === 0) continue;
+
+    finding({
+      issue: settings.maxReplicas ? 'Autoscaler at maxReplicas'
+        : settings.targetCPUUtilizationPercentage ? 'Autoscaler target leaves no headroom'
+          : 'Autoscaler minimum below median load',
+      severity: settings.maxReplicas ? 'critical' : 'warning',
+      details: [
+        `${replicas}/${current.maxReplicas} replicas (min ${current.minReplicas}) targeting ${target}% CPU`,
+        hpaUtilization !== null && `now at ${hpaUtilization}%`,
+        observed
+      ].filter(Boolean).join('; '),
+      current,
+      recommendedSettings: settings,
+      remediation: {
+        action: `${describeSettings(settings, current)} (create-gitops-fix-pr with type "autoscaling")`,
+        command
+      }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * 🎯 Values change of an autoscaling fix. `resolution` comes from
+ * resolveAutoscalingValuesPath: the block's current values and `fields`, the block key
+ * of each setting. Returns the block with the settings merged in, and the settings
+ * the HPA should end up with once deployed.
+ */
+export function planAutoscalingFix({ fields, current }, settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings) || Object.keys(settings).length === 0) {
+    return { resolved: false, reason: `Autoscaling fixes need settings (${AUTOSCALING_SETTINGS.join(', ')})` };
+  }
+  const invalid = Object.entries(settings).find(([field, value]) => field === 'enabled'
+    ? typeof value !== 'boolean'
+    : !AUTOSCALING_SETTINGS.includes(field) || !Number.isInteger(value) || value < 1 ||
+      (field === 'targetCPUUtilizationPercentage' && value > 100));
+  if (invalid) {
+    return { resolved: false, reason: `Invalid autoscaling setting ${invalid[0]}: ${JSON.stringify(invalid[1])}` };
+  }
+  const missing = Object.keys(settings).find(field => !fields[field]);
+  if (missing) {
+    return { resolved: false, reason: `${missing} is not sourced from .Values in the chart's HorizontalPodAutoscaler template` };
+  }
+
+  const proposed = { ...(current || {}) };
+  Object.entries(settings).forEach(([field, value]) => { proposed[fields[field]] = value; });
+  const result = Object.fromEntries(AUTOSCALING_SETTINGS.filter(field => fields[field]).map(field => [field, proposed[fields[field]]]));
+  // Charts that always render the HPA have no enabled switch
+  if (!fields.enabled) result.enabled = true;
+
+  if (result.enabled && !Number.isInteger(result.maxReplicas)) {
+    return { resolved: false, reason: 'Enabling autoscaling needs maxReplicas, in settings or the values file' };
+  }
+  if (result.minReplicas > result.maxReplicas) {
+    return { resolved: false, reason: `minReplicas ${result.minReplicas} is above maxReplicas ${result.maxReplicas}` };
+  }
+  if (current && Object.entries(settings).every(([field, value]) => current[fields[field]] === value)) {
+    return { resolved: false, reason: 'Autoscaling already has these settings' };
+  }
+
+  return { resolved: true, current: current ?? null, proposed, settings: result };
+}
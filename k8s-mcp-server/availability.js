@@ -0,0 +1,306 @@
+/**
+ * 🛡️ Availability Checks
+ *
+ * Decides whether a disruptive action keeps a workload within its availability
+ * budget before it runs: rollout restarts, scale-downs, pod deletions and evictions.
+ * - The budget is the strictest PodDisruptionBudget selecting the workload's pods,
+ *   or minReadyReplicas when none does
+ * - Only ready pods count; taking down pods that are not ready costs no availability
+ * - Restarts and scale-downs wait for a rollout in progress instead of stacking on it
+ *
+ * Refused actions carry a safer alternative when there is one, such as deleting only
+ * the pods that are not ready instead of restarting every replica.
+ * No dependencies, so the alert webhooks use it through kubectl as well.
+ */
+
+export const DISRUPTIVE_ACTIONS = ['restart', 'scale', 'delete-pod', 'evict'];
+export const DEFAULT_MIN_READY_REPLICAS = 1;
+
+// 🏷️ Does a LabelSelector (matchLabels + matchExpressions) select these labels?
+export function matchesLabelSelector(selector, labels = {}) {
+  if (!selector) return false;
+  const expressions = [
+    ...Object.entries(selector.matchLabels || {}).map(([key, value]) => ({ key, operator: 'In', values: [value] })),
+    ...(selector.matchExpressions || [])
+  ];
+  return expressions.every(({ key, operator, values = [] }) => {
+    switch (operator) {
+      case 'In': return key in labels && values.includes(labels[key]);
+      case 'NotIn': return !(key in labels) || !values.includes(labels[key]);
+      case 'Exists': return key in labels;
+      case 'DoesNotExist': return !(key in labels);
+      default: return false;
+    }
+  });
+}
+
+export const isPodReady = pod =>
+  (pod.status?.conditions || []).some(condition => condition.type === 'Ready' && condition.status === 'True');
+
+// "25%" of 10 → 2 (3 rounding up); plain integers are taken as they are
+export function resolveIntOrPercent(value, total, roundUp = false) {
+  const match = String(value).match(/^(\d+)%$/);
+  if (!match) return Number(value);
+  const scaled = Number(match[1]) * total / 100;
+  return roundUp ? Math.ceil(scaled) : Math.floor(scaled);
+}
+
+// Replicas a workload wants; DaemonSets want one per eligible node
+function desiredReplicas(kind, workload) {
+  if (kind === 'Pod') return 1;
+  if (kind === 'DaemonSet') return workload.status?.desiredNumberScheduled ?? 0;
+  return workload.spec?.replicas ?? 1;
+}
+
+// 📦 Live pods of a workload: same namespace, selected, neither finished nor terminating
+export function workloadPods(kind, workload, pods) {
+  if (kind === 'Pod') return [workload];
+  return pods.filter(pod => pod.metadata.namespace === workload.metadata.namespace &&
+    !pod.metadata.deletionTimestamp && !['Succeeded', 'Failed'].includes(pod.status?.phase) &&
+    matchesLabelSelector(workload.spec?.selector, pod.metadata.labels));
+}
+
+/**
+ * 🔄 Where the workload's rollout stands. In progress: a new revision is still
+ * replacing pods. Stalled: a Deployment past its progress deadline.
+ */
+export function rolloutState(kind, workload) {
+  const status = workload.status || {};
+  const replicas = desiredReplicas(kind, workload);
+  const generationPending = (workload.metadata.generation ?? 0) > (status.observedGeneration ?? 0);
+
+  switch (kind) {
+    case 'Deployment': {
+      const updated = status.updatedReplicas || 0;
+      const old = Math.max((status.replicas || 0) - updated, 0);
+      const progressing = (status.conditions || []).find(condition => condition.type === 'Progressing');
+      return {
+        inProgress: generationPending || updated < replicas || old > 0,
+        stalled: progressing?.status === 'False' && progressing.reason === 'ProgressDeadlineExceeded',
+        details: `${updated}/${replicas} replicas updated${old > 0 ? `, ${old} old still running` : ''}`
+      };
+    }
+    case 'StatefulSet': {
+      const updated = status.updatedReplicas || 0;
+      return {
+        inProgress: generationPending ||
+          (Boolean(status.updateRevision) && status.currentRevision !== status.updateRevision && updated < replicas),
+        stalled: false,
+        details: `${updated}/${replicas} replicas on revision ${status.updateRevision || 'unknown'}`
+      };
+    }
+    case 'DaemonSet': {
+      const updated = status.updatedNumberScheduled || 0;
+      return {
+        inProgress: generationPending || updated < replicas,
+        stalled: false,
+        details: `${updated}/${replicas} nodes on the latest revision`
+      };
+    }
+    default:
+      return { inProgress: false, stalled: false, details: null };
+  }
+}
+
+// Ready replicas left at the low point of a rolling restart, going by the update strategy
+function readyDuringRestart(kind, workload, ready, replicas) {
+  const strategy = kind === 'Deployment' ? workload.spec?.strategy : workload.spec?.updateStrategy;
+  if (strategy?.type === 'Recreate') return 0;
+  if (strategy?.type === 'OnDelete') return ready;
+  const rollingUpdate = strategy?.rollingUpdate || {};
+
+  if (kind === 'Deployment') {
+    const maxSurge = resolveIntOrPercent(rollingUpdate.maxSurge ?? '25%', replicas, true);
+    let maxUnavailable = resolveIntOrPercent(rollingUpdate.maxUnavailable ?? '25%', replicas);
+    // Both rounding down to 0 would stall, so the controller takes one pod down at a time
+    if (maxUnavailable === 0 && maxSurge === 0) maxUnavailable = 1;
+    // Pods that are already unavailable count against maxUnavailable
+    return Math.min(ready, Math.max(replicas - maxUnavailable, 0));
+  }
+  // StatefulSets and DaemonSets replace maxUnavailable pods at a time, ready or not
+  const maxUnavailable = resolveIntOrPercent(rollingUpdate.maxUnavailable ?? 1, replicas, true);
+  return ready - Math.min(ready, maxUnavailable);
+}
+
+/**
+ * 🎯 Ready replicas a workload must keep with `replicas` desired: the strictest
+ * PodDisruptionBudget selecting `labels`, or minReadyReplicas when none does.
+ */
+export function availabilityBudget(labels, namespace, pdbs, replicas, { minReadyReplicas = DEFAULT_MIN_READY_REPLICAS } = {}) {
+  const budgets = pdbs
+    .filter(pdb => pdb.metadata.namespace === namespace && matchesLabelSelector(pdb.spec?.selector, labels))
+    .map(pdb => {
+      const { minAvailable, maxUnavailable } = pdb.spec;
+      // A budget setting neither field keeps one pod, as the policy/v1beta1 default did
+      const minReady = maxUnavailable !== undefined && maxUnavailable !== null
+        ? replicas - resolveIntOrPercent(maxUnavailable, replicas, true)
+        : resolveIntOrPercent(minAvailable ?? 1, replicas, true);
+      return {
+        name: pdb.metadata.name,
+        minReady: Math.max(minReady, 0),
+        disruptionsAllowed: pdb.status?.disruptionsAllowed ?? null
+      };
+    });
+
+  if (budgets.length === 0) {
+    return { minReady: minReadyReplicas, source: 'minReadyReplicas', pdb: null, pdbs: [] };
+  }
+  const strictest = budgets.reduce((max, budget) => (budget.minReady > max.minReady ? budget : max));
+  return { minReady: strictest.minReady, source: `PodDisruptionBudget ${strictest.name}`, pdb: strictest.name, pdbs: budgets };
+}
+
+function describeAction(action, kind, name, { desired, scaleTo, targets }) {
+  switch (action) {
+    case 'restart': return `Restarting ${kind.toLowerCase()}/${name}`;
+    case 'scale': return `Scaling ${kind.toLowerCase()}/${name} from ${desired} to ${scaleTo} replicas`;
+    case 'delete-pod': return `Deleting ${targets.join(', ')}`;
+    default: return `Evicting ${targets.join(', ')}`;
+  }
+}
+
+/**
+ * 🛡️ Assess one disruptive action on a Deployment, StatefulSet, DaemonSet, ReplicaSet
+ * or a Pod without a controller:
+ * - restart: a rolling restart, paced by the update strategy
+ * - scale: scaling to `replicas`
+ * - delete-pod / evict: taking down the pods named in `targets`
+ * `pods` and `pdbs` may span namespaces; only the workload's own are used. Returns
+ * whether the action may run, its blockers and warnings, and an alternative that
+ * stays within the budget when there is one.
+ */
+export function assessDisruption({ action, kind, workload, pods = [], pdbs = [], replicas: scaleTo, targets = [], pdbError = null },
+  { minReadyReplicas = DEFAULT_MIN_READY_REPLICAS } = {}) {
+  if (!DISRUPTIVE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown disruptive action "${action}" (expected ${DISRUPTIVE_ACTIONS.join(', ')})`);
+  }
+  if (action === 'restart' && !['Deployment', 'StatefulSet', 'DaemonSet'].includes(kind)) {
+    throw new Error(`${kind} cannot be restarted; only Deployments, StatefulSets and DaemonSets roll out`);
+  }
+
+  const { name, namespace } = workload.metadata;
+  const desired = desiredReplicas(kind, workload);
+  const live = workloadPods(kind, workload, pods);
+  const ready = live.filter(isPodReady).length;
+  const scalingDown = action === 'scale' && scaleTo < desired;
+  const readyTargets = live.filter(pod => isPodReady(pod) && targets.includes(pod.metadata.name)).length;
+  const readyAfter = action === 'restart' ? readyDuringRestart(kind, workload, ready, desired)
+    : action === 'scale' ? Math.min(ready, scaleTo)
+      : ready - readyTargets;
+
+  // A bare pod is no replicated service; only a PodDisruptionBudget gives it a budget
+  const labels = kind === 'Pod' ? workload.metadata.labels : workload.spec?.template?.metadata?.labels;
+  const budgetFor = replicas => availabilityBudget(labels, namespace, pdbs, replicas,
+    { minReadyReplicas: kind === 'Pod' ? 0 : minReadyReplicas });
+  const budget = budgetFor(action === 'scale' ? scaleTo : desired);
+  const rollout = rolloutState(kind, workload);
+  const description = describeAction(action, kind, name, { desired, scaleTo, targets });
+
+  const blockers = [];
+  const warnings = [];
+  const overBudget = readyAfter < ready && readyAfter < budget.minReady;
+  if (overBudget) {
+    blockers.push({
+      ...(budget.pdb && { pdb: budget.pdb }),
+      reason: `${description} would leave ${readyAfter} of ${ready} ready replica(s), below the ${budget.minReady} required by ${budget.source}` +
+        (budget.pdb ? '' : ' (no PodDisruptionBudget covers it)')
+    });
+  }
+  if (rollout.stalled) {
+    warnings.push({
+      reason: `Rollout is past its progress deadline (${rollout.details}); ` +
+        (action === 'restart' ? 'restarting rolls out the same template again, so rolling back may be the fix' : 'rolling back may be the fix')
+    });
+  } else if (rollout.inProgress && (action === 'restart' || scalingDown)) {
+    blockers.push({ reason: `A rollout is in progress (${rollout.details}); wait for it to finish instead of ${action === 'restart' ? 'restarting on top of it' : 'scaling down mid-rollout'}` });
+  } else if (rollout.inProgress && action !== 'scale') {
+    warnings.push({ reason: `A rollout is in progress (${rollout.details}); the pods taken down are replaced by the new revision` });
+  }
+  if (action === 'restart' && workload.spec?.updateStrategy?.type === 'OnDelete') {
+    warnings.push({ reason: 'The OnDelete update strategy only replaces pods as they are deleted, so the restart waits for that' });
+  }
+  if (kind === 'Pod') {
+    warnings.push({ reason: 'Pod is not managed by a controller; nothing recreates it once deleted' });
+  }
+  if (pdbError) {
+    warnings.push({ reason: `PodDisruptionBudgets could not be listed (${pdbError}); only minReadyReplicas was applied` });
+  }
+
+  // Only a budget refusal has a way around it; a rollout in progress has to finish first
+  let alternative = null;
+  if (overBudget && blockers.length === 1) {
+    const unready = live.filter(pod => !isPodReady(pod)).map(pod => pod.metadata.name);
+    if (action === 'scale') {
+      const replicas = Array.from({ length: desired - scaleTo - 1 }, (_, index) => scaleTo + index + 1)
+        .find(candidate => Math.min(ready, candidate) >= budgetFor(candidate).minReady);
+      if (replicas !== undefined) {
+        alternative = { action: 'scale', replicas, reason: `Scaling to ${replicas} replicas stays within ${budget.source}` };
+      }
+    } else if (action === 'restart' && unready.length > 0) {
+      alternative = {
+        action: 'delete-pod',
+        pods: unready,
+        reason: `Deleting only the ${unready.length} pod(s) that are not ready restarts them without taking ready replicas down`
+      };
+    }
+  }
+
+  return {
+    action,
+    kind,
+    name,
+    namespace,
+    replicas: desired,
+    ...(action === 'scale' && { scaleTo }),
+    ready,
+    readyAfter,
+    minReady: budget.minReady,
+    budget: budget.source,
+    pdbs: budget.pdbs,
+    rollout,
+    allowed: blockers.length === 0,
+    blockers,
+    warnings,
+    alternative
+  };
+}
+
+// Controllers that replace the pods they own, so deleting one of them is assessed against the owner
+const CONTROLLER_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet'];
+
+const controllerOf = object =>
+  (object.metadata?.ownerReferences || []).find(reference => reference.controller) || object.metadata?.ownerReferences?.[0];
+
+/**
+ * 📥 Assess an action for scripts that drive kubectl instead of an API client.
+ * `getJson(args)` runs `kubectl <args> -o json` and returns the parsed output;
+ * `options` are the replicas or targets of the action. Deleting or evicting a Pod
+ * is assessed against the workload that owns it, if any.
+ */
+export async function assessWithKubectl(getJson, action, { kind, name, namespace }, options = {}, rules = {}) {
+  let workload = await getJson(['get', kind.toLowerCase(), name, '-n', namespace]);
+  if (kind === 'Pod') {
+    let owner = controllerOf(workload);
+    let ownerObject = null;
+    if (owner?.kind === 'ReplicaSet') {
+      ownerObject = await getJson(['get', 'replicaset', owner.name, '-n', namespace]);
+      if (controllerOf(ownerObject)?.kind === 'Deployment') {
+        owner = controllerOf(ownerObject);
+        ownerObject = null;
+      }
+    }
+    if (CONTROLLER_KINDS.includes(owner?.kind)) {
+      workload = ownerObject || await getJson(['get', owner.kind.toLowerCase(), owner.name, '-n', namespace]);
+      kind = owner.kind;
+      options = { targets: [name], ...options };
+    }
+  }
+  const pods = await getJson(['get', 'pods', '-n', namespace]);
+  let pdbs = [];
+  let pdbError = null;
+  try {
+    pdbs = (await getJson(['get', 'poddisruptionbudgets', '-n', namespace])).items;
+  } catch (error) {
+    pdbError = error.message;
+  }
+  return assessDisruption({ action, kind, workload, pods: pods.items, pdbs, pdbError, ...options }, rules);
+}
@@ -0,0 +1,342 @@
+/**
+ * ⏱️ Batch Job Health Analysis
+ *
+ * Inspects Jobs and CronJobs for:
+ * - Failed Jobs (BackoffLimitExceeded, DeadlineExceeded) and Jobs about to exhaust their backoff limit
+ * - CronJobs whose latest run failed
+ * - CronJobs that missed their schedule or have not succeeded for several runs
+ *
+ * Only the newest run counts: a failed Job followed by a successful run of the
+ * same CronJob, or by a successful re-run, is not reported.
+ * Also builds the Job that re-runs a failed one from its template.
+ */
+
+// Marks a Job created by rerun-job with the name of the Job it re-runs
+export const RERUN_ANNOTATION = 'k8s-auto-heal/rerun-of';
+
+// Labels the Job controller sets; a re-run gets its own
+const CONTROLLER_LABELS = new Set(['controller-uid', 'batch.kubernetes.io/controller-uid', 'job-name', 'batch.kubernetes.io/job-name']);
+
+// Slack after a scheduled time before the run counts as missed
+const MISSED_SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+// Schedule intervals without a success before a CronJob is flagged
+const STALE_SUCCESS_RUNS = 3;
+// Kubernetes default for spec.backoffLimit
+const DEFAULT_BACKOFF_LIMIT = 6;
+
+const FAILURE_ISSUES = {
+  BackoffLimitExceeded: 'Backoff limit exceeded',
+  DeadlineExceeded: 'Deadline exceeded'
+};
+
+// 📦 List Jobs and CronJobs to analyze (all namespaces when none given)
+export async function listBatchWorkloads(batchApi, namespace) {
+  const [jobs, cronJobs] = await Promise.all(namespace
+    ? [batchApi.listNamespacedJob(namespace), batchApi.listNamespacedCronJob(namespace)]
+    : [batchApi.listJobForAllNamespaces(), batchApi.listCronJobForAllNamespaces()]);
+  return { jobs: jobs.body.items, cronJobs: cronJobs.body.items };
+}
+
+const conditionOf = (job, type) => (job.status?.conditions || []).find(condition => condition.type === type && condition.status === 'True');
+export const isJobFailed = job => Boolean(conditionOf(job, 'Failed'));
+const isJobComplete = job => Boolean(conditionOf(job, 'Complete'));
+const createdAt = object => new Date(object.metadata.creationTimestamp).getTime();
+const minutesSince = (time, now) => (time ? Math.round((now - new Date(time).getTime()) / 60000) : null);
+const cronJobOf = job => (job.metadata.ownerReferences || []).find(reference => reference.kind === 'CronJob')?.name;
+
+// ⏰ Cron schedules: five fields, names, steps, ranges and the @hourly-style macros
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+function parseCronField(text, { min, max, names, offset }) {
+  const value = token => {
+    const named = names?.indexOf(token.toLowerCase());
+    const number = named >= 0 ? named + offset : Number(token);
+    if (!Number.isInteger(number) || number < min || number > max) throw new Error(`invalid cron value "${token}"`);
+    return number;
+  };
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid cron step "${part}"`);
+    const [low, high] = range === '*' || range === '?' ? [min, max] : range.split('-').map(value);
+    const end = high ?? (stepText === undefined ? low : max);
+    for (let current = low; current <= end; current += step) values.add(current);
+  }
+  return values;
+}
+
+/**
+ * Parse a CronJob schedule; a `TZ=` / `CRON_TZ=` prefix overrides `timeZone`.
+ * Returns null for schedules it cannot read.
+ */
+export function parseCronSchedule(schedule, timeZone) {
+  try {
+    let text = String(schedule).trim();
+    const prefix = text.match(/^(?:CRON_)?TZ=(\S+)\s+/);
+    if (prefix) {
+      timeZone = prefix[1];
+      text = text.slice(prefix[0].length);
+    }
+    const fields = (CRON_MACROS[text] || text).split(/\s+/);
+    if (fields.length !== 5) return null;
+    const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+    if (weekdays.delete(7)) weekdays.add(0);
+    if (timeZone) zoneOffset(timeZone, Date.now());
+    return {
+      minutes, hours, days, months, weekdays, timeZone,
+      // As in cron: with both day fields restricted, either one matching is enough
+      anyDay: !['*', '?'].includes(fields[2]) && !['*', '?'].includes(fields[4])
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Milliseconds the zone's wall clock is ahead of UTC at an instant
+function zoneOffset(timeZone, instant) {
+  if (!timeZone || timeZone === 'UTC' || timeZone === 'Etc/UTC') return 0;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(new Date(instant)).map(part => [part.type, Number(part.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(instant / 60000) * 60000;
+}
+
+// Earliest instant the zone's wall clock reads `wall`, or null when a DST change skips it
+function wallTimeToInstant(timeZone, wall) {
+  const instants = [-1, 1].map(days => wall - zoneOffset(timeZone, wall + days * 24 * 60 * 60 * 1000))
+    .filter(instant => instant + zoneOffset(timeZone, instant) === wall);
+  return instants.length > 0 ? Math.min(...instants) : null;
+}
+
+/**
+ * 🕰️ Latest time at or before `before` the schedule fires, or null.
+ * Walks back over wall-clock time in the schedule's zone, skipping whole days and hours.
+ * A time skipped by a DST change never fires; a repeated one counts from its first occurrence.
+ */
+export function previousCronRun(cron, before) {
+  let wall = Math.floor((before + zoneOffset(cron.timeZone, before)) / 60000) * 60000;
+  for (let step = 0; step < 20000; step++) {
+    const date = new Date(wall);
+    const [year, month, day, hour] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()];
+    const dayMatches = cron.anyDay
+      ? cron.days.has(day) || cron.weekdays.has(date.getUTCDay())
+      : cron.days.has(day) && cron.weekdays.has(date.getUTCDay());
+    if (!cron.months.has(month + 1) || !dayMatches) {
+      wall = Date.UTC(year, month, day) - 60000;
+    } else if (!cron.hours.has(hour)) {
+      wall = Date.UTC(year, month, day, hour) - 60000;
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      wall -= 60000;
+    } else {
+      const instant = wallTimeToInstant(cron.timeZone, wall);
+      if (instant !== null && instant <= before) return instant;
+      wall -= 60000;
+    }
+  }
+  return null;
+}
+
+const jobFinding = (job, issue, severity, details, remediation, now) => ({
+  kind: 'Job',
+  name: job.metadata.name,
+  namespace: job.metadata.namespace,
+  job: job.metadata.name,
+  cronJob: cronJobOf(job),
+  issue,
+  severity,
+  details,
+  reason: conditionOf(job, 'Failed')?.reason || null,
+  failed: job.status?.failed || 0,
+  succeeded: job.status?.succeeded || 0,
+  backoffLimit: job.spec?.backoffLimit ?? DEFAULT_BACKOFF_LIMIT,
+  finishedMinutesAgo: minutesSince(conditionOf(job, 'Failed')?.lastTransitionTime, now),
+  remediation
+});
+
+const jobLogs = job => `kubectl logs job/${job.metadata.name} -n ${job.metadata.namespace}`;
+
+// ❌ A failed Job, or a running one with at most one retry left
+function analyzeJobRun(job, now, windowMs) {
+  const failedCondition = conditionOf(job, 'Failed');
+  if (failedCondition) {
+    const recent = !failedCondition.lastTransitionTime || now - new Date(failedCondition.lastTransitionTime).getTime() <= windowMs;
+    return [jobFinding(job, FAILURE_ISSUES[failedCondition.reason] || 'Job failed', recent ? 'critical' : 'warning',
+      `${failedCondition.message || failedCondition.reason || 'Job failed'} (${job.status?.failed || 0} failed pod(s))`,
+      {
+        action: failedCondition.reason === 'DeadlineExceeded'
+          ? 'The run took longer than activeDeadlineSeconds; check why it is slow or raise the deadline, then re-run it'
+          : 'Check the failed pods\' logs and exit codes, fix the cause, then re-run the Job (rerun-job)',
+        command: jobLogs(job)
+      }, now)];
+  }
+
+  const backoffLimit = job.spec?.backoffLimit ?? DEFAULT_BACKOFF_LIMIT;
+  const failed = job.status?.failed || 0;
+  if (!isJobComplete(job) && failed > 0 && failed >= backoffLimit) {
+    return [jobFinding(job, 'Backoff limit nearly exhausted', 'warning',
+      `${failed} pod(s) failed with a backoff limit of ${backoffLimit}; the next failure fails the Job`,
+      { action: 'Check the failed pods\' logs before the Job gives up', command: jobLogs(job) }, now)];
+  }
+  return [];
+}
+
+// ⏰ Latest run, missed schedules and stale successes of one CronJob
+function analyzeCronJob(cronJob, runs, now, windowMs) {
+  if (cronJob.spec?.suspend) return [];
+  const findings = [];
+  const name = cronJob.metadata.name;
+  const namespace = cronJob.metadata.namespace;
+  const status = cronJob.status || {};
+  // The controller's lastSuccessfulTime leaves out re-runs, which it does not control
+  const lastSuccess = [status.lastSuccessfulTime, ...runs.filter(isJobComplete).map(run => run.status?.completionTime)]
+    .filter(Boolean).sort((a, b) => new Date(a) - new Date(b)).pop() || null;
+  const cronFields = {
+    kind: 'CronJob',
+    name,
+    namespace,
+    cronJob: name,
+    schedule: cronJob.spec?.schedule,
+    lastScheduleTime: status.lastScheduleTime || null,
+    lastSuccessfulTime: lastSuccess,
+    lastSuccessAgeMinutes: minutesSince(lastSuccess, now)
+  };
+  const describe = { command: `kubectl describe cronjob ${name} -n ${namespace}` };
+  const sinceSuccess = lastSuccess ? `last success ${cronFields.lastSuccessAgeMinutes}m ago` : 'no successful run on record';
+
+  // The newest run speaks for the CronJob; older failures were superseded
+  const latest = runs[0];
+  const latestFindings = latest ? analyzeJobRun(latest, now, windowMs) : [];
+  for (const finding of latestFindings) {
+    findings.push({
+      ...finding,
+      ...cronFields,
+      job: latest.metadata.name,
+      issue: finding.issue === 'Backoff limit nearly exhausted' ? finding.issue : `Last run failed: ${finding.issue}`,
+      details: `${finding.details}; ${sinceSuccess}`
+    });
+  }
+
+  const cron = parseCronSchedule(cronJob.spec?.schedule, cronJob.spec?.timeZone);
+  if (!cron) return findings;
+
+  const deadlineMs = (cronJob.spec?.startingDeadlineSeconds || 0) * 1000;
+  const expected = previousCronRun(cron, now - MISSED_SCHEDULE_GRACE_MS - deadlineMs);
+  const lastScheduled = new Date(status.lastScheduleTime || cronJob.metadata.creationTimestamp).getTime();
+  if (expected !== null && lastScheduled < expected) {
+    const active = runs.filter(run => !isJobComplete(run) && !isJobFailed(run));
+    const blocked = cronJob.spec?.concurrencyPolicy === 'Forbid' && active.length > 0;
+    findings.push({
+      ...cronFields,
+      issue: 'Missed schedule',
+      severity: 'critical',
+      details: `Expected a run at ${new Date(expected).toISOString()}, last scheduled ${status.lastScheduleTime || 'never'}` +
+        (blocked ? `; run ${active[0].metadata.name} is still active and concurrencyPolicy is Forbid` : ''),
+      remediation: blocked
+        ? { action: 'The previous run is still going; find out why it hangs or set activeDeadlineSeconds', command: jobLogs(active[0]) }
+        : { action: 'Check the CronJob\'s events for skipped runs (too many missed start times, startingDeadlineSeconds) and trigger a run by hand', command: `kubectl create job ${name}-manual-${Math.floor(now / 1000)} --from=cronjob/${name} -n ${namespace}` }
+    });
+  }
+
+  if (latestFindings.length === 0 && lastSuccess) {
+    const previous = previousCronRun(cron, now);
+    const before = previous !== null ? previousCronRun(cron, previous - 60000) : null;
+    const intervalMs = previous !== null && before !== null ? previous - before : null;
+    if (intervalMs && now - new Date(lastSuccess).getTime() > STALE_SUCCESS_RUNS * intervalMs) {
+      findings.push({
+        ...cronFields,
+        issue: 'No recent success',
+        severity: 'warning',
+        details: `Scheduled every ~${Math.round(intervalMs / 60000)}m but ${sinceSuccess}`,
+        remediation: { action: 'Check whether runs are hanging, skipped or deleted before completing', ...describe }
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Analyze listed Jobs and CronJobs and return their findings, most severe first.
+ * `windowMs` is the scan window: failures older than it are warnings, not critical.
+ */
+export function analyzeBatchHealth({ jobs = [], cronJobs = [] }, { now = Date.now(), windowMs = 60 * 60 * 1000 } = {}) {
+  const newestFirst = (a, b) => createdAt(b) - createdAt(a);
+  const findings = [];
+
+  for (const cronJob of cronJobs) {
+    const runs = jobs.filter(job => job.metadata.namespace === cronJob.metadata.namespace && cronJobOf(job) === cronJob.metadata.name)
+      .sort(newestFirst);
+    findings.push(...analyzeCronJob(cronJob, runs, now, windowMs));
+  }
+
+  // Standalone Jobs, grouped with their re-runs so only the newest attempt counts
+  const attempts = new Map();
+  for (const job of jobs.filter(candidate => !cronJobOf(candidate))) {
+    const key = `${job.metadata.namespace}/${job.metadata.annotations?.[RERUN_ANNOTATION] || job.metadata.name}`;
+    attempts.set(key, [...(attempts.get(key) || []), job]);
+  }
+  for (const group of attempts.values()) {
+    findings.push(...analyzeJobRun(group.sort(newestFirst)[0], now, windowMs));
+  }
+
+  const rank = { critical: 0, warning: 1 };
+  return findings.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
+
+/**
+ * 🔁 A new Job that re-runs `job` from its pod template. The controller's selector and
+ * labels are left out so the API server assigns fresh ones. A CronJob owner is kept as a
+ * non-controller reference, so the re-run is garbage-collected with the CronJob and scans
+ * group it with the CronJob's runs. The CronJob controller only tracks Jobs it controls:
+ * the re-run never shows in its active list or lastSuccessfulTime, and its history limits
+ * never clean it up.
+ */
+export function buildJobRerun(job, now = Date.now()) {
+  const withoutControllerLabels = (labels = {}) =>
+    Object.fromEntries(Object.entries(labels).filter(([key]) => !CONTROLLER_LABELS.has(key)));
+  const original = job.metadata.annotations?.[RERUN_ANNOTATION] || job.metadata.name;
+  const suffix = `-rerun-${Math.floor(now / 1000).toString(36)}`;
+  // Job names end up in a pod label, so they are capped at 63 characters
+  const name = `${original.slice(0, 63 - suffix.length).replace(/-+$/, '')}${suffix}`;
+  const cronOwner = (job.metadata.ownerReferences || [])
+    .filter(reference => reference.kind === 'CronJob')
+    .map(reference => ({ ...reference, controller: false }));
+  const { selector, manualSelector, ...spec } = job.spec;
+  const template = job.spec.template;
+
+  return {
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name,
+      namespace: job.metadata.namespace,
+      labels: withoutControllerLabels(job.metadata.labels),
+      annotations: { [RERUN_ANNOTATION]: original },
+      ...(cronOwner.length > 0 ? { ownerReferences: cronOwner } : {})
+    },
+    spec: {
+      ...spec,
+      suspend: false,
+      template: {
+        ...template,
+        metadata: { ...template.metadata, labels: withoutControllerLabels(template.metadata?.labels) }
+      }
+    }
+  };
+}
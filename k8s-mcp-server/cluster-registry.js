@@ -0,0 +1,143 @@
+/**
+ * 🌐 Cluster Registry
+ *
+ * The clusters this server manages, each with its own clients and state:
+ * - Configured as name → kubeconfig context (defaults to the current context only)
+ * - A KubeConfig pinned to each context, so no call depends on kubeconfig's current-context
+ * - Per-cluster API clients, monitoring state, watcher and healing history
+ */
+
+import k8s from '@kubernetes/client-node';
+
+// Context name client-node gives the service-account config when running inside a pod
+const IN_CLUSTER_CONTEXT = 'inClusterContext';
+
+// "prod=prod-admin,staging" → [{ name: 'prod', context: 'prod-admin' }, { name: 'staging', context: 'staging' }]
+export function parseClusterList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const [name, context = name] = item.split('=').map(part => part.trim());
+    return { name, context };
+  });
+}
+
+// 📊 In-memory monitoring data, one per cluster
+export function createMonitoringState() {
+  return {
+    podCrashes: new Map(),
+    oomEvents: new Map(),
+    resourceUsage: new Map(),
+    recordedIssues: new Map(),
+    lastScan: null
+  };
+}
+
+// 🧹 Drop a deleted pod's entries, so pod churn (rollouts, Jobs) doesn't grow the state without limit.
+// podCrashes / oomEvents are keyed "<namespace>/<pod>/<container>", recordedIssues "<type>/<namespace>/<pod>/<container>".
+export function forgetPod(state, { namespace, name }) {
+  const prefix = `${namespace}/${name}/`;
+  for (const store of [state.podCrashes, state.oomEvents]) {
+    for (const key of store.keys()) {
+      if (key.startsWith(prefix)) store.delete(key);
+    }
+  }
+  for (const key of state.recordedIssues.keys()) {
+    if (key.slice(key.indexOf('/') + 1).startsWith(prefix)) state.recordedIssues.delete(key);
+  }
+}
+
+function createCluster(entry, kubeConfig) {
+  return {
+    name: entry.name,
+    context: entry.context,
+    // kubectl/helm have no kubeconfig context for the service account, so they get no --context
+    inCluster: entry.context === IN_CLUSTER_CONTEXT,
+    server: kubeConfig.getCurrentCluster()?.server,
+    prometheusUrl: entry.prometheusUrl,
+    chartsPath: entry.chartsPath,
+    kubeConfig,
+    core: kubeConfig.makeApiClient(k8s.CoreV1Api),
+    apps: kubeConfig.makeApiClient(k8s.AppsV1Api),
+    batch: kubeConfig.makeApiClient(k8s.BatchV1Api),
+    policy: kubeConfig.makeApiClient(k8s.PolicyV1Api),
+    version: kubeConfig.makeApiClient(k8s.VersionApi),
+    storage: kubeConfig.makeApiClient(k8s.StorageV1Api),
+    autoscaling: kubeConfig.makeApiClient(k8s.AutoscalingV2Api),
+    metrics: new k8s.Metrics(kubeConfig),
+    state: createMonitoringState(),
+    // Filled in by the server: watch cache, healing history store, Prometheus client
+    watcher: null,
+    history: null,
+    prometheus: null
+  };
+}
+
+export class ClusterRegistry {
+  constructor(clusters = []) {
+    this.clusters = new Map(clusters.map(cluster => [cluster.name, cluster]));
+    this.defaultName = clusters[0]?.name || null;
+  }
+
+  /**
+   * Build clients for each configured cluster from one kubeconfig.
+   * With nothing configured, the kubeconfig's current context is the only cluster.
+   * Entries whose context is missing from the kubeconfig are skipped with an error.
+   */
+  static fromKubeConfig(baseConfig, configured = []) {
+    const entries = configured.length > 0
+      ? configured
+      : [{ name: baseConfig.getCurrentContext(), context: baseConfig.getCurrentContext() }];
+
+    const clusters = [];
+    for (const entry of entries) {
+      const context = entry.context || entry.name;
+      if (!baseConfig.getContextObject(context)) {
+        console.error(`❌ Cluster "${entry.name}": context "${context}" not found in kubeconfig, skipping`);
+        continue;
+      }
+      if (clusters.some(cluster => cluster.name === entry.name)) {
+        console.error(`❌ Cluster "${entry.name}" is configured twice, skipping the duplicate`);
+        continue;
+      }
+      const kubeConfig = new k8s.KubeConfig();
+      kubeConfig.loadFromString(baseConfig.exportConfig());
+      kubeConfig.setCurrentContext(context);
+      clusters.push(createCluster({ ...entry, context }, kubeConfig));
+    }
+    return new ClusterRegistry(clusters);
+  }
+
+  get size() {
+    return this.clusters.size;
+  }
+
+  get default() {
+    return this.clusters.get(this.defaultName) || null;
+  }
+
+  list() {
+    return [...this.clusters.values()];
+  }
+
+  // By registry name first, then by kubeconfig context
+  get(nameOrContext) {
+    const cluster = this.clusters.get(nameOrContext) ||
+      this.list().find(candidate => candidate.context === nameOrContext);
+    if (!cluster) {
+      throw new Error(`Unknown cluster "${nameOrContext}". Configured clusters: ${this.list().map(candidate => candidate.name).join(', ') || 'none'}`);
+    }
+    return cluster;
+  }
+
+  // 🎯 The cluster a tool call targets: `cluster` or `context` argument, else the default
+  resolve({ cluster, context } = {}) {
+    if (cluster || context) return this.get(cluster || context);
+    if (!this.default) throw new Error('No Kubernetes cluster configured');
+    return this.default;
+  }
+
+  // Change which cluster calls without a `cluster` argument target; kubeconfig is untouched
+  setDefault(nameOrContext) {
+    this.defaultName = this.get(nameOrContext).name;
+    return this.default;
+  }
+}
@@ -0,0 +1,560 @@
+/**
+ * 🩺 Cluster Scan
+ *
+ * The analysis behind scan-cluster-health and get-oom-events, shared by the MCP
+ * server and the HTTP API so both return the same results:
+ * - Crashes and OOM kills inside the time window, from container statuses,
+ *   terminations seen by the watch and Pod/Node Events
+ * - Memory pressure, workload rollouts, Jobs, pending pods, nodes, storage and probes
+ * - Works on one cluster from the cluster registry (clients, watch cache, monitoring state)
+ */
+
+import { eventTimestamp } from './cluster-watcher.js';
+import { listWorkloads, analyzeWorkloadHealth } from './workload-health.js';
+import { getContainerMetrics, findMemoryPressure } from './live-metrics.js';
+import { formatMemory, formatCpu } from './resource-quantities.js';
+import { matchNodeOOMEvent } from './crash-diagnosis.js';
+import { findPendingPods, nodeCapacity, podRequests, recommendForPendingPod } from './pending-pods.js';
+import { analyzeNodeHealth } from './node-health.js';
+import { analyzeClaims, findVolumeMountIssues, getVolumeUsage, findFullVolumes } from './storage-health.js';
+import { listBatchWorkloads, analyzeBatchHealth } from './batch-health.js';
+import { analyzeProbeFailures } from './probe-health.js';
+
+// 📍 Thresholds and switches of the scan: environment first, then config.yaml
+export function scanSettings(fileConfig = {}) {
+  return {
+    memoryPressureThreshold: parseInt(process.env.MEMORY_PRESSURE_THRESHOLD) || fileConfig.monitoring?.memoryPressurePercent || 90, // % of limit
+    podPendingEnabled: process.env.POD_PENDING_ENABLED
+      ? process.env.POD_PENDING_ENABLED !== 'false'
+      : fileConfig.autoHeal?.podPending?.enabled !== false,
+    podPendingTimeoutMinutes: parseInt(process.env.POD_PENDING_TIMEOUT_MINUTES) || fileConfig.autoHeal?.podPending?.timeoutMinutes || 10,
+    storageHealthEnabled: process.env.STORAGE_HEALTH_ENABLED
+      ? process.env.STORAGE_HEALTH_ENABLED !== 'false'
+      : fileConfig.autoHeal?.storage?.enabled !== false,
+    volumeUsageThreshold: parseInt(process.env.VOLUME_USAGE_THRESHOLD) || fileConfig.autoHeal?.storage?.usageThreshold || 85, // % of capacity
+    resourceMultiplier: parseFloat(process.env.RESOURCE_MULTIPLIER) || 1.5,
+    maxResourceIncrease: parseFloat(process.env.MAX_RESOURCE_INCREASE) || 5.0
+  };
+}
+
+// 🩺 Health of a single cluster; the result is also kept as the cluster's last scan
+export async function collectClusterHealth(cluster, { namespace, timeRange = "1h" } = {}, settings) {
+  const results = {
+    cluster: cluster.name,
+    timestamp: new Date().toISOString(),
+    namespace: namespace || "all",
+    timeRange,
+    issues: {
+      crashingPods: [],
+      oomEvents: [],
+      resourceIssues: [],
+      unhealthyDeployments: [],
+      pendingPods: [],
+      nodeIssues: [],
+      storageIssues: [],
+      jobIssues: [],
+      probeIssues: []
+    },
+    summary: {
+      totalIssues: 0,
+      criticalIssues: 0,
+      warnings: 0
+    }
+  };
+
+  // Get all pods and the Events inside the scan window
+  const windowMs = parseDuration(timeRange);
+  const pods = await listPods(cluster, namespace);
+  const events = await listEvents(cluster, namespace);
+  const terminations = analyzeTerminations(cluster, pods, events, windowMs);
+
+  // Failing probes; a liveness probe restarting a container explains its crash loop
+  const podsByName = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+  results.issues.probeIssues = analyzeProbeFailures(pods, events, { windowMs }).map(finding => ({
+    ...finding,
+    workload: getWorkloadName(podsByName.get(`${finding.namespace}/${finding.pod}`))
+  }));
+  for (const probeIssue of results.issues.probeIssues) {
+    if (probeIssue.severity === 'critical') {
+      results.summary.criticalIssues++;
+    } else {
+      results.summary.warnings++;
+    }
+  }
+  const probeRestarts = new Map(results.issues.probeIssues
+    .filter(probeIssue => probeIssue.restarts > 0 && probeIssue.probe !== 'readinessProbe')
+    .map(probeIssue => [`${probeIssue.namespace}/${probeIssue.pod}/${probeIssue.container}`, probeIssue]));
+
+  // Analyze each pod
+  for (const pod of pods) {
+    const podNamespace = pod.metadata.namespace;
+    const podName = pod.metadata.name;
+    
+    // Check for crashes and restarts within the time window
+    for (const containerStatus of pod.status.containerStatuses || []) {
+      const stats = terminations.get(`${podNamespace}/${podName}/${containerStatus.name}`);
+      const crashLooping = containerStatus.state?.waiting?.reason === 'CrashLoopBackOff';
+      if (stats?.oom.count > 0) {
+        results.issues.oomEvents.push({
+          pod: podName,
+          namespace: podNamespace,
+          workload: getWorkloadName(pod),
+          container: containerStatus.name,
+          restartCount: containerStatus.restartCount,
+          reason: 'OOMKilled',
+          finishedAt: containerStatus.lastState?.terminated?.finishedAt,
+          currentMemoryLimit: getContainerMemoryLimit(pod, containerStatus.name),
+          ...stats.oom
+        });
+        results.summary.criticalIssues++;
+      } else if (containerStatus.restartCount > 5 && (stats?.crash.count > 0 || crashLooping)) {
+        const probeIssue = probeRestarts.get(`${podNamespace}/${podName}/${containerStatus.name}`);
+        results.issues.crashingPods.push({
+          pod: podName,
+          namespace: podNamespace,
+          workload: getWorkloadName(pod),
+          container: containerStatus.name,
+          restartCount: containerStatus.restartCount,
+          state: containerStatus.state,
+          ...(stats?.crash || { count: 0 }),
+          ...(probeIssue && { cause: 'liveness-probe' }),
+          ...(probeIssue?.recommendedSettings && { probeFix: { probe: probeIssue.recommendedProbe, settings: probeIssue.recommendedSettings } })
+        });
+        results.summary.criticalIssues++;
+      }
+    }
+
+    // Check resource usage vs limits
+    const containers = pod.spec.containers || [];
+    for (const container of containers) {
+      if (container.resources?.limits) {
+        const memoryLimit = container.resources.limits.memory;
+        const cpuLimit = container.resources.limits.cpu;
+        
+        if (memoryLimit && parseMemory(memoryLimit) < 128 * 1024 * 1024) { // Less than 128Mi
+          results.issues.resourceIssues.push({
+            pod: podName,
+            namespace: podNamespace,
+            workload: getWorkloadName(pod),
+            container: container.name,
+            issue: 'Low memory limit',
+            current: memoryLimit,
+            recommended: '256Mi'
+          });
+          results.summary.warnings++;
+        }
+      }
+    }
+  }
+
+  // Flag containers close to their memory limit before they get OOMKilled
+  results.metricsSource = 'unavailable';
+  if (cluster.metrics) {
+    try {
+      const containerMetrics = await getContainerMetrics(cluster.metrics, pods, { namespace });
+      const podsByKey = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+      for (const metric of findMemoryPressure(containerMetrics, settings.memoryPressureThreshold)) {
+        results.issues.resourceIssues.push({
+          pod: metric.pod,
+          namespace: metric.namespace,
+          workload: getWorkloadName(podsByKey.get(`${metric.namespace}/${metric.pod}`)),
+          container: metric.container,
+          issue: 'Near memory limit',
+          current: metric.limits.memory,
+          usage: formatMemory(metric.usage.memory),
+          utilization: metric.utilization.memoryLimit,
+          recommended: calculateRecommendedMemory(metric.limits.memory, settings)
+        });
+        results.summary.warnings++;
+      }
+      results.metricsSource = 'metrics.k8s.io';
+    } catch (error) {
+      console.error(`⚠️  Live metrics unavailable for scan of ${cluster.name}:`, error.message);
+    }
+  }
+
+  // Check Deployment/StatefulSet/DaemonSet rollout health
+  const workloadFindings = analyzeWorkloadHealth(await listWorkloads(cluster.apps, namespace));
+  for (const workload of workloadFindings) {
+    results.issues.unhealthyDeployments.push(workload);
+    if (workload.severity === 'critical') {
+      results.summary.criticalIssues++;
+    } else {
+      results.summary.warnings++;
+    }
+  }
+
+  // Failed Jobs and CronJobs that fail or miss their schedule; skipped without access to the batch API
+  try {
+    results.issues.jobIssues = analyzeBatchHealth(await listBatchWorkloads(cluster.batch, namespace), { windowMs });
+    for (const jobIssue of results.issues.jobIssues) {
+      if (jobIssue.severity === 'critical') {
+        results.summary.criticalIssues++;
+      } else {
+        results.summary.warnings++;
+      }
+    }
+  } catch (error) {
+    console.error(`⚠️  Job health unavailable for ${cluster.name}:`, error.body?.message || error.message);
+  }
+
+  // Pods stuck in Pending longer than the timeout, with the scheduler's reasons
+  if (settings.podPendingEnabled) {
+    const pending = findPendingPods(pods, events, { minPendingMs: settings.podPendingTimeoutMinutes * 60 * 1000 });
+    if (pending.length > 0) {
+      results.issues.pendingPods = await analyzePendingPods(cluster, pending, namespace ? null : pods);
+      for (const pendingPod of results.issues.pendingPods) {
+        if (pendingPod.severity === 'critical') {
+          results.summary.criticalIssues++;
+        } else {
+          results.summary.warnings++;
+        }
+      }
+    }
+  }
+
+  // Nodes are cluster-scoped, so only cluster-wide scans check them
+  if (!namespace) {
+    results.issues.nodeIssues = await analyzeNodes(cluster, pods);
+    for (const nodeIssue of results.issues.nodeIssues) {
+      if (nodeIssue.severity === 'critical') {
+        results.summary.criticalIssues++;
+      } else {
+        results.summary.warnings++;
+      }
+    }
+  }
+
+  // Pending or lost claims, volumes that fail to mount and volumes filling up
+  results.volumeStatsSource = 'unavailable';
+  if (settings.storageHealthEnabled) {
+    results.issues.storageIssues = await analyzeStorage(cluster, pods, events, namespace, results, settings);
+    for (const storageIssue of results.issues.storageIssues) {
+      if (storageIssue.severity === 'critical') {
+        results.summary.criticalIssues++;
+      } else {
+        results.summary.warnings++;
+      }
+    }
+  }
+
+  results.summary.totalIssues = results.summary.criticalIssues + results.summary.warnings;
+  results.source = cluster.watcher?.isSynced('pods') ? 'watch-cache' : 'api';
+  cluster.state.lastScan = results;
+  return results;
+}
+
+// 💥 Containers OOMKilled inside the time window, most kills first
+export async function collectOOMEvents(cluster, { namespace, timeRange = "24h" } = {}, settings) {
+  const windowMs = parseDuration(timeRange);
+  const pods = await listPods(cluster, namespace);
+  const events = await listEvents(cluster, namespace);
+  const terminations = analyzeTerminations(cluster, pods, events, windowMs);
+  const podsByKey = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+
+  const oomEvents = [...terminations.values()]
+    .filter(stats => stats.oom.count > 0)
+    .map(stats => {
+      const pod = podsByKey.get(`${stats.namespace}/${stats.pod}`);
+      const lastTerminated = pod?.status?.containerStatuses
+        ?.find(status => status.name === stats.container)?.lastState?.terminated;
+      const currentMemoryLimit = pod ? getContainerMemoryLimit(pod, stats.container) : null;
+      return {
+        pod: stats.pod,
+        namespace: stats.namespace,
+        workload: stats.workload,
+        container: stats.container,
+        ...stats.oom,
+        finishedAt: lastTerminated?.finishedAt,
+        exitCode: lastTerminated?.exitCode,
+        message: lastTerminated?.message,
+        currentMemoryLimit,
+        recommendedMemoryLimit: calculateRecommendedMemory(currentMemoryLimit, settings)
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  return { cluster: cluster.name, timeRange, total: oomEvents.length, oomEvents };
+}
+
+/**
+ * ⏳ Reasons and capacity-checked recommendations for pending pods.
+ * Node capacity needs every pod on the nodes, so `allPods` is listed when the scan was namespaced.
+ */
+async function analyzePendingPods(cluster, pending, allPods) {
+  let capacity = [];
+  try {
+    const nodes = (await cluster.core.listNode()).body.items;
+    capacity = nodeCapacity(nodes, allPods || await listPods(cluster));
+  } catch (error) {
+    console.error(`⚠️  Node capacity unavailable for ${cluster.name}:`, error.body?.message || error.message);
+  }
+
+  // Claims of the namespaces with unbound-PVC pods, listed once per namespace
+  const claimsByNamespace = new Map();
+  const claimsOf = async (namespace) => {
+    if (!claimsByNamespace.has(namespace)) {
+      try {
+        const claims = (await cluster.core.listNamespacedPersistentVolumeClaim(namespace)).body.items;
+        claimsByNamespace.set(namespace, new Map(claims.map(claim => [claim.metadata.name, claim])));
+      } catch (error) {
+        console.error(`⚠️  PVCs unavailable in ${namespace}:`, error.body?.message || error.message);
+        claimsByNamespace.set(namespace, new Map());
+      }
+    }
+    return claimsByNamespace.get(namespace);
+  };
+
+  const results = [];
+  for (const { pod, since, scheduled, message, reasons } of pending) {
+    const claims = reasons.some(reason => reason.category === 'unbound-pvc') ? await claimsOf(pod.metadata.namespace) : undefined;
+    const requests = podRequests(pod);
+    results.push({
+      pod: pod.metadata.name,
+      namespace: pod.metadata.namespace,
+      workload: getWorkloadName(pod),
+      pendingSince: new Date(since).toISOString(),
+      pendingMinutes: Math.floor((Date.now() - since) / 60000),
+      scheduled,
+      // Never scheduled is an outage for that replica; scheduled pods are usually pulling or mounting
+      severity: scheduled ? 'warning' : 'critical',
+      message,
+      reasons,
+      requests: { cpu: requests.cpu ? formatCpu(requests.cpu) : null, memory: requests.memory ? formatMemory(requests.memory) : null },
+      recommendations: capacity.length > 0 || scheduled
+        ? recommendForPendingPod(pod, reasons, capacity, claims)
+        : [{ category: 'other', action: 'Check node capacity manually', details: 'Nodes could not be listed, so capacity was not checked (needs get/list on nodes).' }]
+    });
+  }
+  return results;
+}
+
+// 🖥️ Node conditions, kubelet version skew and pod density; skipped without access to nodes
+async function analyzeNodes(cluster, pods) {
+  let nodes;
+  try {
+    nodes = (await cluster.core.listNode()).body.items;
+  } catch (error) {
+    console.error(`⚠️  Node health unavailable for ${cluster.name}:`, error.body?.message || error.message);
+    return [];
+  }
+
+  // Without the API server version, kubelets are compared with each other
+  let apiServerVersion;
+  try {
+    apiServerVersion = (await cluster.version.getCode()).body.gitVersion;
+  } catch (error) {
+    console.error(`⚠️  API server version unavailable for ${cluster.name}:`, error.body?.message || error.message);
+  }
+  return analyzeNodeHealth(nodes, pods, { apiServerVersion });
+}
+
+// 💾 Claim, volume mount and volume usage findings; volume usage needs kubelet stats in Prometheus
+async function analyzeStorage(cluster, pods, events, namespace, results, settings) {
+  let claims;
+  try {
+    claims = (namespace
+      ? await cluster.core.listNamespacedPersistentVolumeClaim(namespace)
+      : await cluster.core.listPersistentVolumeClaimForAllNamespaces()).body.items;
+  } catch (error) {
+    console.error(`⚠️  Storage health unavailable for ${cluster.name}:`, error.body?.message || error.message);
+    return [];
+  }
+
+  // Without StorageClasses, binding modes and expansion support are unknown
+  let storageClasses = new Map();
+  try {
+    storageClasses = new Map((await cluster.storage.listStorageClass()).body.items
+      .map(storageClass => [storageClass.metadata.name, storageClass]));
+  } catch (error) {
+    console.error(`⚠️  StorageClasses unavailable for ${cluster.name}:`, error.body?.message || error.message);
+  }
+
+  const findings = [
+    ...analyzeClaims(claims, { storageClasses, events, pods, minPendingMs: settings.podPendingTimeoutMinutes * 60 * 1000 }),
+    ...findVolumeMountIssues(pods, events)
+  ];
+  try {
+    const usage = await getVolumeUsage(cluster.prometheus, { namespace });
+    findings.push(...findFullVolumes(claims, usage, { storageClasses, pods, threshold: settings.volumeUsageThreshold }));
+    results.volumeStatsSource = 'prometheus';
+  } catch (error) {
+    console.error(`⚠️  Volume stats unavailable for scan of ${cluster.name}:`, error.message);
+  }
+
+  const podsByKey = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+  return findings.map(finding => ({
+    ...finding,
+    workload: finding.pod ? getWorkloadName(podsByKey.get(`${finding.namespace}/${finding.pod}`)) : undefined
+  }));
+}
+
+// 📰 Events from the watch cache once synced, otherwise straight from the API server
+export async function listEvents(cluster, namespace) {
+  if (cluster.watcher?.isSynced('events')) {
+    return cluster.watcher.getEvents(namespace);
+  }
+  const eventsResponse = namespace
+    ? await cluster.core.listNamespacedEvent(namespace)
+    : await cluster.core.listEventForAllNamespaces();
+  return eventsResponse.body.items;
+}
+
+/**
+ * ⏱️ Per-container termination stats inside a time window.
+ * Combines container termination timestamps, terminations seen live by the
+ * watch and Kubernetes Events (BackOff / OOM) so one-off and recurring
+ * failures can be told apart.
+ */
+export function analyzeTerminations(cluster, pods, events, windowMs) {
+  const now = Date.now();
+  const cutoff = now - windowMs;
+  const windowHours = windowMs / (60 * 60 * 1000);
+  const containers = new Map();
+
+  const entryFor = (namespace, podName, workload, container) => {
+    const key = `${namespace}/${podName}/${container}`;
+    if (!containers.has(key)) {
+      containers.set(key, {
+        namespace, pod: podName, workload, container,
+        oom: { times: new Set(), eventCount: 0 },
+        crash: { times: new Set(), eventCount: 0 }
+      });
+    }
+    return containers.get(key);
+  };
+  const inWindow = (time) => time && time >= cutoff && time <= now;
+
+  // Container termination timestamps + terminations observed by the watch
+  for (const pod of pods) {
+    const workload = getWorkloadName(pod);
+    for (const containerStatus of pod.status?.containerStatuses || []) {
+      const key = `${pod.metadata.namespace}/${pod.metadata.name}/${containerStatus.name}`;
+      const terminated = containerStatus.lastState?.terminated;
+      const finishedAt = terminated?.finishedAt ? new Date(terminated.finishedAt).getTime() : null;
+      const observed = {
+        oom: cluster.state.oomEvents.get(key)?.occurrences || [],
+        crash: cluster.state.podCrashes.get(key)?.occurrences || []
+      };
+      if (!inWindow(finishedAt) && ![...observed.oom, ...observed.crash].some(time => inWindow(new Date(time).getTime()))) {
+        continue;
+      }
+
+      const entry = entryFor(pod.metadata.namespace, pod.metadata.name, workload, containerStatus.name);
+      if (inWindow(finishedAt)) {
+        entry.crash.times.add(finishedAt);
+        if (terminated.reason === 'OOMKilled') entry.oom.times.add(finishedAt);
+      }
+      for (const kind of ['oom', 'crash']) {
+        observed[kind].map(time => new Date(time).getTime()).filter(inWindow).forEach(time => entry[kind].times.add(time));
+      }
+    }
+  }
+
+  // Kubernetes Events for containers (fieldPath "spec.containers{name}"), and the
+  // kernel OOMKilling events the node problem detector attaches to the Node
+  const podsByKey = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+  for (const event of events) {
+    const time = eventTimestamp(event);
+    const involved = event.involvedObject || {};
+    if (!inWindow(time) || !['Pod', 'Node'].includes(involved.kind)) continue;
+
+    const isOOM = event.reason === 'OOMKilling' || /OOMKilled|out of memory/i.test(event.message || '');
+    const isBackOff = event.reason === 'BackOff' && /restarting failed container/i.test(event.message || '');
+    if (!isOOM && !isBackOff) continue;
+
+    let target;
+    if (involved.kind === 'Node') {
+      if (!isOOM) continue;
+      target = matchNodeOOMEvent(event, pods);
+    } else {
+      const pod = podsByKey.get(`${involved.namespace}/${involved.name}`);
+      const container = involved.fieldPath?.match(/spec\.(?:init)?[cC]ontainers\{(.+)\}/)?.[1] ||
+        (event.message || '').match(/container[= ]"?([a-z0-9-]+)"?/i)?.[1];
+      target = container && { pod, namespace: involved.namespace, name: involved.name, container };
+    }
+    if (!target) continue;
+
+    const entry = entryFor(target.namespace, target.name, target.pod ? getWorkloadName(target.pod) : target.name, target.container);
+    const bucket = isOOM ? entry.oom : entry.crash;
+    bucket.eventCount += event.count || event.series?.count || 1;
+    bucket.times.add(time);
+    if (event.firstTimestamp && inWindow(new Date(event.firstTimestamp).getTime())) {
+      bucket.times.add(new Date(event.firstTimestamp).getTime());
+    }
+  }
+
+  // Summarise: counts, first/last seen and frequency per container
+  const summarise = ({ times, eventCount }) => {
+    const sorted = [...times].sort((a, b) => a - b);
+    const count = Math.max(sorted.length, eventCount);
+    return {
+      count,
+      firstSeen: sorted.length ? new Date(sorted[0]).toISOString() : null,
+      lastSeen: sorted.length ? new Date(sorted[sorted.length - 1]).toISOString() : null,
+      perHour: Math.round((count / windowHours) * 100) / 100,
+      recurring: count > 1
+    };
+  };
+
+  for (const [key, entry] of containers) {
+    containers.set(key, { ...entry, oom: summarise(entry.oom), crash: summarise(entry.crash) });
+  }
+  return containers;
+}
+
+// 📦 Pods from the watch cache once synced, otherwise straight from the API server
+export async function listPods(cluster, namespace) {
+  if (cluster.watcher?.isSynced('pods')) {
+    return cluster.watcher.getPods(namespace);
+  }
+  const podsResponse = namespace 
+    ? await cluster.core.listNamespacedPod(namespace)
+    : await cluster.core.listPodForAllNamespaces();
+  return podsResponse.body.items;
+}
+
+// 🏷️ Owning workload name for a pod (Deployment via its ReplicaSet, else direct owner)
+export function getWorkloadName(pod) {
+  const owner = pod.metadata?.ownerReferences?.find(ref => ref.controller) || pod.metadata?.ownerReferences?.[0];
+  if (!owner) return pod.metadata?.name;
+  if (owner.kind === 'ReplicaSet') {
+    const hash = pod.metadata?.labels?.['pod-template-hash'];
+    return hash && owner.name.endsWith(`-${hash}`) ? owner.name.slice(0, -(hash.length + 1)) : owner.name;
+  }
+  return owner.name;
+}
+
+// '30m', '1h', '7d' → milliseconds
+export function parseDuration(durationString) {
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  const match = String(durationString).trim().match(/^(\d+)([smhdw])$/);
+  if (!match) throw new Error(`Invalid duration "${durationString}" (expected e.g. '30m', '1h', '7d')`);
+  return parseInt(match[1]) * units[match[2]];
+}
+
+function parseMemory(memoryString) {
+  if (!memoryString) return 0;
+  const units = { 'Ki': 1024, 'Mi': 1024*1024, 'Gi': 1024*1024*1024 };
+  const match = memoryString.match(/^(\d+)(\w+)?$/);
+  if (!match) return 0;
+  const value = parseInt(match[1]);
+  const unit = match[2] || '';
+  return value * (units[unit] || 1);
+}
+
+function getContainerMemoryLimit(pod, containerName) {
+  const container = pod.spec.containers?.find(c => c.name === containerName);
+  return container?.resources?.limits?.memory || null;
+}
+
+// Current limit × the resource multiplier, capped at the maximum increase
+export function calculateRecommendedMemory(currentLimit, settings) {
+  if (!currentLimit) return "256Mi";
+  const currentBytes = parseMemory(currentLimit);
+  const recommendedBytes = Math.min(
+    currentBytes * settings.resourceMultiplier,
+    currentBytes * settings.maxResourceIncrease
+  );
+  return `${Math.ceil(recommendedBytes / (1024 * 1024))}Mi`;
+}
@@ -0,0 +1,244 @@
+/**
+ * 👀 Cluster Watcher
+ *
+ * Keeps an in-memory cache of Pods and Events using Kubernetes list+watch
+ * streams instead of re-listing the whole cluster on every scan:
+ * - Initial list establishes the cache and a resourceVersion
+ * - Watches resume from the last seen resourceVersion (bookmarks included)
+ * - 410 Gone triggers a fresh list, any other failure reconnects with backoff
+ */
+
+import { EventEmitter } from 'events';
+import k8s from '@kubernetes/client-node';
+
+const WATCH_PATHS = {
+  pods: '/api/v1/pods',
+  events: '/api/v1/events'
+};
+
+const objectKey = (obj) => `${obj.metadata?.namespace || ''}/${obj.metadata?.name}`;
+
+// 🔁 Single list+watch loop for one resource type
+class ResourceWatcher {
+  constructor(kc, { kind, path, list, minBackoffMs, maxBackoffMs, onChange }) {
+    this.watch = new k8s.Watch(kc);
+    this.kind = kind;
+    this.path = path;
+    this.list = list;
+    this.minBackoffMs = minBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.onChange = onChange;
+
+    this.items = new Map();
+    this.resourceVersion = null;
+    this.synced = false;
+    this.stopped = true;
+    this.attempt = 0;
+    this.request = null;
+    this.timer = null;
+    this.lastError = null;
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.request?.abort();
+    this.request = null;
+  }
+
+  async relist() {
+    const response = await this.list();
+    const next = new Map();
+    for (const item of response.body.items) {
+      next.set(objectKey(item), item);
+    }
+
+    // Diff against the previous cache so listeners see changes missed while disconnected
+    for (const [key, item] of next) {
+      const previous = this.items.get(key);
+      if (!previous) {
+        this.onChange(this.kind, 'ADDED', item, null);
+      } else if (previous.metadata?.resourceVersion !== item.metadata?.resourceVersion) {
+        this.onChange(this.kind, 'MODIFIED', item, previous);
+      }
+    }
+    for (const [key, item] of this.items) {
+      if (!next.has(key)) this.onChange(this.kind, 'DELETED', item, item);
+    }
+
+    this.items = next;
+    this.resourceVersion = response.body.metadata?.resourceVersion || null;
+    this.synced = true;
+  }
+
+  async connect() {
+    if (this.stopped) return;
+
+    try {
+      if (!this.resourceVersion) {
+        await this.relist();
+      }
+
+      let expired = false;
+      this.request = await this.watch.watch(
+        this.path,
+        { resourceVersion: this.resourceVersion, allowWatchBookmarks: true },
+        (type, obj) => {
+          if (type === 'ERROR') {
+            // 410 Gone: our resourceVersion is too old, a fresh list is required
+            if (obj?.code === 410) expired = true;
+            return;
+          }
+
+          if (obj?.metadata?.resourceVersion) {
+            this.resourceVersion = obj.metadata.resourceVersion;
+          }
+          if (type === 'BOOKMARK') return;
+
+          const key = objectKey(obj);
+          const previous = this.items.get(key) || null;
+          if (type === 'DELETED') {
+            this.items.delete(key);
+          } else {
+            this.items.set(key, obj);
+          }
+          this.attempt = 0;
+          this.onChange(this.kind, type, obj, previous);
+        },
+        (err) => {
+          this.request = null;
+          if (expired) this.resourceVersion = null;
+          if (err) {
+            this.lastError = err.message || String(err);
+            this.scheduleReconnect();
+          } else {
+            // Server closed the watch normally (timeout) - resume right away
+            this.attempt = 0;
+            this.scheduleReconnect(0);
+          }
+        }
+      );
+    } catch (error) {
+      this.lastError = error.message;
+      this.resourceVersion = null;
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect(delay) {
+    if (this.stopped) return;
+    if (delay === undefined) {
+      const backoff = Math.min(this.minBackoffMs * 2 ** this.attempt, this.maxBackoffMs);
+      delay = backoff / 2 + Math.random() * backoff / 2;
+      this.attempt++;
+      console.error(`⚠️  ${this.kind} watch disconnected (${this.lastError}), reconnecting in ${Math.round(delay / 1000)}s`);
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.connect(), delay);
+  }
+}
+
+/**
+ * Watches Pods and Events cluster-wide and emits `change` events
+ * with `(kind, type, object, previous)` for every update.
+ */
+export class ClusterWatcher extends EventEmitter {
+  constructor(kc, coreApi, options = {}) {
+    super();
+    const {
+      minBackoffMs = 1000,
+      maxBackoffMs = 60000,
+      eventRetentionMs = 7 * 24 * 60 * 60 * 1000,
+      maxEvents = 10000
+    } = options;
+
+    this.eventRetentionMs = eventRetentionMs;
+    this.maxEvents = maxEvents;
+    this.lastPrune = 0;
+
+    const onChange = (kind, type, obj, previous) => {
+      if (kind === 'events' && type === 'ADDED') this.pruneEvents();
+      this.emit('change', kind, type, obj, previous);
+    };
+
+    this.watchers = {
+      pods: new ResourceWatcher(kc, {
+        kind: 'pods',
+        path: WATCH_PATHS.pods,
+        list: () => coreApi.listPodForAllNamespaces(),
+        minBackoffMs,
+        maxBackoffMs,
+        onChange
+      }),
+      events: new ResourceWatcher(kc, {
+        kind: 'events',
+        path: WATCH_PATHS.events,
+        list: () => coreApi.listEventForAllNamespaces(),
+        minBackoffMs,
+        maxBackoffMs,
+        onChange
+      })
+    };
+  }
+
+  async start() {
+    await Promise.all(Object.values(this.watchers).map(watcher => watcher.start()));
+  }
+
+  stop() {
+    Object.values(this.watchers).forEach(watcher => watcher.stop());
+  }
+
+  isSynced(kind = 'pods') {
+    return this.watchers[kind].synced;
+  }
+
+  getPods(namespace) {
+    const pods = [...this.watchers.pods.items.values()];
+    return namespace ? pods.filter(pod => pod.metadata.namespace === namespace) : pods;
+  }
+
+  getEvents(namespace) {
+    const events = [...this.watchers.events.items.values()];
+    return namespace ? events.filter(event => event.metadata.namespace === namespace) : events;
+  }
+
+  status() {
+    return Object.fromEntries(Object.entries(this.watchers).map(([kind, watcher]) => [kind, {
+      synced: watcher.synced,
+      cached: watcher.items.size,
+      resourceVersion: watcher.resourceVersion,
+      reconnectAttempts: watcher.attempt,
+      lastError: watcher.lastError
+    }]));
+  }
+
+  // 🧹 Events are kept for the retention window only, oldest dropped first
+  pruneEvents() {
+    if (Date.now() - this.lastPrune < 60000) return;
+    this.lastPrune = Date.now();
+
+    const items = this.watchers.events.items;
+    const cutoff = Date.now() - this.eventRetentionMs;
+    for (const [key, event] of items) {
+      if (eventTimestamp(event) < cutoff) items.delete(key);
+    }
+    if (items.size > this.maxEvents) {
+      const oldest = [...items.entries()]
+        .sort(([, a], [, b]) => eventTimestamp(a) - eventTimestamp(b))
+        .slice(0, items.size - this.maxEvents);
+      oldest.forEach(([key]) => items.delete(key));
+    }
+  }
+}
+
+export function eventTimestamp(event) {
+  const time = event.lastTimestamp || event.eventTime || event.series?.lastObservedTime ||
+    event.firstTimestamp || event.metadata?.creationTimestamp;
+  return time ? new Date(time).getTime() : 0;
+}
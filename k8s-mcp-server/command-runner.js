@@ -0,0 +1,258 @@
+/**
+ * 🛡️ Safe Command Runner
+ *
+ * Runs kubectl and helm without a shell:
+ * - Binaries are spawned with argv arrays, so arguments are never shell-parsed
+ * - Tool arguments are validated against Kubernetes naming rules before use
+ * - Every run has a timeout and an output-size cap
+ * - Results are structured: command, exit code, stdout, stderr, duration
+ */
+
+import { spawn } from 'child_process';
+
+const ALLOWED_BINARIES = new Set(['kubectl', 'helm']);
+
+export const DEFAULT_TIMEOUT_MS = (parseInt(process.env.COMMAND_TIMEOUT) || 60) * 1000;
+export const DEFAULT_MAX_OUTPUT_BYTES = parseInt(process.env.COMMAND_MAX_OUTPUT) || 1024 * 1024;
+
+// ❌ Raised before anything is executed when an argument is not acceptable
+export class CommandValidationError extends Error {
+  constructor(field, value, rule) {
+    super(`Invalid ${field} "${value}": ${rule}`);
+    this.name = 'CommandValidationError';
+    this.field = field;
+  }
+}
+
+// 💥 Raised when the command ran but failed; `result` holds the structured output
+export class CommandError extends Error {
+  constructor(result) {
+    const reason = result.timedOut
+      ? `timed out after ${Math.round(result.durationMs / 1000)}s`
+      : `exited with code ${result.exitCode}`;
+    const stderr = result.stderr.trim();
+    super(`${result.command} ${reason}${stderr ? `: ${stderr.slice(-2000)}` : ''}`);
+    this.name = 'CommandError';
+    this.result = result;
+  }
+}
+
+// 🔤 Validators - each returns the value so they can be used inline when building argv
+const DNS1123_LABEL = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const DNS1123_SUBDOMAIN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+
+function check(field, value, valid, rule) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new CommandValidationError(field, value, 'must be a string');
+  }
+  const text = String(value);
+  if (!valid(text)) throw new CommandValidationError(field, text, rule);
+  return text;
+}
+
+// Values passed positionally must never be mistaken for flags
+const notFlag = text => !text.startsWith('-') && !/[\0\r\n]/.test(text);
+
+export const validate = {
+  // Namespaces and container names
+  label: (value, field) => check(field, value,
+    text => text.length <= 63 && DNS1123_LABEL.test(text), 'must be a DNS-1123 label (lowercase alphanumerics and "-", max 63)'),
+
+  namespace: (value, field = 'namespace') => validate.label(value, field),
+
+  name: (value, field = 'name') => check(field, value,
+    text => text.length <= 253 && DNS1123_SUBDOMAIN.test(text), 'must be a DNS-1123 subdomain (lowercase alphanumerics, "-" and ".", max 253)'),
+
+  releaseName: (value, field = 'releaseName') => check(field, value,
+    text => text.length <= 53 && DNS1123_LABEL.test(text), 'must be a DNS-1123 label of at most 53 characters'),
+
+  // Resource types: "pods", "deployments.apps", "pod,svc", "deployment/my-app"
+  resource: (value, field = 'resource') => check(field, value,
+    text => text.length <= 253 && /^[a-z0-9]([a-z0-9.,-]*[a-z0-9])?(\/[a-z0-9]([-a-z0-9.]*[a-z0-9])?)?$/.test(text),
+    'must be a resource type such as "pods", "deployments.apps" or "deployment/name"'),
+
+  selector: (value, field = 'selector') => check(field, value,
+    text => notFlag(text) && text.length <= 1024 && /^[A-Za-z0-9._/\-=!,() ]+$/.test(text), 'must be a label selector'),
+
+  context: (value, field = 'context') => check(field, value,
+    text => notFlag(text) && text.length <= 253 && /^[A-Za-z0-9._:@/-]+$/.test(text), 'must be a kubeconfig entry name'),
+
+  // Local path, http(s) URL or "-" is not allowed (stdin)
+  file: (value, field = 'filename') => check(field, value,
+    text => notFlag(text) && text.length <= 4096, 'must be a file path or URL'),
+
+  chart: (value, field = 'chart') => check(field, value,
+    text => notFlag(text) && text.length <= 1024 && /^[A-Za-z0-9._:/@+~-]+$/.test(text), 'must be a chart reference, path or URL'),
+
+  url: (value, field = 'url') => check(field, value,
+    text => /^(https?|oci):\/\/[^\s]+$/.test(text), 'must be an http(s) or oci URL'),
+
+  // Go durations as accepted by kubectl/helm: "30s", "10m", "1h30m"
+  duration: (value, field = 'duration') => check(field, value,
+    text => /^(\d+h)?(\d+m)?(\d+s)?$/.test(text) && text.length > 0, 'must be a duration such as "30s", "10m" or "1h30m"'),
+
+  integer: (value, field, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => check(field, value,
+    text => /^-?\d+$/.test(text) && Number(text) >= min && Number(text) <= max, `must be an integer between ${min} and ${max}`),
+
+  ports: (value, field = 'ports') => check(field, value,
+    text => /^\d{1,5}(:\d{1,5})?$/.test(text), 'must be "port" or "localPort:remotePort"'),
+
+  // --set keys such as "resources.limits.memory" or "env[0].name"
+  valuesKey: (value, field = 'values key') => check(field, value,
+    text => notFlag(text) && /^[A-Za-z0-9_.\[\]\\-]+$/.test(text), 'must be a Helm values path'),
+
+  oneOf: (value, field, allowed) => check(field, value,
+    text => allowed.includes(text), `must be one of ${allowed.join(', ')}`),
+
+  // Free-form value passed as a single argv element (no shell, so only control characters matter)
+  text: (value, field) => check(field, value,
+    text => !/[\0\r\n]/.test(text), 'must not contain control characters')
+};
+
+/**
+ * ➕ Options kubectl-create passes as `--option=value`, per resource it can generate.
+ * Flags that change the target or credentials (--namespace, --context, --server, --token,
+ * --as, --kubeconfig) and flags that read local files (--from-file, --from-env-file) never get through.
+ */
+export const CREATE_OPTIONS = {
+  deployment: ['image', 'replicas', 'port'],
+  job: ['image', 'from'],
+  cronjob: ['image', 'schedule', 'restart'],
+  configmap: ['from-literal'],
+  namespace: [],
+  serviceaccount: [],
+  quota: ['hard', 'scopes'],
+  priorityclass: ['value', 'description', 'global-default', 'preemption-policy'],
+  poddisruptionbudget: ['selector', 'min-available', 'max-unavailable']
+};
+const COMMON_CREATE_OPTIONS = ['dry-run', 'save-config'];
+const CREATE_ALIASES = { deploy: 'deployment', cj: 'cronjob', cm: 'configmap', ns: 'namespace', sa: 'serviceaccount', resourcequota: 'quota', pc: 'priorityclass', pdb: 'poddisruptionbudget' };
+
+// Flags for `kubectl create <resource> <name>`; array values repeat the flag (e.g. from-literal)
+export function createOptionArgs(resource, options = {}) {
+  const kind = CREATE_ALIASES[resource] || resource;
+  const allowed = CREATE_OPTIONS[kind];
+  if (!allowed) {
+    throw new CommandValidationError('resource', resource, `must be one of ${Object.keys(CREATE_OPTIONS).join(', ')}, or create from a filename`);
+  }
+  return Object.entries(options).flatMap(([key, value]) => {
+    if (!allowed.includes(key) && !COMMON_CREATE_OPTIONS.includes(key)) {
+      throw new CommandValidationError('option', key, `is not allowed for kubectl create ${kind} (allowed: ${[...allowed, ...COMMON_CREATE_OPTIONS].join(', ')})`);
+    }
+    if (key === 'dry-run') validate.oneOf(value, 'options.dry-run', ['none', 'client', 'server']);
+    return (Array.isArray(value) ? value : [value])
+      .map(item => `--${key}=${validate.text(typeof item === 'boolean' ? String(item) : item, `options.${key}`)}`);
+  });
+}
+
+export const durationMs = (duration) => {
+  const [, hours = 0, minutes = 0, seconds = 0] = duration.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/) || [];
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+};
+
+const quoteArg = arg => (/^[A-Za-z0-9_./:=,@+-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`);
+const displayCommand = (binary, argv) => [binary, ...argv].map(quoteArg).join(' ');
+
+/**
+ * Run an allowed binary with an argv array and collect its output.
+ * Resolves with the structured result; rejects with CommandError on
+ * non-zero exit or timeout (unless `allowFailure` is set).
+ */
+export function runCommand(binary, argv, {
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+  allowFailure = false
+} = {}) {
+  if (!ALLOWED_BINARIES.has(binary)) {
+    return Promise.reject(new CommandValidationError('binary', binary, `must be one of ${[...ALLOWED_BINARIES].join(', ')}`));
+  }
+  if (!Array.isArray(argv) || argv.some(arg => typeof arg !== 'string')) {
+    return Promise.reject(new CommandValidationError('argv', argv, 'must be an array of strings'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const child = spawn(binary, argv, { shell: false, stdio: ['ignore', 'pipe', 'pipe'] });
+    const output = { stdout: [], stderr: [] };
+    const sizes = { stdout: 0, stderr: 0 };
+    let truncated = false;
+    let timedOut = false;
+
+    const collect = stream => chunk => {
+      const room = maxOutputBytes - sizes[stream];
+      if (room <= 0) {
+        truncated = true;
+        return;
+      }
+      if (chunk.length > room) truncated = true;
+      const kept = chunk.subarray(0, room);
+      output[stream].push(kept);
+      sizes[stream] += kept.length;
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+      // Grandchildren (e.g. credential plugins) may hold the pipes open past our child's exit
+      child.stdout.destroy();
+      child.stderr.destroy();
+      // Give the process a moment to clean up before forcing it
+      setTimeout(() => child.kill('SIGKILL'), 5000).unref();
+    }, timeoutMs);
+
+    let settled = false;
+    const finish = (exitCode, signal, spawnError) => {
+      // A spawn failure emits both 'error' and 'close'
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      const result = {
+        command: displayCommand(binary, argv),
+        exitCode,
+        signal: signal || null,
+        stdout: Buffer.concat(output.stdout).toString('utf8'),
+        stderr: spawnError ? spawnError.message : Buffer.concat(output.stderr).toString('utf8'),
+        truncated,
+        timedOut,
+        durationMs: Date.now() - started
+      };
+      if ((exitCode !== 0 || timedOut) && !allowFailure) {
+        reject(new CommandError(result));
+      } else {
+        resolve(result);
+      }
+    };
+
+    child.on('error', error => finish(error.code === 'ENOENT' ? 127 : 1, null, error));
+    child.on('close', (code, signal) => finish(code ?? 1, signal));
+  });
+}
+
+export const runKubectl = (argv, options) => runCommand('kubectl', argv, options);
+export const runHelm = (argv, options) => runCommand('helm', argv, options);
+
+/**
+ * Start a long-running command (e.g. port-forward) detached from the server.
+ * Returns the pid and display command; output is discarded.
+ */
+export function startBackground(binary, argv) {
+  if (!ALLOWED_BINARIES.has(binary)) {
+    throw new CommandValidationError('binary', binary, `must be one of ${[...ALLOWED_BINARIES].join(', ')}`);
+  }
+  const child = spawn(binary, argv, { shell: false, detached: true, stdio: 'ignore' });
+  child.on('error', error => console.error(`❌ ${binary} background process failed:`, error.message));
+  child.unref();
+  return { pid: child.pid, command: displayCommand(binary, argv) };
+}
+
+// 📝 Render a result for tool output
+export function formatCommandResult(result) {
+  const seconds = (result.durationMs / 1000).toFixed(1);
+  return `**Command**: \`${result.command}\`\n` +
+    `**Exit Code**: ${result.exitCode} (${seconds}s)\n\n` +
+    `**Output**:\n\`\`\`\n${result.stdout}\n\`\`\`` +
+    (result.stderr.trim() ? `\n\n**Stderr**:\n\`\`\`\n${result.stderr}\n\`\`\`` : '') +
+    (result.truncated ? '\n\n⚠️ Output truncated at the configured size cap' : '');
+}
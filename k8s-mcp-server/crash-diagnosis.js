@@ -0,0 +1,249 @@
+/**
+ * 🩻 Crash Diagnosis
+ *
+ * Classifies why a container keeps failing from its last termination, its
+ * waiting state, the previous instance's logs and the pod's Events:
+ * - Out of memory
+ * - Application error (non-zero exit, stack traces)
+ * - Missing config / secret
+ * - Failed liveness probe
+ * - Image pull error
+ * - Permission denied
+ * - Port bind conflict
+ *
+ * Every matching signal adds weight to its cause; causes come back ranked,
+ * each with the evidence that matched and a suggested remediation.
+ */
+
+import { eventTimestamp } from './cluster-watcher.js';
+
+export const CRASH_CAUSES = {
+  oom: {
+    title: 'Out of memory',
+    remediation: 'Compare the memory limit with observed usage (investigate-oom prompt, analyze-resource-usage) and raise it with create-gitops-fix-pr; if usage keeps climbing until the kill, treat it as a leak instead.'
+  },
+  'application-error': {
+    title: 'Application error (non-zero exit)',
+    remediation: 'The process exited on its own: fix the error in the key log lines, or roll back to the last good revision (kubectl-rollout undo) while the owning team fixes it.'
+  },
+  'missing-config': {
+    title: 'Missing config or secret',
+    remediation: 'Create the missing ConfigMap/Secret or key in the namespace, or fix the name the pod spec or application references; the container cannot start until it exists.'
+  },
+  'liveness-probe': {
+    title: 'Failed liveness probe',
+    remediation: 'The kubelet restarts the container when the liveness probe fails: check the probe endpoint and port, and give slow starts room (startupProbe, initialDelaySeconds, timeoutSeconds, failureThreshold).'
+  },
+  'image-pull': {
+    title: 'Image pull error',
+    remediation: 'Check that the image name and tag exist in the registry and that the pod has imagePullSecrets for private registries.'
+  },
+  'permission-denied': {
+    title: 'Permission denied',
+    remediation: 'Check the securityContext (runAsUser, fsGroup, readOnlyRootFilesystem), mount a writable volume for paths the app writes to, and grant RBAC when the service account is forbidden.'
+  },
+  'port-conflict': {
+    title: 'Port bind conflict',
+    remediation: 'Another process or container already listens on the port: make the containerPort and the port the app binds unique within the pod (and on the node with hostNetwork/hostPort).'
+  },
+  unknown: {
+    title: 'Unclassified failure',
+    remediation: 'No known pattern matched: read the full previous logs (kubectl-logs previous=true) and describe the pod (kubectl-describe).'
+  }
+};
+
+// 📜 Log lines that point at a cause
+const LOG_SIGNALS = [
+  { cause: 'oom', weight: 3, label: 'Out-of-memory error in the logs',
+    pattern: /OutOfMemoryError|JavaScript heap out of memory|\bMemoryError\b|Cannot allocate memory|out of memory|fatal error: runtime: out of memory/i },
+  { cause: 'application-error', weight: 3, label: 'Stack trace in the logs',
+    pattern: /Traceback \(most recent call last\)|^Exception in thread|^\s+at [\w$.<>]+\s?\(?.*:\d+(:\d+)?\)?$|^panic: |^goroutine \d+ \[|Unhandled(Promise)?Rejection|^\s*File ".+", line \d+/ },
+  { cause: 'application-error', weight: 1, label: 'Error logged before the exit',
+    pattern: /\b(FATAL|CRITICAL|ERROR)\b|^\w*(Error|Exception)\b:|uncaught exception/i },
+  { cause: 'missing-config', weight: 4, label: 'Missing file, setting or environment variable in the logs',
+    pattern: /(no such file or directory|ENOENT|FileNotFoundError|environment variable .* (is )?(not set|required|missing)|missing required (config|configuration|env|setting|variable)|KeyError: ['"][A-Z0-9_]+['"]|could not (load|read|find) (config|configuration|settings))/i },
+  { cause: 'permission-denied', weight: 4, label: 'Permission error in the logs',
+    pattern: /permission denied|EACCES|EPERM|operation not permitted|read-only file system|PermissionError/i },
+  { cause: 'permission-denied', weight: 4, label: 'Kubernetes API request forbidden for the service account',
+    pattern: /is forbidden: User "system:serviceaccount:/ },
+  { cause: 'port-conflict', weight: 4, label: 'Port already in use',
+    pattern: /EADDRINUSE|address already in use|port is already allocated|Address in use|bind: .*already in use/i }
+];
+
+// 📰 Events about the pod (reason and message both have to match)
+const EVENT_SIGNALS = [
+  { cause: 'liveness-probe', weight: 3, label: 'Liveness probe failed', reason: /^Unhealthy$/, message: /liveness probe failed/i },
+  { cause: 'liveness-probe', weight: 2, label: 'Container restarted for a failed liveness probe', reason: /^Killing$/, message: /liveness probe/i },
+  { cause: 'image-pull', weight: 4, label: 'Image pull failed', reason: /^(Failed|BackOff|ErrImagePull|ImagePullBackOff|InspectFailed)$/, message: /pull|ErrImagePull|ImagePullBackOff|InvalidImageName|manifest unknown/i },
+  { cause: 'missing-config', weight: 4, label: 'Referenced ConfigMap or Secret not found', reason: /^(Failed|FailedMount)$/, message: /(secret|configmap)s? "[^"]+" not found|couldn't find key/i },
+  { cause: 'oom', weight: 3, label: 'Node killed the process for memory', reason: /^(OOMKilling|SystemOOM)$/, message: /./ },
+  { cause: 'permission-denied', weight: 2, label: 'Permission error starting the container', reason: /^Failed$/, message: /permission denied|operation not permitted/i }
+];
+
+const WAITING_CAUSES = {
+  ErrImagePull: 'image-pull',
+  ImagePullBackOff: 'image-pull',
+  InvalidImageName: 'image-pull',
+  CreateContainerConfigError: 'missing-config'
+};
+
+const SIGNALS = { 1: 'SIGHUP', 2: 'SIGINT', 6: 'SIGABRT', 9: 'SIGKILL', 11: 'SIGSEGV', 15: 'SIGTERM' };
+
+// 🧭 Evidence from the container status: how it last ended and why it is waiting
+function statusSignals(status) {
+  const signals = [];
+  const add = (cause, weight, label) => signals.push({ cause, weight, source: 'status', label });
+  const terminated = status.lastState?.terminated || status.state?.terminated;
+  const waiting = status.state?.waiting;
+
+  if (terminated) {
+    const { reason, exitCode } = terminated;
+    if (reason === 'OOMKilled') {
+      add('oom', 5, `Last termination reason OOMKilled (exit code ${exitCode})`);
+    } else if (exitCode === 137) {
+      // SIGKILL without OOMKilled: the kubelet killing the container after failed liveness probes, most often
+      add('liveness-probe', 1, 'Exit code 137 (SIGKILL) without OOMKilled');
+      add('oom', 1, 'Exit code 137 (SIGKILL) can be an OOM kill the runtime did not report');
+    } else if (exitCode === 143) {
+      add('liveness-probe', 1, 'Exit code 143 (SIGTERM): stopped by the kubelet');
+    } else if (exitCode === 126) {
+      add('permission-denied', 2, 'Exit code 126: command found but not executable');
+    } else if (exitCode === 127) {
+      add('application-error', 2, 'Exit code 127: command or binary not found in the image');
+    } else if (exitCode !== 0 && exitCode !== undefined) {
+      add('application-error', 2, `Non-zero exit code ${exitCode}${reason ? ` (${reason})` : ''}`);
+    }
+    if (/permission denied/i.test(terminated.message || '')) {
+      add('permission-denied', 3, `Termination message: ${terminated.message}`);
+    }
+  }
+
+  if (waiting?.reason) {
+    const cause = WAITING_CAUSES[waiting.reason];
+    if (cause) add(cause, 5, `Waiting: ${waiting.reason}${waiting.message ? ` - ${waiting.message}` : ''}`);
+    if (/^(CreateContainerError|RunContainerError)$/.test(waiting.reason) && /permission denied/i.test(waiting.message || '')) {
+      add('permission-denied', 4, `Waiting: ${waiting.reason} - ${waiting.message}`);
+    }
+  }
+  return signals;
+}
+
+// Events about the pod as a whole, or about this container (fieldPath spec.containers{name})
+export function containerEvents(events, podName, containerName) {
+  return events
+    .filter(event => event.involvedObject?.name === podName)
+    .filter(event => {
+      const fieldPath = event.involvedObject?.fieldPath;
+      return !fieldPath || !containerName || fieldPath.includes(`{${containerName}}`);
+    })
+    .sort((a, b) => eventTimestamp(b) - eventTimestamp(a));
+}
+
+/**
+ * 🧠 Pod and container a kernel OOMKilling event on a Node refers to, or null.
+ * The message carries the cgroup paths of the killed task (oom_memcg=/kubepods/.../pod<uid>/<container id>,
+ * with `_` for `-` under the systemd driver) and the process name in parentheses.
+ */
+export function matchNodeOOMEvent(event, pods) {
+  const message = event.message || '';
+  const pod = pods.find(candidate => candidate.metadata.uid &&
+    (message.includes(candidate.metadata.uid) || message.includes(candidate.metadata.uid.replace(/-/g, '_'))));
+  if (!pod) return null;
+
+  const statuses = pod.status?.containerStatuses || [];
+  const process = message.match(/Killed process \d+ \(([^)]+)\)/)?.[1];
+  const status = statuses.find(candidate => candidate.containerID && message.includes(candidate.containerID.replace(/^[a-z]+:\/\//, ''))) ||
+    statuses.find(candidate => candidate.name === process) ||
+    (statuses.length === 1 ? statuses[0] : null);
+  if (!status) return null;
+
+  return { pod, namespace: pod.metadata.namespace, name: pod.metadata.name, container: status.name };
+}
+
+/**
+ * 📑 Log lines matching a signal, in log order with 1-based line numbers.
+ * Repeated lines are kept once; at most `limit` lines, preferring the last ones
+ * since the error that ends the process is usually near the end.
+ */
+export function extractKeyLogLines(logs, limit = 20) {
+  const seen = new Set();
+  const lines = [];
+  (logs || '').split('\n').forEach((text, index) => {
+    const trimmed = text.trimEnd();
+    if (!trimmed || seen.has(trimmed)) return;
+    const signals = LOG_SIGNALS.filter(signal => signal.pattern.test(trimmed));
+    if (signals.length === 0) return;
+    seen.add(trimmed);
+    lines.push({ line: index + 1, text: trimmed.slice(0, 500), causes: [...new Set(signals.map(signal => signal.cause))] });
+  });
+  return lines.slice(-limit);
+}
+
+/**
+ * 🔬 Rank the likely causes of a container's failures.
+ * `status` is the container status, `logs` the previous (or current) log text,
+ * `events` the Events about the pod. Returns causes sorted by score, each
+ * { cause, title, score, confidence, evidence[], remediation }.
+ */
+export function diagnoseContainer({ status, logs, events = [] }) {
+  const signals = statusSignals(status);
+
+  const keyLogLines = extractKeyLogLines(logs);
+  for (const signal of LOG_SIGNALS) {
+    const matched = keyLogLines.filter(line => signal.pattern.test(line.text));
+    if (matched.length > 0) {
+      signals.push({ cause: signal.cause, weight: signal.weight, source: 'logs', label: `${signal.label}: line ${matched[0].line}` });
+    }
+  }
+
+  for (const signal of EVENT_SIGNALS) {
+    const matched = events.find(event => signal.reason.test(event.reason || '') && signal.message.test(event.message || ''));
+    if (matched) {
+      const count = matched.count > 1 ? ` (x${matched.count})` : '';
+      signals.push({ cause: signal.cause, weight: signal.weight, source: 'events', label: `${signal.label}${count}: ${matched.message}` });
+    }
+  }
+
+  const byCause = new Map();
+  for (const signal of signals) {
+    const entry = byCause.get(signal.cause) || { cause: signal.cause, score: 0, evidence: [] };
+    entry.score += signal.weight;
+    entry.evidence.push({ source: signal.source, detail: signal.label });
+    byCause.set(signal.cause, entry);
+  }
+  // A specific cause also makes the process exit non-zero and log errors: the
+  // application error is then more likely its consequence than a cause of its own
+  const specific = [...byCause.values()]
+    .filter(entry => entry.cause !== 'application-error' && entry.score >= 3)
+    .sort((a, b) => b.score - a.score)[0];
+  const applicationError = byCause.get('application-error');
+  if (specific && applicationError) {
+    applicationError.score = Math.floor(applicationError.score / 2);
+    applicationError.evidence.push({ source: 'status', detail: `Probably a consequence of: ${CRASH_CAUSES[specific.cause].title}` });
+    if (applicationError.score === 0) byCause.delete('application-error');
+  }
+
+  if (byCause.size === 0 && (status.restartCount || 0) > 0) {
+    byCause.set('unknown', { cause: 'unknown', score: 0, evidence: [{ source: 'status', detail: `${status.restartCount} restarts without a recognised signal` }] });
+  }
+
+  const causes = [...byCause.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(entry => ({
+      ...entry,
+      title: CRASH_CAUSES[entry.cause].title,
+      confidence: entry.score >= 5 ? 'high' : entry.score >= 3 ? 'medium' : 'low',
+      remediation: CRASH_CAUSES[entry.cause].remediation
+    }));
+
+  return { causes, keyLogLines };
+}
+
+// Last termination as reported by the kubelet, with the signal for 128+n exit codes
+export function describeTermination(terminated) {
+  if (!terminated) return null;
+  const { reason, exitCode, message, startedAt, finishedAt } = terminated;
+  const signal = exitCode > 128 ? SIGNALS[exitCode - 128] || `signal ${exitCode - 128}` : null;
+  const iso = (value) => (value ? new Date(value).toISOString() : null);
+  return { reason: reason || null, exitCode: exitCode ?? null, signal, message: message || null, startedAt: iso(startedAt), finishedAt: iso(finishedAt) };
+}
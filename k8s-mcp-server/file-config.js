@@ -0,0 +1,21 @@
+/**
+ * 📄 File Configuration
+ *
+ * Optional config.yaml mounted from the helm chart ConfigMap, read once at startup
+ * by both the MCP and HTTP servers. Environment variables take precedence over it
+ * wherever both set the same thing.
+ */
+
+import fs from 'fs';
+import yaml from 'js-yaml';
+
+export const CONFIG_FILE = process.env.CONFIG_FILE || '/app/config/config.yaml';
+
+export const fileConfig = (() => {
+  try {
+    return fs.existsSync(CONFIG_FILE) ? yaml.load(fs.readFileSync(CONFIG_FILE, 'utf8')) || {} : {};
+  } catch (error) {
+    console.error(`⚠️  Failed to read config file ${CONFIG_FILE}:`, error.message);
+    return {};
+  }
+})();
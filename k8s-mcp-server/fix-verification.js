@@ -0,0 +1,149 @@
+/**
+ * 🔬 Fix Verification
+ *
+ * Checks whether a merged auto-fix actually helped the workload it targeted:
+ * - Snapshots of a workload's readiness, restarts and OOM kills
+ * - Storage fixes snapshot the PersistentVolumeClaim instead: bound, resized, capacity
+ * - Deployment detection: rollout finished with the new value (or probe settings) in the pod template,
+ *   or for autoscaling fixes the workload's HorizontalPodAutoscaler with the new settings
+ * - Before/after comparison classifying the fix as verified, failed or regressed
+ */
+
+import { parseMemoryQuantity, parseCpuQuantity } from './resource-quantities.js';
+import { hpaSettings } from './autoscaling.js';
+
+const WORKLOAD_READERS = {
+  Deployment: (appsApi, name, namespace) => appsApi.readNamespacedDeployment(name, namespace),
+  StatefulSet: (appsApi, name, namespace) => appsApi.readNamespacedStatefulSet(name, namespace),
+  DaemonSet: (appsApi, name, namespace) => appsApi.readNamespacedDaemonSet(name, namespace)
+};
+
+const terminatedBy = (status, reason) =>
+  status.lastState?.terminated?.reason === reason || status.state?.terminated?.reason === reason;
+
+// 💾 A claim counts as rolled out once no resize is in progress
+const RESIZE_CONDITIONS = new Set(['Resizing', 'FileSystemResizePending', 'ControllerResizeError', 'NodeResizeError']);
+
+async function snapshotClaim(coreApi, { namespace, claim }, now) {
+  const object = (await coreApi.readNamespacedPersistentVolumeClaim(claim, namespace)).body;
+  const bound = object.status?.phase === 'Bound' ? 1 : 0;
+  const resizing = (object.status?.conditions || []).some(condition => RESIZE_CONDITIONS.has(condition.type) && condition.status === 'True');
+  return {
+    observedAt: new Date(now).toISOString(),
+    desired: 1,
+    ready: bound,
+    updated: bound,
+    rolledOut: !resizing,
+    templateValue: object.status?.capacity?.storage ?? null,
+    pods: 0,
+    restarts: 0,
+    oomKills: 0,
+    restartRate: 0
+  };
+}
+
+// 📐 Settings of the HPA scaling a workload, or `{ enabled: false }` when none does
+async function autoscalerSettings(autoscalingApi, { namespace, workload, workloadKind }) {
+  const hpas = (await autoscalingApi.listNamespacedHorizontalPodAutoscaler(namespace)).body.items;
+  const hpa = hpas.find(candidate => candidate.spec?.scaleTargetRef?.kind === workloadKind && candidate.spec.scaleTargetRef.name === workload);
+  return hpa ? hpaSettings(hpa) : { enabled: false };
+}
+
+/**
+ * 📸 Current health of the container a fix targeted, across the workload's pods.
+ * `restartRate` is restarts per pod-hour so snapshots of differently aged pods compare.
+ */
+export async function snapshotWorkload({ coreApi, appsApi, autoscalingApi }, { namespace, workload, workloadKind = 'Deployment', container, type, resourceType, claim }, now = Date.now()) {
+  if (claim) return snapshotClaim(coreApi, { namespace, claim }, now);
+  const read = WORKLOAD_READERS[workloadKind];
+  if (!read) throw new Error(`Verification is not supported for ${workloadKind} workloads`);
+
+  const object = (await read(appsApi, workload, namespace)).body;
+  const status = object.status || {};
+  const isDaemonSet = workloadKind === 'DaemonSet';
+  const desired = isDaemonSet ? status.desiredNumberScheduled || 0 : object.spec.replicas ?? 1;
+  const ready = isDaemonSet ? status.numberReady || 0 : status.readyReplicas || 0;
+  const updated = isDaemonSet ? status.updatedNumberScheduled || 0 : status.updatedReplicas || 0;
+  // Finished: controller saw the latest spec, every replica is updated and no old ones linger
+  const rolledOut = (status.observedGeneration ?? 0) >= (object.metadata.generation ?? 0) &&
+    updated >= desired && (isDaemonSet || (status.replicas ?? 0) <= desired);
+
+  const templateContainer = (object.spec.template.spec.containers || []).find(candidate => candidate.name === container);
+  const templateValue = type === 'autoscaling' ? await autoscalerSettings(autoscalingApi, { namespace, workload, workloadKind })
+    : type === 'probe' ? templateContainer?.[resourceType]
+      : templateContainer?.resources?.limits?.[resourceType];
+  const selector = Object.entries(object.spec.selector?.matchLabels || {}).map(([key, value]) => `${key}=${value}`).join(',');
+  const pods = (await coreApi.listNamespacedPod(namespace, undefined, undefined, undefined, undefined, selector)).body.items;
+
+  let restarts = 0;
+  let oomKills = 0;
+  let podHours = 0;
+  for (const pod of pods) {
+    // Autoscaling fixes target the whole workload rather than one container
+    const containerStatuses = (pod.status?.containerStatuses || []).filter(candidate => !container || candidate.name === container);
+    if (containerStatuses.length === 0) continue;
+    for (const containerStatus of containerStatuses) {
+      restarts += containerStatus.restartCount || 0;
+      if (terminatedBy(containerStatus, 'OOMKilled')) oomKills++;
+    }
+    const started = new Date(pod.status.startTime || pod.metadata.creationTimestamp).getTime();
+    podHours += Math.max((now - started) / (60 * 60 * 1000), 1 / 60);
+  }
+
+  return {
+    observedAt: new Date(now).toISOString(),
+    desired,
+    ready,
+    updated,
+    rolledOut,
+    templateValue: templateValue ?? null,
+    pods: pods.length,
+    restarts,
+    oomKills,
+    restartRate: podHours > 0 ? Math.round(restarts / podHours * 100) / 100 : 0
+  };
+}
+
+// 🚀 The fix is live once the rollout finished with the fixed value in the pod template.
+// Provisioners may round a volume up, so a claim only needs at least the requested size;
+// a probe fix needs every timing setting it wrote, an autoscaling fix the HPA settings it planned.
+export function isFixDeployed(snapshot, fix) {
+  if (!snapshot.rolledOut || snapshot.templateValue === null) return false;
+  if (fix.claim) return parseMemoryQuantity(snapshot.templateValue) >= parseMemoryQuantity(fix.to);
+  if (fix.type === 'autoscaling') {
+    return fix.settings.enabled
+      ? Object.entries(fix.settings).every(([field, value]) => snapshot.templateValue[field] === value)
+      : !snapshot.templateValue.enabled;
+  }
+  if (fix.type === 'probe') {
+    return Object.entries(fix.to).every(([field, value]) => typeof value === 'object' || snapshot.templateValue[field] === value);
+  }
+  const parse = fix.resourceType === 'cpu' ? parseCpuQuantity : parseMemoryQuantity;
+  return parse(snapshot.templateValue) === parse(fix.to);
+}
+
+/**
+ * ⚖️ Compare the snapshot taken when the PR was opened with one taken after the
+ * verification window. Worse than before is "regressed"; not healthy yet but not
+ * worse is "failed"; healthy is "verified".
+ */
+export function evaluateFix(baseline, after) {
+  const regressions = [];
+  const problems = [];
+
+  if (baseline) {
+    if (after.ready < Math.min(baseline.ready, after.desired)) {
+      regressions.push(`ready replicas dropped from ${baseline.ready} to ${after.ready}`);
+    }
+    if (after.restarts > 0 && after.restartRate > baseline.restartRate) {
+      regressions.push(`restart rate rose from ${baseline.restartRate}/h to ${after.restartRate}/h`);
+    }
+  }
+  if (after.oomKills > 0) problems.push(`${after.oomKills} containers OOMKilled since the rollout`);
+  if (after.restarts > 0) problems.push(`${after.restarts} restarts since the rollout`);
+  if (after.ready < after.desired) problems.push(`only ${after.ready}/${after.desired} replicas ready`);
+
+  if (regressions.length > 0) return { status: 'regressed', findings: [...regressions, ...problems] };
+  if (problems.length > 0) return { status: 'failed', findings: problems };
+  return { status: 'verified', findings: [`${after.ready}/${after.desired} ready with no restarts or OOM kills since the rollout`] };
+}
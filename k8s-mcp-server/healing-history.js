@@ -0,0 +1,146 @@
+/**
+ * 📚 Healing History Store
+ *
+ * Incident journal for everything the auto-healer does:
+ * - Detected issues, healing decisions, PRs opened and their outcomes
+ * - Append-only JSONL file by default so history survives restarts, compacted to the
+ *   records kept in memory on start and whenever it holds twice as many
+ * - In-memory store for local runs or when the file is not writable
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// A record matches a field either directly or through one of its fixes (multi-workload PRs)
+const matchesField = (record, field, value) =>
+  !value || record[field] === value || (record.fixes || []).some(fix => fix[field] === value);
+
+// 🧠 In-memory store, capped so long-running processes don't grow unbounded
+export class MemoryHistoryStore {
+  constructor({ maxRecords = 1000 } = {}) {
+    this.records = [];
+    this.maxRecords = maxRecords;
+  }
+
+  async init() {}
+
+  async append(record) {
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...record
+    };
+    this.records.push(entry);
+    if (this.records.length > this.maxRecords) {
+      this.records = this.records.slice(-this.maxRecords);
+    }
+    return entry;
+  }
+
+  /**
+   * Query newest-first with optional filters and offset pagination.
+   * `since`/`until` are epoch milliseconds.
+   */
+  query({ namespace, workload, action, kind, outcome, since, until, limit = 10, offset = 0 } = {}) {
+    const filtered = this.records.filter(record => {
+      const time = new Date(record.timestamp).getTime();
+      return matchesField(record, 'namespace', namespace) &&
+        matchesField(record, 'workload', workload) &&
+        (!action || record.action === action) &&
+        (!kind || record.kind === kind) &&
+        (!outcome || record.outcome === outcome) &&
+        (!since || time >= since) &&
+        (!until || time <= until);
+    }).reverse();
+
+    return {
+      total: filtered.length,
+      offset,
+      limit,
+      records: filtered.slice(offset, offset + limit)
+    };
+  }
+
+  get(id) {
+    return this.records.find(record => record.id === id) || null;
+  }
+}
+
+// 📝 Append-only JSONL file store; the whole journal is replayed into memory on start
+export class JsonlHistoryStore extends MemoryHistoryStore {
+  constructor({ filePath, maxRecords = 50000 } = {}) {
+    super({ maxRecords });
+    this.filePath = filePath;
+    // Lines in the file, so it can be compacted before it outgrows the records kept
+    this.fileLines = 0;
+    // File writes run one after another, so a compaction never races an append;
+    // records a compaction already wrote are not appended again
+    this.writes = Promise.resolve();
+    this.written = new WeakSet();
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const content = await fs.promises.readFile(this.filePath, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      try {
+        this.records.push(JSON.parse(line));
+      } catch {
+        // Skip a torn last line from an unclean shutdown
+      }
+    }
+    this.fileLines = lines.length;
+    if (this.records.length > this.maxRecords) {
+      this.records = this.records.slice(-this.maxRecords);
+    }
+    if (this.fileLines > this.records.length) await this.compact();
+  }
+
+  async append(record) {
+    const entry = await super.append(record);
+    const write = this.writes.then(async () => {
+      if (this.written.has(entry)) return;
+      this.written.add(entry);
+      await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+      this.fileLines += 1;
+      if (this.fileLines >= 2 * this.maxRecords) await this.compact();
+    });
+    // A failed write is reported to its caller without blocking the ones after it
+    this.writes = write.catch(() => {});
+    await write;
+    return entry;
+  }
+
+  // 🗜️ Rewrite the file with only the records kept in memory; write-then-rename so a crash leaves one of the two
+  async compact() {
+    const records = [...this.records];
+    const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, records.map(entry => JSON.stringify(entry) + '\n').join(''));
+    await fs.promises.rename(tmpFile, this.filePath);
+    records.forEach(entry => this.written.add(entry));
+    this.fileLines = records.length;
+  }
+}
+
+/**
+ * Build the configured store, falling back to memory if the file can't be used.
+ */
+export async function createHistoryStore({ type = 'jsonl', filePath } = {}) {
+  if (type === 'jsonl' && filePath) {
+    const store = new JsonlHistoryStore({ filePath });
+    try {
+      await store.init();
+      return store;
+    } catch (error) {
+      console.error(`⚠️  Healing history file ${filePath} unavailable (${error.message}), using in-memory store`);
+    }
+  }
+
+  const store = new MemoryHistoryStore();
+  await store.init();
+  return store;
+}
@@ -0,0 +1,513 @@
+/**
+ * 🧭 Helm Values Path Resolver
+ *
+ * Maps a pod's container to the exact Helm values path of its resources block:
+ * - Walks ownerReferences to the owning workload (Deployment, StatefulSet, DaemonSet, CronJob)
+ * - Reads Helm release annotations and chart labels from the workload
+ * - Locates the chart (or parent chart for subcharts) and its values file in the repo
+ * - Parses the chart's workload template to find which `.Values.*` feeds the container's resources
+ *   (or its liveness / readiness / startup probes)
+ * - Likewise for a PersistentVolumeClaim's size, from the chart's PVC template
+ * - And for a workload's autoscaling settings, from the chart's HorizontalPodAutoscaler template
+ *
+ * Resolution is all-or-nothing: when any step is ambiguous the result is
+ * `{ resolved: false, reason }` so callers can refuse to open a PR.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const HELM_RELEASE_ANNOTATION = 'meta.helm.sh/release-name';
+const HELM_RELEASE_NAMESPACE_ANNOTATION = 'meta.helm.sh/release-namespace';
+
+// 📂 Repository readers: GitHub (in-cluster) or local checkout (development)
+export function createGitHubRepoReader(octokit, { owner, repo, ref }) {
+  return {
+    async listDir(dirPath) {
+      try {
+        const { data } = await octokit.rest.repos.getContent({ owner, repo, path: dirPath, ref });
+        return Array.isArray(data) ? data.map(entry => ({ name: entry.name, type: entry.type === 'dir' ? 'dir' : 'file' })) : [];
+      } catch (error) {
+        if (error.status === 404) return [];
+        throw error;
+      }
+    },
+    async readFile(filePath) {
+      try {
+        const { data } = await octokit.rest.repos.getContent({ owner, repo, path: filePath, ref });
+        return Buffer.from(data.content, 'base64').toString();
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    }
+  };
+}
+
+export function createLocalRepoReader(rootDir) {
+  return {
+    async listDir(dirPath) {
+      const fullPath = path.join(rootDir, dirPath);
+      if (!fs.existsSync(fullPath)) return [];
+      return fs.readdirSync(fullPath, { withFileTypes: true })
+        .map(entry => ({ name: entry.name, type: entry.isDirectory() ? 'dir' : 'file' }));
+    },
+    async readFile(filePath) {
+      const fullPath = path.join(rootDir, filePath);
+      return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+    }
+  };
+}
+
+/**
+ * 🔗 Walk ownerReferences from a pod to its top-level workload.
+ * Pod → ReplicaSet → Deployment, Pod → Job → CronJob, Pod → StatefulSet/DaemonSet.
+ */
+export async function resolveOwnerWorkload({ appsApi, batchApi }, pod) {
+  const namespace = pod.metadata.namespace;
+  let current = { kind: 'Pod', name: pod.metadata.name, metadata: pod.metadata };
+
+  const readers = {
+    ReplicaSet: name => appsApi.readNamespacedReplicaSet(name, namespace),
+    Deployment: name => appsApi.readNamespacedDeployment(name, namespace),
+    StatefulSet: name => appsApi.readNamespacedStatefulSet(name, namespace),
+    DaemonSet: name => appsApi.readNamespacedDaemonSet(name, namespace),
+    Job: name => batchApi.readNamespacedJob(name, namespace),
+    CronJob: name => batchApi.readNamespacedCronJob(name, namespace)
+  };
+
+  // Bounded walk - real ownership chains are at most two levels deep
+  for (let depth = 0; depth < 4; depth++) {
+    const owner = current.metadata.ownerReferences?.find(ref => ref.controller) ||
+      current.metadata.ownerReferences?.[0];
+    if (!owner || !readers[owner.kind]) break;
+
+    const { body } = await readers[owner.kind](owner.name);
+    current = { kind: owner.kind, name: owner.name, metadata: body.metadata, object: body };
+  }
+
+  return { ...current, namespace };
+}
+
+// 🏷️ Chart name from `helm.sh/chart: <name>-<version>` or app.kubernetes.io/name
+function chartNameFromLabels(labels = {}) {
+  const chartLabel = labels['helm.sh/chart'];
+  if (chartLabel) {
+    const match = chartLabel.match(/^(.+)-v?\d+\.\d+\.\d+.*$/);
+    if (match) return match[1];
+  }
+  return labels['app.kubernetes.io/name'] || null;
+}
+
+// 📚 Find the chart directory, following subchart dependencies when needed
+async function locateChart(repo, chartsPath, chartName, releaseName) {
+  const candidates = [];
+
+  for (const entry of await repo.listDir(chartsPath)) {
+    if (entry.type !== 'dir') continue;
+    const chartDir = `${chartsPath}/${entry.name}`;
+    const chartYaml = await repo.readFile(`${chartDir}/Chart.yaml`);
+    if (!chartYaml) continue;
+
+    const chart = yaml.load(chartYaml) || {};
+    if (chart.name === chartName) {
+      candidates.push({ chartDir, valuesFile: `${chartDir}/values.yaml`, valuesPrefix: '', parentDir: entry.name });
+      continue;
+    }
+
+    const dependency = (chart.dependencies || []).find(dep => dep.name === chartName);
+    if (dependency) {
+      candidates.push({
+        chartDir: `${chartDir}/charts/${chartName}`,
+        valuesFile: `${chartDir}/values.yaml`,
+        valuesPrefix: `${dependency.alias || dependency.name}.`,
+        parentDir: entry.name,
+        subchart: dependency.alias || dependency.name
+      });
+    }
+  }
+
+  if (candidates.length > 1 && releaseName) {
+    const byRelease = candidates.filter(candidate => candidate.parentDir === releaseName);
+    if (byRelease.length === 1) return byRelease[0];
+  }
+  if (candidates.length === 1) return candidates[0];
+
+  throw new Error(candidates.length === 0
+    ? `No chart named "${chartName}" found under ${chartsPath}/`
+    : `Chart "${chartName}" is ambiguous: ${candidates.map(c => c.chartDir).join(', ')}`);
+}
+
+const getPath = (obj, keyPath) => keyPath.split('.').reduce((acc, key) => acc?.[key], obj);
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 🔤 Turn a name template (container, claim) into an anchored regex using known values
+function namePattern(nameExpr, { chartName, values }) {
+  const parts = nameExpr.trim().replace(/^["']|["']$/g, '').split(/(\{\{-?[^}]*-?\}\})/).filter(Boolean);
+  const pattern = parts.map(part => {
+    if (!part.startsWith('{{')) return escapeRegex(part);
+    if (/\.Chart\.Name/.test(part)) return escapeRegex(chartName);
+    // Conventional "<chart>.name" helper renders to nameOverride or the chart name
+    if (/(?:template|include)\s+"[\w-]+\.name"/.test(part)) {
+      return escapeRegex(values.nameOverride || chartName);
+    }
+    const valuesRef = part.match(/^\{\{-?\s*\$?\.Values\.([\w.-]+)\s*-?\}\}$/);
+    const value = valuesRef && getPath(values, valuesRef[1]);
+    if (typeof value === 'string') return escapeRegex(value);
+    return '.*';
+  }).join('');
+  return pattern === '.*' ? null : new RegExp(`^${pattern}$`);
+}
+
+// `.Values.*` rendered into the block of a container key: `{{- with .Values.x }}` just above
+// it, or `toYaml .Values.x` on the key's line or the line below
+function blockValuesPath(lines, keyIndex) {
+  const candidates = [
+    lines[keyIndex - 1]?.match(/\{\{-?\s*with\s+\$?\.Values\.([\w.-]+)/),
+    lines[keyIndex].match(/(?:with|toYaml)\s+\$?\.Values\.([\w.-]+)/),
+    lines[keyIndex + 1]?.match(/(?:with|toYaml)\s+\$?\.Values\.([\w.-]+)/)
+  ];
+  return candidates.find(Boolean)?.[1] || null;
+}
+
+/**
+ * 📄 Parse a workload template into container entries with the values paths of
+ * their resources block and of each probe.
+ */
+export function parseTemplateContainers(template) {
+  const lines = template.split('\n');
+  const containers = [];
+  const isTemplateLine = line => /^\s*\{\{.*\}\}\s*$/.test(line);
+  const indentOf = line => line.match(/^(\s*)/)[1].length;
+
+  for (let i = 0; i < lines.length; i++) {
+    const sectionMatch = lines[i].match(/^(\s*)containers:\s*$/);
+    if (!sectionMatch) continue;
+    const sectionIndent = sectionMatch[1].length;
+    let itemIndent = null;
+    let current = null;
+
+    for (let j = i + 1; j < lines.length; j++) {
+      const line = lines[j];
+      if (!line.trim() || isTemplateLine(line)) continue;
+      if (indentOf(line) <= sectionIndent && !/^\s*-\s/.test(line)) break;
+
+      const item = line.match(/^(\s*)-\s+name:\s*(.+)$/);
+      if (item && (itemIndent === null || item[1].length === itemIndent)) {
+        itemIndent = item[1].length;
+        current = { nameExpr: item[2], resourcesPath: null, probePaths: {} };
+        containers.push(current);
+        continue;
+      }
+
+      const key = current && indentOf(line) === itemIndent + 2 && line.match(/^\s*(resources|livenessProbe|readinessProbe|startupProbe):/)?.[1];
+      if (key === 'resources') {
+        current.resourcesPath = blockValuesPath(lines, j);
+      } else if (key) {
+        current.probePaths[key] = blockValuesPath(lines, j);
+      }
+    }
+  }
+
+  return containers;
+}
+
+const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Helm coalesces nested maps key by key; lists and scalars are replaced whole
+function mergeValues(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isMapping(value) && isMapping(defaults[key]) ? mergeValues(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+// 📄 Values the chart templates see: the subchart's defaults under the parent's overrides
+async function loadChartValues(repo, location) {
+  const chartValues = yaml.load(await repo.readFile(`${location.chartDir}/values.yaml`) || '') || {};
+  const releaseValues = yaml.load(await repo.readFile(location.valuesFile) || '') || {};
+  return location.subchart
+    ? mergeValues(chartValues, releaseValues[location.subchart] || {})
+    : releaseValues;
+}
+
+/**
+ * 📄 Parse PersistentVolumeClaim documents of a template into their name expression
+ * and the values path of their `storage:` size, e.g. `storage: {{ .Values.persistence.size | quote }}`.
+ */
+export function parseTemplateClaims(template) {
+  return template.split(/^---\s*$/m)
+    .filter(doc => /^kind:\s*PersistentVolumeClaim\s*$/m.test(doc))
+    .map(doc => ({
+      nameExpr: doc.match(/^metadata:\s*\n(?:[ \t]+.*\n|\s*\n)*?[ \t]+name:\s*(.+)$/m)?.[1] || null,
+      sizePath: doc.match(/^\s*storage:\s*["']?\{\{-?\s*(?:quote\s+|default\s+\S+\s+)?\$?\.Values\.([\w.-]+)[^}]*\}\}/m)?.[1] || null
+    }));
+}
+
+/**
+ * 💾 Resolve the values file and YAML path of a PersistentVolumeClaim's size.
+ * Only claims the chart declares itself can be resized through values: claims made
+ * from a StatefulSet's volumeClaimTemplates cannot be changed by an upgrade.
+ */
+export async function resolveClaimValuesPath({ repo, chartsPath, claim, workload }) {
+  try {
+    const name = claim.metadata.name;
+    const templates = workload?.kind === 'StatefulSet' ? workload.object?.spec?.volumeClaimTemplates || [] : [];
+    const fromTemplate = templates.find(template => name.startsWith(`${template.metadata.name}-${workload.name}-`));
+    if (fromTemplate) {
+      return {
+        resolved: false,
+        reason: `PVC ${name} comes from StatefulSet ${workload.name}'s volumeClaimTemplates, which an upgrade cannot change; expand the PVC itself with kubectl-patch`
+      };
+    }
+
+    const labels = claim.metadata.labels || {};
+    const annotations = claim.metadata.annotations || {};
+    const releaseName = annotations[HELM_RELEASE_ANNOTATION] || labels['app.kubernetes.io/instance'];
+    if (!annotations[HELM_RELEASE_ANNOTATION] && labels['app.kubernetes.io/managed-by'] !== 'Helm') {
+      return { resolved: false, reason: `PVC ${name} is not managed by Helm` };
+    }
+    const chartName = chartNameFromLabels(labels);
+    if (!chartName) {
+      return { resolved: false, reason: `PVC ${name} has no helm.sh/chart or app.kubernetes.io/name label` };
+    }
+
+    const location = await locateChart(repo, chartsPath, chartName, releaseName);
+    const values = await loadChartValues(repo, location);
+
+    const matches = [];
+    const templateEntries = (await repo.listDir(`${location.chartDir}/templates`))
+      .filter(entry => entry.type === 'file' && /\.ya?ml$/.test(entry.name));
+    for (const entry of templateEntries) {
+      const template = await repo.readFile(`${location.chartDir}/templates/${entry.name}`);
+      if (!template) continue;
+      for (const templateClaim of parseTemplateClaims(template)) {
+        const pattern = templateClaim.nameExpr && namePattern(templateClaim.nameExpr, { chartName, values });
+        // A name built by a helper (e.g. fullname) matches any claim
+        if (!pattern || pattern.test(name)) matches.push({ ...templateClaim, template: entry.name });
+      }
+    }
+
+    const sizePaths = [...new Set(matches.map(match => match.sizePath))];
+    if (matches.length === 0) {
+      return { resolved: false, reason: `No PersistentVolumeClaim template in ${location.chartDir} matches PVC "${name}"` };
+    }
+    if (sizePaths.length > 1) {
+      return { resolved: false, reason: `PVC "${name}" maps to multiple values paths: ${sizePaths.join(', ')}` };
+    }
+    if (!sizePaths[0]) {
+      return { resolved: false, reason: `Size of PVC "${name}" in ${matches[0].template} is not sourced from .Values` };
+    }
+    if (getPath(values, sizePaths[0]) === undefined) {
+      return { resolved: false, reason: `Values path "${sizePaths[0]}" does not exist in ${location.valuesFile}` };
+    }
+
+    return {
+      resolved: true,
+      releaseName,
+      releaseNamespace: annotations[HELM_RELEASE_NAMESPACE_ANNOTATION] || claim.metadata.namespace,
+      chart: chartName,
+      chartDir: location.chartDir,
+      subchart: location.subchart || null,
+      valuesFile: location.valuesFile,
+      template: matches[0].template,
+      sizePath: `${location.valuesPrefix}${sizePaths[0]}`
+    };
+  } catch (error) {
+    return { resolved: false, reason: error.message };
+  }
+}
+
+// `{{ .Values.x }}` right after `<key>:`, the values path it renders
+const valuesKeyPattern = key => new RegExp(`^\\s*${key}:\\s*\\{\\{-?\\s*\\$?\\.Values\\.([\\w.-]+)`, 'm');
+
+/**
+ * 📄 Parse HorizontalPodAutoscaler documents of a template into the workload they scale
+ * and the values paths of their settings: the `{{- if .Values.x.enabled }}` guard,
+ * minReplicas, maxReplicas and the CPU target (autoscaling/v2 `averageUtilization` of the
+ * cpu metric, or autoscaling/v1 `targetCPUUtilizationPercentage`).
+ */
+export function parseTemplateAutoscalers(template) {
+  return template.split(/^---\s*$/m)
+    .filter(doc => /^kind:\s*HorizontalPodAutoscaler\s*$/m.test(doc))
+    .map(doc => {
+      const scaleTargetRef = doc.match(/^([ \t]*)scaleTargetRef:\s*\n((?:\1[ \t]+.*\n?)*)/m)?.[2] || '';
+      const cpuTarget = doc.match(/name:\s*cpu\s*\n(?:[ \t]+(?!name:).*\n)*?[ \t]+averageUtilization:\s*\{\{-?\s*\$?\.Values\.([\w.-]+)/)?.[1] ||
+        doc.match(valuesKeyPattern('targetCPUUtilizationPercentage'))?.[1];
+      return {
+        targetKind: scaleTargetRef.match(/^\s*kind:\s*(\w+)/m)?.[1] || null,
+        nameExpr: scaleTargetRef.match(/^\s*name:\s*(.+)$/m)?.[1] || null,
+        paths: {
+          enabled: doc.match(/\{\{-?\s*if\s+(?:and\s+)?\(?\s*\$?\.Values\.([\w.-]+\.enabled)\b/)?.[1] || null,
+          minReplicas: doc.match(valuesKeyPattern('minReplicas'))?.[1] || null,
+          maxReplicas: doc.match(valuesKeyPattern('maxReplicas'))?.[1] || null,
+          targetCPUUtilizationPercentage: cpuTarget || null
+        }
+      };
+    });
+}
+
+/**
+ * 📐 Resolve the values block holding a workload's autoscaling settings, e.g. `autoscaling`.
+ * `fields` maps each setting the chart's HorizontalPodAutoscaler template takes from values
+ * (enabled, minReplicas, maxReplicas, targetCPUUtilizationPercentage) to its key in the block.
+ * Charts without such a template are left alone: enabling autoscaling in values would only
+ * drop the workload's replica count.
+ */
+export async function resolveAutoscalingValuesPath({ repo, chartsPath, workload }) {
+  try {
+    const labels = workload.metadata.labels || {};
+    const annotations = workload.metadata.annotations || {};
+    const releaseName = annotations[HELM_RELEASE_ANNOTATION] || labels['app.kubernetes.io/instance'];
+    if (!annotations[HELM_RELEASE_ANNOTATION] && labels['app.kubernetes.io/managed-by'] !== 'Helm') {
+      return { resolved: false, reason: `${workload.kind} ${workload.name} is not managed by Helm` };
+    }
+    const chartName = chartNameFromLabels(labels);
+    if (!chartName) {
+      return { resolved: false, reason: `${workload.kind} ${workload.name} has no helm.sh/chart or app.kubernetes.io/name label` };
+    }
+
+    const location = await locateChart(repo, chartsPath, chartName, releaseName);
+    const values = await loadChartValues(repo, location);
+
+    const matches = [];
+    const templateEntries = (await repo.listDir(`${location.chartDir}/templates`))
+      .filter(entry => entry.type === 'file' && /\.ya?ml$/.test(entry.name));
+    for (const entry of templateEntries) {
+      const template = await repo.readFile(`${location.chartDir}/templates/${entry.name}`);
+      if (!template) continue;
+      for (const autoscaler of parseTemplateAutoscalers(template)) {
+        if (autoscaler.targetKind && autoscaler.targetKind !== workload.kind) continue;
+        const pattern = autoscaler.nameExpr && namePattern(autoscaler.nameExpr, { chartName, values });
+        // A name built by a helper (e.g. fullname) matches any workload
+        if (!pattern || pattern.test(workload.name)) matches.push({ ...autoscaler, template: entry.name });
+      }
+    }
+
+    if (matches.length === 0) {
+      return {
+        resolved: false,
+        reason: `No HorizontalPodAutoscaler template in ${location.chartDir} scales ${workload.kind} "${workload.name}"; add one before enabling autoscaling through values`
+      };
+    }
+    if (matches.length > 1) {
+      return { resolved: false, reason: `${workload.kind} "${workload.name}" matches several HorizontalPodAutoscaler templates: ${matches.map(match => match.template).join(', ')}` };
+    }
+
+    const paths = Object.entries(matches[0].paths).filter(([, valuesPath]) => valuesPath);
+    const blocks = [...new Set(paths.map(([, valuesPath]) => valuesPath.split('.').slice(0, -1).join('.')))];
+    if (blocks.length !== 1 || !blocks[0]) {
+      return { resolved: false, reason: `Autoscaling settings in ${matches[0].template} do not come from a single values block` };
+    }
+
+    return {
+      resolved: true,
+      releaseName,
+      releaseNamespace: annotations[HELM_RELEASE_NAMESPACE_ANNOTATION] || workload.namespace,
+      chart: chartName,
+      chartDir: location.chartDir,
+      subchart: location.subchart || null,
+      valuesFile: location.valuesFile,
+      template: matches[0].template,
+      autoscalingPath: `${location.valuesPrefix}${blocks[0]}`,
+      fields: Object.fromEntries(paths.map(([setting, valuesPath]) => [setting, valuesPath.split('.').pop()])),
+      current: getPath(values, blocks[0]) ?? null
+    };
+  } catch (error) {
+    return { resolved: false, reason: error.message };
+  }
+}
+
+/**
+ * 🎯 Resolve the values file and YAML path of a container's resources block.
+ * With `target: 'probes'` the container's probes are resolved instead: `probes` maps
+ * each probe type the template takes from values to `{ path, current }`.
+ */
+export async function resolveHelmValuesPath({ repo, chartsPath, workload, pod, containerName, target = 'resources' }) {
+  try {
+    const labels = { ...(pod.metadata.labels || {}), ...(workload.metadata.labels || {}) };
+    const annotations = workload.metadata.annotations || {};
+    const releaseName = annotations[HELM_RELEASE_ANNOTATION] || labels['app.kubernetes.io/instance'];
+    const managedByHelm = annotations[HELM_RELEASE_ANNOTATION] || labels['app.kubernetes.io/managed-by'] === 'Helm';
+    if (!managedByHelm) {
+      return { resolved: false, reason: `${workload.kind} ${workload.name} is not managed by Helm` };
+    }
+
+    const chartName = chartNameFromLabels(labels);
+    if (!chartName) {
+      return { resolved: false, reason: `${workload.kind} ${workload.name} has no helm.sh/chart or app.kubernetes.io/name label` };
+    }
+
+    const podContainers = pod.spec?.containers || [];
+    const container = containerName || (podContainers.length === 1 ? podContainers[0].name : null);
+    if (!container) {
+      return { resolved: false, reason: `Pod ${pod.metadata.name} has ${podContainers.length} containers and none was specified` };
+    }
+
+    const location = await locateChart(repo, chartsPath, chartName, releaseName);
+    const values = await loadChartValues(repo, location);
+
+    // Templates declaring the owning workload kind
+    const templateEntries = (await repo.listDir(`${location.chartDir}/templates`))
+      .filter(entry => entry.type === 'file' && /\.ya?ml$/.test(entry.name));
+    const matches = [];
+    for (const entry of templateEntries) {
+      const template = await repo.readFile(`${location.chartDir}/templates/${entry.name}`);
+      if (!template || !new RegExp(`^kind:\\s*${workload.kind}\\s*$`, 'm').test(template)) continue;
+
+      const templateContainers = parseTemplateContainers(template);
+      const named = templateContainers.filter(entryContainer =>
+        namePattern(entryContainer.nameExpr, { chartName, values })?.test(container));
+      const chosen = named.length > 0 ? named
+        : templateContainers.length === 1 && podContainers.length === 1 ? templateContainers : [];
+      chosen.forEach(match => matches.push({ ...match, template: entry.name }));
+    }
+
+    const resourcePaths = [...new Set(matches.map(match => match.resourcesPath))];
+    if (matches.length === 0) {
+      return { resolved: false, reason: `No container template in ${location.chartDir} matches container "${container}"` };
+    }
+    const resolvedLocation = {
+      resolved: true,
+      releaseName,
+      releaseNamespace: annotations[HELM_RELEASE_NAMESPACE_ANNOTATION] || workload.namespace,
+      chart: chartName,
+      chartDir: location.chartDir,
+      subchart: location.subchart || null,
+      valuesFile: location.valuesFile,
+      container,
+      template: matches[0].template
+    };
+
+    if (target === 'probes') {
+      const probes = {};
+      for (const probe of ['livenessProbe', 'readinessProbe', 'startupProbe']) {
+        const probePaths = [...new Set(matches.map(match => match.probePaths[probe]))];
+        if (probePaths.length !== 1 || !probePaths[0]) continue;
+        probes[probe] = { path: `${location.valuesPrefix}${probePaths[0]}`, current: getPath(values, probePaths[0]) ?? null };
+      }
+      if (Object.keys(probes).length === 0) {
+        return { resolved: false, reason: `No probe of container "${container}" in ${matches[0].template} is sourced from .Values` };
+      }
+      return { ...resolvedLocation, probes };
+    }
+
+    if (resourcePaths.length > 1) {
+      return { resolved: false, reason: `Container "${container}" maps to multiple values paths: ${resourcePaths.join(', ')}` };
+    }
+    if (!resourcePaths[0]) {
+      return { resolved: false, reason: `Resources for container "${container}" in ${matches[0].template} are not sourced from .Values` };
+    }
+
+    const parentPath = resourcePaths[0].split('.').slice(0, -1).join('.');
+    if (parentPath && getPath(values, parentPath) === undefined) {
+      return { resolved: false, reason: `Values path "${parentPath}" does not exist in ${location.valuesFile}` };
+    }
+
+    return { ...resolvedLocation, resourcesPath: `${location.valuesPrefix}${resourcePaths[0]}` };
+  } catch (error) {
+    return { resolved: false, reason: error.message };
+  }
+}
@@ -8,83 +8,189 @@
  * - OOMKilled events
  * - Resource limit breaches
  * - Unhealthy deployments
+ * - Pending pods, node problems and storage (PVC, volume mount, full volumes)
+ * - Failed Jobs and CronJobs that fail or miss their schedule
+ * - Failing liveness, readiness and startup probes
+ * - CPU pressure that scaling out (HorizontalPodAutoscalers) should absorb
  * 
  * When issues are detected, it automatically:
- * - Updates Helm chart values with increased resources
+ * - Updates Helm chart values with increased resources, tuned probes or autoscaling
  * - Redeploys applications with better configurations
  * - Sends alerts and recommendations
+ *
+ * Restarts, scale-downs, pod deletions and drains are checked against
+ * PodDisruptionBudgets, ready replicas and rollout status before they run.
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { startStreamableHttpServer } from './streamable-http.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from "@modelcontextprotocol/sdk/types.js";
 import k8s from '@kubernetes/client-node';
-import { execSync } from 'child_process';
-import fs from 'fs';
 import path from 'path';
+import { isDeepStrictEqual } from 'util';
 import yaml from 'js-yaml';
 import { Octokit } from '@octokit/rest';
 import fetch from 'node-fetch';
+import { ClusterWatcher, eventTimestamp } from './cluster-watcher.js';
+import { createHistoryStore } from './healing-history.js';
+import { listWorkloads, analyzeWorkloadHealth } from './workload-health.js';
+import { createGitHubRepoReader, resolveOwnerWorkload, resolveHelmValuesPath, resolveClaimValuesPath, resolveAutoscalingValuesPath } from './helm-values-resolver.js';
+import { createPrometheusClient, getContainerUsage, recommendRightSizing, containerUsageKey } from './prometheus-usage.js';
+import { getContainerMetrics, getNodeMetrics } from './live-metrics.js';
+import { formatMemory, formatCpu, parseMemoryQuantity, parseCpuQuantity } from './resource-quantities.js';
+import { runKubectl, runHelm, startBackground, validate, durationMs, formatCommandResult, createOptionArgs, CREATE_OPTIONS } from './command-runner.js';
+import { loadPolicy, PolicyEnforcer, PolicyViolation, normalizeKind } from './policy.js';
+import { createApprovalQueue, approvalQueueSettings, buildFixProposal, formatProposalDiff, formatFixValue, issueFingerprint, ApprovalError } from './approval-queue.js';
+import { snapshotWorkload, isFixDeployed, evaluateFix } from './fix-verification.js';
+import { ClusterRegistry, parseClusterList, forgetPod } from './cluster-registry.js';
+import { PROMPTS, PROMPT_TOOLS, getPromptDefinition, renderPrompt } from './mcp-prompts.js';
+import { diagnoseContainer, containerEvents, describeTermination } from './crash-diagnosis.js';
+import { planDrain } from './node-health.js';
+import { claimUsers } from './storage-health.js';
+import { buildJobRerun, isJobFailed } from './batch-health.js';
+import { planProbeFix, PROBE_TYPES } from './probe-health.js';
+import { listAutoscalers, analyzeAutoscaling, planAutoscalingFix } from './autoscaling.js';
+import { assessDisruption } from './availability.js';
+import { withOutputSchema, commandOutput } from './tool-schemas.js';
+import { STATIC_RESOURCES, RESOURCE_TEMPLATES, WORKLOAD_KINDS, parseResourceUri, podLogsUri, workloadUri, subscriptionMatchesIssue } from './mcp-resources.js';
+import { fileConfig } from './file-config.js';
+import { scanSettings, collectClusterHealth, collectOOMEvents, listPods, listEvents, getWorkloadName, parseDuration, calculateRecommendedMemory } from './cluster-scan.js';
 
 // 🔧 Configuration
 const CONFIG = {
   MONITORING_INTERVAL: parseInt(process.env.MONITORING_INTERVAL) || 30, // seconds
-  RESOURCE_MULTIPLIER: parseFloat(process.env.RESOURCE_MULTIPLIER) || 1.5,
-  MAX_RESOURCE_INCREASE: parseFloat(process.env.MAX_RESOURCE_INCREASE) || 5.0,
   NAMESPACE: process.env.KUBE_NAMESPACE || 'default',
   HELM_CHART_PATH: process.env.HELM_CHART_PATH || './helm/k8s-auto-heal',
   AUTO_HEAL_ENABLED: process.env.AUTO_HEAL_ENABLED !== 'false',
   PROMETHEUS_URL: process.env.PROMETHEUS_URL || 'http://prometheus:9090',
+  PROMETHEUS_TIMEOUT: parseInt(process.env.PROMETHEUS_TIMEOUT) || 10, // seconds
+  USAGE_WINDOW: process.env.USAGE_WINDOW || fileConfig.monitoring?.usageWindow || '24h',
+  // 🩺 Scan thresholds and switches, shared with the HTTP API
+  SCAN: scanSettings(fileConfig),
+  WATCH_ENABLED: process.env.WATCH_ENABLED !== 'false',
+  WATCH_MAX_BACKOFF: parseInt(process.env.WATCH_MAX_BACKOFF) || 60, // seconds
+  HISTORY_STORE: process.env.HISTORY_STORE || fileConfig.history?.store || 'jsonl', // jsonl | memory
+  HISTORY_FILE: process.env.HISTORY_FILE || fileConfig.history?.path || './data/healing-history.jsonl',
+  POLICY_FILE: process.env.POLICY_FILE || '/app/config/policy.yaml',
+
+  // 🌐 Clusters to manage: [{ name, context, prometheusUrl, chartsPath }], default: current context only
+  CLUSTERS: process.env.CLUSTERS ? parseClusterList(process.env.CLUSTERS) : fileConfig.clusters || [],
   
   // 🐙 GitHub Configuration
   GITHUB_TOKEN: process.env.GITHUB_TOKEN,
   GITHUB_OWNER: process.env.GITHUB_OWNER || 'sandeep-soorya-kumar',
   GITHUB_REPO: process.env.GITHUB_REPO || 'k8s-auto-heal-mcp-server',
   GITHUB_BRANCH: process.env.GITHUB_BRANCH || 'main',
-  GITHUB_BASE_PATH: process.env.GITHUB_BASE_PATH || 'helm/k8s-auto-heal/values.yaml'
+  GITHUB_BASE_PATH: process.env.GITHUB_BASE_PATH || 'helm/k8s-auto-heal/values.yaml',
+  GITHUB_CHARTS_PATH: process.env.GITHUB_CHARTS_PATH || 'helm',
+
+  // 🧬 Auto-fix PR deduplication
+  AUTO_FIX_LABEL: process.env.AUTO_FIX_LABEL || fileConfig.autoHeal?.prLabel || 'auto-heal',
+  AUTO_FIX_BRANCH_PREFIX: process.env.AUTO_FIX_BRANCH_PREFIX || 'auto-fix-',
+  AUTO_FIX_COOLDOWN_MINUTES: parseInt(process.env.AUTO_FIX_COOLDOWN_MINUTES) || fileConfig.autoHeal?.cooldownMinutes || 60,
+  AUTO_FIX_DAILY_PR_BUDGET: parseInt(process.env.AUTO_FIX_DAILY_PR_BUDGET) || fileConfig.autoHeal?.dailyPrBudget || 5,
+
+  // ✋ Human approval of automated fixes
+  APPROVAL_REQUIRED: process.env.APPROVAL_REQUIRED
+    ? process.env.APPROVAL_REQUIRED !== 'false'
+    : fileConfig.autoHeal?.approvalRequired !== false,
+  APPROVAL_TTL_HOURS: approvalQueueSettings(fileConfig).ttlHours,
+  APPROVAL_QUEUE_FILE: approvalQueueSettings(fileConfig).filePath,
+
+  // 🔬 Post-fix verification and automatic revert
+  FIX_VERIFICATION_ENABLED: process.env.FIX_VERIFICATION_ENABLED
+    ? process.env.FIX_VERIFICATION_ENABLED !== 'false'
+    : fileConfig.autoHeal?.verification?.enabled !== false,
+  FIX_VERIFICATION_WINDOW: process.env.FIX_VERIFICATION_WINDOW || fileConfig.autoHeal?.verification?.window || '15m',
+  FIX_VERIFICATION_MAX_AGE: process.env.FIX_VERIFICATION_MAX_AGE || fileConfig.autoHeal?.verification?.maxAge || '7d',
+  FIX_AUTO_REVERT: process.env.FIX_AUTO_REVERT
+    ? process.env.FIX_AUTO_REVERT !== 'false'
+    : fileConfig.autoHeal?.verification?.autoRevert !== false,
+
+  // 🌐 MCP transport: stdio (default) or Streamable HTTP
+  MCP_TRANSPORT: process.env.MCP_TRANSPORT || fileConfig.mcp?.transport || 'stdio', // stdio | http
+  MCP_SERVER_PORT: parseInt(process.env.MCP_SERVER_PORT) || 3000,
+  MCP_HTTP_PATH: process.env.MCP_HTTP_PATH || fileConfig.mcp?.path || '/mcp',
+  HEALTH_PORT: parseInt(process.env.HEALTH_PORT) || 8080,
+  MCP_AUTH_TOKEN: process.env.MCP_AUTH_TOKEN,
+  MCP_ALLOW_UNAUTHENTICATED: process.env.MCP_ALLOW_UNAUTHENTICATED === 'true', // serve HTTP without MCP_AUTH_TOKEN
+  MCP_ALLOWED_HOSTS: (process.env.MCP_ALLOWED_HOSTS ? process.env.MCP_ALLOWED_HOSTS.split(',') : fileConfig.mcp?.allowedHosts || [])
+    .map(host => host.trim()).filter(Boolean),
+  MCP_SESSION_IDLE_MINUTES: parseInt(process.env.MCP_SESSION_IDLE_MINUTES) || fileConfig.mcp?.sessionIdleMinutes || 30,
+  MCP_REPLAY_EVENTS: parseInt(process.env.MCP_REPLAY_EVENTS) || fileConfig.mcp?.replayEvents || 1000
 };
 
-// 🎯 Kubernetes Client Setup
+// 🎯 Kubernetes Client Setup: one set of clients per configured cluster
 const kc = new k8s.KubeConfig();
-let k8sApi, k8sAppsApi;
+let clusterRegistry = new ClusterRegistry();
 
 try {
   kc.loadFromDefault();
-  k8sApi = kc.makeApiClient(k8s.CoreV1Api);
-  k8sAppsApi = kc.makeApiClient(k8s.AppsV1Api);
-  console.log('✅ Kubernetes client initialized successfully');
+  clusterRegistry = ClusterRegistry.fromKubeConfig(kc, CONFIG.CLUSTERS);
+  console.log(`✅ Kubernetes clients initialized for ${clusterRegistry.list().map(cluster => cluster.name).join(', ') || 'no clusters'}`);
 } catch (error) {
   console.error('❌ Failed to load Kubernetes config:', error.message);
   console.error('⚠️  Some Kubernetes features may not work properly');
 }
 
-// Initialize metrics API client separately with error handling
-let k8sMetricsApi;
-try {
-  if (k8sApi) {
-    k8sMetricsApi = kc.makeApiClient(k8s.Metrics);
-  }
-} catch (error) {
-  console.error('⚠️  Metrics API not available:', error.message);
-}
-
 // 🐙 GitHub API Client
 const octokit = CONFIG.GITHUB_TOKEN ? new Octokit({
   auth: CONFIG.GITHUB_TOKEN,
 }) : null;
 
-// 📊 In-memory storage for monitoring data
-const monitoringState = {
-  podCrashes: new Map(),
-  oomEvents: new Map(),
-  resourceUsage: new Map(),
-  healingHistory: [],
-  lastScan: null
+// 🌐 `cluster` / `context` arguments shared by every tool that talks to a cluster
+const CLUSTER_PROPERTIES = {
+  cluster: { type: "string", description: "Target cluster name (see list-clusters); default: the default cluster" },
+  context: { type: "string", description: "Target cluster by kubeconfig context, instead of cluster" }
 };
 
+// 🛡️ Kinds (as normalizeKind names them) whose disruptions are checked against their availability budget
+const DISRUPTABLE_KINDS = { deployment: 'Deployment', statefulset: 'StatefulSet', daemonset: 'DaemonSet', replicaset: 'ReplicaSet', pod: 'Pod' };
+
 class KubernetesAutoHealServer {
   constructor() {
-    this.server = new Server(
+    this.clusters = clusterRegistry;
+    this.history = createHistoryStore({ type: CONFIG.HISTORY_STORE, filePath: CONFIG.HISTORY_FILE });
+    this.prometheus = createPrometheusClient(CONFIG.PROMETHEUS_URL, { timeoutMs: CONFIG.PROMETHEUS_TIMEOUT * 1000 });
+    this.clusters.list().forEach((cluster, index) => {
+      // The first cluster keeps the original journal so single-cluster installs read the same history
+      cluster.history = index === 0
+        ? this.history
+        : createHistoryStore({ type: CONFIG.HISTORY_STORE, filePath: this.clusterHistoryFile(cluster.name) });
+      cluster.prometheus = cluster.prometheusUrl
+        ? createPrometheusClient(cluster.prometheusUrl, { timeoutMs: CONFIG.PROMETHEUS_TIMEOUT * 1000 })
+        : this.prometheus;
+    });
+    this.policy = new PolicyEnforcer(loadPolicy(CONFIG.POLICY_FILE));
+    this.approvals = createApprovalQueue({
+      filePath: CONFIG.APPROVAL_QUEUE_FILE,
+      ttlMs: CONFIG.APPROVAL_TTL_HOURS * 60 * 60 * 1000
+    });
+
+    // Resource URIs each connected MCP server's client subscribed to; notified when monitoring detects a new issue
+    this.resourceSubscriptions = new Map();
+    // Merge time of fix PRs already seen merged, so PRs waiting for their rollout are not fetched again
+    this.mergedFixPRs = new Map();
+
+    // Serves stdio; the Streamable HTTP transport creates one server per session
+    this.server = this.createMcpServer();
+    this.startMonitoring();
+  }
+
+  // 🔌 A new MCP server with every handler, sharing the clusters, history, policy and approvals of this instance
+  createMcpServer() {
+    const server = new Server(
       {
         name: "kubernetes-auto-heal-server",
         version: "1.0.0",
@@ -93,17 +199,23 @@ class KubernetesAutoHealServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
         },
       }
     );
+    this.resourceSubscriptions.set(server, new Set());
+    server.onclose = () => this.resourceSubscriptions.delete(server);
 
-    this.setupToolHandlers();
-    this.startMonitoring();
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
   }
 
-  setupToolHandlers() {
-    // 📋 List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  setupToolHandlers(server) {
+    // 📋 List available tools, each with the schema of its structuredContent
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         {
           name: "scan-cluster-health",
@@ -119,10 +231,20 @@ class KubernetesAutoHealServer {
                 type: "string",
                 description: "Time range for scanning (e.g., '1h', '24h', '7d')",
                 default: "1h"
-              }
+              },
+              ...CLUSTER_PROPERTIES,
+              cluster: { type: "string", description: "Target cluster name, or \"all\" to scan every configured cluster" }
             }
           }
         },
+        {
+          name: "list-clusters",
+          description: "🌐 List the clusters this server manages, their contexts and monitoring status",
+          inputSchema: {
+            type: "object",
+            properties: {}
+          }
+        },
         {
           name: "get-pod-crashes",
           description: "📊 Get detailed information about pod crashes and restart patterns",
@@ -130,10 +252,26 @@ class KubernetesAutoHealServer {
             type: "object",
             properties: {
               namespace: { type: "string", description: "Kubernetes namespace" },
-              podName: { type: "string", description: "Specific pod name (optional)" }
+              podName: { type: "string", description: "Specific pod name (optional)" },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
+        {
+          name: "diagnose-crash",
+          description: "🩻 Diagnose why a container crashes from its exit code, previous logs and events: ranked likely causes with remediations",
+          inputSchema: {
+            type: "object",
+            properties: {
+              namespace: { type: "string", description: "Kubernetes namespace" },
+              pod: { type: "string", description: "Crashing pod" },
+              container: { type: "string", description: "Container to diagnose (default: the one with the most restarts or a failing state)" },
+              tailLines: { type: "number", description: "Log lines to analyze", default: 200 },
+              ...CLUSTER_PROPERTIES
+            },
+            required: ["namespace", "pod"]
+          }
+        },
         {
           name: "get-oom-events",
           description: "💥 Get OOMKilled events and memory usage patterns",
@@ -141,13 +279,14 @@ class KubernetesAutoHealServer {
             type: "object",
             properties: {
               namespace: { type: "string", description: "Kubernetes namespace" },
-              timeRange: { type: "string", description: "Time range to analyze", default: "24h" }
+              timeRange: { type: "string", description: "Time range to analyze", default: "24h" },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
         {
           name: "analyze-resource-usage",
-          description: "📈 Analyze current resource usage vs limits across the cluster",
+          description: "📈 Analyze Prometheus usage percentiles vs requests/limits and recommend right-sizing",
           inputSchema: {
             type: "object",
             properties: {
@@ -157,7 +296,9 @@ class KubernetesAutoHealServer {
                 description: "Resource type (cpu, memory, or both)",
                 enum: ["cpu", "memory", "both"],
                 default: "both"
-              }
+              },
+              window: { type: "string", description: "Usage window for percentiles (e.g., 1h, 24h, 7d)", default: "24h" },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
@@ -173,17 +314,28 @@ class KubernetesAutoHealServer {
                 items: {
                   type: "object",
                   properties: {
-                    type: { type: "string", enum: ["oom", "crash", "resource"] },
+                    type: { type: "string", enum: ["oom", "crash", "resource", "storage", "probe", "autoscaling"] },
                     pod: { type: "string", description: "Pod name" },
                     namespace: { type: "string", description: "Namespace" },
-                    currentLimit: { type: "string", description: "Current resource limit" },
-                    recommendedLimit: { type: "string", description: "Recommended resource limit" },
-                    resourceType: { type: "string", enum: ["memory", "cpu"] }
+                    currentLimit: { type: "string", description: "Current resource limit (or PVC size)" },
+                    recommendedLimit: { type: "string", description: "Recommended resource limit (or PVC size)" },
+                    resourceType: { type: "string", enum: ["memory", "cpu", "storage"] },
+                    workload: { type: "string", description: "Owning workload name (optional; the Deployment or StatefulSet to scale, for autoscaling fixes)" },
+                    container: { type: "string", description: "Container name (optional)" },
+                    claim: { type: "string", description: "PVC to expand, for storage fixes" },
+                    probe: { type: "string", enum: PROBE_TYPES, description: "Probe to change, for probe fixes" },
+                    settings: {
+                      type: "object",
+                      description: "Probe fields to set, for probe fixes (e.g. {\"failureThreshold\": 6}); a new startupProbe borrows the livenessProbe's check. " +
+                        "For autoscaling fixes: enabled, minReplicas, maxReplicas, targetCPUUtilizationPercentage"
+                    }
                   }
                 }
               },
               prTitle: { type: "string", description: "PR title", default: "🔧 Auto-fix: Update resource limits" },
-              dryRun: { type: "boolean", description: "Show changes without creating PR", default: false }
+              dryRun: { type: "boolean", description: "Show changes without creating PR", default: false },
+              force: { type: "boolean", description: "Ignore per-workload cooldown and daily PR budget", default: false },
+              ...CLUSTER_PROPERTIES
             },
             required: ["issues"]
           }
@@ -229,14 +381,68 @@ class KubernetesAutoHealServer {
         },
         {
           name: "get-healing-history",
-          description: "📚 Get history of auto-healing actions performed",
+          description: "📚 Get the incident journal of detected issues, healing decisions, PRs and outcomes",
+          inputSchema: {
+            type: "object",
+            properties: {
+              limit: { type: "number", description: "Number of recent records to return", default: 10 },
+              offset: { type: "number", description: "Number of records to skip (pagination)", default: 0 },
+              namespace: { type: "string", description: "Only records for this namespace" },
+              workload: { type: "string", description: "Only records for this workload (e.g., deployment name)" },
+              actionType: { type: "string", description: "Only records with this action (e.g., 'gitops-fix-pr', 'oom', 'crash')" },
+              kind: { type: "string", description: "Record kind", enum: ["issue", "decision", "action", "outcome"] },
+              outcome: { type: "string", description: "Only records with this outcome (e.g., 'detected', 'pr-opened', 'failed', 'skipped')" },
+              timeRange: { type: "string", description: "Only records newer than this (e.g., '1h', '24h', '7d')" },
+              since: { type: "string", description: "ISO timestamp lower bound" },
+              until: { type: "string", description: "ISO timestamp upper bound" },
+              ...CLUSTER_PROPERTIES,
+              cluster: { type: "string", description: "Cluster whose journal to read, or \"all\" to merge every cluster's" }
+            }
+          }
+        },
+        {
+          name: "list-pending-actions",
+          description: "✋ List auto-heal proposals awaiting approval, with their diff and rationale",
           inputSchema: {
             type: "object",
             properties: {
-              limit: { type: "number", description: "Number of recent actions to return", default: 10 }
+              status: {
+                type: "string",
+                description: "Proposal status to show",
+                enum: ["pending", "approved", "executing", "executed", "failed", "rejected", "expired", "all"],
+                default: "pending"
+              },
+              namespace: { type: "string", description: "Only proposals for this namespace" },
+              cluster: { type: "string", description: "Only proposals for this cluster" }
             }
           }
         },
+        {
+          name: "approve-action",
+          description: "✅ Approve a pending auto-heal proposal and execute it",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: { type: "string", description: "Proposal ID (from list-pending-actions)" },
+              actor: { type: "string", description: "Who is approving (recorded in history)" },
+              reason: { type: "string", description: "Why it is approved" }
+            },
+            required: ["id"]
+          }
+        },
+        {
+          name: "reject-action",
+          description: "🛑 Reject a pending auto-heal proposal so it is never executed",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: { type: "string", description: "Proposal ID (from list-pending-actions)" },
+              actor: { type: "string", description: "Who is rejecting (recorded in history)" },
+              reason: { type: "string", description: "Why it is rejected" }
+            },
+            required: ["id"]
+          }
+        },
         {
           name: "get-cluster-recommendations",
           description: "💡 Get AI-powered recommendations for cluster optimization",
@@ -249,7 +455,8 @@ class KubernetesAutoHealServer {
                 description: "Area to focus recommendations on",
                 enum: ["resources", "reliability", "cost", "performance", "all"],
                 default: "all"
-              }
+              },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
@@ -266,7 +473,8 @@ class KubernetesAutoHealServer {
               valuesFile: { type: "string", description: "Path to values file" },
               createNamespace: { type: "boolean", description: "Create namespace if it doesn't exist", default: false },
               wait: { type: "boolean", description: "Wait for deployment to complete", default: true },
-              timeout: { type: "string", description: "Timeout for deployment", default: "10m" }
+              timeout: { type: "string", description: "Timeout for deployment", default: "10m" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["releaseName", "chart"]
           }
@@ -283,7 +491,8 @@ class KubernetesAutoHealServer {
               values: { type: "object", description: "Helm values to override" },
               valuesFile: { type: "string", description: "Path to values file" },
               wait: { type: "boolean", description: "Wait for upgrade to complete", default: true },
-              timeout: { type: "string", description: "Timeout for upgrade", default: "10m" }
+              timeout: { type: "string", description: "Timeout for upgrade", default: "10m" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["releaseName", "chart"]
           }
@@ -296,7 +505,8 @@ class KubernetesAutoHealServer {
             properties: {
               releaseName: { type: "string", description: "Name of the Helm release" },
               namespace: { type: "string", description: "Kubernetes namespace", default: "default" },
-              wait: { type: "boolean", description: "Wait for uninstall to complete", default: true }
+              wait: { type: "boolean", description: "Wait for uninstall to complete", default: true },
+              ...CLUSTER_PROPERTIES
             },
             required: ["releaseName"]
           }
@@ -308,7 +518,8 @@ class KubernetesAutoHealServer {
             type: "object",
             properties: {
               namespace: { type: "string", description: "Kubernetes namespace (all namespaces if not specified)" },
-              allNamespaces: { type: "boolean", description: "List releases across all namespaces", default: false }
+              allNamespaces: { type: "boolean", description: "List releases across all namespaces", default: false },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
@@ -344,7 +555,8 @@ class KubernetesAutoHealServer {
               name: { type: "string", description: "Specific resource name" },
               allNamespaces: { type: "boolean", description: "Get resources from all namespaces", default: false },
               selector: { type: "string", description: "Label selector" },
-              output: { type: "string", description: "Output format", enum: ["yaml", "json", "wide", "name"], default: "wide" }
+              output: { type: "string", description: "Output format", enum: ["yaml", "json", "wide", "name"], default: "wide" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["resource"]
           }
@@ -357,7 +569,8 @@ class KubernetesAutoHealServer {
             properties: {
               resource: { type: "string", description: "Resource type" },
               name: { type: "string", description: "Resource name" },
-              namespace: { type: "string", description: "Kubernetes namespace" }
+              namespace: { type: "string", description: "Kubernetes namespace" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["resource", "name"]
           }
@@ -374,7 +587,8 @@ class KubernetesAutoHealServer {
               follow: { type: "boolean", description: "Follow logs", default: false },
               previous: { type: "boolean", description: "Get previous container logs", default: false },
               tail: { type: "number", description: "Number of lines to show from the end" },
-              since: { type: "string", description: "Show logs since time/duration (e.g., '1h', '30m')" }
+              since: { type: "string", description: "Show logs since time/duration (e.g., '1h', '30m')" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["podName"]
           }
@@ -389,7 +603,8 @@ class KubernetesAutoHealServer {
               namespace: { type: "string", description: "Kubernetes namespace" },
               container: { type: "string", description: "Container name" },
               command: { type: "array", items: { type: "string" }, description: "Command to execute" },
-              interactive: { type: "boolean", description: "Interactive mode", default: false }
+              interactive: { type: "boolean", description: "Interactive mode", default: false },
+              ...CLUSTER_PROPERTIES
             },
             required: ["podName", "command"]
           }
@@ -403,14 +618,15 @@ class KubernetesAutoHealServer {
               filename: { type: "string", description: "YAML/JSON manifest file path" },
               namespace: { type: "string", description: "Kubernetes namespace" },
               recursive: { type: "boolean", description: "Apply recursively", default: false },
-              dryRun: { type: "boolean", description: "Dry run mode", default: false }
+              dryRun: { type: "boolean", description: "Dry run mode", default: false },
+              ...CLUSTER_PROPERTIES
             },
             required: ["filename"]
           }
         },
         {
           name: "kubectl-delete",
-          description: "🗑️ Delete Kubernetes resources",
+          description: "🗑️ Delete Kubernetes resources. Deleting a pod is refused when it would take its workload below its PodDisruptionBudget or the policy's minimum ready replicas",
           inputSchema: {
             type: "object",
             properties: {
@@ -419,27 +635,29 @@ class KubernetesAutoHealServer {
               namespace: { type: "string", description: "Kubernetes namespace" },
               filename: { type: "string", description: "YAML/JSON manifest file path" },
               force: { type: "boolean", description: "Force delete", default: false },
-              gracePeriod: { type: "number", description: "Grace period in seconds" }
+              gracePeriod: { type: "number", description: "Grace period in seconds" },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
         {
           name: "kubectl-scale",
-          description: "📏 Scale Kubernetes resources",
+          description: "📏 Scale Kubernetes resources. Scaling down is refused mid-rollout or when it would leave fewer ready replicas than the PodDisruptionBudget or policy require",
           inputSchema: {
             type: "object",
             properties: {
               resource: { type: "string", description: "Resource type (deployment, replicaset, etc.)" },
               name: { type: "string", description: "Resource name" },
               namespace: { type: "string", description: "Kubernetes namespace" },
-              replicas: { type: "number", description: "Number of replicas" }
+              replicas: { type: "number", description: "Number of replicas" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["resource", "name", "replicas"]
           }
         },
         {
           name: "kubectl-rollout",
-          description: "🔄 Manage rollouts",
+          description: "🔄 Manage rollouts. Restarts are refused mid-rollout or when the update strategy would take the workload below its availability budget",
           inputSchema: {
             type: "object",
             properties: {
@@ -447,7 +665,8 @@ class KubernetesAutoHealServer {
               resource: { type: "string", description: "Resource type (deployment, daemonset, etc.)" },
               name: { type: "string", description: "Resource name" },
               namespace: { type: "string", description: "Kubernetes namespace" },
-              revision: { type: "number", description: "Revision number for undo" }
+              revision: { type: "number", description: "Revision number for undo" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["action", "resource", "name"]
           }
@@ -461,21 +680,23 @@ class KubernetesAutoHealServer {
               resource: { type: "string", description: "Resource (pod/service name)" },
               namespace: { type: "string", description: "Kubernetes namespace" },
               ports: { type: "string", description: "Port mapping (local:remote)" },
-              background: { type: "boolean", description: "Run in background", default: false }
+              background: { type: "boolean", description: "Run in background", default: false },
+              ...CLUSTER_PROPERTIES
             },
             required: ["resource", "ports"]
           }
         },
         {
           name: "kubectl-top",
-          description: "📊 Show resource usage",
+          description: "📊 Show live resource usage from metrics.k8s.io, with utilisation of requests/limits",
           inputSchema: {
             type: "object",
             properties: {
               resource: { type: "string", description: "Resource type", enum: ["nodes", "pods"] },
               namespace: { type: "string", description: "Kubernetes namespace" },
               allNamespaces: { type: "boolean", description: "All namespaces", default: false },
-              selector: { type: "string", description: "Label selector" }
+              selector: { type: "string", description: "Label selector" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["resource"]
           }
@@ -490,7 +711,8 @@ class KubernetesAutoHealServer {
               name: { type: "string", description: "Resource name" },
               namespace: { type: "string", description: "Kubernetes namespace" },
               patch: { type: "string", description: "JSON/YAML patch" },
-              type: { type: "string", description: "Patch type", enum: ["strategic", "merge", "json"], default: "strategic" }
+              type: { type: "string", description: "Patch type", enum: ["strategic", "merge", "json"], default: "strategic" },
+              ...CLUSTER_PROPERTIES
             },
             required: ["resource", "name", "patch"]
           }
@@ -501,17 +723,18 @@ class KubernetesAutoHealServer {
           inputSchema: {
             type: "object",
             properties: {
-              resource: { type: "string", description: "Resource type (namespace, secret, configmap, etc.)" },
+              resource: { type: "string", description: `Resource type to generate: ${Object.keys(CREATE_OPTIONS).join(', ')}` },
               name: { type: "string", description: "Resource name" },
               namespace: { type: "string", description: "Kubernetes namespace" },
               filename: { type: "string", description: "YAML/JSON manifest file path" },
-              options: { type: "object", description: "Additional options" }
+              options: { type: "object", description: "Flags for the resource type without dashes, e.g. { \"image\": \"nginx\", \"replicas\": 2 } for a deployment or { \"from-literal\": [\"key=value\"] } for a configmap; dry-run and save-config are accepted for every type" },
+              ...CLUSTER_PROPERTIES
             }
           }
         },
         {
           name: "kubectl-config",
-          description: "⚙️ Manage kubectl configuration",
+          description: "⚙️ Manage kubectl configuration (use-context switches the default cluster for tool calls; kubeconfig is not modified)",
           inputSchema: {
             type: "object",
             properties: {
@@ -522,20 +745,84 @@ class KubernetesAutoHealServer {
             },
             required: ["action"]
           }
+        },
+        {
+          name: "node-cordon",
+          description: "🚧 Cordon a node so no new pods are scheduled on it (policy limits protected nodes and how many may be cordoned)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              node: { type: "string", description: "Node name" },
+              dryRun: { type: "boolean", description: "Server-side dry run", default: false },
+              ...CLUSTER_PROPERTIES
+            },
+            required: ["node"]
+          }
+        },
+        {
+          name: "node-uncordon",
+          description: "✅ Uncordon a node so pods can be scheduled on it again",
+          inputSchema: {
+            type: "object",
+            properties: {
+              node: { type: "string", description: "Node name" },
+              dryRun: { type: "boolean", description: "Server-side dry run", default: false },
+              ...CLUSTER_PROPERTIES
+            },
+            required: ["node"]
+          }
+        },
+        {
+          name: "node-drain",
+          description: "🚜 Cordon and drain a node. Checks PodDisruptionBudgets and the ready replicas of workloads without one first, skips DaemonSet pods and refuses when the drain would be blocked",
+          inputSchema: {
+            type: "object",
+            properties: {
+              node: { type: "string", description: "Node name" },
+              dryRun: { type: "boolean", description: "Only report what the drain would evict and what blocks it, and run a server-side dry run", default: false },
+              deleteEmptyDirData: { type: "boolean", description: "Evict pods with emptyDir volumes, losing their data", default: false },
+              gracePeriod: { type: "number", description: "Seconds each pod gets to terminate (default: the pod's own)" },
+              timeout: { type: "string", description: "Give up after this long, e.g. 5m", default: "5m" },
+              ...CLUSTER_PROPERTIES
+            },
+            required: ["node"]
+          }
+        },
+        {
+          name: "rerun-job",
+          description: "🔁 Re-run a failed Job as a new Job built from its template",
+          inputSchema: {
+            type: "object",
+            properties: {
+              job: { type: "string", description: "Name of the failed Job" },
+              namespace: { type: "string", description: "Namespace", default: "default" },
+              deleteFailed: { type: "boolean", description: "Delete the failed Job and its pods once the new one is created", default: false },
+              dryRun: { type: "boolean", description: "Server-side dry run", default: false },
+              ...CLUSTER_PROPERTIES
+            },
+            required: ["job"]
+          }
         }
-      ]
+      ].map(withOutputSchema)
     }));
 
     // 🔧 Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
 
       try {
+        // 🚧 Central guardrail check before any tool runs
+        this.policy.checkTool(name, args || {});
+
         switch (name) {
           case "scan-cluster-health":
             return await this.scanClusterHealth(args);
+          case "list-clusters":
+            return await this.listClusters();
           case "get-pod-crashes":
             return await this.getPodCrashes(args);
+          case "diagnose-crash":
+            return await this.diagnoseCrash(args);
           case "get-oom-events":
             return await this.getOOMEvents(args);
           case "analyze-resource-usage":
@@ -548,6 +835,12 @@ class KubernetesAutoHealServer {
             return await this.triggerGitHubWorkflow(args);
           case "get-healing-history":
             return await this.getHealingHistory(args);
+          case "list-pending-actions":
+            return await this.listPendingActions(args);
+          case "approve-action":
+            return await this.approveAction(args);
+          case "reject-action":
+            return await this.rejectAction(args);
           case "get-cluster-recommendations":
             return await this.getClusterRecommendations(args);
           case "helm-install":
@@ -589,142 +882,434 @@ class KubernetesAutoHealServer {
             return await this.kubectlCreate(args);
           case "kubectl-config":
             return await this.kubectlConfig(args);
+          case "node-cordon":
+            return await this.nodeCordon(args);
+          case "node-uncordon":
+            return await this.nodeUncordon(args);
+          case "node-drain":
+            return await this.nodeDrain(args);
+          case "rerun-job":
+            return await this.rerunJob(args);
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
       } catch (error) {
+        if (error instanceof PolicyViolation) {
+          await this.recordHistory({
+            kind: "decision",
+            action: name,
+            outcome: "denied",
+            cluster: this.namedClusterOf(args),
+            namespace: args?.namespace,
+            rule: error.rule,
+            reason: error.message
+          });
+          return {
+            content: [
+              {
+                type: "text",
+                text: `🚫 ${name} was not run. ${error.message}`
+              }
+            ],
+            isError: true
+          };
+        }
         return {
           content: [
             {
               type: "text",
               text: `❌ Error executing ${name}: ${error.message}`
             }
-          ]
+          ],
+          isError: true
         };
       }
     });
   }
 
-  // 🔍 Scan entire cluster for health issues
-  async scanClusterHealth(args = {}) {
-    const { namespace, timeRange = "1h" } = args;
-    
-    try {
-      const results = {
-        timestamp: new Date().toISOString(),
-        namespace: namespace || "all",
-        timeRange,
-        issues: {
-          crashingPods: [],
-          oomEvents: [],
-          resourceIssues: [],
-          unhealthyDeployments: []
-        },
-        summary: {
-          totalIssues: 0,
-          criticalIssues: 0,
-          warnings: 0
-        }
+  setupResourceHandlers(server) {
+    // 📚 Fixed resources plus the pods and workloads the latest scans flagged
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const multiCluster = this.clusters.size > 1;
+      const resources = [...STATIC_RESOURCES];
+      const seen = new Set(resources.map(resource => resource.uri));
+      const add = (uri, query, name, description, mimeType) => {
+        const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined));
+        const fullUri = params.toString() ? `${uri}?${params}` : uri;
+        if (seen.has(fullUri)) return;
+        seen.add(fullUri);
+        resources.push({ uri: fullUri, name, description, mimeType });
       };
 
-      // Get all pods
-      const podsResponse = namespace 
-        ? await k8sApi.listNamespacedPod(namespace)
-        : await k8sApi.listPodForAllNamespaces();
-      
-      const pods = podsResponse.body.items;
+      for (const cluster of this.clusters.list()) {
+        const scan = cluster.state.lastScan;
+        if (!scan) continue;
+        const clusterQuery = multiCluster ? cluster.name : undefined;
+        const where = multiCluster ? ` on ${cluster.name}` : '';
 
-      // Analyze each pod
-      for (const pod of pods) {
-        const podNamespace = pod.metadata.namespace;
-        const podName = pod.metadata.name;
-        
-        // Check for crashes and restarts
-        for (const containerStatus of pod.status.containerStatuses || []) {
-          if (containerStatus.restartCount > 0) {
-            const lastState = containerStatus.lastState;
-            if (lastState?.terminated?.reason === 'OOMKilled') {
-              results.issues.oomEvents.push({
-                pod: podName,
-                namespace: podNamespace,
-                container: containerStatus.name,
-                restartCount: containerStatus.restartCount,
-                reason: 'OOMKilled',
-                finishedAt: lastState.terminated.finishedAt
-              });
-              results.summary.criticalIssues++;
-            } else if (containerStatus.restartCount > 5) {
-              results.issues.crashingPods.push({
-                pod: podName,
-                namespace: podNamespace,
-                container: containerStatus.name,
-                restartCount: containerStatus.restartCount,
-                state: containerStatus.state
-              });
-              results.summary.criticalIssues++;
-            }
+        for (const event of scan.issues.oomEvents) {
+          add(podLogsUri(event.namespace, event.pod), { container: event.container, previous: 'true', cluster: clusterQuery },
+            `Logs of ${event.namespace}/${event.pod}`, `Container ${event.container} was OOMKilled${where}`, 'text/plain');
+        }
+        for (const crash of scan.issues.crashingPods) {
+          add(podLogsUri(crash.namespace, crash.pod), { container: crash.container, previous: 'true', cluster: clusterQuery },
+            `Logs of ${crash.namespace}/${crash.pod}`, `Container ${crash.container} restarted ${crash.restartCount} times${where}`, 'text/plain');
+        }
+        for (const workload of scan.issues.unhealthyDeployments) {
+          add(workloadUri(workload.namespace, workload.kind, workload.name), { cluster: clusterQuery },
+            `${workload.kind} ${workload.namespace}/${workload.name}`, `${workload.issue}${where}`, 'application/json');
+        }
+      }
+
+      return { resources };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES
+    }));
+
+    // 📖 Read a resource; the policy applies as for the equivalent tool
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const resource = parseResourceUri(uri);
+      const { query, params } = resource;
+      this.policy.checkTool(resource.tool, { namespace: params.namespace || query.namespace, cluster: query.cluster });
+
+      const json = (value) => ({ contents: [{ uri, mimeType: "application/json", text: JSON.stringify(value, null, 2) }] });
+
+      switch (resource.type) {
+        case "scan": {
+          const clusters = query.cluster ? [this.clusters.get(query.cluster)] : this.clusters.list();
+          const scans = {};
+          for (const cluster of clusters) {
+            scans[cluster.name] = cluster.state.lastScan || await collectClusterHealth(cluster, { timeRange: "1h" }, CONFIG.SCAN);
+          }
+          return json({ clusters: scans });
+        }
+        case "history":
+          return json(await this.queryHistory({
+            cluster: query.cluster || "all",
+            namespace: query.namespace,
+            workload: query.workload,
+            limit: Number(query.limit) || 50
+          }));
+        case "pod-logs": {
+          const cluster = this.clusters.resolve(query);
+          const response = await cluster.core.readNamespacedPodLog(
+            params.pod, params.namespace, query.container, false, undefined, undefined, undefined,
+            query.previous === "true", undefined, Number(query.tail) || 200
+          );
+          return { contents: [{ uri, mimeType: "text/plain", text: response.body || "" }] };
+        }
+        case "workload": {
+          const workloadKind = WORKLOAD_KINDS[params.kind.toLowerCase()];
+          if (!workloadKind) {
+            throw new Error(`Unsupported workload kind "${params.kind}". Supported: ${Object.keys(WORKLOAD_KINDS).join(', ')}`);
           }
+          const cluster = this.clusters.resolve(query);
+          const object = (await workloadKind.read(cluster.apps, params.name, params.namespace)).body;
+          const history = await this.queryHistory({
+            cluster: cluster.name,
+            namespace: params.namespace,
+            workload: params.name,
+            limit: 20
+          });
+          return json({
+            cluster: cluster.name,
+            kind: workloadKind.kind,
+            namespace: params.namespace,
+            name: params.name,
+            replicas: object.spec.replicas,
+            status: object.status || {},
+            containers: (object.spec.template.spec.containers || []).map(container => ({
+              name: container.name,
+              image: container.image,
+              resources: container.resources || {}
+            })),
+            findings: analyzeWorkloadHealth({ [workloadKind.group]: [object] }),
+            history: history.records
+          });
         }
+      }
+    });
 
-        // Check resource usage vs limits
-        const containers = pod.spec.containers || [];
-        for (const container of containers) {
-          if (container.resources?.limits) {
-            const memoryLimit = container.resources.limits.memory;
-            const cpuLimit = container.resources.limits.cpu;
-            
-            if (memoryLimit && this.parseMemory(memoryLimit) < 128 * 1024 * 1024) { // Less than 128Mi
-              results.issues.resourceIssues.push({
-                pod: podName,
-                namespace: podNamespace,
-                container: container.name,
-                issue: 'Low memory limit',
-                current: memoryLimit,
-                recommended: '256Mi'
-              });
-              results.summary.warnings++;
-            }
+    // 🔔 Subscriptions: updates are sent when the monitoring loop detects a new issue
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      parseResourceUri(request.params.uri);
+      this.resourceSubscriptions.get(server)?.add(request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.resourceSubscriptions.get(server)?.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  setupPromptHandlers(server) {
+    // 💬 Incident workflows with the evidence pre-filled
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: PROMPTS
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return await this.getPrompt(name, args || {});
+    });
+  }
+
+  // 📝 Gather the evidence a prompt needs and render its messages; the policy applies as for the equivalent tools
+  async getPrompt(name, args = {}) {
+    const prompt = getPromptDefinition(name, args);
+    const { namespace } = args;
+    PROMPT_TOOLS[name].forEach(tool => this.policy.checkTool(tool, { namespace, cluster: args.cluster }));
+    const cluster = this.clusters.resolve(args);
+    const scan = cluster.state.lastScan || await collectClusterHealth(cluster, { namespace, timeRange: "1h" }, CONFIG.SCAN);
+    const inNamespace = (issue) => issue.namespace === namespace;
+    let renderArgs = args;
+    let evidence = { cluster: cluster.name };
+
+    switch (name) {
+      case "triage-crashloop":
+      case "investigate-oom": {
+        const issueType = name === "investigate-oom" ? "oom" : "crash";
+        const podEvidence = await this.collectPodEvidence(cluster, scan, args, issueType);
+        renderArgs = { ...args, container: podEvidence.container };
+        evidence = { ...evidence, ...podEvidence };
+        if (issueType === "oom") {
+          evidence.usageWindow = CONFIG.USAGE_WINDOW;
+          try {
+            const usage = await getContainerUsage(cluster.prometheus, { namespace, window: CONFIG.USAGE_WINDOW });
+            evidence.usage = usage.get(containerUsageKey(namespace, args.pod, podEvidence.container)) || null;
+          } catch (error) {
+            evidence.usage = null;
+            evidence.usageError = `${cluster.prometheusUrl || CONFIG.PROMETHEUS_URL}: ${error.message}`;
+          }
+        }
+        break;
+      }
+      case "right-size-namespace": {
+        const window = args.window || CONFIG.USAGE_WINDOW;
+        renderArgs = { ...args, window };
+        evidence.scanFindings = [
+          ...scan.issues.oomEvents.filter(inNamespace),
+          ...scan.issues.resourceIssues.filter(inNamespace)
+        ];
+        // The recommendations without the raw JSON that follows them in the tool output
+        evidence.resourceAnalysis = (await this.analyzeResourceUsage({ namespace, window, cluster: cluster.name }))
+          .content[0].text.split("**Detailed Analysis:**")[0].trim();
+        break;
+      }
+      case "prepare-postmortem": {
+        const { workload, timeRange = "24h" } = args;
+        const since = Date.now() - parseDuration(timeRange);
+        const ownedBy = (objectName) => objectName === workload || objectName?.startsWith(`${workload}-`);
+        renderArgs = { ...args, timeRange };
+        evidence.scanFindings = [
+          ...scan.issues.oomEvents,
+          ...scan.issues.crashingPods,
+          ...scan.issues.unhealthyDeployments.map(finding => ({ ...finding, workload: finding.name })),
+          ...scan.issues.pendingPods,
+          ...scan.issues.storageIssues,
+          ...scan.issues.jobIssues.map(finding => ({ ...finding, workload: finding.cronJob || finding.name })),
+          ...scan.issues.probeIssues
+        ].filter(issue => inNamespace(issue) && issue.workload === workload);
+        evidence.events = (await listEvents(cluster, namespace))
+          .filter(event => ownedBy(event.involvedObject?.name) && eventTimestamp(event) >= since);
+        // Oldest first so the history reads as a timeline
+        evidence.history = (await this.queryHistory({ cluster: cluster.name, namespace, workload, timeRange, limit: 100 })).records.reverse();
+        break;
+      }
+    }
+
+    return {
+      description: prompt.description,
+      messages: renderPrompt(name, renderArgs, evidence)
+    };
+  }
+
+  /**
+   * 🩺 Pod, container, events, logs and history for a pod prompt. Without a
+   * container argument, the container the latest scan flagged is used.
+   */
+  async collectPodEvidence(cluster, scan, { namespace, pod, container }, issueType) {
+    const podObject = (await cluster.core.readNamespacedPod(pod, namespace)).body;
+    const { oomEvents, crashingPods } = scan.issues;
+    const flagged = (issueType === "oom" ? [...oomEvents, ...crashingPods] : [...crashingPods, ...oomEvents]).filter(issue => issue.namespace === namespace && issue.pod === pod);
+    const containerName = container || flagged[0]?.container || podObject.spec.containers[0]?.name;
+    const status = (podObject.status?.containerStatuses || []).find(candidate => candidate.name === containerName);
+
+    const evidence = {
+      pod: podObject,
+      container: containerName,
+      scanFindings: flagged.filter(issue => issue.container === containerName),
+      events: (await listEvents(cluster, namespace)).filter(event => event.involvedObject?.name === pod),
+      history: (await this.queryHistory({ cluster: cluster.name, namespace, workload: getWorkloadName(podObject), limit: 20 })).records
+    };
+
+    // Logs of the instance that crashed, once there was one
+    const previous = (status?.restartCount || 0) > 0;
+    evidence.logsUri = `${podLogsUri(namespace, pod)}?${new URLSearchParams({ container: containerName, previous: String(previous) })}`;
+    try {
+      const response = await cluster.core.readNamespacedPodLog(
+        pod, namespace, containerName, false, undefined, undefined, undefined, previous, undefined, 100
+      );
+      evidence.logs = response.body || "";
+    } catch (error) {
+      evidence.logsError = error.body?.message || error.message;
+    }
+    return evidence;
+  }
+
+  // 🔔 Tell each connected client which resources changed with newly detected issues on a cluster
+  async notifyIssueSubscribers(cluster, newIssues) {
+    for (const [server, subscriptions] of this.resourceSubscriptions) {
+      // Nothing to notify before a client connected
+      if (!server.transport) continue;
+
+      try {
+        for (const uri of subscriptions) {
+          if (newIssues.some(issue => subscriptionMatchesIssue(uri, cluster.name, issue))) {
+            await server.sendResourceUpdated({ uri });
           }
         }
+        // New issues add pod log and workload entries to resources/list
+        await server.sendResourceListChanged();
+      } catch (error) {
+        console.error(`❌ Resource notification failed for ${cluster.name}:`, error.message);
       }
+    }
+  }
+
+  // 🔍 Scan one cluster, or every configured cluster with `cluster: "all"`
+  async scanClusterHealth(args = {}) {
+    const { namespace, timeRange = "1h" } = args;
+    
+    try {
+      const clusters = args.cluster === "all" ? this.clusters.list() : [this.clusters.resolve(args)];
+      const settled = await Promise.allSettled(clusters.map(cluster => collectClusterHealth(cluster, { namespace, timeRange }, CONFIG.SCAN)));
+      if (clusters.length === 1 && settled[0].status === "rejected") throw settled[0].reason;
 
-      results.summary.totalIssues = results.summary.criticalIssues + results.summary.warnings;
-      monitoringState.lastScan = results;
+      const scans = settled.filter(result => result.status === "fulfilled").map(result => result.value);
+      const failed = settled
+        .map((result, index) => ({ cluster: clusters[index].name, error: result.reason?.message }))
+        .filter((_, index) => settled[index].status === "rejected");
+      const total = (pick) => scans.reduce((sum, scan) => sum + pick(scan), 0);
+      const multiCluster = clusters.length > 1;
+      // One scan as-is; several merged into one result with every issue tagged by cluster
+      const structured = multiCluster
+        ? {
+          cluster: "all",
+          timestamp: new Date().toISOString(),
+          namespace: namespace || "all",
+          timeRange,
+          summary: {
+            totalIssues: total(scan => scan.summary.totalIssues),
+            criticalIssues: total(scan => scan.summary.criticalIssues),
+            warnings: total(scan => scan.summary.warnings)
+          },
+          issues: Object.fromEntries(["crashingPods", "oomEvents", "resourceIssues", "unhealthyDeployments", "pendingPods", "nodeIssues", "storageIssues", "jobIssues", "probeIssues"].map(type =>
+            [type, scans.flatMap(scan => scan.issues[type].map(issue => ({ ...issue, cluster: scan.cluster })))])),
+          clusters: [
+            ...scans.map(scan => ({ cluster: scan.cluster, summary: scan.summary, source: scan.source, metricsSource: scan.metricsSource, volumeStatsSource: scan.volumeStatsSource })),
+            ...failed
+          ]
+        }
+        : scans[0];
 
       return {
         content: [
           {
             type: "text",
             text: `🔍 **Cluster Health Scan Complete**\n\n` +
-                  `**Summary:**\n` +
-                  `• Total Issues: ${results.summary.totalIssues}\n` +
-                  `• Critical Issues: ${results.summary.criticalIssues}\n` +
-                  `• Warnings: ${results.summary.warnings}\n\n` +
-                  `**Issues Found:**\n` +
-                  `• Crashing Pods: ${results.issues.crashingPods.length}\n` +
-                  `• OOM Events: ${results.issues.oomEvents.length}\n` +
-                  `• Resource Issues: ${results.issues.resourceIssues.length}\n` +
-                  `• Unhealthy Deployments: ${results.issues.unhealthyDeployments.length}\n\n` +
-                  `**Details:**\n${JSON.stringify(results.issues, null, 2)}`
+                  (multiCluster
+                    ? `**Clusters:** ${scans.length} scanned${failed.length > 0 ? `, ${failed.length} failed` : ''}\n`
+                    : `**Cluster:** ${scans[0].cluster}\n`) +
+                  `\n**Summary:**\n` +
+                  `• Total Issues: ${total(scan => scan.summary.totalIssues)}\n` +
+                  `• Critical Issues: ${total(scan => scan.summary.criticalIssues)}\n` +
+                  `• Warnings: ${total(scan => scan.summary.warnings)}\n` +
+                  (multiCluster
+                    ? scans.map(scan =>
+                      `• ${scan.cluster}: ${scan.summary.totalIssues} issues (${scan.summary.criticalIssues} critical), ` +
+                      `source ${scan.source} (usage: ${scan.metricsSource}, volume stats: ${scan.volumeStatsSource})\n`).join('') +
+                      failed.map(failure => `• ${failure.cluster}: ❌ scan failed (${failure.error})\n`).join('')
+                    : `• Data Source: ${scans[0].source} (usage: ${scans[0].metricsSource}, volume stats: ${scans[0].volumeStatsSource})\n`) +
+                  `\n**Issues Found:**\n` +
+                  `• Crashing Pods: ${total(scan => scan.issues.crashingPods.length)}\n` +
+                  `• OOM Events: ${total(scan => scan.issues.oomEvents.length)}\n` +
+                  `• Resource Issues: ${total(scan => scan.issues.resourceIssues.length)}\n` +
+                  `• Unhealthy Deployments: ${total(scan => scan.issues.unhealthyDeployments.length)}\n` +
+                  `• Pending Pods: ${total(scan => scan.issues.pendingPods.length)}\n` +
+                  `• Node Issues: ${total(scan => scan.issues.nodeIssues.length)}\n` +
+                  `• Storage Issues: ${total(scan => scan.issues.storageIssues.length)}\n` +
+                  `• Job Issues: ${total(scan => scan.issues.jobIssues.length)}\n` +
+                  `• Probe Issues: ${total(scan => scan.issues.probeIssues.length)}\n\n` +
+                  `**Details:**\n${JSON.stringify(multiCluster
+                    ? Object.fromEntries(scans.map(scan => [scan.cluster, scan.issues]))
+                    : scans[0].issues, null, 2)}`
           }
-        ]
+        ],
+        structuredContent: structured
       };
     } catch (error) {
       throw new Error(`Failed to scan cluster health: ${error.message}`);
     }
   }
 
+  // 🌐 Configured clusters with their context, API server and monitoring status
+  async listClusters() {
+    const clusters = this.clusters.list();
+    const watchStatus = (cluster) => cluster.watcher ? (cluster.watcher.isSynced('pods') ? 'synced' : 'syncing') : 'disabled';
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🌐 **Clusters (${clusters.length})**\n\n` +
+                (clusters.length === 0
+                  ? `No cluster configured: no kubeconfig could be loaded.\n`
+                  : clusters.map(cluster =>
+                    `• **${cluster.name}**${cluster === this.clusters.default ? ' (default)' : ''}\n` +
+                    `  - Context: ${cluster.context}\n` +
+                    `  - API Server: ${cluster.server || 'unknown'}\n` +
+                    `  - Prometheus: ${cluster.prometheusUrl || CONFIG.PROMETHEUS_URL}\n` +
+                    `  - Charts Path: ${cluster.chartsPath || CONFIG.GITHUB_CHARTS_PATH}\n` +
+                    `  - Watch: ${watchStatus(cluster)}\n` +
+                    `  - Last Scan: ${cluster.state.lastScan
+                      ? `${cluster.state.lastScan.timestamp} (${cluster.state.lastScan.summary.totalIssues} issues)`
+                      : 'not yet'}\n`
+                  ).join('\n')) +
+                `\nPass \`cluster\` (or \`context\`) to any cluster tool to target a cluster; ` +
+                `\`scan-cluster-health\` and \`get-healing-history\` also accept \`cluster: "all"\`.`
+        }
+      ],
+      structuredContent: {
+        default: this.clusters.default?.name || null,
+        clusters: clusters.map(cluster => ({
+          name: cluster.name,
+          context: cluster.context,
+          default: cluster === this.clusters.default,
+          server: cluster.server || null,
+          prometheusUrl: cluster.prometheusUrl || CONFIG.PROMETHEUS_URL,
+          chartsPath: cluster.chartsPath || CONFIG.GITHUB_CHARTS_PATH,
+          watch: watchStatus(cluster),
+          lastScan: cluster.state.lastScan
+            ? { timestamp: cluster.state.lastScan.timestamp, totalIssues: cluster.state.lastScan.summary.totalIssues }
+            : null
+        }))
+      }
+    };
+  }
+
   // 📊 Get pod crash information
   async getPodCrashes(args = {}) {
     const { namespace, podName } = args;
     
     try {
+      const cluster = this.clusters.resolve(args);
       const crashes = [];
-      const podsResponse = namespace 
-        ? await k8sApi.listNamespacedPod(namespace)
-        : await k8sApi.listPodForAllNamespaces();
-      
-      const pods = podsResponse.body.items;
+      const pods = await listPods(cluster, namespace);
       
       for (const pod of pods) {
         if (podName && pod.metadata.name !== podName) continue;
@@ -738,7 +1323,10 @@ class KubernetesAutoHealServer {
               restartCount: containerStatus.restartCount,
               lastState: containerStatus.lastState,
               currentState: containerStatus.state,
-              ready: containerStatus.ready
+              ready: containerStatus.ready,
+              observedTerminations: cluster.state.podCrashes.get(
+                `${pod.metadata.namespace}/${pod.metadata.name}/${containerStatus.name}`
+              )?.count || 0
             });
           }
         }
@@ -749,64 +1337,145 @@ class KubernetesAutoHealServer {
           {
             type: "text",
             text: `📊 **Pod Crash Analysis**\n\n` +
+                  `**Cluster:** ${cluster.name}\n\n` +
                   `Found ${crashes.length} containers with restarts:\n\n` +
                   crashes.map(crash => 
                     `• **${crash.pod}/${crash.container}** (${crash.namespace})\n` +
                     `  - Restarts: ${crash.restartCount}\n` +
                     `  - Ready: ${crash.ready}\n` +
+                    `  - Terminations Seen Live: ${crash.observedTerminations}\n` +
                     `  - Last State: ${JSON.stringify(crash.lastState, null, 2)}\n`
-                  ).join('\n')
+                  ).join('\n') +
+                  (crashes.length > 0 ? `\nRun \`diagnose-crash\` on a container for its likely cause.` : '')
           }
-        ]
+        ],
+        structuredContent: { cluster: cluster.name, total: crashes.length, crashes }
       };
     } catch (error) {
       throw new Error(`Failed to get pod crashes: ${error.message}`);
     }
   }
 
+  // 🩻 Rank the likely causes of a container's crashes from its status, previous logs and events
+  async diagnoseCrash(args = {}) {
+    const { namespace, pod, tailLines = 200 } = args;
+
+    try {
+      const cluster = this.clusters.resolve(args);
+      const podObject = (await cluster.core.readNamespacedPod(pod, namespace)).body;
+      const statuses = podObject.status?.containerStatuses || [];
+      const failing = (status) => (status.state?.waiting?.reason && status.state.waiting.reason !== 'ContainerCreating') || status.state?.terminated;
+      const status = args.container
+        ? statuses.find(candidate => candidate.name === args.container)
+        : [...statuses].sort((a, b) => (b.restartCount - a.restartCount) || (failing(b) ? 1 : 0) - (failing(a) ? 1 : 0))[0];
+      if (!status) {
+        throw new Error(args.container
+          ? `Container ${args.container} not found in pod ${namespace}/${pod}`
+          : `Pod ${namespace}/${pod} has no container statuses yet`);
+      }
+      const container = status.name;
+
+      // The instance that crashed when there was one, otherwise the running one
+      const previous = status.restartCount > 0;
+      let logs = '';
+      let logsError = null;
+      try {
+        const response = await cluster.core.readNamespacedPodLog(
+          pod, namespace, container, false, undefined, undefined, undefined, previous, undefined, tailLines
+        );
+        logs = response.body || '';
+      } catch (error) {
+        logsError = error.body?.message || error.message;
+      }
+
+      const events = containerEvents(await listEvents(cluster, namespace), pod, container);
+      const { causes, keyLogLines } = diagnoseContainer({ status, logs, events });
+
+      const diagnosis = {
+        cluster: cluster.name,
+        namespace,
+        pod,
+        workload: getWorkloadName(podObject),
+        container,
+        restartCount: status.restartCount,
+        ready: status.ready,
+        lastTermination: describeTermination(status.lastState?.terminated || status.state?.terminated),
+        waiting: status.state?.waiting ? { reason: status.state.waiting.reason, message: status.state.waiting.message || null } : null,
+        logsSource: logsError ? 'unavailable' : previous ? 'previous' : 'current',
+        logsError,
+        causes,
+        keyLogLines,
+        events: events.slice(0, 10).map(event => ({
+          type: event.type || 'Normal',
+          reason: event.reason,
+          message: event.message || '',
+          count: event.count || 1,
+          lastSeen: eventTimestamp(event) ? new Date(eventTimestamp(event)).toISOString() : null
+        }))
+      };
+
+      const termination = diagnosis.lastTermination;
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🩻 **Crash Diagnosis: ${namespace}/${pod}/${container}**\n\n` +
+                  `**Cluster:** ${cluster.name}\n` +
+                  `**Restarts:** ${status.restartCount}, ready: ${status.ready}\n` +
+                  (termination
+                    ? `**Last Termination:** ${termination.reason || 'unknown'} (exit code ${termination.exitCode}${termination.signal ? `, ${termination.signal}` : ''})` +
+                      `${termination.finishedAt ? ` at ${termination.finishedAt}` : ''}\n`
+                    : '') +
+                  (diagnosis.waiting ? `**Waiting:** ${diagnosis.waiting.reason}${diagnosis.waiting.message ? ` - ${diagnosis.waiting.message}` : ''}\n` : '') +
+                  `**Logs:** ${logsError ? `unavailable (${logsError})` : `${previous ? 'previous' : 'current'} instance, last ${tailLines} lines`}\n\n` +
+                  `**Likely Causes:**\n` +
+                  (causes.length > 0
+                    ? causes.map((cause, index) =>
+                        `${index + 1}. **${cause.title}** (${cause.confidence} confidence)\n` +
+                        cause.evidence.map(item => `   - [${item.source}] ${item.detail}`).join('\n') + '\n' +
+                        `   - 💡 ${cause.remediation}`
+                      ).join('\n')
+                    : '_No failure signals found; the container has not crashed._') +
+                  (keyLogLines.length > 0
+                    ? `\n\n**Key Log Lines:**\n\`\`\`\n${keyLogLines.map(line => `${line.line}: ${line.text}`).join('\n')}\n\`\`\``
+                    : '')
+          }
+        ],
+        structuredContent: diagnosis
+      };
+    } catch (error) {
+      throw new Error(`Failed to diagnose crash: ${error.body?.message || error.message}`);
+    }
+  }
+
   // 💥 Get OOM events
   async getOOMEvents(args = {}) {
     const { namespace, timeRange = "24h" } = args;
     
     try {
-      const oomEvents = [];
-      const podsResponse = namespace 
-        ? await k8sApi.listNamespacedPod(namespace)
-        : await k8sApi.listPodForAllNamespaces();
-      
-      const pods = podsResponse.body.items;
-      
-      for (const pod of pods) {
-        for (const containerStatus of pod.status.containerStatuses || []) {
-          const lastState = containerStatus.lastState;
-          if (lastState?.terminated?.reason === 'OOMKilled') {
-            oomEvents.push({
-              pod: pod.metadata.name,
-              namespace: pod.metadata.namespace,
-              container: containerStatus.name,
-              finishedAt: lastState.terminated.finishedAt,
-              exitCode: lastState.terminated.exitCode,
-              message: lastState.terminated.message,
-              currentMemoryLimit: this.getContainerMemoryLimit(pod, containerStatus.name)
-            });
-          }
-        }
-      }
+      const cluster = this.clusters.resolve(args);
+      const { oomEvents, ...result } = await collectOOMEvents(cluster, { namespace, timeRange }, CONFIG.SCAN);
 
       return {
         content: [
           {
             type: "text",
-            text: `💥 **OOM Events Analysis**\n\n` +
-                  `Found ${oomEvents.length} OOMKilled events:\n\n` +
+            text: `💥 **OOM Events Analysis** (last ${timeRange})\n\n` +
+                  `**Cluster:** ${cluster.name}\n\n` +
+                  `Found ${oomEvents.length} containers OOMKilled ` +
+                  `(${oomEvents.filter(event => event.recurring).length} recurring):\n\n` +
                   oomEvents.map(event => 
                     `• **${event.pod}/${event.container}** (${event.namespace})\n` +
-                    `  - Killed At: ${event.finishedAt}\n` +
+                    `  - OOM Kills: ${event.count} (${event.recurring ? 'recurring' : 'one-off'})\n` +
+                    `  - First Seen: ${event.firstSeen}\n` +
+                    `  - Last Seen: ${event.lastSeen}\n` +
+                    `  - Frequency: ${event.perHour}/hour\n` +
                     `  - Current Memory Limit: ${event.currentMemoryLimit || 'Not set'}\n` +
-                    `  - Recommended: ${this.calculateRecommendedMemory(event.currentMemoryLimit)}\n`
+                    `  - Recommended: ${event.recommendedMemoryLimit}\n`
                   ).join('\n')
           }
-        ]
+        ],
+        structuredContent: { ...result, oomEvents }
       };
     } catch (error) {
       throw new Error(`Failed to get OOM events: ${error.message}`);
@@ -815,22 +1484,34 @@ class KubernetesAutoHealServer {
 
   // 📈 Analyze resource usage
   async analyzeResourceUsage(args = {}) {
-    const { namespace, resourceType = "both" } = args;
+    const { namespace, resourceType = "both", window = CONFIG.USAGE_WINDOW } = args;
     
     try {
+      parseDuration(window); // Reject malformed windows before they reach PromQL
+      const cluster = this.clusters.resolve(args);
       const analysis = {
+        cluster: cluster.name,
         timestamp: new Date().toISOString(),
         namespace: namespace || "all",
         resourceType,
+        window,
+        usageSource: "prometheus",
         pods: [],
         recommendations: []
       };
 
-      const podsResponse = namespace 
-        ? await k8sApi.listNamespacedPod(namespace)
-        : await k8sApi.listPodForAllNamespaces();
-      
-      const pods = podsResponse.body.items;
+      const pods = await listPods(cluster, namespace);
+
+      // 📈 Usage percentiles; fall back to static checks when Prometheus is unreachable
+      let usage = new Map();
+      try {
+        usage = await getContainerUsage(cluster.prometheus, { namespace, window });
+      } catch (error) {
+        analysis.usageSource = "unavailable";
+        analysis.usageError = `${cluster.prometheusUrl || CONFIG.PROMETHEUS_URL}: ${error.message}`;
+      }
+
+      const wantedTypes = resourceType === "both" ? ["memory", "cpu"] : [resourceType];
 
       for (const pod of pods) {
         const podAnalysis = {
@@ -840,44 +1521,37 @@ class KubernetesAutoHealServer {
         };
 
         for (const container of pod.spec.containers || []) {
+          const containerUsage = usage.get(containerUsageKey(pod.metadata.namespace, pod.metadata.name, container.name));
           const containerAnalysis = {
             name: container.name,
             resources: {
               requests: container.resources?.requests || {},
               limits: container.resources?.limits || {}
             },
+            usage: containerUsage || null,
             recommendations: []
           };
 
-          // Analyze memory
-          if (resourceType === "memory" || resourceType === "both") {
-            const memoryLimit = container.resources?.limits?.memory;
-            if (memoryLimit) {
-              const memoryBytes = this.parseMemory(memoryLimit);
-              if (memoryBytes < 128 * 1024 * 1024) { // Less than 128Mi
-                containerAnalysis.recommendations.push({
-                  type: "memory",
-                  current: memoryLimit,
-                  recommended: "256Mi",
-                  reason: "Very low memory limit may cause OOM"
-                });
-              }
-            } else {
+          if (containerUsage) {
+            containerAnalysis.recommendations = recommendRightSizing(container, containerUsage)
+              .filter(recommendation => wantedTypes.includes(recommendation.type));
+          } else {
+            // No usage data (new pod or no Prometheus) - only flag missing limits
+            if (wantedTypes.includes("memory") && !container.resources?.limits?.memory) {
               containerAnalysis.recommendations.push({
                 type: "memory",
+                field: "limits",
+                direction: "increase",
                 current: "Not set",
                 recommended: "256Mi",
                 reason: "No memory limit set"
               });
             }
-          }
-
-          // Analyze CPU
-          if (resourceType === "cpu" || resourceType === "both") {
-            const cpuLimit = container.resources?.limits?.cpu;
-            if (!cpuLimit) {
+            if (wantedTypes.includes("cpu") && !container.resources?.limits?.cpu) {
               containerAnalysis.recommendations.push({
                 type: "cpu",
+                field: "limits",
+                direction: "increase",
                 current: "Not set",
                 recommended: "500m",
                 reason: "No CPU limit set"
@@ -885,27 +1559,45 @@ class KubernetesAutoHealServer {
             }
           }
 
+          containerAnalysis.recommendations.forEach(recommendation => analysis.recommendations.push({
+            pod: pod.metadata.name,
+            namespace: pod.metadata.namespace,
+            container: container.name,
+            ...recommendation
+          }));
           podAnalysis.containers.push(containerAnalysis);
         }
 
         analysis.pods.push(podAnalysis);
       }
 
-      // Generate cluster-wide recommendations
-      const totalRecommendations = analysis.pods.reduce((acc, pod) => 
-        acc + pod.containers.reduce((acc2, container) => acc2 + container.recommendations.length, 0), 0);
+      const underProvisioned = analysis.recommendations.filter(recommendation => recommendation.direction === "increase");
+      const overProvisioned = analysis.recommendations.filter(recommendation => recommendation.direction === "decrease");
+      const formatRecommendation = recommendation =>
+        `• **${recommendation.pod}/${recommendation.container}** (${recommendation.namespace}) ` +
+        `${recommendation.type} ${recommendation.field}: ${recommendation.current} → ${recommendation.recommended}\n` +
+        `  - ${recommendation.reason}`;
 
       return {
         content: [
           {
             type: "text",
-            text: `📈 **Resource Usage Analysis**\n\n` +
+            text: `📈 **Resource Usage Analysis** (window: ${window})\n\n` +
+                  `**Cluster:** ${cluster.name}\n\n` +
                   `**Summary:**\n` +
                   `• Analyzed Pods: ${analysis.pods.length}\n` +
-                  `• Total Recommendations: ${totalRecommendations}\n\n` +
-                  `**Detailed Analysis:**\n${JSON.stringify(analysis, null, 2)}`
+                  `• Containers with usage data: ${analysis.pods.reduce((acc, pod) => acc + pod.containers.filter(container => container.usage).length, 0)}\n` +
+                  `• Under-provisioned: ${underProvisioned.length}\n` +
+                  `• Over-provisioned: ${overProvisioned.length}\n` +
+                  (analysis.usageSource === "unavailable"
+                    ? `\n⚠️ Prometheus unavailable (${analysis.usageError}); only static limit checks were applied.\n`
+                    : '') +
+                  (underProvisioned.length > 0 ? `\n**⬆️ Increase:**\n${underProvisioned.map(formatRecommendation).join('\n')}\n` : '') +
+                  (overProvisioned.length > 0 ? `\n**⬇️ Decrease:**\n${overProvisioned.map(formatRecommendation).join('\n')}\n` : '') +
+                  `\n**Detailed Analysis:**\n${JSON.stringify(analysis, null, 2)}`
           }
-        ]
+        ],
+        structuredContent: analysis
       };
     } catch (error) {
       throw new Error(`Failed to analyze resource usage: ${error.message}`);
@@ -914,68 +1606,236 @@ class KubernetesAutoHealServer {
 
   // 🔧 Create GitOps fix PR
   async createGitOpsFix(args) {
-    const { issues, prTitle = "🔧 Auto-fix: Update resource limits", dryRun = false } = args;
+    const { issues, prTitle = "🔧 Auto-fix: Update resource limits", dryRun = false, force = false, approvalIds } = args;
     
     if (!octokit) {
       throw new Error("GitHub token not configured. Set GITHUB_TOKEN environment variable.");
     }
+    const cluster = this.clusters.resolve(args);
 
     try {
       const fixes = [];
-      const branchName = `auto-fix-${Date.now()}`;
+      const unresolved = [];
+      const denied = [];
+      const branchName = `${CONFIG.AUTO_FIX_BRANCH_PREFIX}${Date.now()}`;
       
-      // Analyze issues and create fixes
+      // Analyze issues and resolve each to its chart values path
       for (const issue of issues) {
-        const fix = {
-          type: issue.type,
-          pod: issue.pod,
-          namespace: issue.namespace,
-          resourceType: issue.resourceType,
-          from: issue.currentLimit,
-          to: issue.recommendedLimit,
-          yamlPath: this.getYamlPathForPod(issue.pod, issue.resourceType)
-        };
-        fixes.push(fix);
+        const prepared = await this.prepareFix(issue, cluster);
+        if (prepared.unresolved) {
+          unresolved.push(prepared.unresolved);
+        } else if (prepared.denied) {
+          denied.push(prepared.denied);
+        } else {
+          fixes.push(prepared.fix);
+        }
       }
 
-      if (dryRun) {
+      const unresolvedText = (unresolved.length > 0
+        ? `\n**⚠️ Skipped (values path not resolved confidently):**\n` +
+          unresolved.map(item => `• **${item.claim ? `pvc/${item.claim}` : item.pod || item.workload}** (${item.namespace}): ${item.reason}`).join('\n') + '\n'
+        : '') +
+        (denied.length > 0
+          ? `\n**🚫 Denied by policy:**\n` +
+            denied.map(fix => `• **${this.describeFixTarget(fix)}** (${fix.namespace}): ${fix.reason}`).join('\n') + '\n'
+          : '');
+      // Structured result; every outcome below fills in what it got to
+      const outcome = (status, details = {}) => ({
+        status,
+        cluster: cluster.name,
+        pr: null,
+        fixes: [],
+        updatedPRs: [],
+        deferred: [],
+        unresolved,
+        denied,
+        ...details
+      });
+
+      if (fixes.length === 0) {
+        await this.recordHistory({
+          kind: "decision",
+          action: "gitops-fix-pr",
+          outcome: "skipped",
+          cluster: cluster.name,
+          reason: denied.length > 0
+            ? "No issue could be mapped to a Helm values path within policy"
+            : "No issue could be mapped to a Helm values path",
+          fixes: unresolved
+        });
         return {
           content: [
             {
               type: "text",
-              text: `🔧 **GitOps Fix PR (DRY RUN)**\n\n` +
-                    `**Branch:** ${branchName}\n` +
-                    `**PR Title:** ${prTitle}\n\n` +
-                    `**Fixes to Apply:**\n` +
-                    fixes.map(fix => 
-                      `• **${fix.pod}** (${fix.namespace})\n` +
-                      `  - Type: ${fix.type}\n` +
-                      `  - Resource: ${fix.resourceType}\n` +
-                      `  - Change: ${fix.from} → ${fix.to}\n` +
-                      `  - YAML Path: ${fix.yamlPath}\n`
-                    ).join('\n') +
-                    `\n**No PR created (dry run mode)**`
+              text: `🔧 **GitOps Fix PR Not Created**\n\n` +
+                    `None of the ${issues.length} issues could be mapped to a Helm values path within policy, so no PR was opened.\n` +
+                    unresolvedText
             }
-          ]
+          ],
+          structuredContent: outcome("not-created")
         };
       }
 
-      // Get current values file
-      const { data: currentFile } = await octokit.rest.repos.getContent({
-        owner: CONFIG.GITHUB_OWNER,
-        repo: CONFIG.GITHUB_REPO,
-        path: CONFIG.GITHUB_BASE_PATH,
-        ref: CONFIG.GITHUB_BRANCH
-      });
-
-      // Parse current YAML
-      const currentContent = Buffer.from(currentFile.content, 'base64').toString();
-      const currentValues = yaml.load(currentContent);
+      // 🧬 Deduplicate: one fix per fingerprint, routed to an open auto-fix PR when one exists
+      const uniqueFixes = [...new Map(fixes.map(fix => [fix.fingerprint, fix])).values()];
+      const openPRs = await this.findOpenAutoFixPRs();
+      const prUpdates = new Map();
+      const newFixes = [];
+      for (const fix of uniqueFixes) {
+        const existing = openPRs.find(pr => pr.fingerprints.includes(fix.fingerprint));
+        if (existing) {
+          if (!prUpdates.has(existing.number)) prUpdates.set(existing.number, { pr: existing, fixes: [] });
+          prUpdates.get(existing.number).fixes.push(fix);
+        } else {
+          newFixes.push(fix);
+        }
+      }
+
+      // ⏳ Cooldown per workload and daily PR budget for new PRs
+      const suppressed = [];
+      let prFixes = newFixes;
+      if (!force && newFixes.length > 0) {
+        const store = await cluster.history;
+        prFixes = [];
+        for (const fix of newFixes) {
+          const recent = store.query({
+            action: "gitops-fix-pr",
+            outcome: "pr-opened",
+            namespace: fix.namespace,
+            workload: fix.workload,
+            since: Date.now() - CONFIG.AUTO_FIX_COOLDOWN_MINUTES * 60 * 1000,
+            limit: 1
+          });
+          // A fix that made the workload worse is not retried automatically
+          const regressed = store.query({
+            action: "gitops-fix-pr",
+            outcome: "regressed",
+            namespace: fix.namespace,
+            workload: fix.workload,
+            since: Date.now() - 24 * 60 * 60 * 1000,
+            limit: 1
+          });
+          if (recent.total > 0) {
+            suppressed.push({ ...fix, reason: `cooldown: PR #${recent.records[0].prNumber} opened for ${fix.workload} at ${recent.records[0].timestamp}` });
+          } else if (regressed.total > 0) {
+            suppressed.push({ ...fix, reason: `fix PR #${regressed.records[0].prNumber} for ${fix.workload} regressed at ${regressed.records[0].timestamp}; retry with force after review` });
+          } else {
+            prFixes.push(fix);
+          }
+        }
+
+        // PRs land in one repository, so the budget counts every cluster's PRs
+        const openedToday = await this.countHistory({
+          action: "gitops-fix-pr",
+          outcome: "pr-opened",
+          since: Date.now() - 24 * 60 * 60 * 1000
+        });
+        if (prFixes.length > 0 && openedToday >= CONFIG.AUTO_FIX_DAILY_PR_BUDGET) {
+          prFixes.forEach(fix => suppressed.push({ ...fix, reason: `daily PR budget of ${CONFIG.AUTO_FIX_DAILY_PR_BUDGET} reached` }));
+          prFixes = [];
+        }
+      }
+
+      const suppressedText = suppressed.length > 0
+        ? `\n**⏳ Deferred:**\n` +
+          suppressed.map(fix => `• **${this.describeFixTarget(fix)}** (${fix.namespace}): ${fix.reason}`).join('\n') + '\n'
+        : '';
+
+      if (dryRun) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `🔧 **GitOps Fix PR (DRY RUN)**\n\n` +
+                    `**Cluster:** ${cluster.name}\n` +
+                    `**Branch:** ${prFixes.length > 0 ? branchName : 'none (no new PR needed)'}\n` +
+                    `**PR Title:** ${prTitle}\n\n` +
+                    `**Fixes to Apply:**\n` +
+                    prFixes.map(fix => 
+                      `• **${fix.claim ? `pvc/${fix.claim}` : fix.pod || this.describeFixTarget(fix)}** (${fix.namespace})\n` +
+                      `  - Type: ${fix.type}\n` +
+                      `  - Resource: ${fix.resourceType}\n` +
+                      `  - Change: ${formatFixValue(fix.from)} → ${formatFixValue(fix.to)}\n` +
+                      `  - Values File: ${fix.valuesFile}\n` +
+                      `  - YAML Path: ${fix.yamlPath}\n`
+                    ).join('\n') +
+                    [...prUpdates.values()].map(({ pr, fixes: prFixList }) =>
+                      `\n**Would update PR #${pr.number}** (${pr.url}): ${prFixList.map(fix => `${this.describeFixTarget(fix)} ${fix.resourceType} → ${formatFixValue(fix.to)}`).join(', ')}\n`
+                    ).join('') +
+                    suppressedText +
+                    unresolvedText +
+                    `\n**No PR created (dry run mode)**`
+            }
+          ],
+          structuredContent: outcome("dry-run", {
+            fixes: prFixes,
+            updatedPRs: [...prUpdates.values()].map(({ pr, fixes: prFixList }) => ({ number: pr.number, url: pr.url, branch: pr.branch, fixes: prFixList })),
+            deferred: suppressed
+          })
+        };
+      }
+
+      // 🔁 Push updated values to already-open auto-fix PRs
+      const updatedPRs = [];
+      for (const { pr, fixes: prFixList } of prUpdates.values()) {
+        const changedFiles = await this.applyFixesToBranch(pr.branch, prFixList);
+        if (changedFiles > 0) {
+          await octokit.rest.issues.createComment({
+            owner: CONFIG.GITHUB_OWNER,
+            repo: CONFIG.GITHUB_REPO,
+            issue_number: pr.number,
+            body: `🔁 **Auto-heal update**\n\n` +
+                  `Issues recurred, values updated:\n\n` +
+                  prFixList.map(fix => `- \`${fix.valuesFile}\` → \`${fix.yamlPath}\`: ${formatFixValue(fix.to)}`).join('\n')
+          });
+          await this.recordHistory({
+            kind: "action",
+            action: "gitops-fix-pr",
+            outcome: "pr-updated",
+            cluster: cluster.name,
+            prNumber: pr.number,
+            prUrl: pr.url,
+            branch: pr.branch,
+            approvalIds,
+            fixes: prFixList,
+            baselines: await this.captureBaselines(cluster, prFixList)
+          });
+        }
+        updatedPRs.push({ number: pr.number, url: pr.url, branch: pr.branch, changed: changedFiles > 0, fixes: prFixList });
+      }
+
+      for (const fix of suppressed) {
+        await this.recordHistory({
+          kind: "decision",
+          action: "gitops-fix-pr",
+          outcome: "skipped",
+          cluster: cluster.name,
+          namespace: fix.namespace,
+          workload: fix.workload,
+          container: fix.container,
+          reason: fix.reason
+        });
+      }
 
-      // Apply fixes
-      let updatedValues = { ...currentValues };
-      for (const fix of fixes) {
-        updatedValues = this.setNestedValue(updatedValues, fix.yamlPath, fix.to);
+      const updatedText = updatedPRs.length > 0
+        ? `\n**🔁 Existing PRs:**\n` +
+          updatedPRs.map(pr => `• PR #${pr.number} (${pr.url}): ${pr.changed ? 'updated' : 'already up to date'} for ` +
+            pr.fixes.map(fix => this.describeFixTarget(fix)).join(', ')).join('\n') + '\n'
+        : '';
+
+      if (prFixes.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `🔧 **No New GitOps Fix PR Needed**\n` +
+                    updatedText +
+                    suppressedText +
+                    unresolvedText
+            }
+          ],
+          structuredContent: outcome("no-new-pr", { updatedPRs, deferred: suppressed })
+        };
       }
 
       // Create new branch
@@ -992,20 +1852,11 @@ class KubernetesAutoHealServer {
         sha: ref.object.sha
       });
 
-      // Update file in new branch
-      const newContent = yaml.dump(updatedValues, { indent: 2 });
-      await octokit.rest.repos.createOrUpdateFileContents({
-        owner: CONFIG.GITHUB_OWNER,
-        repo: CONFIG.GITHUB_REPO,
-        path: CONFIG.GITHUB_BASE_PATH,
-        message: `🔧 Auto-fix: Update resource limits for ${fixes.length} issues`,
-        content: Buffer.from(newContent).toString('base64'),
-        sha: currentFile.sha,
-        branch: branchName
-      });
+      // Update each affected values file in the new branch
+      await this.applyFixesToBranch(branchName, prFixes);
 
       // Create PR
-      const prBody = this.generatePRBody(fixes);
+      const prBody = this.generatePRBody(prFixes);
       const { data: pr } = await octokit.rest.pulls.create({
         owner: CONFIG.GITHUB_OWNER,
         repo: CONFIG.GITHUB_REPO,
@@ -1015,38 +1866,64 @@ class KubernetesAutoHealServer {
         body: prBody
       });
 
+      await octokit.rest.issues.addLabels({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        issue_number: pr.number,
+        labels: [CONFIG.AUTO_FIX_LABEL]
+      });
+
       // Record the healing action
-      const healingAction = {
-        timestamp: new Date().toISOString(),
+      await this.recordHistory({
+        kind: "action",
         action: "gitops-fix-pr",
+        outcome: "pr-opened",
+        cluster: cluster.name,
+        namespace: prFixes.length === 1 ? prFixes[0].namespace : undefined,
+        workload: prFixes.length === 1 ? prFixes[0].workload : undefined,
         prNumber: pr.number,
         prUrl: pr.html_url,
         branch: branchName,
-        fixes: fixes
-      };
-
-      monitoringState.healingHistory.push(healingAction);
-      if (monitoringState.healingHistory.length > 100) {
-        monitoringState.healingHistory = monitoringState.healingHistory.slice(-100);
-      }
+        approvalIds,
+        fixes: prFixes,
+        baselines: await this.captureBaselines(cluster, prFixes)
+      });
 
       return {
         content: [
           {
             type: "text",
             text: `🔧 **GitOps Fix PR Created**\n\n` +
+                  `**Cluster:** ${cluster.name}\n` +
                   `**PR #${pr.number}:** ${prTitle}\n` +
                   `**URL:** ${pr.html_url}\n` +
                   `**Branch:** ${branchName}\n\n` +
                   `**Fixes Applied:**\n` +
-                  fixes.map(fix => 
-                    `• **${fix.pod}** (${fix.namespace}): ${fix.resourceType} ${fix.from} → ${fix.to}`
-                  ).join('\n') + '\n\n' +
+                  prFixes.map(fix => 
+                    `• **${fix.claim ? `pvc/${fix.claim}` : fix.pod || this.describeFixTarget(fix)}** (${fix.namespace}): ${fix.resourceType} ${formatFixValue(fix.from)} → ${formatFixValue(fix.to)} (\`${fix.valuesFile}\` → \`${fix.yamlPath}\`)`
+                  ).join('\n') + '\n' +
+                  updatedText +
+                  suppressedText +
+                  unresolvedText + '\n' +
                   `**✅ PR created! Merge to deploy fixes.**`
           }
-        ]
+        ],
+        structuredContent: outcome("pr-opened", {
+          pr: { number: pr.number, url: pr.html_url, title: prTitle, branch: branchName },
+          fixes: prFixes,
+          updatedPRs,
+          deferred: suppressed
+        })
       };
     } catch (error) {
+      await this.recordHistory({
+        kind: "outcome",
+        action: "gitops-fix-pr",
+        outcome: "failed",
+        cluster: cluster.name,
+        error: error.message,
+        fixes: issues.map(issue => ({ namespace: issue.namespace, workload: issue.workload, pod: issue.pod }))
+      });
       throw new Error(`Failed to create GitOps fix PR: ${error.message}`);
     }
   }
@@ -1133,7 +2010,15 @@ class KubernetesAutoHealServer {
                     `**Update:** ${updates.path} = ${updates.value}\n\n` +
                     `**✅ PR created! Merge to deploy changes.**`
             }
-          ]
+          ],
+          structuredContent: {
+            filePath,
+            path: updates.path,
+            value: updates.value,
+            commitMessage,
+            branch: branchName,
+            pr: { number: pr.number, url: pr.html_url, title: commitMessage, branch: branchName }
+          }
         };
       } else {
         // Direct commit
@@ -1157,7 +2042,15 @@ class KubernetesAutoHealServer {
                     `**Commit:** ${commitMessage}\n\n` +
                     `**✅ Changes committed directly to ${CONFIG.GITHUB_BRANCH}**`
             }
-          ]
+          ],
+          structuredContent: {
+            filePath,
+            path: updates.path,
+            value: updates.value,
+            commitMessage,
+            branch: CONFIG.GITHUB_BRANCH,
+            pr: null
+          }
         };
       }
     } catch (error) {
@@ -1177,6 +2070,7 @@ class KubernetesAutoHealServer {
       throw new Error("GitHub token not configured. Set GITHUB_TOKEN environment variable.");
     }
 
+    const actionsUrl = `https://github.com/${CONFIG.GITHUB_OWNER}/${CONFIG.GITHUB_REPO}/actions`;
     try {
       // Trigger workflow
       await octokit.rest.actions.createWorkflowDispatch({
@@ -1196,9 +2090,10 @@ class KubernetesAutoHealServer {
                   `**Ref:** ${ref}\n` +
                   `**Inputs:** ${JSON.stringify(inputs, null, 2)}\n\n` +
                   `**✅ Deployment pipeline started!**\n` +
-                  `Check progress at: https://github.com/${CONFIG.GITHUB_OWNER}/${CONFIG.GITHUB_REPO}/actions`
+                  `Check progress at: ${actionsUrl}`
           }
-        ]
+        ],
+        structuredContent: { workflow: workflowName, ref, inputs, actionsUrl }
       };
     } catch (error) {
       throw new Error(`Failed to trigger GitHub workflow: ${error.message}`);
@@ -1207,34 +2102,650 @@ class KubernetesAutoHealServer {
 
   // 📚 Get healing history
   async getHealingHistory(args = {}) {
-    const { limit = 10 } = args;
-    
-    const recentHistory = monitoringState.healingHistory.slice(-limit).reverse();
-    
+    const page = await this.queryHistory(args);
+    const clusterName = args.cluster === "all" ? "all" : this.clusters.default ? this.clusters.resolve(args).name : undefined;
+
     return {
       content: [
         {
           type: "text",
           text: `📚 **Auto-Healing History**\n\n` +
-                `Showing ${recentHistory.length} recent actions:\n\n` +
-                recentHistory.map(action => 
-                  `• **${action.timestamp}**\n` +
-                  `  - Deployment: ${action.deployment} (${action.namespace})\n` +
-                  `  - Action: ${action.action}\n` +
-                  `  - Changes: ${Object.keys(action.changes).length}\n` +
-                  `  - Dry Run: ${action.dryRun}\n`
-                ).join('\n')
+                (clusterName === "all" ? `**Clusters:** all\n\n` : clusterName ? `**Cluster:** ${clusterName}\n\n` : '') +
+                `Showing ${page.records.length} of ${page.total} records (offset ${page.offset}):\n\n` +
+                page.records.map(record =>
+                  `• **${record.timestamp}** [${record.kind}] ${record.action}${record.cluster ? ` (${record.cluster})` : ''}\n` +
+                  (record.namespace ? `  - Target: ${record.namespace}/${record.workload || record.pod || '-'}${record.container ? `/${record.container}` : ''}\n` : '') +
+                  `  - Outcome: ${record.outcome}\n` +
+                  (record.reason ? `  - Reason: ${record.reason}\n` : '') +
+                  (record.prUrl ? `  - PR: #${record.prNumber} ${record.prUrl}\n` : '') +
+                  (record.revertOf ? `  - Reverts: PR #${record.revertOf}\n` : '') +
+                  (record.fixes ? `  - Fixes: ${record.fixes.map(fix => `${fix.namespace}/${fix.workload || fix.pod}`).join(', ')}\n` : '') +
+                  (record.error ? `  - Error: ${record.error}\n` : '') +
+                  `  - ID: ${record.id}\n`
+                ).join('\n') +
+                (page.offset + page.records.length < page.total
+                  ? `\n_More records available: use offset ${page.offset + page.records.length}_`
+                  : '')
         }
-      ]
+      ],
+      structuredContent: { cluster: clusterName, ...page }
     };
   }
 
+  // 🔎 One page of history for get-healing-history and the k8s://healing-history resource;
+  // `cluster: "all"` merges every cluster's journal
+  async queryHistory(args = {}) {
+    const { limit = 10, offset = 0, namespace, workload, actionType, kind, outcome, timeRange, since, until } = args;
+
+    // An unparseable date would be NaN and silently filter out every record
+    const timestamp = (value, name) => {
+      const time = new Date(value).getTime();
+      if (Number.isNaN(time)) throw new Error(`Invalid ${name} "${value}": expected an ISO timestamp`);
+      return time;
+    };
+    const sinceMs = since ? timestamp(since, "since")
+      : timeRange ? Date.now() - parseDuration(timeRange) : undefined;
+    const filter = {
+      namespace,
+      workload,
+      action: actionType,
+      kind,
+      outcome,
+      since: sinceMs,
+      until: until ? timestamp(until, "until") : undefined
+    };
+
+    let page;
+    if (args.cluster === "all") {
+      // Merge the newest offset+limit records of every journal, then page the merged list
+      const pages = (await this.historyStores()).map(store => store.query({ ...filter, limit: offset + limit, offset: 0 }));
+      const records = pages.flatMap(result => result.records).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+      page = {
+        total: pages.reduce((sum, result) => sum + result.total, 0),
+        offset,
+        limit,
+        records: records.slice(offset, offset + limit)
+      };
+    } else {
+      page = (await this.historyFor(args)).query({ ...filter, limit, offset });
+    }
+
+    return page;
+  }
+
+  // ✋ Queue a fix for approval; the policy may approve it straight away when it is low risk
+  async proposeFix(issue, { source, rationale }) {
+    const cluster = this.clusters.resolve({ cluster: issue.cluster });
+    const prepared = await this.prepareFix(issue, cluster);
+    if (!prepared.fix) {
+      if (prepared.unresolved) {
+        await this.recordHistory({
+          kind: "decision",
+          action: "gitops-fix-pr",
+          outcome: "skipped",
+          cluster: cluster.name,
+          namespace: issue.namespace,
+          workload: issue.workload,
+          pod: issue.pod,
+          container: issue.container,
+          reason: prepared.unresolved.reason
+        });
+      }
+      return null;
+    }
+
+    const fields = buildFixProposal({ issue: { ...issue, cluster: cluster.name }, source, rationale, target: prepared.target });
+    const autoApproval = this.policy.evaluateAutoApprove(fields);
+    const { proposal, created } = await this.approvals.propose(fields, { autoApproval });
+    if (created) {
+      await this.recordHistory({
+        kind: "decision",
+        action: "gitops-fix-pr",
+        outcome: proposal.status === "approved" ? "auto-approved" : "proposed",
+        cluster: proposal.cluster,
+        namespace: proposal.namespace,
+        workload: proposal.workload,
+        container: proposal.container,
+        approvalId: proposal.id,
+        reason: autoApproval.approved ? autoApproval.reason : `awaiting approval (${autoApproval.reason})`
+      });
+    }
+    return proposal;
+  }
+
+  // ⏱️ Expire stale proposals and execute approved ones (approved here, over HTTP or by policy)
+  async processApprovalQueue() {
+    for (const proposal of await this.approvals.expireStale()) {
+      await this.recordHistory({
+        kind: "decision",
+        action: proposal.action,
+        outcome: proposal.status,
+        cluster: proposal.cluster,
+        namespace: proposal.namespace,
+        workload: proposal.workload,
+        container: proposal.container,
+        approvalId: proposal.id,
+        reason: proposal.status === "failed" ? proposal.error : `Not approved before ${proposal.expiresAt}`
+      });
+    }
+
+    if (CONFIG.AUTO_HEAL_ENABLED && octokit) {
+      const claimed = await this.approvals.claimApproved();
+      if (claimed.length > 0) {
+        try {
+          await this.executeProposals(claimed);
+          console.log(`🔧 Executed ${claimed.length} approved proposals`);
+        } catch (error) {
+          console.error(`❌ Failed to execute approved proposals:`, error.message);
+        }
+      }
+    }
+  }
+
+  // 🚀 Run claimed proposals as one GitOps fix per cluster and record the outcome on each proposal
+  async executeProposals(proposals) {
+    const byCluster = new Map();
+    for (const proposal of proposals) {
+      const key = proposal.cluster || "";
+      if (!byCluster.has(key)) byCluster.set(key, []);
+      byCluster.get(key).push(proposal);
+    }
+
+    const results = [];
+    let failure = null;
+    for (const [cluster, group] of byCluster) {
+      try {
+        results.push(await this.executeClusterProposals(cluster || undefined, group));
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+    if (failure) throw failure;
+    return results.join('\n\n');
+  }
+
+  async executeClusterProposals(cluster, proposals) {
+    const approvalIds = proposals.map(proposal => proposal.id);
+    // Everything after the claim is inside the try, so a claimed proposal always gets an outcome
+    try {
+      for (const proposal of proposals) {
+        await this.recordHistory({
+          kind: "decision",
+          action: proposal.action,
+          outcome: "approved",
+          cluster: proposal.cluster,
+          namespace: proposal.namespace,
+          workload: proposal.workload,
+          container: proposal.container,
+          approvalId: proposal.id,
+          reason: `Approved by ${proposal.decidedBy}${proposal.decisionReason ? `: ${proposal.decisionReason}` : ''}`
+        });
+      }
+
+      const result = await this.createGitOpsFix({
+        cluster,
+        issues: proposals.map(proposal => proposal.payload.issue),
+        prTitle: `🤖 Auto-fix: Resolve ${proposals.length} approved cluster issue${proposals.length === 1 ? '' : 's'}`,
+        // A human decision overrides cooldown and budget; policy auto-approvals stay rate limited
+        force: proposals.every(proposal => proposal.decidedBy !== "policy"),
+        approvalIds
+      });
+      const text = result.content[0].text;
+      for (const proposal of proposals) {
+        await this.approvals.complete(proposal.id, { status: "executed", result: text });
+      }
+      return text;
+    } catch (error) {
+      for (const proposal of proposals) {
+        await this.approvals.complete(proposal.id, { status: "failed", error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  // 📋 Proposals with their diff and rationale
+  async listPendingActions(args = {}) {
+    const { status = "pending", namespace, cluster } = args;
+    const proposals = this.approvals.list({ status, namespace, cluster });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✋ **Auto-Heal Proposals (${status})**\n\n` +
+                (proposals.length === 0
+                  ? `No ${status === "all" ? "" : `${status} `}proposals.\n`
+                  : proposals.map(proposal =>
+                    `• **${proposal.id}** [${proposal.status}] ${proposal.action} for ${proposal.namespace}/${proposal.workload}/${proposal.container}\n` +
+                    (proposal.cluster ? `  - Cluster: ${proposal.cluster}\n` : '') +
+                    `  - Source: ${proposal.source} (seen ${proposal.occurrences}x, last ${proposal.lastSeenAt})\n` +
+                    `  - Rationale: ${proposal.rationale}\n` +
+                    `  - Expires: ${proposal.expiresAt}\n` +
+                    (proposal.autoApproval && !proposal.autoApproval.approved ? `  - Needs approval: ${proposal.autoApproval.reason}\n` : '') +
+                    (proposal.decidedBy ? `  - Decided by: ${proposal.decidedBy}${proposal.decisionReason ? ` (${proposal.decisionReason})` : ''}\n` : '') +
+                    (proposal.error ? `  - Error: ${proposal.error}\n` : '') +
+                    `  - Diff:\n\`\`\`diff\n${formatProposalDiff(proposal)}\n\`\`\`\n`
+                  ).join('\n'))
+        }
+      ],
+      structuredContent: { status, count: proposals.length, proposals }
+    };
+  }
+
+  // ✅ Approve and execute immediately when GitHub is configured
+  async approveAction(args) {
+    const { id, actor = "mcp-client", reason } = args;
+    let proposal;
+    try {
+      proposal = await this.approvals.approve(id, { actor, reason });
+    } catch (error) {
+      if (error instanceof ApprovalError) throw new Error(`Approve failed: ${error.message}`);
+      throw error;
+    }
+
+    if (!(CONFIG.AUTO_HEAL_ENABLED && octokit)) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ **Proposal ${id} approved** by ${actor}\n\n` +
+                  `It will be executed once auto-heal is enabled and a GitHub token is configured.`
+          }
+        ],
+        structuredContent: { proposal, execution: "deferred until auto-heal is enabled and a GitHub token is configured" }
+      };
+    }
+
+    const [claimed] = await this.approvals.claimApproved([proposal.id]);
+    if (!claimed) {
+      throw new Error(`Approve failed: proposal ${id} is already being executed`);
+    }
+    const result = await this.executeProposals([claimed]);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ **Proposal ${id} approved** by ${actor}\n\n${result}`
+        }
+      ],
+      structuredContent: { proposal: this.approvals.get(id), execution: "executed", result }
+    };
+  }
+
+  // 🛑 Reject so the fix is never applied; a recurrence opens a new proposal
+  async rejectAction(args) {
+    const { id, actor = "mcp-client", reason } = args;
+    let proposal;
+    try {
+      proposal = await this.approvals.reject(id, { actor, reason });
+    } catch (error) {
+      if (error instanceof ApprovalError) throw new Error(`Reject failed: ${error.message}`);
+      throw error;
+    }
+
+    await this.recordHistory({
+      kind: "decision",
+      action: proposal.action,
+      outcome: "rejected",
+      cluster: proposal.cluster,
+      namespace: proposal.namespace,
+      workload: proposal.workload,
+      container: proposal.container,
+      approvalId: proposal.id,
+      reason: `Rejected by ${actor}${reason ? `: ${reason}` : ''}`
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🛑 **Proposal ${id} rejected** by ${actor}\n\n` +
+                `${proposal.action} for ${proposal.namespace}/${proposal.workload}/${proposal.container} will not be executed.`
+        }
+      ],
+      structuredContent: { proposal }
+    };
+  }
+
+  // 📸 Pre-fix snapshot of each targeted workload, kept on the PR record for verification
+  async captureBaselines(cluster, fixes) {
+    if (!CONFIG.FIX_VERIFICATION_ENABLED) return undefined;
+    const baselines = {};
+    for (const fix of fixes) {
+      try {
+        baselines[fix.fingerprint] = await snapshotWorkload({ coreApi: cluster.core, appsApi: cluster.apps, autoscalingApi: cluster.autoscaling }, fix);
+      } catch (error) {
+        console.error(`⚠️  No verification baseline for ${fix.fingerprint}:`, error.body?.message || error.message);
+      }
+    }
+    return baselines;
+  }
+
+  // 🧾 Fixes and baselines of a PR: values pushed later win, the earliest baseline is kept
+  getPRFixState(store, opened) {
+    const updates = store.query({
+      action: "gitops-fix-pr",
+      outcome: "pr-updated",
+      since: new Date(opened.timestamp).getTime(),
+      limit: 1000
+    }).records.filter(record => record.prNumber === opened.prNumber).reverse();
+
+    const fixes = new Map();
+    const baselines = {};
+    for (const record of [opened, ...updates]) {
+      (record.fixes || []).forEach(fix => fixes.set(fix.fingerprint, fix));
+      for (const [fingerprint, baseline] of Object.entries(record.baselines || {})) {
+        if (!baselines[fingerprint]) baselines[fingerprint] = baseline;
+      }
+    }
+    return { fixes: [...fixes.values()], baselines };
+  }
+
+  /**
+   * 🔬 Follow each auto-fix PR through merge and rollout, then judge it after the
+   * verification window. Progress lives in the healing history, so it survives restarts:
+   * "started" once the fix is deployed, then a verified / failed / regressed outcome.
+   * Runs per cluster, on the PRs opened for that cluster.
+   */
+  async verifyDeployedFixes(cluster) {
+    const store = await cluster.history;
+    const since = Date.now() - parseDuration(CONFIG.FIX_VERIFICATION_MAX_AGE);
+    const windowMs = parseDuration(CONFIG.FIX_VERIFICATION_WINDOW);
+    const opened = store.query({ action: "gitops-fix-pr", outcome: "pr-opened", since, limit: 1000 }).records;
+    const progress = store.query({ action: "fix-verification", since, limit: 5000 }).records;
+    const tracked = opened
+      .map(record => ({ record, steps: progress.filter(step => step.actionId === record.id) }))
+      .filter(({ steps }) => !steps.some(step => step.kind === "outcome"));
+
+    // Open PRs are listed once per loop; only PRs that left that list are fetched one by one
+    let openPRs = new Set();
+    if (tracked.some(({ record, steps }) => !steps.some(step => step.outcome === "started") && !this.mergedFixPRs.has(record.prNumber))) {
+      try {
+        const pulls = await octokit.paginate(octokit.rest.pulls.list, {
+          owner: CONFIG.GITHUB_OWNER,
+          repo: CONFIG.GITHUB_REPO,
+          state: "open",
+          per_page: 100
+        });
+        openPRs = new Set(pulls.map(pr => pr.number));
+      } catch (error) {
+        console.error(`❌ Listing open PRs for fix verification failed:`, error.message);
+        return;
+      }
+    }
+
+    for (const { record, steps } of tracked) {
+      try {
+        const started = steps.find(step => step.outcome === "started");
+        if (!started) {
+          if (!openPRs.has(record.prNumber)) await this.checkFixDeployed(cluster, store, record);
+        } else if (Date.now() - new Date(started.timestamp).getTime() >= windowMs) {
+          await this.completeFixVerification(cluster, store, record);
+        }
+      } catch (error) {
+        // A workload or claim deleted since the fix cannot be verified; stop following it
+        if (error.statusCode === 404 || error.response?.statusCode === 404) {
+          await this.recordHistory({
+            kind: "outcome",
+            action: "fix-verification",
+            outcome: "workload-deleted",
+            cluster: cluster.name,
+            actionId: record.id,
+            prNumber: record.prNumber,
+            namespace: record.namespace,
+            workload: record.workload,
+            reason: `A workload targeted by PR #${record.prNumber} no longer exists: ${error.body?.message || error.message}`
+          });
+          continue;
+        }
+        console.error(`❌ Verification of PR #${record.prNumber} failed:`, error.body?.message || error.message);
+      }
+    }
+  }
+
+  async checkFixDeployed(cluster, store, record) {
+    let mergedAt = this.mergedFixPRs.get(record.prNumber);
+    if (!mergedAt) {
+      const { data: pr } = await octokit.rest.pulls.get({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        pull_number: record.prNumber
+      });
+      if (pr.state === "open") return;
+      if (!pr.merged) {
+        await this.recordHistory({
+          kind: "outcome",
+          action: "fix-verification",
+          outcome: "not-merged",
+          cluster: cluster.name,
+          actionId: record.id,
+          prNumber: record.prNumber,
+          namespace: record.namespace,
+          workload: record.workload,
+          reason: `PR #${record.prNumber} was closed without merging`
+        });
+        return;
+      }
+      mergedAt = pr.merged_at;
+      this.mergedFixPRs.set(record.prNumber, mergedAt);
+    }
+
+    const { fixes } = this.getPRFixState(store, record);
+    for (const fix of fixes) {
+      const snapshot = await snapshotWorkload({ coreApi: cluster.core, appsApi: cluster.apps, autoscalingApi: cluster.autoscaling }, fix);
+      if (!isFixDeployed(snapshot, fix)) return;
+    }
+
+    await this.recordHistory({
+      kind: "action",
+      action: "fix-verification",
+      outcome: "started",
+      cluster: cluster.name,
+      actionId: record.id,
+      prNumber: record.prNumber,
+      namespace: record.namespace,
+      workload: record.workload,
+      reason: `Fix deployed after merge at ${mergedAt}; verifying for ${CONFIG.FIX_VERIFICATION_WINDOW}`
+    });
+    this.mergedFixPRs.delete(record.prNumber);
+  }
+
+  async completeFixVerification(cluster, store, record) {
+    const { fixes, baselines } = this.getPRFixState(store, record);
+    const rank = { verified: 0, failed: 1, regressed: 2 };
+    const results = [];
+    for (const fix of fixes) {
+      const after = await snapshotWorkload({ coreApi: cluster.core, appsApi: cluster.apps, autoscalingApi: cluster.autoscaling }, fix);
+      results.push({ fix, after, ...evaluateFix(baselines[fix.fingerprint], after) });
+    }
+    const status = results.reduce((worst, result) => (rank[result.status] > rank[worst] ? result.status : worst), "verified");
+    const findings = results.map(result => `${result.fix.namespace}/${this.describeFixTarget(result.fix)}: ${result.status} (${result.findings.join('; ')})`);
+
+    await this.recordHistory({
+      kind: "outcome",
+      action: "fix-verification",
+      outcome: status,
+      cluster: cluster.name,
+      actionId: record.id,
+      prNumber: record.prNumber,
+      namespace: record.namespace,
+      workload: record.workload,
+      findings,
+      reason: findings.join(' | ')
+    });
+
+    if (status !== "regressed") return;
+
+    const regressedFixes = results.filter(result => result.status === "regressed").map(result => result.fix);
+    await this.recordHistory({
+      kind: "outcome",
+      action: "gitops-fix-pr",
+      outcome: "regressed",
+      cluster: cluster.name,
+      actionId: record.id,
+      prNumber: record.prNumber,
+      namespace: record.namespace,
+      workload: record.workload,
+      fixes: regressedFixes,
+      reason: findings.join(' | ')
+    });
+
+    // Volumes cannot shrink, so expanded claims are never reverted
+    const revertable = regressedFixes.filter(fix => !fix.claim);
+    if (CONFIG.FIX_AUTO_REVERT && revertable.length > 0) {
+      await this.openRevertPR(cluster, record, revertable, findings);
+    }
+  }
+
+  // ⏪ Restore the values the regressed fixes replaced, as read from the fix PR's base commit
+  async openRevertPR(cluster, record, fixes, findings) {
+    try {
+      const { data: fixPR } = await octokit.rest.pulls.get({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        pull_number: record.prNumber
+      });
+
+      // A path is reverted only while it still holds the fix's value; a value tuned since the merge is left alone
+      const readValues = async (valuesFile, ref) => {
+        const { data } = await octokit.rest.repos.getContent({
+          owner: CONFIG.GITHUB_OWNER,
+          repo: CONFIG.GITHUB_REPO,
+          path: valuesFile,
+          ref
+        });
+        return yaml.load(Buffer.from(data.content, 'base64').toString()) || {};
+      };
+      const revertFixes = [];
+      const changedSince = [];
+      for (const valuesFile of new Set(fixes.map(fix => fix.valuesFile))) {
+        const baseValues = await readValues(valuesFile, fixPR.base.sha);
+        const currentValues = await readValues(valuesFile, CONFIG.GITHUB_BRANCH);
+        fixes.filter(fix => fix.valuesFile === valuesFile).forEach(fix => {
+          const current = this.getNestedValue(currentValues, fix.yamlPath);
+          if (isDeepStrictEqual(current, fix.to)) {
+            revertFixes.push({ ...fix, from: fix.to, to: this.getNestedValue(baseValues, fix.yamlPath) ?? null });
+          } else {
+            changedSince.push({ ...fix, current: current ?? null });
+          }
+        });
+      }
+
+      if (changedSince.length > 0) {
+        await this.recordHistory({
+          kind: "decision",
+          action: "revert-pr",
+          outcome: "skipped",
+          cluster: cluster.name,
+          actionId: record.id,
+          revertOf: record.prNumber,
+          fixes: changedSince,
+          reason: `Changed on ${CONFIG.GITHUB_BRANCH} since PR #${record.prNumber}, so not reverted: ` +
+            changedSince.map(fix => `${fix.valuesFile} ${fix.yamlPath} is ${formatFixValue(fix.current) ?? '(unset)'}, not ${formatFixValue(fix.to)}`).join('; ')
+        });
+      }
+      if (revertFixes.length === 0) return;
+
+      const branchName = `auto-revert-${record.prNumber}-${Date.now()}`;
+      const { data: ref } = await octokit.rest.git.getRef({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        ref: `heads/${CONFIG.GITHUB_BRANCH}`
+      });
+      await octokit.rest.git.createRef({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        ref: `refs/heads/${branchName}`,
+        sha: ref.object.sha
+      });
+
+      const changedFiles = await this.applyFixesToBranch(branchName, revertFixes, `⏪ Revert auto-fix #${record.prNumber}`);
+      if (changedFiles === 0) {
+        // Someone already restored the values by hand
+        await octokit.rest.git.deleteRef({
+          owner: CONFIG.GITHUB_OWNER,
+          repo: CONFIG.GITHUB_REPO,
+          ref: `heads/${branchName}`
+        });
+        await this.recordHistory({
+          kind: "decision",
+          action: "revert-pr",
+          outcome: "skipped",
+          cluster: cluster.name,
+          actionId: record.id,
+          revertOf: record.prNumber,
+          fixes: revertFixes,
+          reason: `Values changed by PR #${record.prNumber} are already reverted on ${CONFIG.GITHUB_BRANCH}`
+        });
+        return;
+      }
+
+      const { data: pr } = await octokit.rest.pulls.create({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        title: `⏪ Revert auto-fix #${record.prNumber}: workload regressed`,
+        head: branchName,
+        base: CONFIG.GITHUB_BRANCH,
+        body: `⏪ **Automated Revert**\n\n` +
+              `Auto-fix PR #${record.prNumber} was deployed to ${cluster.name} and the workload got worse during the ` +
+              `${CONFIG.FIX_VERIFICATION_WINDOW} verification window:\n\n` +
+              findings.map(finding => `- ${finding}`).join('\n') + '\n\n' +
+              `## ↩️ Values Restored\n\n` +
+              revertFixes.map(fix => `- \`${fix.valuesFile}\` → \`${fix.yamlPath}\`: ${formatFixValue(fix.from)} → ${formatFixValue(fix.to) ?? '(removed, chart default)'}`).join('\n') + '\n\n' +
+              (changedSince.length > 0
+                ? `## ✋ Left As Is
+
+Changed on ${CONFIG.GITHUB_BRANCH} since the fix was merged:
+
+` +
+                  changedSince.map(fix => `- \`${fix.valuesFile}\` → \`${fix.yamlPath}\`: ${formatFixValue(fix.current) ?? '(unset)'}`).join('\n') + '\n\n'
+                : '') +
+              `---\n` +
+              `*This PR was automatically created by the K8s Auto-Heal system at ${new Date().toISOString()}*`
+      });
+
+      await octokit.rest.issues.addLabels({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        issue_number: pr.number,
+        labels: [CONFIG.AUTO_FIX_LABEL]
+      });
+
+      await this.recordHistory({
+        kind: "action",
+        action: "revert-pr",
+        outcome: "pr-opened",
+        cluster: cluster.name,
+        actionId: record.id,
+        revertOf: record.prNumber,
+        namespace: record.namespace,
+        workload: record.workload,
+        prNumber: pr.number,
+        prUrl: pr.html_url,
+        branch: branchName,
+        fixes: revertFixes
+      });
+    } catch (error) {
+      await this.recordHistory({
+        kind: "outcome",
+        action: "revert-pr",
+        outcome: "failed",
+        cluster: cluster.name,
+        actionId: record.id,
+        revertOf: record.prNumber,
+        error: error.message
+      });
+    }
+  }
+
   // 💡 Get cluster recommendations
   async getClusterRecommendations(args = {}) {
     const { namespace, focusArea = "all" } = args;
     
     try {
+      const cluster = this.clusters.resolve(args);
       const recommendations = {
+        cluster: cluster.name,
         timestamp: new Date().toISOString(),
         namespace: namespace || "all",
         focusArea,
@@ -1242,8 +2753,8 @@ class KubernetesAutoHealServer {
       };
 
       // Analyze recent scan data
-      if (monitoringState.lastScan) {
-        const scan = monitoringState.lastScan;
+      if (cluster.state.lastScan) {
+        const scan = cluster.state.lastScan;
         
         // Resource recommendations
         if (focusArea === "resources" || focusArea === "all") {
@@ -1253,8 +2764,8 @@ class KubernetesAutoHealServer {
               priority: "high",
               title: `Increase memory for ${event.pod}/${event.container}`,
               description: `Pod has been OOMKilled. Current limit may be too low.`,
-              action: `Increase memory limit to at least 512Mi`,
-              automation: `auto-heal-deployment with memory: "512Mi"`
+              action: `Increase memory limit to at least ${calculateRecommendedMemory(event.currentMemoryLimit, CONFIG.SCAN)}`,
+              automation: `auto-heal-deployment with memory: "${calculateRecommendedMemory(event.currentMemoryLimit, CONFIG.SCAN)}"`
             });
           });
 
@@ -1268,11 +2779,25 @@ class KubernetesAutoHealServer {
               automation: `update-helm-values or auto-heal-deployment`
             });
           });
+
+          scan.issues.storageIssues.filter(storageIssue => storageIssue.issue === "Volume nearly full").forEach(volume => {
+            recommendations.recommendations.push({
+              type: "resource",
+              priority: volume.severity === "critical" ? "high" : "medium",
+              title: `Volume of PVC ${volume.namespace}/${volume.claim} is ${volume.utilization}% full`,
+              description: volume.details,
+              action: volume.remediation.action,
+              automation: volume.recommendedSize
+                ? `create-gitops-fix-pr with type "storage", claim "${volume.claim}", recommendedLimit "${volume.recommendedSize}"`
+                : `\`${volume.remediation.command}\``
+            });
+          });
         }
 
         // Reliability recommendations
         if (focusArea === "reliability" || focusArea === "all") {
-          scan.issues.crashingPods.forEach(crash => {
+          // Crash loops a failing liveness probe explains get the probe recommendation below
+          scan.issues.crashingPods.filter(crash => !crash.cause).forEach(crash => {
             recommendations.recommendations.push({
               type: "reliability",
               priority: "high",
@@ -1282,9 +2807,107 @@ class KubernetesAutoHealServer {
               automation: `scan-cluster-health with detailed analysis`
             });
           });
+
+          scan.issues.probeIssues.forEach(probeIssue => {
+            recommendations.recommendations.push({
+              type: "reliability",
+              priority: probeIssue.severity === "critical" ? "high" : "medium",
+              title: `${probeIssue.issue} for ${probeIssue.namespace}/${probeIssue.pod}/${probeIssue.container}`,
+              description: probeIssue.details,
+              action: probeIssue.remediation.action,
+              automation: probeIssue.recommendedSettings
+                ? `create-gitops-fix-pr with type "probe", pod "${probeIssue.pod}", container "${probeIssue.container}", ` +
+                  `probe "${probeIssue.recommendedProbe}", settings ${JSON.stringify(probeIssue.recommendedSettings)}`
+                : `\`${probeIssue.remediation.command}\``
+            });
+          });
+
+          scan.issues.pendingPods.forEach(pending => {
+            pending.recommendations.forEach(recommendation => {
+              recommendations.recommendations.push({
+                type: recommendation.category === "insufficient-resources" ? "resource" : "reliability",
+                priority: pending.severity === "critical" ? "high" : "medium",
+                title: `${recommendation.action} for pending pod ${pending.namespace}/${pending.pod}`,
+                description: `Pending for ${pending.pendingMinutes}m: ${pending.message}`,
+                action: recommendation.details,
+                automation: recommendation.category === "containers-not-started"
+                  ? `diagnose-crash on ${pending.namespace}/${pending.pod}`
+                  : `kubectl-describe pod ${pending.pod}`
+              });
+            });
+          });
+
+          scan.issues.nodeIssues.forEach(nodeIssue => {
+            recommendations.recommendations.push({
+              type: "reliability",
+              priority: nodeIssue.severity === "critical" ? "high" : "medium",
+              title: `${nodeIssue.issue} on node ${nodeIssue.node}`,
+              description: nodeIssue.details,
+              action: nodeIssue.remediation.action,
+              automation: nodeIssue.issue === "Cordoned"
+                ? `node-uncordon on ${nodeIssue.node}`
+                : nodeIssue.issue === "NotReady"
+                  ? `node-drain on ${nodeIssue.node} (dryRun first)`
+                  : `\`${nodeIssue.remediation.command}\``
+            });
+          });
+
+          scan.issues.storageIssues.filter(storageIssue => storageIssue.issue !== "Volume nearly full").forEach(storageIssue => {
+            recommendations.recommendations.push({
+              type: "reliability",
+              priority: storageIssue.severity === "critical" ? "high" : "medium",
+              title: `${storageIssue.issue} for ${storageIssue.claim ? `PVC ${storageIssue.namespace}/${storageIssue.claim}` : `pod ${storageIssue.namespace}/${storageIssue.pod}`}`,
+              description: storageIssue.details,
+              action: storageIssue.remediation.action,
+              automation: `\`${storageIssue.remediation.command}\``
+            });
+          });
+
+          scan.issues.jobIssues.forEach(jobIssue => {
+            recommendations.recommendations.push({
+              type: "reliability",
+              priority: jobIssue.severity === "critical" ? "high" : "medium",
+              title: `${jobIssue.issue} for ${jobIssue.kind} ${jobIssue.namespace}/${jobIssue.name}`,
+              description: jobIssue.details,
+              action: jobIssue.remediation.action,
+              automation: jobIssue.job && jobIssue.reason
+                ? `rerun-job on ${jobIssue.namespace}/${jobIssue.job} once the cause is fixed`
+                : `\`${jobIssue.remediation.command}\``
+            });
+          });
+
+          scan.issues.unhealthyDeployments.forEach(workload => {
+            recommendations.recommendations.push({
+              type: "reliability",
+              priority: workload.severity === "critical" ? "high" : "medium",
+              title: `${workload.issue} in ${workload.kind} ${workload.namespace}/${workload.name}`,
+              description: workload.details,
+              action: workload.remediation.action,
+              automation: `kubectl-rollout or \`${workload.remediation.command}\``
+            });
+          });
         }
       }
 
+      // 📐 Scaling out rather than raising per-pod CPU, from the live HPAs and usage percentiles
+      if (["resources", "performance", "all"].includes(focusArea)) {
+        recommendations.autoscaling = await this.collectAutoscaling(cluster, namespace)
+          .catch(error => ({ findings: [], error: error.body?.message || error.message }));
+        recommendations.autoscaling.findings.forEach(finding => {
+          recommendations.recommendations.push({
+            type: "scaling",
+            priority: finding.severity === "critical" ? "high" : "medium",
+            title: `${finding.issue} for ${finding.kind} ${finding.namespace}/${finding.name}`,
+            description: finding.details,
+            action: finding.remediation.action,
+            automation: finding.recommendedSettings
+              ? `create-gitops-fix-pr with type "autoscaling", namespace "${finding.namespace}", workload "${finding.name}", ` +
+                `settings ${JSON.stringify(finding.recommendedSettings)}`
+              : `\`${finding.remediation.command}\``
+          });
+        });
+      }
+
       // General best practices
       if (focusArea === "all") {
         recommendations.recommendations.push({
@@ -1302,8 +2925,14 @@ class KubernetesAutoHealServer {
           {
             type: "text",
             text: `💡 **Cluster Optimization Recommendations**\n\n` +
+                  `**Cluster:** ${cluster.name}\n` +
                   `**Focus Area:** ${focusArea}\n` +
                   `**Total Recommendations:** ${recommendations.recommendations.length}\n\n` +
+                  (recommendations.autoscaling?.error
+                    ? `⚠️ Autoscaling not analyzed: ${recommendations.autoscaling.error}\n\n`
+                    : recommendations.autoscaling?.usageSource === "unavailable"
+                      ? `⚠️ Prometheus unavailable (${recommendations.autoscaling.usageError}); autoscaling advice only covers what the HPAs report.\n\n`
+                      : '') +
                   recommendations.recommendations.map(rec => 
                     `### ${rec.priority.toUpperCase()}: ${rec.title}\n` +
                     `**Type:** ${rec.type}\n` +
@@ -1312,71 +2941,137 @@ class KubernetesAutoHealServer {
                     `**Automation:** ${rec.automation}\n`
                   ).join('\n')
           }
-        ]
+        ],
+        structuredContent: recommendations
       };
     } catch (error) {
       throw new Error(`Failed to get recommendations: ${error.message}`);
     }
   }
 
-  // 🔄 Start continuous monitoring
+  // 📐 Autoscaling findings from a cluster's workloads, HPAs and CPU usage percentiles
+  async collectAutoscaling(cluster, namespace) {
+    const [workloads, hpas, pods] = await Promise.all([
+      listWorkloads(cluster.apps, namespace),
+      listAutoscalers(cluster.autoscaling, namespace),
+      listPods(cluster, namespace)
+    ]);
+    const result = { usageSource: "prometheus", window: CONFIG.USAGE_WINDOW };
+    let usage = new Map();
+    try {
+      usage = await getContainerUsage(cluster.prometheus, { namespace, window: CONFIG.USAGE_WINDOW });
+    } catch (error) {
+      result.usageSource = "unavailable";
+      result.usageError = `${cluster.prometheusUrl || CONFIG.PROMETHEUS_URL}: ${error.message}`;
+    }
+    result.findings = analyzeAutoscaling({ workloads, hpas, pods, usage }, { window: CONFIG.USAGE_WINDOW });
+    return result;
+  }
+
+  // 🔄 Start continuous monitoring: an independent loop and watcher per cluster
   startMonitoring() {
-    console.log(`🔍 Starting continuous monitoring (interval: ${CONFIG.MONITORING_INTERVAL}s)`);
-    
+    console.log(`🔍 Starting continuous monitoring of ${this.clusters.size} cluster(s) (interval: ${CONFIG.MONITORING_INTERVAL}s)`);
+    for (const cluster of this.clusters.list()) {
+      this.startClusterMonitoring(cluster);
+    }
+  }
+
+  startClusterMonitoring(cluster) {
+    let loopRunning = false;
     const monitoringLoop = async () => {
+      if (loopRunning) return;
+      loopRunning = true;
       try {
         // Perform background health scan
-        await this.scanClusterHealth({ timeRange: "5m" });
+        const scan = await collectClusterHealth(cluster, { timeRange: "5m" }, CONFIG.SCAN);
+        const newIssues = await this.recordDetectedIssues(cluster, scan);
+        if (newIssues.length > 0) this.notifyIssueSubscribers(cluster, newIssues);
         
-        // Auto-heal if enabled and issues found (GitOps approach)
-        if (CONFIG.AUTO_HEAL_ENABLED && monitoringState.lastScan && octokit) {
-          const scan = monitoringState.lastScan;
-          const issues = [];
-          
-          // Collect OOM issues
-          for (const oomEvent of scan.issues.oomEvents) {
-            const recommendedMemory = this.calculateRecommendedMemory(oomEvent.currentMemoryLimit);
-            issues.push({
-              type: "oom",
-              pod: oomEvent.pod,
-              namespace: oomEvent.namespace,
-              currentLimit: oomEvent.currentMemoryLimit || "Not set",
-              recommendedLimit: recommendedMemory,
-              resourceType: "memory"
+        if (newIssues.length > 0 && !(CONFIG.AUTO_HEAL_ENABLED && octokit)) {
+          for (const issue of newIssues) {
+            await this.recordHistory({
+              kind: "decision",
+              action: issue.type,
+              outcome: "skipped",
+              cluster: cluster.name,
+              namespace: issue.namespace,
+              workload: issue.workload,
+              pod: issue.pod,
+              container: issue.container,
+              reason: CONFIG.AUTO_HEAL_ENABLED ? "GitHub token not configured" : "Auto-heal disabled"
             });
           }
-
-          // Collect crash issues
-          for (const crashEvent of scan.issues.crashingPods) {
-            issues.push({
-              type: "crash",
-              pod: crashEvent.pod,
-              namespace: crashEvent.namespace,
-              currentLimit: "Unknown",
-              recommendedLimit: "512Mi", // Default increase
-              resourceType: "memory"
-            });
+        }
+        
+        // Auto-heal newly detected issues only; dedup/cooldown happen in createGitOpsFix
+        if (CONFIG.AUTO_HEAL_ENABLED && octokit && newIssues.length > 0) {
+          const fixes = [];
+          for (const detected of newIssues) {
+            const issue = await this.fixForDetectedIssue(cluster, detected);
+            if (issue) fixes.push({ issue, detected });
           }
+          const issues = fixes.map(({ issue }) => issue);
 
-          // Create GitOps fix PR if issues found
-          if (issues.length > 0) {
+          if (issues.length > 0 && CONFIG.APPROVAL_REQUIRED) {
+            // ✋ Queue as proposals; approved ones are executed by processApprovalQueue()
+            for (const { issue, detected } of fixes) {
+              await this.proposeFix(issue, { source: "monitoring", rationale: this.describeIssue(detected) });
+            }
+          } else if (issues.length > 0) {
             try {
               await this.createGitOpsFix({
+                cluster: cluster.name,
                 issues: issues,
                 prTitle: `🤖 Auto-fix: Resolve ${issues.length} cluster issues`,
                 dryRun: false
               });
-              console.log(`🔧 Created GitOps fix PR for ${issues.length} issues`);
+              console.log(`🔧 Processed GitOps fix for ${issues.length} new issues on ${cluster.name}`);
             } catch (error) {
               console.error(`❌ Failed to create GitOps fix PR:`, error.message);
             }
           }
         }
+
+        await this.processApprovalQueue();
+
+        if (CONFIG.FIX_VERIFICATION_ENABLED && octokit) {
+          await this.verifyDeployedFixes(cluster);
+        }
       } catch (error) {
-        console.error('❌ Monitoring loop error:', error.message);
+        console.error(`❌ Monitoring loop error (${cluster.name}):`, error.message);
+      } finally {
+        loopRunning = false;
       }
     };
 
+    // 👀 Watch Pods/Events so scans read from cache and terminations are caught as they happen
+    if (CONFIG.WATCH_ENABLED) {
+      cluster.watcher = new ClusterWatcher(cluster.kubeConfig, cluster.core, {
+        maxBackoffMs: CONFIG.WATCH_MAX_BACKOFF * 1000
+      });
+
+      let pendingScan = null;
+      cluster.watcher.on('change', (kind, type, obj, previous) => {
+        if (kind !== 'pods') return;
+        if (type === 'DELETED') {
+          forgetPod(cluster.state, obj.metadata);
+          return;
+        }
+        if (type !== 'MODIFIED' || !previous) return;
+        if (this.recordContainerTerminations(cluster, obj, previous) && !pendingScan) {
+          // Debounce so a burst of restarts results in a single scan
+          pendingScan = setTimeout(() => {
+            pendingScan = null;
+            monitoringLoop();
+          }, 5000);
+        }
+      });
+
+      cluster.watcher.start()
+        .then(() => console.log(`👀 Pod and Event watches established for ${cluster.name}`))
+        .catch(error => console.error(`❌ Failed to start cluster watches for ${cluster.name}:`, error.message));
+    }
+
     // Run initial scan
     monitoringLoop();
     
@@ -1384,32 +3079,127 @@ class KubernetesAutoHealServer {
     setInterval(monitoringLoop, CONFIG.MONITORING_INTERVAL * 1000);
   }
 
-  // 🧮 Helper methods
-  parseMemory(memoryString) {
-    if (!memoryString) return 0;
-    const units = { 'Ki': 1024, 'Mi': 1024*1024, 'Gi': 1024*1024*1024 };
-    const match = memoryString.match(/^(\d+)(\w+)?$/);
-    if (!match) return 0;
-    const value = parseInt(match[1]);
-    const unit = match[2] || '';
-    return value * (units[unit] || 1);
-  }
-
-  getContainerMemoryLimit(pod, containerName) {
-    const container = pod.spec.containers?.find(c => c.name === containerName);
-    return container?.resources?.limits?.memory || null;
-  }
-
-  calculateRecommendedMemory(currentLimit) {
-    if (!currentLimit) return "256Mi";
-    const currentBytes = this.parseMemory(currentLimit);
-    const recommendedBytes = Math.min(
-      currentBytes * CONFIG.RESOURCE_MULTIPLIER,
-      currentBytes * CONFIG.MAX_RESOURCE_INCREASE
+  // 📝 One-line rationale for a detected issue, shown on its proposal
+  describeIssue(issue) {
+    if (issue.type === "oom") {
+      return `${issue.container} in ${issue.pod} was OOMKilled (${issue.restartCount} restarts) with a memory limit of ${issue.currentMemoryLimit || 'none'}`;
+    }
+    return issue.probeFix
+      ? `${issue.container} in ${issue.pod} is restarted by its failing liveness probe (${issue.restartCount} restarts); ${issue.probeFix.probe} tuned instead of raising memory`
+      : `${issue.container} in ${issue.pod} is crash-looping (${issue.restartCount} restarts); memory limit raised as a first remediation`;
+  }
+
+  // 📚 Append to the incident journal without letting storage errors break healing
+  // Records carrying a `cluster` go to that cluster's journal
+  async recordHistory(record) {
+    try {
+      const store = await (record.cluster ? this.clusters.get(record.cluster).history : this.history);
+      return await store.append(record);
+    } catch (error) {
+      console.error('❌ Failed to record healing history:', error.message);
+      return null;
+    }
+  }
+
+  // 📁 Journal file of an additional cluster, next to the primary one: healing-history.<cluster>.jsonl
+  clusterHistoryFile(clusterName) {
+    const { dir, name, ext } = path.parse(CONFIG.HISTORY_FILE);
+    return path.join(dir, `${name}.${clusterName.replace(/[^A-Za-z0-9_.-]/g, '_')}${ext || '.jsonl'}`);
+  }
+
+  // 📚 Journal of the cluster a call targets; the shared journal when no cluster is configured
+  async historyFor(args = {}) {
+    if (!args.cluster && !args.context && !this.clusters.default) return this.history;
+    return this.clusters.resolve(args).history;
+  }
+
+  // Every distinct journal (the first cluster shares the primary one)
+  async historyStores() {
+    return Promise.all([...new Set([this.history, ...this.clusters.list().map(cluster => cluster.history)])]);
+  }
+
+  // 🔢 Matching records summed across every cluster's journal
+  async countHistory(filter) {
+    const stores = await this.historyStores();
+    return stores.reduce((total, store) => total + store.query({ ...filter, limit: 1 }).total, 0);
+  }
+
+  // 🏷️ Cluster named by a call's `cluster` / `context` argument, if it is a known one
+  namedClusterOf(args = {}) {
+    if (!args.cluster && !args.context) return undefined;
+    try {
+      return this.clusters.resolve(args).name;
+    } catch {
+      return undefined;
+    }
+  }
+
+  // 🆕 Journal issues from a scan that weren't seen before (or restarted again since)
+  async recordDetectedIssues(cluster, scan) {
+    const detected = [
+      ...scan.issues.oomEvents.map(event => ({ ...event, type: "oom" })),
+      ...scan.issues.crashingPods.map(crash => ({ ...crash, type: "crash" }))
+    ];
+    const newIssues = [];
+
+    for (const issue of detected) {
+      const key = `${issue.type}/${issue.namespace}/${issue.pod}/${issue.container}`;
+      if (cluster.state.recordedIssues.get(key) === issue.restartCount) continue;
+      cluster.state.recordedIssues.set(key, issue.restartCount);
+      newIssues.push(issue);
+
+      await this.recordHistory({
+        kind: "issue",
+        action: issue.type,
+        outcome: "detected",
+        cluster: cluster.name,
+        namespace: issue.namespace,
+        workload: issue.workload,
+        pod: issue.pod,
+        container: issue.container,
+        restartCount: issue.restartCount
+      });
+    }
+
+    return newIssues;
+  }
+
+  // 💥 Record container terminations seen between two versions of a pod
+  recordContainerTerminations(cluster, pod, previous) {
+    const previousStatuses = new Map(
+      (previous.status?.containerStatuses || []).map(status => [status.name, status])
     );
-    return `${Math.ceil(recommendedBytes / (1024 * 1024))}Mi`;
+    let recorded = false;
+
+    for (const containerStatus of pod.status?.containerStatuses || []) {
+      const before = previousStatuses.get(containerStatus.name);
+      const terminated = containerStatus.lastState?.terminated;
+      if (!before || containerStatus.restartCount <= before.restartCount || !terminated) continue;
+
+      const key = `${pod.metadata.namespace}/${pod.metadata.name}/${containerStatus.name}`;
+      const restarts = containerStatus.restartCount - before.restartCount;
+      const stores = terminated.reason === 'OOMKilled'
+        ? [cluster.state.podCrashes, cluster.state.oomEvents]
+        : [cluster.state.podCrashes];
+      for (const store of stores) {
+        const entry = store.get(key) || { count: 0, firstSeen: new Date().toISOString(), occurrences: [] };
+        const seenAt = terminated.finishedAt ? new Date(terminated.finishedAt).toISOString() : new Date().toISOString();
+        store.set(key, {
+          ...entry,
+          count: entry.count + restarts,
+          lastSeen: new Date().toISOString(),
+          reason: terminated.reason,
+          exitCode: terminated.exitCode,
+          occurrences: [...entry.occurrences, seenAt].slice(-100)
+        });
+      }
+      recorded = true;
+    }
+
+    return recorded;
   }
 
+  // 🧮 Helper methods
   mergeDeep(target, source) {
     const output = Object.assign({}, target);
     if (this.isObject(target) && this.isObject(source)) {
@@ -1424,19 +3214,325 @@ class KubernetesAutoHealServer {
         }
       });
     }
-    return output;
+    return output;
+  }
+
+  isObject(item) {
+    return item && typeof item === 'object' && !Array.isArray(item);
+  }
+
+  // 🔧 GitOps Helper Methods
+  async resolveFixTarget(issue, cluster) {
+    if (issue.type === "storage") return this.resolveClaimFixTarget(issue, cluster);
+    if (issue.type === "autoscaling") return this.resolveAutoscalingFixTarget(issue, cluster);
+    let pod;
+    try {
+      pod = (await cluster.core.readNamespacedPod(issue.pod, issue.namespace)).body;
+    } catch (error) {
+      return { resolved: false, reason: `Pod not found (${error.body?.message || error.message})` };
+    }
+
+    try {
+      const workload = await resolveOwnerWorkload({ appsApi: cluster.apps, batchApi: cluster.batch }, pod);
+      const resolution = await resolveHelmValuesPath({
+        repo: createGitHubRepoReader(octokit, {
+          owner: CONFIG.GITHUB_OWNER,
+          repo: CONFIG.GITHUB_REPO,
+          ref: CONFIG.GITHUB_BRANCH
+        }),
+        chartsPath: cluster.chartsPath || CONFIG.GITHUB_CHARTS_PATH,
+        workload,
+        pod,
+        containerName: issue.container,
+        target: issue.type === "probe" ? "probes" : "resources"
+      });
+      // 🩺 A probe fix rewrites the probe's values block with the new settings merged in
+      const probeChange = issue.type === "probe" && resolution.resolved ? planProbeFix(resolution.probes, issue) : {};
+      // A resource fix starts from the limit the container runs with
+      const current = issue.type === "probe" ? undefined
+        : pod.spec.containers.find(container => container.name === (resolution.container || issue.container))?.resources?.limits?.[issue.resourceType];
+      return { ...resolution, ...probeChange, ...(current && { current }), workload: workload.name, workloadKind: workload.kind };
+    } catch (error) {
+      return { resolved: false, reason: `Owner lookup failed (${error.body?.message || error.message})` };
+    }
+  }
+
+  /**
+   * 💾 A storage fix raises a PVC's size in the chart values. Only claims on a StorageClass
+   * that allows expansion qualify, and only upwards: volumes cannot shrink.
+   */
+  async resolveClaimFixTarget(issue, cluster) {
+    if (!issue.claim) return { resolved: false, reason: 'Storage fixes need the PVC name in claim' };
+    let claim;
+    try {
+      claim = (await cluster.core.readNamespacedPersistentVolumeClaim(issue.claim, issue.namespace)).body;
+    } catch (error) {
+      return { resolved: false, reason: `PVC not found (${error.body?.message || error.message})` };
+    }
+
+    const storageClassName = claim.spec?.storageClassName;
+    try {
+      if (!storageClassName) return { resolved: false, reason: `PVC ${issue.claim} has no StorageClass, so it cannot be expanded` };
+      const storageClass = (await cluster.storage.readStorageClass(storageClassName)).body;
+      if (!storageClass.allowVolumeExpansion) {
+        return { resolved: false, reason: `StorageClass ${storageClassName} does not allow volume expansion` };
+      }
+    } catch (error) {
+      return { resolved: false, reason: `StorageClass ${storageClassName} not readable (${error.body?.message || error.message})` };
+    }
+
+    const current = claim.spec.resources?.requests?.storage;
+    const requested = parseMemoryQuantity(issue.recommendedLimit);
+    if (requested === null || requested <= parseMemoryQuantity(current)) {
+      return { resolved: false, reason: `Volumes cannot shrink: ${issue.recommendedLimit} is not larger than the current ${current}` };
+    }
+
+    try {
+      // The pod mounting the claim tells whether it comes from a StatefulSet's volumeClaimTemplates
+      const pod = issue.pod
+        ? (await cluster.core.readNamespacedPod(issue.pod, issue.namespace)).body
+        : claimUsers((await cluster.core.listNamespacedPod(issue.namespace)).body.items).get(`${issue.namespace}/${issue.claim}`)?.[0];
+      const workload = pod ? await resolveOwnerWorkload({ appsApi: cluster.apps, batchApi: cluster.batch }, pod) : null;
+      const resolution = await resolveClaimValuesPath({
+        repo: createGitHubRepoReader(octokit, {
+          owner: CONFIG.GITHUB_OWNER,
+          repo: CONFIG.GITHUB_REPO,
+          ref: CONFIG.GITHUB_BRANCH
+        }),
+        chartsPath: cluster.chartsPath || CONFIG.GITHUB_CHARTS_PATH,
+        claim,
+        workload
+      });
+      return { ...resolution, claim: issue.claim, current, pod: pod?.metadata.name, workload: issue.claim, workloadKind: 'PersistentVolumeClaim' };
+    } catch (error) {
+      return { resolved: false, reason: `Claim user lookup failed (${error.body?.message || error.message})` };
+    }
+  }
+
+  /**
+   * 📐 An autoscaling fix rewrites the values block the chart's HorizontalPodAutoscaler
+   * template reads, for a Deployment or StatefulSet named in `workload`.
+   */
+  async resolveAutoscalingFixTarget(issue, cluster) {
+    if (!issue.workload) return { resolved: false, reason: 'Autoscaling fixes need the Deployment or StatefulSet name in workload' };
+    const readers = {
+      Deployment: () => cluster.apps.readNamespacedDeployment(issue.workload, issue.namespace),
+      StatefulSet: () => cluster.apps.readNamespacedStatefulSet(issue.workload, issue.namespace)
+    };
+    let workload = null;
+    for (const [kind, read] of Object.entries(readers)) {
+      try {
+        workload = { kind, name: issue.workload, namespace: issue.namespace, metadata: (await read()).body.metadata };
+        break;
+      } catch {
+        // Not this kind; try the next one
+      }
+    }
+    if (!workload) {
+      return { resolved: false, reason: `No Deployment or StatefulSet named ${issue.workload} in ${issue.namespace}` };
+    }
+
+    const resolution = await resolveAutoscalingValuesPath({
+      repo: createGitHubRepoReader(octokit, {
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        ref: CONFIG.GITHUB_BRANCH
+      }),
+      chartsPath: cluster.chartsPath || CONFIG.GITHUB_CHARTS_PATH,
+      workload
+    });
+    const change = resolution.resolved ? planAutoscalingFix(resolution, issue.settings) : {};
+    return { ...resolution, ...change, workload: workload.name, workloadKind: workload.kind };
+  }
+
+  // 🎯 Resolve an issue to its values path and check the resulting fix against the policy
+  async prepareFix(issue, cluster) {
+    const target = await this.resolveFixTarget(issue, cluster);
+    if (!target.resolved) {
+      return { unresolved: { pod: issue.pod, claim: issue.claim, workload: issue.workload, namespace: issue.namespace, reason: target.reason } };
+    }
+
+    const resourceType = target.claim ? 'storage' : target.autoscalingPath ? 'autoscaling' : target.probe || issue.resourceType;
+    // The value resolved from the cluster or the chart beats the one the issue was reported with
+    const from = target.current ?? issue.currentLimit;
+    const to = target.proposed || issue.recommendedLimit;
+    const parse = resourceType === 'cpu' ? parseCpuQuantity : resourceType === 'memory' ? parseMemoryQuantity : null;
+    if (parse && parse(from) !== null && parse(to) !== null && parse(to) <= parse(from)) {
+      return {
+        unresolved: {
+          pod: issue.pod, workload: issue.workload, namespace: issue.namespace,
+          reason: `The ${resourceType} limit is already ${from}; ${to} would not raise it, and limits are never lowered automatically`
+        }
+      };
+    }
+    const fix = {
+      cluster: cluster.name,
+      type: issue.type,
+      pod: issue.pod || target.pod,
+      namespace: issue.namespace,
+      workload: target.workload,
+      workloadKind: target.workloadKind,
+      container: target.container,
+      claim: target.claim,
+      resourceType,
+      from,
+      to,
+      chart: target.chart,
+      releaseName: target.releaseName,
+      valuesFile: target.valuesFile,
+      yamlPath: target.sizePath || target.probePath || target.autoscalingPath || `${target.resourcesPath}.limits.${resourceType}`,
+      settings: target.settings
+    };
+    fix.fingerprint = this.getIssueFingerprint(fix);
+
+    // 🚧 Guardrails: namespace rules and maximum values apply to automated fixes too
+    const verdict = this.policy.evaluate(() => this.policy.checkFix(fix));
+    if (!verdict.allowed) {
+      await this.recordHistory({
+        kind: "decision",
+        action: "gitops-fix-pr",
+        outcome: "denied",
+        cluster: cluster.name,
+        namespace: fix.namespace,
+        workload: fix.workload,
+        container: fix.container,
+        rule: verdict.rule,
+        reason: verdict.reason
+      });
+      return { denied: { ...fix, reason: verdict.reason } };
+    }
+    return { fix, target };
+  }
+
+  /**
+   * 🔧 The values fix for an issue the monitoring loop detected, or null when there is none.
+   * OOM kills raise the memory limit. A liveness-probe restart gets the probe fix. Any other
+   * crash loop raises memory only when its diagnosis ranks out-of-memory first; application
+   * errors, missing config and the like are recorded as skipped instead.
+   */
+  async fixForDetectedIssue(cluster, issue) {
+    const target = {
+      cluster: cluster.name,
+      pod: issue.pod,
+      namespace: issue.namespace,
+      workload: issue.workload,
+      container: issue.container
+    };
+    if (issue.type === "oom") {
+      return {
+        ...target,
+        type: "oom",
+        currentLimit: issue.currentMemoryLimit || "Not set",
+        recommendedLimit: calculateRecommendedMemory(issue.currentMemoryLimit, CONFIG.SCAN),
+        resourceType: "memory"
+      };
+    }
+    if (issue.probeFix) {
+      // Restarted by its liveness probe: more memory would not help
+      return { ...target, type: "probe", probe: issue.probeFix.probe, settings: issue.probeFix.settings };
+    }
+
+    let likely;
+    let currentLimit;
+    try {
+      const diagnosis = (await this.diagnoseCrash({ cluster: cluster.name, namespace: issue.namespace, pod: issue.pod, container: issue.container })).structuredContent;
+      likely = diagnosis.causes[0];
+      const pod = (await cluster.core.readNamespacedPod(issue.pod, issue.namespace)).body;
+      currentLimit = pod.spec.containers.find(container => container.name === issue.container)?.resources?.limits?.memory;
+    } catch (error) {
+      likely = { title: `diagnosis failed (${error.message})` };
+    }
+    if (likely?.cause === "oom") {
+      return {
+        ...target,
+        type: "crash",
+        currentLimit: currentLimit || "Not set",
+        recommendedLimit: calculateRecommendedMemory(currentLimit, CONFIG.SCAN),
+        resourceType: "memory"
+      };
+    }
+
+    await this.recordHistory({
+      kind: "decision",
+      action: "gitops-fix-pr",
+      outcome: "skipped",
+      ...target,
+      reason: `Crash loop not proposed as a memory fix: likely cause is ${likely ? likely.title : "unknown"}`
+    });
+    return null;
   }
 
-  isObject(item) {
-    return item && typeof item === 'object' && !Array.isArray(item);
+  // 🏷️ What a fix changes, for messages: workload/container, the claim of a storage fix
+  // or the workload of an autoscaling fix
+  describeFixTarget(fix) {
+    if (fix.claim) return `pvc/${fix.claim}`;
+    return fix.type === 'autoscaling' ? `${fix.workloadKind.toLowerCase()}/${fix.workload}` : `${fix.workload}/${fix.container}`;
   }
 
-  // 🔧 GitOps Helper Methods
-  getYamlPathForPod(podName, resourceType) {
-    // Simple mapping - in real scenario, you'd need more sophisticated logic
-    // to map pod names to their corresponding Helm values paths
-    const appName = podName.split('-')[0]; // Assume first part is app name
-    return `${appName}.resources.limits.${resourceType}`;
+  // 🧬 Stable identity of an issue so repeated detections map to the same PR.
+  // With several clusters the same workload name in two clusters is two separate fixes.
+  getIssueFingerprint(fix) {
+    return this.clusters.size > 1 && fix.cluster ? `${fix.cluster}/${issueFingerprint(fix)}` : issueFingerprint(fix);
+  }
+
+  // 🔍 Open auto-fix PRs (by label or branch prefix) with the fingerprints they cover
+  async findOpenAutoFixPRs() {
+    const pulls = await octokit.paginate(octokit.rest.pulls.list, {
+      owner: CONFIG.GITHUB_OWNER,
+      repo: CONFIG.GITHUB_REPO,
+      state: 'open',
+      base: CONFIG.GITHUB_BRANCH,
+      per_page: 100
+    });
+
+    return pulls
+      .filter(pr => pr.head.ref.startsWith(CONFIG.AUTO_FIX_BRANCH_PREFIX) ||
+        pr.labels.some(label => label.name === CONFIG.AUTO_FIX_LABEL))
+      .map(pr => ({
+        number: pr.number,
+        url: pr.html_url,
+        branch: pr.head.ref,
+        fingerprints: (pr.body || '').match(/<!-- auto-heal-fingerprints: (.*?) -->/)?.[1].split(',').filter(Boolean) || []
+      }));
+  }
+
+  // 📝 Commit fixes to a branch, one commit per values file; returns the number of files changed.
+  // A fix with `to: null` removes the key (reverting to the chart default).
+  async applyFixesToBranch(branch, fixes, message = '🔧 Auto-fix: Update resource limits') {
+    let changedFiles = 0;
+    const valuesFiles = [...new Set(fixes.map(fix => fix.valuesFile))];
+    for (const valuesFile of valuesFiles) {
+      const fileFixes = fixes.filter(fix => fix.valuesFile === valuesFile);
+      const { data: currentFile } = await octokit.rest.repos.getContent({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        path: valuesFile,
+        ref: branch
+      });
+
+      const currentContent = Buffer.from(currentFile.content, 'base64').toString();
+      let updatedValues = yaml.load(currentContent) || {};
+      for (const fix of fileFixes) {
+        updatedValues = fix.to === null
+          ? this.unsetNestedValue(updatedValues, fix.yamlPath)
+          : this.setNestedValue(updatedValues, fix.yamlPath, fix.to);
+      }
+
+      const newContent = yaml.dump(updatedValues, { indent: 2 });
+      if (newContent === yaml.dump(yaml.load(currentContent) || {}, { indent: 2 })) continue;
+
+      await octokit.rest.repos.createOrUpdateFileContents({
+        owner: CONFIG.GITHUB_OWNER,
+        repo: CONFIG.GITHUB_REPO,
+        path: valuesFile,
+        message: `${message} for ${fileFixes.length} issues in ${valuesFile}`,
+        content: Buffer.from(newContent).toString('base64'),
+        sha: currentFile.sha,
+        branch
+      });
+      changedFiles++;
+    }
+    return changedFiles;
   }
 
   setNestedValue(obj, path, value) {
@@ -1455,65 +3551,93 @@ class KubernetesAutoHealServer {
     return obj;
   }
 
+  getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), obj);
+  }
+
+  unsetNestedValue(obj, path) {
+    const keys = path.split('.');
+    const parent = keys.length === 1 ? obj : this.getNestedValue(obj, keys.slice(0, -1).join('.'));
+    if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+    return obj;
+  }
+
   generatePRBody(fixes) {
     return `🤖 **Automated Cluster Healing**\n\n` +
            `This PR contains automated fixes for detected cluster issues.\n\n` +
            `## 🔍 Issues Detected\n\n` +
            fixes.map(fix => 
-             `### ${fix.type.toUpperCase()}: ${fix.pod} (${fix.namespace})\n` +
+             `### ${fix.type.toUpperCase()}: ${fix.claim ? `PVC ${fix.claim}` : fix.pod || this.describeFixTarget(fix)} (${fix.namespace})\n` +
+             (fix.cluster ? `- **Cluster**: ${fix.cluster}\n` : '') +
              `- **Resource**: ${fix.resourceType}\n` +
-             `- **Current**: ${fix.from}\n` +
-             `- **Recommended**: ${fix.to}\n` +
+             `- **Current**: ${formatFixValue(fix.from)}\n` +
+             `- **Recommended**: ${formatFixValue(fix.to)}\n` +
+             `- **Chart**: ${fix.chart} (release \`${fix.releaseName || 'unknown'}\`)\n` +
+             `- **Values File**: \`${fix.valuesFile}\`\n` +
              `- **YAML Path**: \`${fix.yamlPath}\`\n`
            ).join('\n') + '\n\n' +
            `## 🚀 Deployment\n\n` +
            `Merging this PR will trigger the deployment pipeline to apply these fixes.\n\n` +
            `---\n` +
-           `*This PR was automatically created by the K8s Auto-Heal system at ${new Date().toISOString()}*`;
+           `*This PR was automatically created by the K8s Auto-Heal system at ${new Date().toISOString()}*\n\n` +
+           `<!-- auto-heal-fingerprints: ${fixes.map(fix => fix.fingerprint).join(',')} -->`;
   }
 
   // 📦 Helm Methods
+  // Shared by install/upgrade: validated argv for --values/--set/--wait/--timeout
+  helmReleaseArgs({ namespace, values, valuesFile, wait, timeout }) {
+    const argv = ['--namespace', validate.namespace(namespace)];
+    if (wait) argv.push('--wait');
+    if (timeout) argv.push('--timeout', validate.duration(timeout, 'timeout'));
+    if (valuesFile) argv.push('--values', validate.file(valuesFile, 'valuesFile'));
+    for (const [key, value] of Object.entries(values || {})) {
+      argv.push('--set', `${validate.valuesKey(key)}=${validate.text(value, `values.${key}`)}`);
+    }
+    return argv;
+  }
+
+  // 🌐 Every helm/kubectl call names its cluster's context instead of relying on kubeconfig's current-context
+  runHelmOn(cluster, argv, options) {
+    return runHelm(cluster.inCluster ? argv : ['--kube-context', validate.context(cluster.context), ...argv], options);
+  }
+
+  kubectlContextArgs(cluster, argv) {
+    return cluster.inCluster ? argv : ['--context', validate.context(cluster.context), ...argv];
+  }
+
+  runKubectlOn(cluster, argv, options) {
+    return runKubectl(this.kubectlContextArgs(cluster, argv), options);
+  }
+
+  // Let helm's own --timeout fire first so its error message reaches the caller
+  helmCommandTimeout(timeout) {
+    return timeout ? durationMs(timeout) + 30000 : undefined;
+  }
+
   async helmInstall(args) {
     const { releaseName, chart, namespace = 'default', values, valuesFile, createNamespace = false, wait = true, timeout = '10m' } = args;
     
     try {
-      let command = `helm install ${releaseName} ${chart} --namespace ${namespace}`;
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['install', validate.releaseName(releaseName), validate.chart(chart),
+        ...this.helmReleaseArgs({ namespace, values, valuesFile, wait, timeout })];
       if (createNamespace) {
-        command += ' --create-namespace';
-      }
-      
-      if (wait) {
-        command += ' --wait';
-      }
-      
-      if (timeout) {
-        command += ` --timeout ${timeout}`;
-      }
-      
-      if (valuesFile) {
-        command += ` --values ${valuesFile}`;
+        argv.push('--create-namespace');
       }
       
-      if (values) {
-        // Convert values object to --set parameters
-        const setParams = Object.entries(values)
-          .map(([key, value]) => `--set ${key}=${value}`)
-          .join(' ');
-        command += ` ${setParams}`;
-      }
-      
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runHelmOn(cluster, argv, { timeoutMs: this.helmCommandTimeout(timeout) });
       
       return {
         content: [{
           type: "text",
           text: `📦 **Helm Install Successful**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Release**: ${releaseName}\n` +
                 `**Chart**: ${chart}\n` +
                 `**Namespace**: ${namespace}\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, releaseName, chart, namespace }
       };
     } catch (error) {
       throw new Error(`Helm install failed: ${error.message}`);
@@ -1524,38 +3648,23 @@ class KubernetesAutoHealServer {
     const { releaseName, chart, namespace = 'default', values, valuesFile, wait = true, timeout = '10m' } = args;
     
     try {
-      let command = `helm upgrade ${releaseName} ${chart} --namespace ${namespace}`;
-      
-      if (wait) {
-        command += ' --wait';
-      }
-      
-      if (timeout) {
-        command += ` --timeout ${timeout}`;
-      }
-      
-      if (valuesFile) {
-        command += ` --values ${valuesFile}`;
-      }
-      
-      if (values) {
-        const setParams = Object.entries(values)
-          .map(([key, value]) => `--set ${key}=${value}`)
-          .join(' ');
-        command += ` ${setParams}`;
-      }
+      const cluster = this.clusters.resolve(args);
+      const argv = ['upgrade', validate.releaseName(releaseName), validate.chart(chart),
+        ...this.helmReleaseArgs({ namespace, values, valuesFile, wait, timeout })];
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runHelmOn(cluster, argv, { timeoutMs: this.helmCommandTimeout(timeout) });
       
       return {
         content: [{
           type: "text",
           text: `🔄 **Helm Upgrade Successful**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Release**: ${releaseName}\n` +
                 `**Chart**: ${chart}\n` +
                 `**Namespace**: ${namespace}\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, releaseName, chart, namespace }
       };
     } catch (error) {
       throw new Error(`Helm upgrade failed: ${error.message}`);
@@ -1566,22 +3675,24 @@ class KubernetesAutoHealServer {
     const { releaseName, namespace = 'default', wait = true } = args;
     
     try {
-      let command = `helm uninstall ${releaseName} --namespace ${namespace}`;
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['uninstall', validate.releaseName(releaseName), '--namespace', validate.namespace(namespace)];
       if (wait) {
-        command += ' --wait';
+        argv.push('--wait');
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runHelmOn(cluster, argv, { timeoutMs: wait ? this.helmCommandTimeout('5m') : undefined });
       
       return {
         content: [{
           type: "text",
           text: `🗑️ **Helm Uninstall Successful**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Release**: ${releaseName}\n` +
                 `**Namespace**: ${namespace}\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, releaseName, namespace }
       };
     } catch (error) {
       throw new Error(`Helm uninstall failed: ${error.message}`);
@@ -1592,23 +3703,25 @@ class KubernetesAutoHealServer {
     const { namespace, allNamespaces = false } = args;
     
     try {
-      let command = 'helm list';
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['list'];
       if (allNamespaces) {
-        command += ' --all-namespaces';
+        argv.push('--all-namespaces');
       } else if (namespace) {
-        command += ` --namespace ${namespace}`;
+        argv.push('--namespace', validate.namespace(namespace));
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runHelmOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `📋 **Helm Releases**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Scope**: ${allNamespaces ? 'All namespaces' : namespace || 'default'}\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, scope: allNamespaces ? 'All namespaces' : namespace || 'default' }
       };
     } catch (error) {
       throw new Error(`Helm list failed: ${error.message}`);
@@ -1619,8 +3732,7 @@ class KubernetesAutoHealServer {
     const { name, url } = args;
     
     try {
-      const command = `helm repo add ${name} ${url}`;
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await runHelm(['repo', 'add', validate.name(name), validate.url(url)]);
       
       return {
         content: [{
@@ -1628,8 +3740,9 @@ class KubernetesAutoHealServer {
           text: `📚 **Helm Repository Added**\n\n` +
                 `**Name**: ${name}\n` +
                 `**URL**: ${url}\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), name, url }
       };
     } catch (error) {
       throw new Error(`Helm repo add failed: ${error.message}`);
@@ -1638,15 +3751,15 @@ class KubernetesAutoHealServer {
 
   async helmRepoUpdate() {
     try {
-      const command = 'helm repo update';
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await runHelm(['repo', 'update'], { timeoutMs: 5 * 60 * 1000 });
       
       return {
         content: [{
           type: "text",
           text: `🔄 **Helm Repositories Updated**\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: commandOutput(result)
       };
     } catch (error) {
       throw new Error(`Helm repo update failed: ${error.message}`);
@@ -1654,40 +3767,41 @@ class KubernetesAutoHealServer {
   }
 
   // 🎯 kubectl Methods
+  // --namespace or --all-namespaces, validated
+  kubectlScopeArgs(namespace, allNamespaces = false) {
+    if (allNamespaces) return ['--all-namespaces'];
+    return namespace ? ['--namespace', validate.namespace(namespace)] : [];
+  }
+
   async kubectlGet(args) {
     const { resource, namespace, name, allNamespaces = false, selector, output = 'wide' } = args;
     
     try {
-      let command = `kubectl get ${resource}`;
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['get', validate.resource(resource)];
       if (name) {
-        command += ` ${name}`;
+        argv.push(validate.name(name));
       }
-      
-      if (allNamespaces) {
-        command += ' --all-namespaces';
-      } else if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
+      argv.push(...this.kubectlScopeArgs(namespace, allNamespaces));
       if (selector) {
-        command += ` --selector ${selector}`;
+        argv.push('--selector', validate.selector(selector));
       }
-      
       if (output) {
-        command += ` --output ${output}`;
+        argv.push('--output', validate.oneOf(output, 'output', ['yaml', 'json', 'wide', 'name']));
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `📋 **kubectl get ${resource}**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Namespace**: ${allNamespaces ? 'All namespaces' : namespace || 'default'}\n` +
                 `**Output Format**: ${output}\n\n` +
-                `**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, resource, namespace: allNamespaces ? 'all' : namespace || 'default', output }
       };
     } catch (error) {
       throw new Error(`kubectl get failed: ${error.message}`);
@@ -1698,21 +3812,19 @@ class KubernetesAutoHealServer {
     const { resource, name, namespace } = args;
     
     try {
-      let command = `kubectl describe ${resource} ${name}`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const cluster = this.clusters.resolve(args);
+      const result = await this.runKubectlOn(cluster, ['describe', validate.resource(resource), validate.name(name),
+        ...this.kubectlScopeArgs(namespace)]);
       
       return {
         content: [{
           type: "text",
           text: `📖 **kubectl describe ${resource} ${name}**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Namespace**: ${namespace || 'default'}\n\n` +
-                `**Details**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, resource, name, namespace: namespace || 'default' }
       };
     } catch (error) {
       throw new Error(`kubectl describe failed: ${error.message}`);
@@ -1723,49 +3835,47 @@ class KubernetesAutoHealServer {
     const { podName, namespace, container, follow = false, previous = false, tail, since } = args;
     
     try {
-      let command = `kubectl logs ${podName}`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['logs', validate.name(podName, 'podName'), ...this.kubectlScopeArgs(namespace)];
       if (container) {
-        command += ` --container ${container}`;
+        argv.push('--container', validate.label(container, 'container'));
       }
-      
       if (previous) {
-        command += ' --previous';
+        argv.push('--previous');
       }
-      
       if (tail) {
-        command += ` --tail ${tail}`;
+        argv.push('--tail', validate.integer(tail, 'tail', { min: -1 }));
       }
-      
       if (since) {
-        command += ` --since ${since}`;
+        argv.push('--since', validate.duration(since, 'since'));
       }
       
-      // Don't use follow in execSync as it would hang
+      // Follow never terminates, so it can't run inside a tool call
       if (follow) {
+        const followCommand = `kubectl ${this.kubectlContextArgs(cluster, ['logs', podName, '-f']).join(' ')}`;
         return {
           content: [{
             type: "text",
             text: `📜 **Following logs for ${podName}**\n\n` +
-                  `**Note**: Follow mode requires interactive session. Use: \`kubectl logs ${podName} -f\``
-          }]
+                  `**Cluster**: ${cluster.name}\n` +
+                  `**Note**: Follow mode requires interactive session. Use: \`${followCommand}\``
+          }],
+          structuredContent: { cluster: cluster.name, podName, namespace: namespace || 'default', follow: true, command: followCommand }
         };
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `📜 **kubectl logs ${podName}**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Namespace**: ${namespace || 'default'}\n` +
                 `**Container**: ${container || 'default'}\n\n` +
-                `**Logs**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, podName, namespace: namespace || 'default', container, follow: false }
       };
     } catch (error) {
       throw new Error(`kubectl logs failed: ${error.message}`);
@@ -1776,32 +3886,32 @@ class KubernetesAutoHealServer {
     const { podName, namespace, container, command, interactive = false } = args;
     
     try {
-      let kubectlCmd = `kubectl exec ${podName}`;
-      
-      if (namespace) {
-        kubectlCmd += ` --namespace ${namespace}`;
+      const cluster = this.clusters.resolve(args);
+      if (!Array.isArray(command) || command.length === 0) {
+        throw new Error('command must be a non-empty array of arguments');
       }
-      
-      if (container) {
-        kubectlCmd += ` --container ${container}`;
-      }
-      
       if (interactive) {
-        kubectlCmd += ' -it';
+        throw new Error('interactive exec requires a terminal session');
       }
+
+      const argv = ['exec', validate.name(podName, 'podName'), ...this.kubectlScopeArgs(namespace)];
+      if (container) {
+        argv.push('--container', validate.label(container, 'container'));
+      }
+      // Everything after "--" is handed to the container process as-is
+      argv.push('--', ...command.map((part, index) => validate.text(part, `command[${index}]`)));
       
-      kubectlCmd += ` -- ${command.join(' ')}`;
-      
-      const result = execSync(kubectlCmd, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `🔧 **kubectl exec ${podName}**\n\n` +
-                `**Command**: ${command.join(' ')}\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Namespace**: ${namespace || 'default'}\n\n` +
-                `**Output**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, podName, namespace: namespace || 'default' }
       };
     } catch (error) {
       throw new Error(`kubectl exec failed: ${error.message}`);
@@ -1812,31 +3922,28 @@ class KubernetesAutoHealServer {
     const { filename, namespace, recursive = false, dryRun = false } = args;
     
     try {
-      let command = `kubectl apply -f ${filename}`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['apply', '-f', validate.file(filename), ...this.kubectlScopeArgs(namespace)];
       if (recursive) {
-        command += ' --recursive';
+        argv.push('--recursive');
       }
-      
       if (dryRun) {
-        command += ' --dry-run=client';
+        argv.push('--dry-run=client');
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `⚡ **kubectl apply**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**File**: ${filename}\n` +
                 `**Namespace**: ${namespace || 'default'}\n` +
                 `**Dry Run**: ${dryRun ? 'Yes' : 'No'}\n\n` +
-                `**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, filename, namespace: namespace || 'default', dryRun }
       };
     } catch (error) {
       throw new Error(`kubectl apply failed: ${error.message}`);
@@ -1847,38 +3954,44 @@ class KubernetesAutoHealServer {
     const { resource, name, namespace, filename, force = false, gracePeriod } = args;
     
     try {
-      let command;
-      
+      const cluster = this.clusters.resolve(args);
+      let argv;
       if (filename) {
-        command = `kubectl delete -f ${filename}`;
+        argv = ['delete', '-f', validate.file(filename)];
       } else if (resource && name) {
-        command = `kubectl delete ${resource} ${name}`;
+        argv = ['delete', validate.resource(resource), validate.name(name)];
       } else {
         throw new Error('Either filename or (resource + name) must be provided');
       }
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
+      argv.push(...this.kubectlScopeArgs(namespace));
       if (force) {
-        command += ' --force';
+        argv.push('--force');
       }
-      
       if (gracePeriod !== undefined) {
-        command += ` --grace-period=${gracePeriod}`;
+        argv.push(`--grace-period=${validate.integer(gracePeriod, 'gracePeriod', { min: -1 })}`);
+      }
+      const target = filename || `${resource}/${name}`;
+
+      const availability = !filename && normalizeKind(resource) === 'pod'
+        ? await this.assessPodDeletion(cluster, name, namespace || 'default')
+        : null;
+      if (availability && !availability.allowed) {
+        return await this.refuseDisruption('kubectl-delete', cluster, availability, { target, namespace: namespace || 'default' });
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `🗑️ **kubectl delete**\n\n` +
-                `**Target**: ${filename || `${resource}/${name}`}\n` +
+                `**Cluster**: ${cluster.name}\n` +
+                `**Target**: ${target}\n` +
                 `**Namespace**: ${namespace || 'default'}\n\n` +
-                `**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                this.formatAvailability(availability) +
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, target, namespace: namespace || 'default', executed: true, availability }
       };
     } catch (error) {
       throw new Error(`kubectl delete failed: ${error.message}`);
@@ -1889,23 +4002,39 @@ class KubernetesAutoHealServer {
     const { resource, name, namespace, replicas } = args;
     
     try {
-      let command = `kubectl scale ${resource} ${name} --replicas=${replicas}`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
+      const cluster = this.clusters.resolve(args);
+      const argv = ['scale', validate.resource(resource), validate.name(name),
+        `--replicas=${validate.integer(replicas, 'replicas')}`, ...this.kubectlScopeArgs(namespace)];
+      const structured = { resource, name, namespace: namespace || 'default', replicas: Number(replicas) };
+
+      // Only scaling down takes pods away; kinds without a replica count are left to kubectl
+      const kind = DISRUPTABLE_KINDS[normalizeKind(resource)];
+      let availability = null;
+      if (['Deployment', 'StatefulSet', 'ReplicaSet'].includes(kind) && this.policy.availabilityRules()) {
+        const target = { kind, name, namespace: namespace || 'default' };
+        const current = (await this.readDisruptionTarget(cluster, target)).spec?.replicas ?? 1;
+        if (Number(replicas) < current) {
+          availability = await this.assessAvailability(cluster, 'scale', target, { replicas: Number(replicas) });
+        }
       }
-      
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      if (availability && !availability.allowed) {
+        return await this.refuseDisruption('kubectl-scale', cluster, availability, structured);
+      }
+
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `📏 **kubectl scale**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Resource**: ${resource}/${name}\n` +
                 `**Replicas**: ${replicas}\n` +
                 `**Namespace**: ${namespace || 'default'}\n\n` +
-                `**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                this.formatAvailability(availability) +
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, ...structured, executed: true, availability }
       };
     } catch (error) {
       throw new Error(`kubectl scale failed: ${error.message}`);
@@ -1916,27 +4045,39 @@ class KubernetesAutoHealServer {
     const { action, resource, name, namespace, revision } = args;
     
     try {
-      let command = `kubectl rollout ${action} ${resource}/${name}`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
+      const cluster = this.clusters.resolve(args);
+      const argv = ['rollout', validate.oneOf(action, 'action', ['status', 'history', 'restart', 'undo']),
+        `${validate.resource(resource)}/${validate.name(name)}`, ...this.kubectlScopeArgs(namespace)];
       if (action === 'undo' && revision) {
-        command += ` --to-revision=${revision}`;
+        argv.push(`--to-revision=${validate.integer(revision, 'revision')}`);
+      }
+      if (action === 'status') {
+        // Bound the watch so the tool returns even if the rollout is stuck
+        argv.push('--timeout=60s');
+      }
+      const structured = { action, resource, name, namespace: namespace || 'default', revision: revision ? Number(revision) : undefined };
+
+      const kind = DISRUPTABLE_KINDS[normalizeKind(resource)];
+      const availability = action === 'restart' && ['Deployment', 'StatefulSet', 'DaemonSet'].includes(kind)
+        ? await this.assessAvailability(cluster, 'restart', { kind, name, namespace: namespace || 'default' })
+        : null;
+      if (availability && !availability.allowed) {
+        return await this.refuseDisruption('kubectl-rollout restart', cluster, availability, structured);
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv, { timeoutMs: 90000 });
       
       return {
         content: [{
           type: "text",
           text: `🔄 **kubectl rollout ${action}**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Resource**: ${resource}/${name}\n` +
                 `**Namespace**: ${namespace || 'default'}\n` +
                 `${revision ? `**Revision**: ${revision}\n` : ''}` +
-                `\n**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                `\n` + this.formatAvailability(availability) + formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, ...structured, executed: true, availability }
       };
     } catch (error) {
       throw new Error(`kubectl rollout failed: ${error.message}`);
@@ -1947,38 +4088,39 @@ class KubernetesAutoHealServer {
     const { resource, namespace, ports, background = false } = args;
     
     try {
-      let command = `kubectl port-forward ${resource} ${ports}`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
+      const cluster = this.clusters.resolve(args);
+      const argv = this.kubectlContextArgs(cluster,
+        ['port-forward', validate.resource(resource), validate.ports(ports), ...this.kubectlScopeArgs(namespace)]);
       
       if (background) {
-        command += ' &';
-        execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+        const started = startBackground('kubectl', argv);
         
         return {
           content: [{
             type: "text",
             text: `🌐 **kubectl port-forward (Background)**\n\n` +
+                  `**Cluster**: ${cluster.name}\n` +
                   `**Resource**: ${resource}\n` +
                   `**Ports**: ${ports}\n` +
                   `**Namespace**: ${namespace || 'default'}\n\n` +
-                  `**Status**: Running in background\n` +
+                  `**Status**: Running in background (pid ${started.pid})\n` +
                   `**Access**: http://localhost:${ports.split(':')[0]}`
-          }]
+          }],
+          structuredContent: { cluster: cluster.name, resource, ports, namespace: namespace || 'default', background: true, pid: started.pid, command: started.command, url: `http://localhost:${ports.split(':')[0]}` }
         };
       } else {
         return {
           content: [{
             type: "text",
             text: `🌐 **kubectl port-forward**\n\n` +
+                  `**Cluster**: ${cluster.name}\n` +
                   `**Resource**: ${resource}\n` +
                   `**Ports**: ${ports}\n` +
                   `**Namespace**: ${namespace || 'default'}\n\n` +
                   `**Note**: Interactive port-forward requires terminal session.\n` +
-                  `**Command**: \`${command}\``
-          }]
+                  `**Command**: \`kubectl ${argv.join(' ')}\``
+          }],
+          structuredContent: { cluster: cluster.name, resource, ports, namespace: namespace || 'default', background: false, command: `kubectl ${argv.join(' ')}` }
         };
       }
     } catch (error) {
@@ -1990,30 +4132,44 @@ class KubernetesAutoHealServer {
     const { resource, namespace, allNamespaces = false, selector } = args;
     
     try {
-      let command = `kubectl top ${resource}`;
-      
-      if (allNamespaces) {
-        command += ' --all-namespaces';
-      } else if (namespace) {
-        command += ` --namespace ${namespace}`;
+      const cluster = this.clusters.resolve(args);
+      if (!cluster.metrics) {
+        throw new Error('Metrics API client not initialized');
       }
-      
-      if (selector) {
-        command += ` --selector ${selector}`;
+
+      const formatPercent = (value, of) => (value === null ? '' : ` (${value}% of ${of})`);
+      const scopeLabel = resource === 'nodes' ? 'cluster' : allNamespaces ? 'All namespaces' : namespace || 'default';
+      let lines;
+      let metrics;
+
+      if (resource === 'nodes') {
+        const nodes = (await cluster.core.listNode()).body.items;
+        metrics = await getNodeMetrics(cluster.metrics, nodes, { labelSelector: selector });
+        lines = metrics.map(node =>
+          `• **${node.node}**: CPU ${formatCpu(node.usage.cpu)}${formatPercent(node.utilization.cpu, 'allocatable')}, ` +
+          `Memory ${formatMemory(node.usage.memory)}${formatPercent(node.utilization.memory, 'allocatable')}`);
+      } else {
+        const scope = allNamespaces ? undefined : namespace || 'default';
+        metrics = await getContainerMetrics(cluster.metrics, await listPods(cluster, scope), { namespace: scope, labelSelector: selector });
+        lines = metrics.map(container =>
+          `• **${container.namespace}/${container.pod}/${container.container}**: ` +
+          `CPU ${formatCpu(container.usage.cpu)}${formatPercent(container.utilization.cpuLimit, 'limit')}, ` +
+          `Memory ${formatMemory(container.usage.memory)}${formatPercent(container.utilization.memoryLimit, 'limit')}`);
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
-      
       return {
         content: [{
           type: "text",
-          text: `📊 **kubectl top ${resource}**\n\n` +
-                `**Namespace**: ${allNamespaces ? 'All namespaces' : namespace || 'default'}\n\n` +
-                `**Resource Usage**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+          text: `📊 **Resource Usage (${resource})**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
+                `**Namespace**: ${scopeLabel}\n\n` +
+                `**Resource Usage**:\n${lines.join('\n') || 'No metrics available yet'}\n\n` +
+                `**Details:**\n${JSON.stringify(metrics, null, 2)}`
+        }],
+        structuredContent: { cluster: cluster.name, resource, namespace: scopeLabel, metrics }
       };
     } catch (error) {
-      throw new Error(`kubectl top failed: ${error.message}`);
+      throw new Error(`Failed to read metrics from metrics.k8s.io: ${error.message}`);
     }
   }
 
@@ -2021,24 +4177,27 @@ class KubernetesAutoHealServer {
     const { resource, name, namespace, patch, type = 'strategic' } = args;
     
     try {
-      let command = `kubectl patch ${resource} ${name} --type ${type} --patch '${patch}'`;
-      
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
+      const cluster = this.clusters.resolve(args);
+      // The patch travels as one argv element, so quotes inside it are harmless
+      if (typeof patch !== 'string' || !patch.trim()) {
+        throw new Error('patch must be a non-empty JSON/YAML string');
       }
-      
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, ['patch', validate.resource(resource), validate.name(name),
+        '--type', validate.oneOf(type, 'type', ['strategic', 'merge', 'json']),
+        '--patch', patch, ...this.kubectlScopeArgs(namespace)]);
       
       return {
         content: [{
           type: "text",
           text: `🔧 **kubectl patch**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Resource**: ${resource}/${name}\n` +
                 `**Patch Type**: ${type}\n` +
                 `**Namespace**: ${namespace || 'default'}\n\n` +
                 `**Patch**:\n\`\`\`json\n${patch}\n\`\`\`\n\n` +
-                `**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, resource, name, namespace: namespace || 'default', type }
       };
     } catch (error) {
       throw new Error(`kubectl patch failed: ${error.message}`);
@@ -2049,35 +4208,30 @@ class KubernetesAutoHealServer {
     const { resource, name, namespace, filename, options = {} } = args;
     
     try {
-      let command;
+      const cluster = this.clusters.resolve(args);
+      let argv;
       
       if (filename) {
-        command = `kubectl create -f ${filename}`;
+        argv = ['create', '-f', validate.file(filename)];
       } else if (resource && name) {
-        command = `kubectl create ${resource} ${name}`;
-        
-        // Add common options for resource creation
-        Object.entries(options).forEach(([key, value]) => {
-          command += ` --${key}=${value}`;
-        });
+        argv = ['create', validate.resource(resource), validate.name(name), ...createOptionArgs(resource, options)];
       } else {
         throw new Error('Either filename or (resource + name) must be provided');
       }
+      argv.push(...this.kubectlScopeArgs(namespace));
       
-      if (namespace) {
-        command += ` --namespace ${namespace}`;
-      }
-      
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await this.runKubectlOn(cluster, argv);
       
       return {
         content: [{
           type: "text",
           text: `➕ **kubectl create**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
                 `**Target**: ${filename || `${resource}/${name}`}\n` +
                 `**Namespace**: ${namespace || 'default'}\n\n` +
-                `**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, target: filename || `${resource}/${name}`, namespace: namespace || 'default' }
       };
     } catch (error) {
       throw new Error(`kubectl create failed: ${error.message}`);
@@ -2088,22 +4242,46 @@ class KubernetesAutoHealServer {
     const { action, context, cluster, user } = args;
     
     try {
-      let command = `kubectl config ${action}`;
+      const argv = ['config', validate.oneOf(action, 'action', ['current-context', 'get-contexts', 'use-context', 'set-context', 'view'])];
       
       switch (action) {
-        case 'use-context':
+        case 'use-context': {
+          // Switch the default cluster of this server instead of rewriting the shared kubeconfig
           if (!context) throw new Error('Context name required for use-context');
-          command += ` ${context}`;
+          const target = this.clusters.setDefault(validate.context(context));
+          return {
+            content: [{
+              type: "text",
+              text: `⚙️ **kubectl config use-context**\n\n` +
+                    `**Context**: ${target.context}\n` +
+                    `**Cluster**: ${target.name}\n\n` +
+                    `Tool calls without a \`cluster\` argument now target ${target.name}. The kubeconfig file was not modified.`
+            }],
+            structuredContent: { action, context: target.context, defaultCluster: target.name }
+          };
+        }
+        case 'current-context':
+          if (this.clusters.default) {
+            return {
+              content: [{
+                type: "text",
+                text: `⚙️ **kubectl config current-context**\n\n` +
+                      `**Context**: ${this.clusters.default.context}\n` +
+                      `**Cluster**: ${this.clusters.default.name} (default for tool calls)`
+              }],
+              structuredContent: { action, context: this.clusters.default.context, defaultCluster: this.clusters.default.name }
+            };
+          }
           break;
         case 'set-context':
           if (!context) throw new Error('Context name required for set-context');
-          command += ` ${context}`;
-          if (cluster) command += ` --cluster=${cluster}`;
-          if (user) command += ` --user=${user}`;
+          argv.push(validate.context(context));
+          if (cluster) argv.push(`--cluster=${validate.context(cluster, 'cluster')}`);
+          if (user) argv.push(`--user=${validate.context(user, 'user')}`);
           break;
       }
       
-      const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+      const result = await runKubectl(argv);
       
       return {
         content: [{
@@ -2112,21 +4290,412 @@ class KubernetesAutoHealServer {
                 `${context ? `**Context**: ${context}\n` : ''}` +
                 `${cluster ? `**Cluster**: ${cluster}\n` : ''}` +
                 `${user ? `**User**: ${user}\n` : ''}` +
-                `\n**Result**:\n\`\`\`\n${result}\n\`\`\``
-        }]
+                `\n` + formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), action, context, user }
       };
     } catch (error) {
       throw new Error(`kubectl config failed: ${error.message}`);
     }
   }
 
+  // 🛡️ Availability Methods
+  // The workload a disruptive action targets; failures refuse the action rather than skip the check
+  async readDisruptionTarget(cluster, { kind, name, namespace }) {
+    const readers = {
+      ...Object.fromEntries(Object.values(WORKLOAD_KINDS).map(entry => [entry.kind, () => entry.read(cluster.apps, name, namespace)])),
+      ReplicaSet: () => cluster.apps.readNamespacedReplicaSet(name, namespace),
+      Pod: () => cluster.core.readNamespacedPod(name, namespace)
+    };
+    try {
+      return (await readers[kind]()).body;
+    } catch (error) {
+      throw new Error(`Availability of ${kind.toLowerCase()}/${name} could not be checked: ${error.body?.message || error.message}`);
+    }
+  }
+
+  /**
+   * 🛡️ Assess a restart, scale-down, pod deletion or eviction against the workload's
+   * PodDisruptionBudgets, ready replicas and rollout (see availability.js).
+   * Returns null when the policy turns the checks off.
+   */
+  async assessAvailability(cluster, action, target, options = {}) {
+    const rules = this.policy.availabilityRules();
+    if (!rules) return null;
+
+    const workload = await this.readDisruptionTarget(cluster, target);
+    const pods = await listPods(cluster, target.namespace);
+    let pdbs = [];
+    let pdbError = null;
+    try {
+      pdbs = (await cluster.policy.listNamespacedPodDisruptionBudget(target.namespace)).body.items;
+    } catch (error) {
+      pdbError = error.body?.message || error.message;
+    }
+    return assessDisruption({ action, kind: target.kind, workload, pods, pdbs, pdbError, ...options }, rules);
+  }
+
+  // 🗑️ A deleted pod costs the workload that owns it a replica; Job pods are left to the Job's retries
+  async assessPodDeletion(cluster, name, namespace) {
+    if (!this.policy.availabilityRules()) return null;
+    const pod = await this.readDisruptionTarget(cluster, { kind: 'Pod', name, namespace });
+    const owner = await resolveOwnerWorkload({ appsApi: cluster.apps, batchApi: cluster.batch }, pod);
+    if (!DISRUPTABLE_KINDS[owner.kind.toLowerCase()]) return null;
+    return this.assessAvailability(cluster, 'delete-pod', { kind: owner.kind, name: owner.name, namespace }, { targets: [name] });
+  }
+
+  // 📝 Markdown summary of an assessment, shared by the disruptive tools
+  formatAvailability(availability) {
+    if (!availability) return '';
+    const { rollout, alternative } = availability;
+    const list = items => items.map(item => `• ${item.reason}\n`).join('');
+    return `**Ready Replicas**: ${availability.ready} → ${availability.readyAfter} (${availability.minReady} required by ${availability.budget})\n` +
+      (rollout.details ? `**Rollout**: ${rollout.stalled ? 'stalled' : rollout.inProgress ? 'in progress' : 'complete'} (${rollout.details})\n` : '') +
+      (availability.blockers.length > 0 ? `\n**Blockers:**\n${list(availability.blockers)}` : '') +
+      (availability.warnings.length > 0 ? `\n**Warnings:**\n${list(availability.warnings)}` : '') +
+      (alternative
+        ? `\n**Within budget instead**: ${alternative.reason} (${alternative.action === 'scale'
+          ? `kubectl-scale to ${alternative.replicas}`
+          : `kubectl-delete pod ${alternative.pods.join(', ')}`})\n`
+        : '') +
+      '\n';
+  }
+
+  // 🚫 Result of a disruptive tool call the availability checks refused, recorded as a blocked decision
+  async refuseDisruption(tool, cluster, availability, structuredContent) {
+    await this.recordHistory({
+      kind: "decision",
+      action: tool,
+      outcome: "blocked",
+      cluster: cluster.name,
+      namespace: availability.namespace,
+      workload: availability.name,
+      reason: availability.blockers.map(blocker => blocker.reason).join('; ')
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text: `🛡️ **${tool} refused**\n\n` +
+              `**Cluster**: ${cluster.name}\n` +
+              `**Workload**: ${availability.kind.toLowerCase()}/${availability.name}\n` +
+              `**Namespace**: ${availability.namespace}\n\n` +
+              this.formatAvailability(availability)
+      }],
+      structuredContent: { ...structuredContent, cluster: cluster.name, executed: false, availability }
+    };
+  }
+
+  // 🖥️ Node maintenance Methods
+  // Node-level guardrails (protected labels, cordoned node limit); returns the node
+  async checkNodeMaintenance(cluster, name, subject) {
+    const nodes = (await cluster.core.listNode()).body.items;
+    const node = nodes.find(candidate => candidate.metadata.name === name);
+    if (!node) {
+      throw new Error(`Node ${name} not found`);
+    }
+    this.policy.checkNode(node, subject, {
+      cordonedNodes: nodes.filter(candidate => candidate.spec?.unschedulable).map(candidate => candidate.metadata.name)
+    });
+    return node;
+  }
+
+  async nodeCordon(args) {
+    const { node, dryRun = false } = args;
+
+    try {
+      const cluster = this.clusters.resolve(args);
+      const argv = ['cordon', validate.name(node, 'node')];
+      await this.checkNodeMaintenance(cluster, node, 'node-cordon');
+      if (dryRun) {
+        argv.push('--dry-run=server');
+      }
+
+      const result = await this.runKubectlOn(cluster, argv);
+      if (!dryRun) {
+        await this.recordHistory({ kind: "action", action: "node-cordon", outcome: "success", cluster: cluster.name, node, reason: `Node ${node} cordoned` });
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: `🚧 **kubectl cordon**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
+                `**Node**: ${node}\n` +
+                `**Dry Run**: ${dryRun ? 'Yes' : 'No'}\n\n` +
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, node, dryRun }
+      };
+    } catch (error) {
+      if (error instanceof PolicyViolation) throw error;
+      throw new Error(`Failed to cordon node: ${error.message}`);
+    }
+  }
+
+  async nodeUncordon(args) {
+    const { node, dryRun = false } = args;
+
+    try {
+      const cluster = this.clusters.resolve(args);
+      const argv = ['uncordon', validate.name(node, 'node')];
+      if (dryRun) {
+        argv.push('--dry-run=server');
+      }
+
+      const result = await this.runKubectlOn(cluster, argv);
+      if (!dryRun) {
+        await this.recordHistory({ kind: "action", action: "node-uncordon", outcome: "success", cluster: cluster.name, node, reason: `Node ${node} uncordoned` });
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: `✅ **kubectl uncordon**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
+                `**Node**: ${node}\n` +
+                `**Dry Run**: ${dryRun ? 'Yes' : 'No'}\n\n` +
+                formatCommandResult(result)
+        }],
+        structuredContent: { ...commandOutput(result), cluster: cluster.name, node, dryRun }
+      };
+    } catch (error) {
+      throw new Error(`Failed to uncordon node: ${error.message}`);
+    }
+  }
+
+  /**
+   * 🛡️ Availability of the workloads a drain evicts from. planDrain checked the
+   * PodDisruptionBudgets against their live disruptionsAllowed; workloads none covers
+   * must keep minReadyReplicas, and rollouts in progress are reported.
+   */
+  async checkDrainAvailability(cluster, plan, pods) {
+    const rules = this.policy.availabilityRules();
+    if (!rules) return;
+
+    const covered = new Set(plan.pdbs.flatMap(budget => budget.podsOnNode));
+    const groups = new Map();
+    for (const pod of plan.evict) {
+      const owner = (pod.metadata.ownerReferences || []).find(reference => reference.controller);
+      // Pods without a controller block the drain already
+      if (!owner) continue;
+      const key = `${pod.metadata.namespace}/${owner.kind}/${owner.name}`;
+      groups.set(key, [...(groups.get(key) || []), pod]);
+    }
+
+    for (const group of groups.values()) {
+      const refs = group.map(pod => `${pod.metadata.namespace}/${pod.metadata.name}`);
+      try {
+        const owner = await resolveOwnerWorkload({ appsApi: cluster.apps, batchApi: cluster.batch }, group[0]);
+        if (!['Deployment', 'StatefulSet', 'ReplicaSet'].includes(owner.kind)) continue;
+        const assessment = assessDisruption({
+          action: 'evict',
+          kind: owner.kind,
+          workload: owner.object,
+          pods,
+          targets: group.map(pod => pod.metadata.name)
+        }, rules);
+        if (!refs.some(ref => covered.has(ref))) {
+          plan.blockers.push(...assessment.blockers.map(blocker => ({ pod: refs.join(', '), reason: blocker.reason })));
+        }
+        plan.warnings.push(...assessment.warnings.map(warning => ({ pod: refs.join(', '), reason: warning.reason })));
+      } catch (error) {
+        plan.blockers.push({ pod: refs.join(', '), reason: `Availability of the owning workload could not be checked: ${error.body?.message || error.message}` });
+      }
+    }
+  }
+
+  /**
+   * 🚜 Drain a node after checking what it would evict. PodDisruptionBudgets with
+   * no disruptions left, workloads left below minReadyReplicas, unmanaged pods and
+   * emptyDir data block the drain up front, instead of kubectl cordoning the node
+   * and then hanging on the eviction.
+   */
+  async nodeDrain(args) {
+    const { node, dryRun = false, deleteEmptyDirData = false, gracePeriod, timeout = '5m' } = args;
+
+    try {
+      const cluster = this.clusters.resolve(args);
+      const argv = ['drain', validate.name(node, 'node'), '--ignore-daemonsets', `--timeout=${validate.duration(timeout, 'timeout')}`];
+      if (deleteEmptyDirData) {
+        argv.push('--delete-emptydir-data');
+      }
+      if (gracePeriod !== undefined) {
+        argv.push(`--grace-period=${validate.integer(gracePeriod, 'gracePeriod')}`);
+      }
+      await this.checkNodeMaintenance(cluster, node, 'node-drain');
+
+      const pods = await listPods(cluster);
+      const podsOnNode = pods.filter(pod => pod.spec?.nodeName === node);
+      let pdbs = [];
+      let pdbError = null;
+      try {
+        pdbs = (await cluster.policy.listPodDisruptionBudgetForAllNamespaces()).body.items;
+      } catch (error) {
+        pdbError = error.body?.message || error.message;
+      }
+      const plan = planDrain(podsOnNode, pdbs, { deleteEmptyDirData });
+      if (pdbError) {
+        plan.warnings.push({ reason: `PodDisruptionBudgets could not be listed (${pdbError}); the eviction API still enforces them, so the drain may wait` });
+      }
+      await this.checkDrainAvailability(cluster, plan, pods);
+      for (const pod of plan.evict) {
+        this.policy.checkEviction(pod.metadata.namespace, `node-drain evicting ${pod.metadata.namespace}/${pod.metadata.name}`);
+      }
+
+      // A blocked drain would cordon the node and then fail or hang, so it is not started
+      let result = null;
+      if (plan.blockers.length === 0) {
+        if (dryRun) {
+          argv.push('--dry-run=server');
+        }
+        result = await this.runKubectlOn(cluster, argv, { timeoutMs: durationMs(timeout) + 30000 });
+      }
+      const executed = Boolean(result) && !dryRun;
+      if (executed) {
+        await this.recordHistory({
+          kind: "action",
+          action: "node-drain",
+          outcome: "success",
+          cluster: cluster.name,
+          node,
+          reason: `Node ${node} drained: ${plan.evict.length} pods evicted, ${plan.skipped.length} skipped`
+        });
+      } else if (!dryRun) {
+        await this.recordHistory({
+          kind: "decision",
+          action: "node-drain",
+          outcome: "blocked",
+          cluster: cluster.name,
+          node,
+          reason: plan.blockers.map(blocker => blocker.reason).join('; ')
+        });
+      }
+
+      const list = (items, render) => items.length > 0 ? items.map(item => `• ${render(item)}\n`).join('') : '• none\n';
+      const evict = plan.evict.map(pod => ({ pod: `${pod.metadata.namespace}/${pod.metadata.name}`, workload: getWorkloadName(pod) }));
+      return {
+        content: [{
+          type: "text",
+          text: `🚜 **Drain node ${node}**${dryRun ? ' (dry run)' : ''}\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
+                `**Status**: ${plan.blockers.length > 0
+                  ? `🚫 blocked, node was not cordoned or drained`
+                  : executed ? '✅ drained' : '✅ would drain'}\n\n` +
+                `**Evict (${evict.length}):**\n${list(evict, entry => `${entry.pod} (${entry.workload})`)}\n` +
+                `**Skipped (${plan.skipped.length}):**\n${list(plan.skipped, entry => `${entry.pod}: ${entry.reason}`)}\n` +
+                `**Blockers (${plan.blockers.length}):**\n${list(plan.blockers, entry => `${entry.pod}: ${entry.reason}`)}\n` +
+                (plan.warnings.length > 0 ? `**Warnings:**\n${list(plan.warnings, entry => (entry.pod ? `${entry.pod}: ${entry.reason}` : entry.reason))}\n` : '') +
+                (result ? formatCommandResult(result) : '')
+        }],
+        structuredContent: {
+          ...(result ? commandOutput(result) : {}),
+          cluster: cluster.name,
+          node,
+          dryRun,
+          executed,
+          evict,
+          skipped: plan.skipped,
+          blockers: plan.blockers,
+          warnings: plan.warnings,
+          pdbs: plan.pdbs
+        }
+      };
+    } catch (error) {
+      if (error instanceof PolicyViolation) throw error;
+      throw new Error(`Failed to drain node: ${error.message}`);
+    }
+  }
+
+  /**
+   * 🔁 Re-run a failed Job. The new Job gets the original's template under a new name
+   * and is annotated with the Job it re-runs, so scans stop reporting the failure
+   * once the re-run succeeds.
+   */
+  async rerunJob(args) {
+    const { job, namespace = 'default', deleteFailed = false, dryRun = false } = args;
+
+    try {
+      const cluster = this.clusters.resolve(args);
+      const original = (await cluster.batch.readNamespacedJob(validate.name(job, 'job'), validate.namespace(namespace))).body;
+      if (!isJobFailed(original)) {
+        throw new Error(`Job ${namespace}/${job} has not failed (${original.status?.active || 0} active, ${original.status?.succeeded || 0} succeeded); only failed Jobs are re-run`);
+      }
+
+      const rerun = (await cluster.batch.createNamespacedJob(namespace, buildJobRerun(original), undefined, dryRun ? 'All' : undefined)).body;
+      const cronJob = rerun.metadata.ownerReferences?.find(reference => reference.kind === 'CronJob')?.name;
+      if (deleteFailed && !dryRun) {
+        await cluster.batch.deleteNamespacedJob(job, namespace, undefined, undefined, undefined, undefined, 'Background');
+      }
+      if (!dryRun) {
+        await this.recordHistory({
+          kind: "action",
+          action: "rerun-job",
+          outcome: "success",
+          cluster: cluster.name,
+          namespace,
+          workload: cronJob || job,
+          reason: `Job ${job} re-run as ${rerun.metadata.name}${deleteFailed ? '; failed Job deleted' : ''}`
+        });
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: `🔁 **Job Re-run${dryRun ? ' (dry run)' : ''}**\n\n` +
+                `**Cluster**: ${cluster.name}\n` +
+                `**Failed Job**: ${namespace}/${job}${cronJob ? ` (CronJob ${cronJob})` : ''}\n` +
+                `**Failure**: ${original.status.conditions.find(condition => condition.type === 'Failed').reason || 'Failed'}\n` +
+                `**New Job**: ${rerun.metadata.name}\n` +
+                `**Failed Job Deleted**: ${deleteFailed && !dryRun ? 'Yes' : 'No'}\n\n` +
+                `Follow it with \`kubectl logs job/${rerun.metadata.name} -n ${namespace} -f\``
+        }],
+        structuredContent: {
+          cluster: cluster.name,
+          namespace,
+          job,
+          cronJob: cronJob || null,
+          rerun: rerun.metadata.name,
+          dryRun,
+          deletedFailed: deleteFailed && !dryRun
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to re-run job: ${error.body?.message || error.message}`);
+    }
+  }
+
   async run() {
+    if (CONFIG.MCP_TRANSPORT === 'http') {
+      await startStreamableHttpServer({
+        createServer: () => this.createMcpServer(),
+        health: () => ({
+          clusters: this.clusters.list().map(cluster => ({ name: cluster.name, lastScan: cluster.state.lastScan?.timestamp || null }))
+        }),
+        port: CONFIG.MCP_SERVER_PORT,
+        healthPort: CONFIG.HEALTH_PORT,
+        path: CONFIG.MCP_HTTP_PATH,
+        authToken: CONFIG.MCP_AUTH_TOKEN,
+        allowUnauthenticated: CONFIG.MCP_ALLOW_UNAUTHENTICATED,
+        allowedHosts: CONFIG.MCP_ALLOWED_HOSTS,
+        sessionIdleMs: CONFIG.MCP_SESSION_IDLE_MINUTES * 60 * 1000,
+        maxReplayEvents: CONFIG.MCP_REPLAY_EVENTS
+      });
+      console.log(`🚀 Kubernetes Auto-Heal MCP Server running on Streamable HTTP at http://0.0.0.0:${CONFIG.MCP_SERVER_PORT}${CONFIG.MCP_HTTP_PATH}` +
+        `${CONFIG.MCP_AUTH_TOKEN ? ' (bearer token required)' : ' (⚠️  unauthenticated)'}`);
+      console.log(`🏥 Health check: http://0.0.0.0:${CONFIG.HEALTH_PORT}/health`);
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.log("🚀 Kubernetes Auto-Heal MCP Server running on stdio");
   }
 }
 
-// 🚀 Start the server
-const server = new KubernetesAutoHealServer();
-server.run().catch(console.error);
+// 🚀 Start the server; exit when it cannot serve, so the pod restarts instead of idling
+const start = async () => new KubernetesAutoHealServer().run();
+start().catch(error => {
+  console.error('❌ Failed to start the MCP server:', error.message);
+  process.exit(1);
+});
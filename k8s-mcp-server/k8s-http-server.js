@@ -9,14 +9,76 @@
 import express from 'express';
 import cors from 'cors';
 import k8s from '@kubernetes/client-node';
-import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
+import { formatMemory, parseMemoryQuantity } from './resource-quantities.js';
+import { runHelm, validate, durationMs, CommandError, CommandValidationError } from './command-runner.js';
+import { loadPolicy, PolicyEnforcer, PolicyViolation } from './policy.js';
+import { createApprovalQueue, approvalQueueSettings, buildFixProposal, ApprovalError, PROPOSAL_STATUSES } from './approval-queue.js';
+import { fileConfig } from './file-config.js';
+import { resolveOwnerWorkload } from './helm-values-resolver.js';
+import { analyzeProbeFailures } from './probe-health.js';
+import { commandOutput } from './tool-schemas.js';
+import { ClusterRegistry } from './cluster-registry.js';
+import { createPrometheusClient } from './prometheus-usage.js';
+import { scanSettings, collectClusterHealth, collectOOMEvents } from './cluster-scan.js';
+import { bearerTokenCheck } from './streamable-http.js';
+import { diagnoseContainer, containerEvents } from './crash-diagnosis.js';
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 const MCP_PORT = process.env.MCP_SERVER_PORT || 3000;
+const SCAN_SETTINGS = scanSettings(fileConfig);
+const policy = new PolicyEnforcer(loadPolicy(process.env.POLICY_FILE || '/app/config/policy.yaml'));
+
+// ✋ Same queue file as the MCP server, which executes approved proposals on its monitoring loop
+const approvalSettings = approvalQueueSettings(fileConfig);
+const approvals = createApprovalQueue({
+  filePath: approvalSettings.filePath,
+  ttlMs: approvalSettings.ttlHours * 60 * 60 * 1000
+});
+
+// 🔐 Approving or rejecting needs the MCP_AUTH_TOKEN bearer token; without one configured the decisions stay with the MCP tools
+const approvalAuthorized = process.env.MCP_AUTH_TOKEN ? bearerTokenCheck(process.env.MCP_AUTH_TOKEN) : null;
+const requireApprovalToken = (req, res, next) => {
+  if (!approvalAuthorized) {
+    return res.status(503).json({ error: 'Approving and rejecting over HTTP needs MCP_AUTH_TOKEN to be set' });
+  }
+  if (!approvalAuthorized(req.get('authorization'))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized: missing or invalid bearer token' });
+  }
+  next();
+};
+
+const sendApprovalError = (res, label, error) => {
+  const status = error instanceof PolicyViolation ? 403
+    : error instanceof ApprovalError ? (error.code === 'not-found' ? 404 : 409)
+    : 500;
+  res.status(status).json({ error: `${label} failed: ${error.message}`, ...(error.rule ? { rule: error.rule } : {}) });
+};
+
+// 🛡️ Command failures as JSON: bad arguments are 400s, failed commands carry their output
+const sendCommandError = (res, label, error) => {
+  const status = error instanceof PolicyViolation ? 403 : error instanceof CommandValidationError ? 400 : 500;
+  res.status(status).json({
+    error: `${label} failed: ${error.message}`,
+    ...(error instanceof CommandError ? commandOutput(error.result) : {})
+  });
+};
+
+// Shared by install/upgrade: validated argv for --values/--set/--wait/--timeout
+const helmReleaseArgs = ({ namespace, values, valuesFile, wait, timeout }) => {
+  const argv = ['--namespace', validate.namespace(namespace)];
+  if (wait) argv.push('--wait');
+  if (timeout) argv.push('--timeout', validate.duration(timeout, 'timeout'));
+  if (valuesFile) argv.push('--values', validate.file(valuesFile, 'valuesFile'));
+  for (const [key, value] of Object.entries(values || {})) {
+    argv.push('--set', `${validate.valuesKey(key)}=${validate.text(value, `values.${key}`)}`);
+  }
+  return argv;
+};
 
 // 🔧 Middleware
 app.use(cors());
@@ -32,6 +94,15 @@ try {
 
 const k8sApi = kc.makeApiClient(k8s.CoreV1Api);
 const k8sAppsApi = kc.makeApiClient(k8s.AppsV1Api);
+const k8sBatchApi = kc.makeApiClient(k8s.BatchV1Api);
+
+// 🩺 The current context as a registry cluster, so scans run the MCP server's analysis
+const clusters = ClusterRegistry.fromKubeConfig(kc);
+clusters.list().forEach(cluster => {
+  cluster.prometheus = createPrometheusClient(process.env.PROMETHEUS_URL || 'http://prometheus:9090', {
+    timeoutMs: (parseInt(process.env.PROMETHEUS_TIMEOUT) || 10) * 1000
+  });
+});
 
 // 🏥 Health check endpoint
 app.get('/health', (req, res) => {
@@ -59,70 +130,11 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
-// 🔍 Scan cluster health
+// 🔍 Scan cluster health (same analysis and result as the scan-cluster-health tool, see tool-schemas.js)
 app.post('/api/scan-cluster-health', async (req, res) => {
   try {
     const { namespace, timeRange = "1h" } = req.body;
-    
-    const results = {
-      timestamp: new Date().toISOString(),
-      namespace: namespace || "all",
-      timeRange,
-      issues: {
-        crashingPods: [],
-        oomEvents: [],
-        resourceIssues: [],
-        unhealthyDeployments: []
-      },
-      summary: {
-        totalIssues: 0,
-        criticalIssues: 0,
-        warnings: 0
-      }
-    };
-
-    // Get all pods
-    const podsResponse = namespace 
-      ? await k8sApi.listNamespacedPod(namespace)
-      : await k8sApi.listPodForAllNamespaces();
-    
-    const pods = podsResponse.body.items;
-
-    // Analyze each pod
-    for (const pod of pods) {
-      const podNamespace = pod.metadata.namespace;
-      const podName = pod.metadata.name;
-      
-      // Check for crashes and restarts
-      for (const containerStatus of pod.status.containerStatuses || []) {
-        if (containerStatus.restartCount > 0) {
-          const lastState = containerStatus.lastState;
-          if (lastState?.terminated?.reason === 'OOMKilled') {
-            results.issues.oomEvents.push({
-              pod: podName,
-              namespace: podNamespace,
-              container: containerStatus.name,
-              restartCount: containerStatus.restartCount,
-              reason: 'OOMKilled',
-              finishedAt: lastState.terminated.finishedAt
-            });
-            results.summary.criticalIssues++;
-          } else if (containerStatus.restartCount > 5) {
-            results.issues.crashingPods.push({
-              pod: podName,
-              namespace: podNamespace,
-              container: containerStatus.name,
-              restartCount: containerStatus.restartCount,
-              state: containerStatus.state
-            });
-            results.summary.criticalIssues++;
-          }
-        }
-      }
-    }
-
-    results.summary.totalIssues = results.summary.criticalIssues + results.summary.warnings;
-    res.json(results);
+    res.json(await collectClusterHealth(clusters.resolve(), { namespace, timeRange }, SCAN_SETTINGS));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -137,6 +149,11 @@ app.post('/api/auto-heal-deployment', async (req, res) => {
       return res.status(400).json({ error: 'deploymentName and namespace are required' });
     }
 
+    const verdict = policy.evaluate(() => policy.checkTool('auto-heal-deployment', { namespace, resourceUpdates }));
+    if (!verdict.allowed) {
+      return res.status(403).json({ error: verdict.reason, rule: verdict.rule });
+    }
+
     // Get current deployment
     const deployment = await k8sAppsApi.readNamespacedDeployment(deploymentName, namespace);
     const currentSpec = deployment.body.spec;
@@ -218,41 +235,17 @@ app.get('/api/pod-crashes', async (req, res) => {
       }
     }
 
-    res.json({ crashes, total: crashes.length });
+    res.json({ cluster: kc.getCurrentContext(), total: crashes.length, crashes });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 💥 Get OOM events
+// 💥 Get OOM events inside timeRange (same result as the get-oom-events tool)
 app.get('/api/oom-events', async (req, res) => {
   try {
     const { namespace, timeRange = "24h" } = req.query;
-    
-    const oomEvents = [];
-    const podsResponse = namespace 
-      ? await k8sApi.listNamespacedPod(namespace)
-      : await k8sApi.listPodForAllNamespaces();
-    
-    const pods = podsResponse.body.items;
-    
-    for (const pod of pods) {
-      for (const containerStatus of pod.status.containerStatuses || []) {
-        const lastState = containerStatus.lastState;
-        if (lastState?.terminated?.reason === 'OOMKilled') {
-          oomEvents.push({
-            pod: pod.metadata.name,
-            namespace: pod.metadata.namespace,
-            container: containerStatus.name,
-            finishedAt: lastState.terminated.finishedAt,
-            exitCode: lastState.terminated.exitCode,
-            message: lastState.terminated.message
-          });
-        }
-      }
-    }
-
-    res.json({ oomEvents, total: oomEvents.length });
+    res.json(await collectOOMEvents(clusters.resolve(), { namespace, timeRange }, SCAN_SETTINGS));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -267,42 +260,24 @@ app.post('/api/helm/install', async (req, res) => {
       return res.status(400).json({ error: 'releaseName and chart are required' });
     }
     
-    let command = `helm install ${releaseName} ${chart} --namespace ${namespace}`;
-    
+    policy.checkTool('helm-install', { namespace, values, valuesFile });
+    const argv = ['install', validate.releaseName(releaseName), validate.chart(chart),
+      ...helmReleaseArgs({ namespace, values, valuesFile, wait, timeout })];
     if (createNamespace) {
-      command += ' --create-namespace';
-    }
-    
-    if (wait) {
-      command += ' --wait';
-    }
-    
-    if (timeout) {
-      command += ` --timeout ${timeout}`;
-    }
-    
-    if (valuesFile) {
-      command += ` --values ${valuesFile}`;
+      argv.push('--create-namespace');
     }
     
-    if (values) {
-      const setParams = Object.entries(values)
-        .map(([key, value]) => `--set ${key}=${value}`)
-        .join(' ');
-      command += ` ${setParams}`;
-    }
-    
-    const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    const result = await runHelm(argv, { timeoutMs: timeout ? durationMs(timeout) + 30000 : undefined });
     
     res.json({
       success: true,
       releaseName,
       chart,
       namespace,
-      output: result
+      ...commandOutput(result)
     });
   } catch (error) {
-    res.status(500).json({ error: `Helm install failed: ${error.message}` });
+    sendCommandError(res, 'Helm install', error);
   }
 });
 
@@ -314,38 +289,21 @@ app.post('/api/helm/upgrade', async (req, res) => {
       return res.status(400).json({ error: 'releaseName and chart are required' });
     }
     
-    let command = `helm upgrade ${releaseName} ${chart} --namespace ${namespace}`;
-    
-    if (wait) {
-      command += ' --wait';
-    }
-    
-    if (timeout) {
-      command += ` --timeout ${timeout}`;
-    }
-    
-    if (valuesFile) {
-      command += ` --values ${valuesFile}`;
-    }
-    
-    if (values) {
-      const setParams = Object.entries(values)
-        .map(([key, value]) => `--set ${key}=${value}`)
-        .join(' ');
-      command += ` ${setParams}`;
-    }
+    policy.checkTool('helm-upgrade', { namespace, values, valuesFile });
+    const argv = ['upgrade', validate.releaseName(releaseName), validate.chart(chart),
+      ...helmReleaseArgs({ namespace, values, valuesFile, wait, timeout })];
     
-    const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    const result = await runHelm(argv, { timeoutMs: timeout ? durationMs(timeout) + 30000 : undefined });
     
     res.json({
       success: true,
       releaseName,
       chart,
       namespace,
-      output: result
+      ...commandOutput(result)
     });
   } catch (error) {
-    res.status(500).json({ error: `Helm upgrade failed: ${error.message}` });
+    sendCommandError(res, 'Helm upgrade', error);
   }
 });
 
@@ -354,22 +312,22 @@ app.delete('/api/helm/uninstall/:releaseName', async (req, res) => {
     const { releaseName } = req.params;
     const { namespace = 'default', wait = true } = req.body;
     
-    let command = `helm uninstall ${releaseName} --namespace ${namespace}`;
-    
+    policy.checkTool('helm-uninstall', { namespace });
+    const argv = ['uninstall', validate.releaseName(releaseName), '--namespace', validate.namespace(namespace)];
     if (wait) {
-      command += ' --wait';
+      argv.push('--wait');
     }
     
-    const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    const result = await runHelm(argv, { timeoutMs: wait ? durationMs('5m') + 30000 : undefined });
     
     res.json({
       success: true,
       releaseName,
       namespace,
-      output: result
+      ...commandOutput(result)
     });
   } catch (error) {
-    res.status(500).json({ error: `Helm uninstall failed: ${error.message}` });
+    sendCommandError(res, 'Helm uninstall', error);
   }
 });
 
@@ -377,23 +335,22 @@ app.get('/api/helm/list', async (req, res) => {
   try {
     const { namespace, allNamespaces = false } = req.query;
     
-    let command = 'helm list';
-    
+    const argv = ['list'];
     if (allNamespaces === 'true') {
-      command += ' --all-namespaces';
+      argv.push('--all-namespaces');
     } else if (namespace) {
-      command += ` --namespace ${namespace}`;
+      argv.push('--namespace', validate.namespace(namespace));
     }
     
-    const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    const result = await runHelm(argv);
     
     res.json({
       success: true,
       scope: allNamespaces === 'true' ? 'All namespaces' : namespace || 'default',
-      output: result
+      ...commandOutput(result)
     });
   } catch (error) {
-    res.status(500).json({ error: `Helm list failed: ${error.message}` });
+    sendCommandError(res, 'Helm list', error);
   }
 });
 
@@ -405,57 +362,175 @@ app.post('/api/helm/repo/add', async (req, res) => {
       return res.status(400).json({ error: 'name and url are required' });
     }
     
-    const command = `helm repo add ${name} ${url}`;
-    const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    policy.checkTool('helm-repo-add', { name, url });
+    const result = await runHelm(['repo', 'add', validate.name(name), validate.url(url)]);
     
     res.json({
       success: true,
       name,
       url,
-      output: result
+      ...commandOutput(result)
     });
   } catch (error) {
-    res.status(500).json({ error: `Helm repo add failed: ${error.message}` });
+    sendCommandError(res, 'Helm repo add', error);
   }
 });
 
 app.post('/api/helm/repo/update', async (req, res) => {
   try {
-    const command = 'helm repo update';
-    const result = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    policy.checkTool('helm-repo-update');
+    const result = await runHelm(['repo', 'update'], { timeoutMs: 5 * 60 * 1000 });
     
     res.json({
       success: true,
-      output: result
+      ...commandOutput(result)
     });
   } catch (error) {
-    res.status(500).json({ error: `Helm repo update failed: ${error.message}` });
+    sendCommandError(res, 'Helm repo update', error);
+  }
+});
+
+// ✋ List auto-heal proposals (status: pending by default, or "all")
+app.get('/api/pending-actions', (req, res) => {
+  const { status = 'pending', namespace } = req.query;
+  if (status !== 'all' && !PROPOSAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${[...PROPOSAL_STATUSES, 'all'].join(', ')}` });
+  }
+
+  try {
+    const proposals = approvals.list({ status, namespace });
+    res.json({ status, count: proposals.length, proposals });
+  } catch (error) {
+    sendApprovalError(res, 'List pending actions', error);
+  }
+});
+
+app.get('/api/pending-actions/:id', (req, res) => {
+  const proposal = approvals.get(req.params.id);
+  if (!proposal) {
+    return res.status(404).json({ error: `No proposal with ID ${req.params.id}` });
+  }
+  res.json(proposal);
+});
+
+// ✅ Approve: the MCP server picks the proposal up on its next monitoring cycle.
+// The token is shared, so decisions are recorded as made by "http-api" rather than by a name the caller sends.
+app.post('/api/pending-actions/:id/approve', requireApprovalToken, async (req, res) => {
+  const { reason } = req.body || {};
+  try {
+    policy.checkTool('approve-action', { id: req.params.id });
+    const proposal = await approvals.approve(req.params.id, { actor: 'http-api', reason });
+    res.json({ proposal, execution: 'queued for the next monitoring cycle' });
+  } catch (error) {
+    sendApprovalError(res, 'Approve', error);
   }
 });
 
+// 🛑 Reject: the proposal is closed and never executed
+app.post('/api/pending-actions/:id/reject', requireApprovalToken, async (req, res) => {
+  const { reason } = req.body || {};
+  try {
+    policy.checkTool('reject-action', { id: req.params.id });
+    const proposal = await approvals.reject(req.params.id, { actor: 'http-api', reason });
+    res.json({ proposal });
+  } catch (error) {
+    sendApprovalError(res, 'Reject', error);
+  }
+});
+
+// 🔧 Turn a firing OOM / crash-loop alert into a memory-increase proposal, or a probe
+// change when the kubelet restarts the crash-looping container for a failing liveness probe.
+// Any other crash loop is proposed as a memory increase only when its diagnosis ranks out-of-memory first.
+const ALERT_FIX_TYPES = { PodOOMKilled: 'oom', PodCrashLooping: 'crash' };
+
+async function proposeAlertFix(type, alert) {
+  const { alertname, namespace, pod: podName, container: containerName } = alert.labels;
+  if (!namespace || !podName) {
+    console.log(`⚠️  ${alertname} alert has no namespace/pod labels, nothing to propose`);
+    return null;
+  }
+
+  const pod = (await k8sApi.readNamespacedPod(podName, namespace)).body;
+  const container = pod.spec.containers.find(candidate => candidate.name === containerName) || pod.spec.containers[0];
+  const workload = await resolveOwnerWorkload({ appsApi: k8sAppsApi, batchApi: k8sBatchApi }, pod);
+  const currentLimit = container.resources?.limits?.memory;
+  const events = type === 'crash'
+    ? (await k8sApi.listNamespacedEvent(namespace, undefined, undefined, undefined, `involvedObject.name=${podName}`)).body.items
+    : [];
+  const probeFailure = analyzeProbeFailures([pod], events).find(finding => finding.container === container.name &&
+    finding.restarts > 0 && finding.probe !== 'readinessProbe' && finding.recommendedSettings);
+  if (type === 'crash' && !probeFailure) {
+    const status = (pod.status?.containerStatuses || []).find(candidate => candidate.name === container.name) || { restartCount: 0 };
+    const logs = await k8sApi.readNamespacedPodLog(podName, namespace, container.name, false, undefined, undefined, undefined,
+      status.restartCount > 0, undefined, 200).then(response => response.body || '', () => '');
+    const [likely] = diagnoseContainer({ status, logs, events: containerEvents(events, podName, container.name) }).causes;
+    if (likely?.cause !== 'oom') {
+      console.log(`🩻 Crash loop of ${namespace}/${podName}/${container.name} not proposed as a memory fix: likely cause is ${likely?.title || 'unknown'}`);
+      return null;
+    }
+  }
+  const issue = probeFailure
+    ? {
+      type: 'probe',
+      pod: podName,
+      namespace,
+      workload: workload.name,
+      container: container.name,
+      probe: probeFailure.recommendedProbe,
+      settings: probeFailure.recommendedSettings
+    }
+    : {
+      type,
+      pod: podName,
+      namespace,
+      workload: workload.name,
+      container: container.name,
+      currentLimit: currentLimit || 'Not set',
+      recommendedLimit: currentLimit ? formatMemory(parseMemoryQuantity(currentLimit) * SCAN_SETTINGS.resourceMultiplier) : '256Mi',
+      resourceType: 'memory'
+    };
+
+  const verdict = policy.evaluate(() => policy.checkFix({ ...issue, to: issue.recommendedLimit }));
+  if (!verdict.allowed) {
+    console.log(`🚫 Fix for ${namespace}/${workload.name} not proposed: ${verdict.reason}`);
+    return null;
+  }
+
+  const fields = buildFixProposal({
+    issue,
+    source: `alert:${alertname}`,
+    rationale: (alert.annotations?.summary || `${alertname} fired for ${namespace}/${podName}`) +
+      (probeFailure ? `; ${probeFailure.issue.toLowerCase()} (${probeFailure.details})` : '')
+  });
+  return (await approvals.propose(fields, { autoApproval: policy.evaluateAutoApprove(fields) })).proposal;
+}
+
 // 🎯 Webhook endpoint for Prometheus alerts
-app.post('/webhook/alerts', (req, res) => {
+app.post('/webhook/alerts', async (req, res) => {
   console.log('🚨 Received Prometheus alert:', JSON.stringify(req.body, null, 2));
   
-  // Process alerts and trigger auto-healing if needed
+  // Firing alerts with a known fix are queued for approval instead of being applied directly
   const alerts = req.body.alerts || [];
+  const proposals = [];
   
   for (const alert of alerts) {
-    if (alert.status === 'firing') {
-      console.log(`🔥 Alert: ${alert.labels.alertname} - ${alert.annotations.summary}`);
-      
-      // Auto-heal based on alert type
-      if (alert.labels.alertname === 'PodOOMKilled') {
-        // Trigger memory increase
-        console.log('🔧 Triggering auto-heal for OOM event');
-      } else if (alert.labels.alertname === 'PodCrashLooping') {
-        // Trigger resource increase
-        console.log('🔧 Triggering auto-heal for crash loop');
+    if (alert.status !== 'firing') continue;
+    console.log(`🔥 Alert: ${alert.labels.alertname} - ${alert.annotations?.summary}`);
+
+    const type = ALERT_FIX_TYPES[alert.labels.alertname];
+    if (!type) continue;
+    try {
+      const proposal = await proposeAlertFix(type, alert);
+      if (proposal) {
+        console.log(`✋ Proposal ${proposal.id} for ${proposal.fingerprint} is ${proposal.status}`);
+        proposals.push({ id: proposal.id, status: proposal.status, fingerprint: proposal.fingerprint });
       }
+    } catch (error) {
+      console.error(`❌ Failed to propose a fix for ${alert.labels.alertname}:`, error.body?.message || error.message);
     }
   }
   
-  res.json({ status: 'received', processed: alerts.length });
+  res.json({ status: 'received', processed: alerts.length, proposals });
 });
 
 // 🚀 Start server
@@ -0,0 +1,106 @@
+/**
+ * 🛡️ Availability Checks over kubectl
+ *
+ * The availability guard shared by the alert webhooks and the auto-fix MCP server,
+ * which drive kubectl instead of an API client:
+ * - kubectl runs through command-runner: an argv array, never a shell
+ * - Pod, workload and namespace names taken from alerts are validated first
+ * - A refused action comes back as a failure whose error lists the blockers
+ *
+ * `run` defaults to runKubectl; anything with its signature can stand in for it.
+ */
+
+import { runKubectl, validate } from './command-runner.js';
+import { assessWithKubectl } from './availability.js';
+
+// `kubectl <args> -o json`, parsed
+export async function kubectlJson(args, run = runKubectl) {
+  return JSON.parse((await run([...args, '-o', 'json'])).stdout);
+}
+
+export const blockerReasons = availability => availability.blockers.map(blocker => blocker.reason).join('; ');
+
+// 🛡️ Check a disruptive action against PodDisruptionBudgets, ready replicas and rollout status
+export async function checkAvailability(action, { kind, name, namespace }, options = {}, run = runKubectl) {
+  const target = { kind, name: validate.name(name), namespace: validate.namespace(namespace) };
+  const availability = await assessWithKubectl(args => kubectlJson(args, run), action, target, options);
+  console.log(`${availability.allowed ? '✅' : '🛡️'} Availability for ${action} of ${availability.kind.toLowerCase()}/${availability.name}: ` +
+    `${availability.ready} ready → ${availability.readyAfter}, ${availability.minReady} required by ${availability.budget}`);
+  [...availability.blockers, ...availability.warnings].forEach(entry => console.log(`  - ${entry.reason}`));
+  return availability;
+}
+
+// 🩹 Within-budget stand-in for a refused restart: delete only the pods that are not ready
+export async function deleteUnreadyPods(availability, run = runKubectl) {
+  const { pods } = availability.alternative;
+  console.log(`🩹 Deleting pods that are not ready instead: ${pods.join(', ')}`);
+  for (const pod of pods) {
+    await run(['delete', 'pod', validate.name(pod), '-n', validate.namespace(availability.namespace)]);
+  }
+
+  return {
+    success: true,
+    details: {
+      downgraded_to: 'delete_unready_pods',
+      pods_deleted: pods,
+      reason: blockerReasons(availability)
+    }
+  };
+}
+
+/**
+ * 🔄 Rolling restart of a Deployment, waiting for its rollout. When the restart is
+ * refused, only the pods that are not ready are deleted if that is within budget.
+ */
+export async function restartDeploymentWithinBudget(deploymentName, namespace, run = runKubectl) {
+  const availability = await checkAvailability('restart', { kind: 'Deployment', name: deploymentName, namespace }, {}, run);
+  if (!availability.allowed) {
+    if (availability.alternative?.action === 'delete-pod') {
+      return await deleteUnreadyPods(availability, run);
+    }
+    return { success: false, error: blockerReasons(availability), action: 'refused', details: { availability } };
+  }
+
+  console.log(`🔄 Restarting deployment: ${deploymentName}`);
+  await run(['rollout', 'restart', `deployment/${deploymentName}`, '-n', namespace]);
+
+  // Wait a bit and check status
+  await new Promise(resolve => setTimeout(resolve, 5000));
+  const { stdout } = await run(['rollout', 'status', `deployment/${deploymentName}`, '-n', namespace, '--timeout=60s']);
+
+  return {
+    success: true,
+    details: {
+      restart_completed: true,
+      status: stdout.trim()
+    }
+  };
+}
+
+// 🔄 Delete a pod so it is recreated, unless that takes its workload below budget
+export async function deletePodWithinBudget(podName, namespace, run = runKubectl) {
+  const availability = await checkAvailability('delete-pod', { kind: 'Pod', name: podName, namespace }, { targets: [podName] }, run);
+  if (!availability.allowed) {
+    const error = blockerReasons(availability);
+    return {
+      success: false,
+      error,
+      action: 'refused',
+      message: `Pod ${podName} not restarted: ${error}`,
+      details: { availability }
+    };
+  }
+
+  console.log(`🔄 Restarting pod directly: ${podName}`);
+  await run(['delete', 'pod', podName, '-n', namespace]);
+
+  return {
+    success: true,
+    message: `Pod ${podName} restarted directly`,
+    action: 'direct_pod_restart',
+    details: {
+      pod_restarted: true,
+      method: 'direct_delete'
+    }
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * 📊 Live Metrics (metrics.k8s.io)
+ *
+ * Reads current pod and node usage from the metrics API through the client
+ * and joins it with the pod spec / node allocatable:
+ * - Per-container CPU and memory usage with request/limit utilisation
+ * - Per-node usage as a share of allocatable
+ * - Containers running close to their memory limit (OOM candidates)
+ */
+
+import { parseMemoryQuantity, parseCpuQuantity } from './resource-quantities.js';
+
+const percent = (used, total) => (total ? Math.round(used / total * 1000) / 10 : null);
+
+/**
+ * Per-container usage for the given pods, joined with requests and limits.
+ * Pods without metrics yet (just started, or completed) are omitted.
+ */
+export async function getContainerMetrics(metricsApi, pods, { namespace, labelSelector } = {}) {
+  const options = labelSelector ? { labelSelector } : {};
+  const podMetrics = namespace
+    ? await metricsApi.getPodMetrics(namespace, options)
+    : await metricsApi.getPodMetrics(options);
+
+  const podsByKey = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+  const containers = [];
+
+  for (const metric of podMetrics.items) {
+    const pod = podsByKey.get(`${metric.metadata.namespace}/${metric.metadata.name}`);
+    if (!pod) continue;
+
+    for (const containerMetric of metric.containers) {
+      const spec = (pod.spec.containers || []).find(container => container.name === containerMetric.name);
+      const resources = spec?.resources || {};
+      const cpu = parseCpuQuantity(containerMetric.usage.cpu) ?? 0;
+      const memory = parseMemoryQuantity(containerMetric.usage.memory) ?? 0;
+
+      containers.push({
+        namespace: metric.metadata.namespace,
+        pod: metric.metadata.name,
+        container: containerMetric.name,
+        node: pod.spec.nodeName,
+        timestamp: metric.timestamp,
+        usage: { cpu, memory },
+        requests: resources.requests || {},
+        limits: resources.limits || {},
+        utilization: {
+          cpuRequest: percent(cpu, parseCpuQuantity(resources.requests?.cpu)),
+          cpuLimit: percent(cpu, parseCpuQuantity(resources.limits?.cpu)),
+          memoryRequest: percent(memory, parseMemoryQuantity(resources.requests?.memory)),
+          memoryLimit: percent(memory, parseMemoryQuantity(resources.limits?.memory))
+        }
+      });
+    }
+  }
+
+  return containers;
+}
+
+/**
+ * Per-node usage as a share of allocatable capacity.
+ */
+export async function getNodeMetrics(metricsApi, nodes, { labelSelector } = {}) {
+  const nodeMetrics = await metricsApi.getNodeMetrics(labelSelector ? { labelSelector } : {});
+  const nodesByName = new Map(nodes.map(node => [node.metadata.name, node]));
+
+  return nodeMetrics.items.map(metric => {
+    const allocatable = nodesByName.get(metric.metadata.name)?.status?.allocatable || {};
+    const cpu = parseCpuQuantity(metric.usage.cpu) ?? 0;
+    const memory = parseMemoryQuantity(metric.usage.memory) ?? 0;
+    return {
+      node: metric.metadata.name,
+      timestamp: metric.timestamp,
+      usage: { cpu, memory },
+      allocatable: { cpu: allocatable.cpu, memory: allocatable.memory },
+      utilization: {
+        cpu: percent(cpu, parseCpuQuantity(allocatable.cpu)),
+        memory: percent(memory, parseMemoryQuantity(allocatable.memory))
+      }
+    };
+  });
+}
+
+// 🔥 Containers whose working set is at or above `thresholdPercent` of their memory limit
+export function findMemoryPressure(containerMetrics, thresholdPercent = 90) {
+  return containerMetrics
+    .filter(metric => metric.utilization.memoryLimit !== null && metric.utilization.memoryLimit >= thresholdPercent)
+    .sort((a, b) => b.utilization.memoryLimit - a.utilization.memoryLimit);
+}
@@ -0,0 +1,182 @@
+/**
+ * 💬 MCP Prompts
+ *
+ * Parameterised incident workflows, so the assistant starts from the evidence
+ * instead of a blank chat:
+ * - triage-crashloop      why a container keeps restarting
+ * - investigate-oom       why a container runs out of memory and what limit it needs
+ * - right-size-namespace  requests/limits changes for a namespace from observed usage
+ * - prepare-postmortem    incident write-up from the healing history and events
+ * The server gathers the evidence (latest scan, pod events, logs, history);
+ * this module holds the definitions and the text around it.
+ */
+
+import { formatMemory, formatCpu } from './resource-quantities.js';
+import { eventTimestamp } from './cluster-watcher.js';
+
+const CLUSTER_ARGUMENT = { name: 'cluster', description: 'Cluster name or kubeconfig context (default: the default cluster)', required: false };
+
+export const PROMPTS = [
+  {
+    name: 'triage-crashloop',
+    description: '🔁 Triage a crash-looping pod from its restarts, events, previous logs and healing history',
+    arguments: [
+      { name: 'namespace', description: 'Namespace of the pod', required: true },
+      { name: 'pod', description: 'Crash-looping pod', required: true },
+      { name: 'container', description: 'Container to look at (default: the crashing one)', required: false },
+      CLUSTER_ARGUMENT
+    ]
+  },
+  {
+    name: 'investigate-oom',
+    description: '💥 Investigate an OOMKilled container: limits, memory usage, events and logs before the kill',
+    arguments: [
+      { name: 'namespace', description: 'Namespace of the pod', required: true },
+      { name: 'pod', description: 'Pod whose container was OOMKilled', required: true },
+      { name: 'container', description: 'Container to look at (default: the OOMKilled one)', required: false },
+      CLUSTER_ARGUMENT
+    ]
+  },
+  {
+    name: 'right-size-namespace',
+    description: '📏 Propose CPU/memory requests and limits for every workload in a namespace from observed usage',
+    arguments: [
+      { name: 'namespace', description: 'Namespace to right-size', required: true },
+      { name: 'window', description: 'Usage window, e.g. 24h or 7d (default: USAGE_WINDOW)', required: false },
+      CLUSTER_ARGUMENT
+    ]
+  },
+  {
+    name: 'prepare-postmortem',
+    description: '📝 Draft a postmortem for a workload from its healing history, events and current health',
+    arguments: [
+      { name: 'namespace', description: 'Namespace of the workload', required: true },
+      { name: 'workload', description: 'Deployment, StatefulSet or DaemonSet name', required: true },
+      { name: 'timeRange', description: 'How far back the incident goes, e.g. 6h or 2d (default: 24h)', required: false },
+      CLUSTER_ARGUMENT
+    ]
+  }
+];
+
+// 🚧 Tools whose data each prompt gathers; the policy applies to a prompt as to those tools
+export const PROMPT_TOOLS = {
+  'triage-crashloop': ['scan-cluster-health', 'kubectl-describe', 'kubectl-logs', 'get-healing-history'],
+  'investigate-oom': ['scan-cluster-health', 'kubectl-describe', 'kubectl-logs', 'get-healing-history', 'analyze-resource-usage'],
+  'right-size-namespace': ['scan-cluster-health', 'analyze-resource-usage'],
+  'prepare-postmortem': ['scan-cluster-health', 'kubectl-get', 'get-healing-history']
+};
+
+// 🔎 Definition of a prompt, with its required arguments checked
+export function getPromptDefinition(name, args = {}) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt "${name}". Available prompts: ${PROMPTS.map(candidate => candidate.name).join(', ')}`);
+  }
+  const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${name} requires: ${missing.map(argument => argument.name).join(', ')}`);
+  }
+  return prompt;
+}
+
+// 📰 Newest first, one line per event
+export function formatEvents(events, limit = 20) {
+  if (events.length === 0) return '_No events found._';
+  return [...events]
+    .sort((a, b) => eventTimestamp(b) - eventTimestamp(a))
+    .slice(0, limit)
+    .map(event => {
+      const time = eventTimestamp(event);
+      const count = event.count > 1 ? ` (x${event.count})` : '';
+      return `- ${time ? new Date(time).toISOString() : 'unknown time'} ${event.type || 'Normal'} ${event.reason}` +
+        ` ${event.involvedObject?.kind || ''}/${event.involvedObject?.name || ''}${count}: ${event.message || ''}`;
+    })
+    .join('\n');
+}
+
+// 📦 Restart count, current and last state, and resources of each container
+export function formatContainers(pod, containerName) {
+  const statuses = pod.status?.containerStatuses || [];
+  const specs = (pod.spec?.containers || []).filter(container => !containerName || container.name === containerName);
+  if (specs.length === 0) return `_Container ${containerName} not found in pod ${pod.metadata.name}._`;
+
+  return specs.map(container => {
+    const status = statuses.find(candidate => candidate.name === container.name) || {};
+    const terminated = status.lastState?.terminated;
+    return `- **${container.name}** (${container.image})\n` +
+      `  - Restarts: ${status.restartCount ?? 0}, ready: ${status.ready ?? false}\n` +
+      `  - State: ${JSON.stringify(status.state || {})}\n` +
+      (terminated
+        ? `  - Last termination: ${terminated.reason} (exit code ${terminated.exitCode}) at ${terminated.finishedAt}\n`
+        : '') +
+      `  - Requests: ${JSON.stringify(container.resources?.requests || {})}, limits: ${JSON.stringify(container.resources?.limits || {})}`;
+  }).join('\n');
+}
+
+// 📈 Prometheus percentiles of one container, or why they are missing
+export function formatUsage(usage, usageError) {
+  if (!usage) return `_Usage unavailable${usageError ? `: ${usageError}` : ' for this container'}._`;
+  const line = (stats, format) => ['p50', 'p95', 'p99', 'max']
+    .filter(stat => stats[stat] !== undefined)
+    .map(stat => `${stat} ${format(stats[stat])}`)
+    .join(', ') || 'no samples';
+  return `- Memory: ${line(usage.memory, formatMemory)}\n- CPU: ${line(usage.cpu, formatCpu)}`;
+}
+
+export function formatHistory(records) {
+  if (records.length === 0) return '_No healing history recorded._';
+  return records.map(record =>
+    `- ${record.timestamp} [${record.kind}] ${record.action} → ${record.outcome}` +
+    `${record.pod ? ` pod ${record.pod}` : ''}${record.container ? `/${record.container}` : ''}` +
+    `${record.prUrl ? ` PR ${record.prUrl}` : ''}${record.reason ? ` (${record.reason})` : ''}`
+  ).join('\n');
+}
+
+const json = (value) => '```json\n' + JSON.stringify(value, null, 2) + '\n```';
+
+// What the assistant is asked to do; the evidence follows
+const INSTRUCTIONS = {
+  'triage-crashloop': ({ namespace, pod, container }) =>
+    `Triage the crash loop of container ${container} in pod ${namespace}/${pod}.\n\n` +
+    `1. Classify the cause: application error, bad configuration or secret, failing dependency, resource limits, or failing probes. Quote the log lines and events that show it.\n` +
+    `2. Say whether the healing history shows this before and whether earlier fixes helped.\n` +
+    `3. Recommend the next step. Resource problems go through \`create-gitops-fix-pr\`; anything else is for the owning team, so describe the change they need. Do not restart or delete pods to hide the symptom.`,
+  'investigate-oom': ({ namespace, pod, container }) =>
+    `Investigate why container ${container} in pod ${namespace}/${pod} was OOMKilled.\n\n` +
+    `1. Compare the memory limit with observed usage: is the limit too low for normal load, or does usage climb until the kill (a leak)?\n` +
+    `2. Look for what the logs show right before the kill (large requests, caches, batch work).\n` +
+    `3. If the limit is too low, propose a new limit with headroom over p99/max and open it with \`create-gitops-fix-pr\`. If it looks like a leak, say so and do not just raise the limit.`,
+  'right-size-namespace': ({ namespace, window }) =>
+    `Right-size CPU and memory for every workload in namespace ${namespace} using ${window} of usage.\n\n` +
+    `1. Produce a table per workload/container: current requests and limits, observed usage, proposed requests and limits, and the reason.\n` +
+    `2. Flag containers near their memory limit or OOMKilled first; reductions come last and only where usage is consistently low.\n` +
+    `3. Group the changes into GitOps PRs (\`create-gitops-fix-pr\`), at most one per workload. Do not apply anything with kubectl.`,
+  'prepare-postmortem': ({ namespace, workload, timeRange }) =>
+    `Draft a blameless postmortem for ${namespace}/${workload} covering the last ${timeRange}.\n\n` +
+    `Use these sections: Summary, Impact, Timeline (UTC, from the history and events below), Root cause, What the auto-healer did (detections, decisions, PRs, verification), What went well / badly, and Action items with owners left blank.\n` +
+    `Only state what the evidence supports and mark anything you infer as such.`
+};
+
+/**
+ * 📝 Build the prompt messages: the instructions and evidence as one text message,
+ * plus the pod logs as an embedded k8s:// resource when there are any.
+ */
+export function renderPrompt(name, args, evidence) {
+  const sections = [INSTRUCTIONS[name](args), `**Cluster:** ${evidence.cluster}`];
+  if (evidence.scanFindings) sections.push(`## Latest scan findings\n${evidence.scanFindings.length > 0 ? json(evidence.scanFindings) : '_Nothing flagged by the latest scan._'}`);
+  if (evidence.pod) sections.push(`## Containers\n${formatContainers(evidence.pod, args.container)}`);
+  if (evidence.usage !== undefined) sections.push(`## Memory and CPU usage (${evidence.usageWindow})\n${formatUsage(evidence.usage, evidence.usageError)}`);
+  if (evidence.resourceAnalysis) sections.push(`## Resource analysis\n${evidence.resourceAnalysis}`);
+  if (evidence.events) sections.push(`## Events\n${formatEvents(evidence.events)}`);
+  if (evidence.history) sections.push(`## Healing history\n${formatHistory(evidence.history)}`);
+  if (evidence.logsError) sections.push(`## Logs\n_Logs unavailable: ${evidence.logsError}_`);
+
+  const messages = [{ role: 'user', content: { type: 'text', text: sections.join('\n\n') } }];
+  if (evidence.logs !== undefined) {
+    messages.push({
+      role: 'user',
+      content: { type: 'resource', resource: { uri: evidence.logsUri, mimeType: 'text/plain', text: evidence.logs || '(empty log)' } }
+    });
+  }
+  return messages;
+}
@@ -0,0 +1,132 @@
+/**
+ * 📚 MCP Resources
+ *
+ * Cluster state exposed as MCP resources so assistants can read and subscribe
+ * instead of polling tools:
+ * - k8s://scan/latest                          latest health scan per cluster
+ * - k8s://healing-history                      incident journal, newest first
+ * - k8s://namespace/{namespace}/pods/{pod}/logs container logs
+ * - k8s://workload/{namespace}/{kind}/{name}    workload spec, status and related history
+ * Every URI takes an optional `?cluster=` query to target one cluster.
+ */
+
+// Readers for the workload kinds a k8s://workload URI may name (case-insensitive);
+// `group` is the analyzeWorkloadHealth input the object belongs in
+export const WORKLOAD_KINDS = {
+  deployment: { kind: 'Deployment', group: 'deployments', read: (appsApi, name, namespace) => appsApi.readNamespacedDeployment(name, namespace) },
+  statefulset: { kind: 'StatefulSet', group: 'statefulSets', read: (appsApi, name, namespace) => appsApi.readNamespacedStatefulSet(name, namespace) },
+  daemonset: { kind: 'DaemonSet', group: 'daemonSets', read: (appsApi, name, namespace) => appsApi.readNamespacedDaemonSet(name, namespace) }
+};
+
+export const STATIC_RESOURCES = [
+  {
+    uri: 'k8s://scan/latest',
+    name: 'Latest cluster health scan',
+    description: 'Most recent scan-cluster-health result of every cluster (crashes, OOM kills, resource and rollout issues)',
+    mimeType: 'application/json'
+  },
+  {
+    uri: 'k8s://healing-history',
+    name: 'Healing history',
+    description: 'Incident journal of detected issues, decisions, PRs and outcomes across clusters, newest first',
+    mimeType: 'application/json'
+  }
+];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'k8s://scan/latest{?cluster}',
+    name: 'Latest health scan of a cluster',
+    description: 'Most recent health scan of one cluster',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'k8s://healing-history{?cluster,namespace,workload,limit}',
+    name: 'Filtered healing history',
+    description: 'Healing history of one cluster, namespace or workload (limit defaults to 50)',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'k8s://namespace/{namespace}/pods/{pod}/logs{?container,previous,tail,cluster}',
+    name: 'Pod logs',
+    description: 'Logs of a pod container; previous=true for the crashed instance, tail lines default to 200',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'k8s://workload/{namespace}/{kind}/{name}{?cluster}',
+    name: 'Workload',
+    description: 'Deployment, StatefulSet or DaemonSet: replicas, rollout status, container resources and related healing history',
+    mimeType: 'application/json'
+  }
+];
+
+// `tool` is the tool a read is equivalent to, so the policy applies to resources as well
+const PATTERNS = [
+  { type: 'scan', tool: 'scan-cluster-health', pattern: /^scan\/latest$/, params: [] },
+  { type: 'history', tool: 'get-healing-history', pattern: /^healing-history$/, params: [] },
+  { type: 'pod-logs', tool: 'kubectl-logs', pattern: /^namespace\/([^/]+)\/pods\/([^/]+)\/logs$/, params: ['namespace', 'pod'] },
+  { type: 'workload', tool: 'kubectl-get', pattern: /^workload\/([^/]+)\/([^/]+)\/([^/]+)$/, params: ['namespace', 'kind', 'name'] }
+];
+
+/**
+ * 🔗 Parse a k8s:// URI into its resource type, equivalent tool, path parameters and query.
+ * Throws for other schemes and paths that match no resource.
+ */
+export function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw new Error(`Invalid resource URI "${uri}"`);
+  }
+  if (url.protocol !== 'k8s:') throw new Error(`Unsupported resource URI "${uri}" (expected k8s://)`);
+
+  // k8s://scan/latest parses with host "scan"; join host and path back together
+  const path = `${url.host}${url.pathname}`.replace(/\/+$/, '');
+  for (const { type, tool, pattern, params } of PATTERNS) {
+    const match = path.match(pattern);
+    if (!match) continue;
+    return {
+      type,
+      tool,
+      params: Object.fromEntries(params.map((param, index) => [param, decodeURIComponent(match[index + 1])])),
+      query: Object.fromEntries(url.searchParams)
+    };
+  }
+  throw new Error(`Unknown resource "${uri}"`);
+}
+
+export const podLogsUri = (namespace, pod) =>
+  `k8s://namespace/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(pod)}/logs`;
+
+export const workloadUri = (namespace, kind, name) =>
+  `k8s://workload/${encodeURIComponent(namespace)}/${kind.toLowerCase()}/${encodeURIComponent(name)}`;
+
+/**
+ * 🔔 Does a subscribed URI cover a newly detected issue on `cluster`?
+ * The scan and history resources change with every issue; pod logs and workloads
+ * only for their own pod / workload. A `cluster` query narrows to that cluster.
+ */
+export function subscriptionMatchesIssue(subscribedUri, cluster, issue) {
+  let resource;
+  try {
+    resource = parseResourceUri(subscribedUri);
+  } catch {
+    return false;
+  }
+  if (resource.query.cluster && resource.query.cluster !== cluster) return false;
+
+  switch (resource.type) {
+    case 'scan':
+      return true;
+    case 'history':
+      return (!resource.query.namespace || resource.query.namespace === issue.namespace) &&
+        (!resource.query.workload || resource.query.workload === issue.workload);
+    case 'pod-logs':
+      return resource.params.namespace === issue.namespace && resource.params.pod === issue.pod;
+    case 'workload':
+      return resource.params.namespace === issue.namespace && resource.params.name === issue.workload;
+    default:
+      return false;
+  }
+}
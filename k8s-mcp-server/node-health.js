@@ -0,0 +1,193 @@
+/**
+ * 🖥️ Node Health Analysis
+ *
+ * Inspects nodes for:
+ * - NotReady / unknown kubelet status and NetworkUnavailable
+ * - MemoryPressure, DiskPressure and PIDPressure
+ * - Kubelet versions skewed from the API server beyond what is supported
+ * - Pods per node close to the node's allocatable pod count
+ * - Cordoned nodes
+ *
+ * Also plans node drains: which pods would be evicted, which are skipped
+ * (DaemonSet, mirror, completed) and what blocks the drain (PodDisruptionBudgets
+ * with no disruptions left, unmanaged pods, emptyDir data).
+ */
+
+import { nodeCapacity } from './pending-pods.js';
+import { matchesLabelSelector } from './availability.js';
+
+// Kubelets may be up to three minor versions older than the API server, never newer
+export const MAX_KUBELET_SKEW = 3;
+const POD_DENSITY_THRESHOLD = 0.9;
+
+// Pressure conditions that are bad when True, with what they do to the node's pods
+const PRESSURE_CONDITIONS = {
+  MemoryPressure: {
+    details: 'kubelet is evicting pods to reclaim memory',
+    action: 'Find the pods using the most memory on the node and lower their usage or move them; check for pods without memory limits'
+  },
+  DiskPressure: {
+    details: 'kubelet is evicting pods and garbage-collecting images to reclaim disk',
+    action: 'Free node disk: prune unused images, check container logs and emptyDir volumes that keep growing'
+  },
+  PIDPressure: {
+    details: 'kubelet is evicting pods to reclaim process IDs',
+    action: 'Find the pod leaking processes or threads and set a pod PID limit on the kubelet'
+  }
+};
+
+const finding = (node, issue, severity, details, remediation) => ({
+  node: node.metadata.name,
+  issue,
+  severity,
+  details,
+  remediation
+});
+
+const describeNode = node => `kubectl describe node ${node.metadata.name}`;
+const conditionOf = (node, type) => (node.status?.conditions || []).find(condition => condition.type === type);
+
+// "v1.29.3-eks-1234" → { major: 1, minor: 29, version: 'v1.29.3-eks-1234' }
+export function parseKubeVersion(version) {
+  const match = String(version || '').match(/^v?(\d+)\.(\d+)/);
+  return match ? { major: Number(match[1]), minor: Number(match[2]), version } : null;
+}
+
+function analyzeNode(node, capacity, apiServer, now) {
+  const findings = [];
+  const ready = conditionOf(node, 'Ready');
+
+  if (ready?.status !== 'True') {
+    const since = ready?.lastTransitionTime ? Math.round((now - new Date(ready.lastTransitionTime).getTime()) / 60000) : null;
+    findings.push(finding(node, 'NotReady', 'critical',
+      (ready?.status === 'Unknown' ? 'kubelet stopped posting node status' : ready?.message || 'Node is not ready') +
+        (since !== null ? ` (for ${since}m)` : ''),
+      { action: 'Check the kubelet and the node\'s connectivity; cordon and drain the node if it does not recover', command: describeNode(node) }));
+  }
+
+  const network = conditionOf(node, 'NetworkUnavailable');
+  if (network?.status === 'True') {
+    findings.push(finding(node, 'NetworkUnavailable', 'critical', network.message || 'Node network is not configured',
+      { action: 'Check the CNI plugin pods on the node', command: `kubectl get pods --all-namespaces --field-selector spec.nodeName=${node.metadata.name}` }));
+  }
+
+  for (const [type, pressure] of Object.entries(PRESSURE_CONDITIONS)) {
+    const condition = conditionOf(node, type);
+    if (condition?.status === 'True') {
+      findings.push(finding(node, type, 'warning', `${condition.message || type}: ${pressure.details}`,
+        { action: pressure.action, command: describeNode(node) }));
+    }
+  }
+
+  const kubelet = parseKubeVersion(node.status?.nodeInfo?.kubeletVersion);
+  if (kubelet && apiServer && kubelet.major === apiServer.major) {
+    const skew = apiServer.minor - kubelet.minor;
+    if (skew < 0) {
+      findings.push(finding(node, 'Kubelet version skew', 'critical',
+        `kubelet ${kubelet.version} is newer than the API server ${apiServer.version}, which is not supported`,
+        { action: 'Upgrade the control plane before the nodes, or roll this node back', command: `kubectl get node ${node.metadata.name} -o wide` }));
+    } else if (skew > MAX_KUBELET_SKEW) {
+      findings.push(finding(node, 'Kubelet version skew', 'critical',
+        `kubelet ${kubelet.version} is ${skew} minor versions behind ${apiServer.version}; at most ${MAX_KUBELET_SKEW} are supported`,
+        { action: 'Upgrade or replace the node before the next control plane upgrade', command: `kubectl get node ${node.metadata.name} -o wide` }));
+    } else if (skew >= MAX_KUBELET_SKEW - 1) {
+      findings.push(finding(node, 'Kubelet version skew', 'warning',
+        `kubelet ${kubelet.version} is ${skew} minor versions behind ${apiServer.version}; the next control plane upgrade ${skew === MAX_KUBELET_SKEW ? 'will leave it unsupported' : 'brings it to the supported limit'}`,
+        { action: 'Plan a node upgrade before the next control plane upgrade', command: `kubectl get node ${node.metadata.name} -o wide` }));
+    }
+  }
+
+  const { allocatable, requested } = capacity;
+  if (allocatable.pods > 0 && requested.pods >= allocatable.pods * POD_DENSITY_THRESHOLD) {
+    findings.push(finding(node, 'Pod capacity', requested.pods >= allocatable.pods ? 'critical' : 'warning',
+      `${requested.pods}/${allocatable.pods} pods scheduled; new pods ${requested.pods >= allocatable.pods ? 'cannot' : 'will soon not'} fit on this node`,
+      { action: 'Add nodes or spread the workloads; raise the kubelet maxPods only if the node has the IPs and resources for it', command: `kubectl get pods --all-namespaces --field-selector spec.nodeName=${node.metadata.name}` }));
+  }
+
+  if (node.spec?.unschedulable) {
+    const taint = (node.spec.taints || []).find(candidate => candidate.key === 'node.kubernetes.io/unschedulable');
+    findings.push(finding(node, 'Cordoned', 'warning',
+      `Node is cordoned${taint?.timeAdded ? ` since ${taint.timeAdded}` : ''}; no new pods are scheduled on it`,
+      { action: 'Uncordon the node once maintenance is over', command: `kubectl uncordon ${node.metadata.name}` }));
+  }
+
+  return findings.map(entry => ({ ...entry, kubeletVersion: kubelet?.version || null, pods: requested.pods }));
+}
+
+/**
+ * Analyze nodes and return their findings, most severe first.
+ * Without the API server version, kubelets are compared against the newest kubelet.
+ */
+export function analyzeNodeHealth(nodes, pods, { apiServerVersion, now = Date.now() } = {}) {
+  const newest = nodes
+    .map(node => parseKubeVersion(node.status?.nodeInfo?.kubeletVersion))
+    .filter(Boolean)
+    .sort((a, b) => b.major - a.major || b.minor - a.minor)[0];
+  const apiServer = parseKubeVersion(apiServerVersion) || newest;
+  const capacity = new Map(nodeCapacity(nodes, pods).map(entry => [entry.name, entry]));
+
+  const findings = nodes.flatMap(node => analyzeNode(node, capacity.get(node.metadata.name), apiServer, now));
+  const rank = { critical: 0, warning: 1 };
+  return findings.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
+
+const podRef = pod => `${pod.metadata.namespace}/${pod.metadata.name}`;
+
+/**
+ * 🚜 What draining a node would do to the pods on it.
+ * DaemonSet, mirror (static) and completed pods are skipped, as `kubectl drain
+ * --ignore-daemonsets` does. Blockers make the drain fail or hang; warnings only slow it.
+ */
+export function planDrain(pods, pdbs, { deleteEmptyDirData = false } = {}) {
+  const plan = { evict: [], skipped: [], blockers: [], warnings: [], pdbs: [] };
+
+  for (const pod of pods) {
+    const owner = (pod.metadata.ownerReferences || []).find(reference => reference.controller) || pod.metadata.ownerReferences?.[0];
+    if (pod.metadata.annotations?.['kubernetes.io/config.mirror']) {
+      plan.skipped.push({ pod: podRef(pod), reason: 'mirror pod (static, managed by the kubelet)' });
+    } else if (owner?.kind === 'DaemonSet') {
+      plan.skipped.push({ pod: podRef(pod), reason: `DaemonSet ${owner.name}` });
+    } else if (['Succeeded', 'Failed'].includes(pod.status?.phase)) {
+      plan.skipped.push({ pod: podRef(pod), reason: `completed (${pod.status.phase})` });
+    } else {
+      if (!owner) {
+        plan.blockers.push({ pod: podRef(pod), reason: 'not managed by a controller; eviction would delete it for good' });
+      }
+      if (!deleteEmptyDirData && (pod.spec?.volumes || []).some(volume => volume.emptyDir)) {
+        plan.blockers.push({ pod: podRef(pod), reason: 'uses emptyDir volumes whose data is lost on eviction; set deleteEmptyDirData to accept that' });
+      }
+      plan.evict.push(pod);
+    }
+  }
+
+  for (const pdb of pdbs) {
+    const covered = plan.evict.filter(pod => pod.metadata.namespace === pdb.metadata.namespace &&
+      matchesLabelSelector(pdb.spec?.selector, pod.metadata.labels));
+    if (covered.length === 0) continue;
+
+    const allowed = pdb.status?.disruptionsAllowed ?? 0;
+    const budget = {
+      name: `${pdb.metadata.namespace}/${pdb.metadata.name}`,
+      disruptionsAllowed: allowed,
+      currentHealthy: pdb.status?.currentHealthy ?? null,
+      desiredHealthy: pdb.status?.desiredHealthy ?? null,
+      podsOnNode: covered.map(podRef)
+    };
+    plan.pdbs.push(budget);
+    if (allowed === 0) {
+      plan.blockers.push({
+        pod: budget.podsOnNode.join(', '),
+        pdb: budget.name,
+        reason: `PodDisruptionBudget ${budget.name} allows no disruptions (${budget.currentHealthy ?? '?'} healthy, ${budget.desiredHealthy ?? '?'} required); eviction would be refused until more replicas are healthy`
+      });
+    } else if (covered.length > allowed) {
+      plan.warnings.push({
+        pod: budget.podsOnNode.join(', '),
+        pdb: budget.name,
+        reason: `PodDisruptionBudget ${budget.name} allows ${allowed} disruption(s) for ${covered.length} pods on this node; the drain waits for replacements to become ready`
+      });
+    }
+  }
+
+  return plan;
+}
@@ -0,0 +1,255 @@
+/**
+ * ⏳ Pending Pod Analysis
+ *
+ * Finds pods stuck in Pending and explains why from the scheduler:
+ * - Insufficient CPU/memory/pods on every node
+ * - Taints the pod does not tolerate (including cordoned nodes)
+ * - Node selector / affinity rules no node matches
+ * - PersistentVolumeClaims that are not bound
+ * Recommendations are checked against the nodes' allocatable capacity minus
+ * what is already requested on them. Pods that were scheduled but whose
+ * containers never started are reported as well.
+ */
+
+import { eventTimestamp } from './cluster-watcher.js';
+import { parseCpuQuantity, parseMemoryQuantity, formatCpu, formatMemory } from './resource-quantities.js';
+
+// One "<count> <reason>" part of "0/5 nodes are available: ..." → category
+const SCHEDULER_REASONS = [
+  { category: 'insufficient-resources', pattern: /^Insufficient (\S+)$/, resource: 1 },
+  { category: 'insufficient-resources', pattern: /^Too many pods$/, resource: 'pods' },
+  { category: 'taint', pattern: /untolerated taint|had taint|were unschedulable/ },
+  { category: 'node-affinity', pattern: /node affinity|node selector|pod affinity|pod anti-affinity|volume node affinity conflict/i },
+  { category: 'unbound-pvc', pattern: /unbound|PersistentVolumeClaim|persistentvolumeclaim/i }
+];
+
+/**
+ * 🧩 Split a FailedScheduling message into its reasons, e.g.
+ * "0/3 nodes are available: 1 node(s) had untolerated taint {a: b}, 2 Insufficient cpu. preemption: ..."
+ * → [{ category: 'taint', nodes: 1, detail }, { category: 'insufficient-resources', nodes: 2, resource: 'cpu', detail }]
+ */
+export function parseSchedulerMessage(message = '') {
+  const match = message.match(/nodes are available: (.*?)(?:\. preemption:|$)/s);
+  const body = (match ? match[1] : message).replace(/\.$/, '').trim();
+  if (!body) return [];
+
+  return body.split(/, (?=\d+ )|\. (?=\d+ )/).map(part => {
+    const counted = part.trim().match(/^(\d+) (.*)$/);
+    const detail = (counted ? counted[2] : part).trim();
+    const rule = SCHEDULER_REASONS.find(candidate => candidate.pattern.test(detail));
+    const resource = rule?.resource === 1 ? detail.match(rule.pattern)[1] : rule?.resource;
+    return {
+      category: rule?.category || 'other',
+      nodes: counted ? Number(counted[1]) : null,
+      ...(resource ? { resource } : {}),
+      detail
+    };
+  });
+}
+
+// 📏 Requests the scheduler sums for a pod: the containers, or the largest init container if bigger
+export function podRequests(pod) {
+  const sum = (containers, parse, name) => (containers || [])
+    .map(container => parse(container.resources?.requests?.[name]) || 0);
+  const total = (name, parse) => Math.max(
+    sum(pod.spec?.containers, parse, name).reduce((a, b) => a + b, 0),
+    ...sum(pod.spec?.initContainers, parse, name)
+  );
+  return { cpu: total('cpu', parseCpuQuantity), memory: total('memory', parseMemoryQuantity), pods: 1 };
+}
+
+const tolerates = (tolerations = [], taint) => tolerations.some(toleration =>
+  (toleration.operator === 'Exists' && !toleration.key) ||
+  (toleration.key === taint.key &&
+    (!toleration.effect || toleration.effect === taint.effect) &&
+    (toleration.operator === 'Exists' || (toleration.value || '') === (taint.value || ''))));
+
+// Taints that keep the pod off a node (PreferNoSchedule only discourages)
+export const blockingTaints = (node, pod) => (node.spec?.taints || [])
+  .filter(taint => taint.effect !== 'PreferNoSchedule' && !tolerates(pod.spec?.tolerations, taint));
+
+const matchesNodeSelector = (node, pod) => Object.entries(pod.spec?.nodeSelector || {})
+  .every(([key, value]) => node.metadata?.labels?.[key] === value);
+
+const isReady = (node) => node.status?.conditions?.some(condition => condition.type === 'Ready' && condition.status === 'True');
+
+/**
+ * 🖥️ Allocatable capacity of each node minus the requests of the pods bound to it.
+ * Terminated pods do not hold capacity.
+ */
+export function nodeCapacity(nodes, pods) {
+  const requested = new Map();
+  for (const pod of pods) {
+    const nodeName = pod.spec?.nodeName;
+    if (!nodeName || ['Succeeded', 'Failed'].includes(pod.status?.phase)) continue;
+    const used = requested.get(nodeName) || { cpu: 0, memory: 0, pods: 0 };
+    const requests = podRequests(pod);
+    requested.set(nodeName, { cpu: used.cpu + requests.cpu, memory: used.memory + requests.memory, pods: used.pods + 1 });
+  }
+
+  return nodes.map(node => {
+    const allocatable = {
+      cpu: parseCpuQuantity(node.status?.allocatable?.cpu) || 0,
+      memory: parseMemoryQuantity(node.status?.allocatable?.memory) || 0,
+      pods: Number(node.status?.allocatable?.pods) || 0
+    };
+    const used = requested.get(node.metadata.name) || { cpu: 0, memory: 0, pods: 0 };
+    return {
+      node,
+      name: node.metadata.name,
+      ready: isReady(node),
+      unschedulable: Boolean(node.spec?.unschedulable),
+      allocatable,
+      requested: used,
+      free: {
+        cpu: Math.max(0, allocatable.cpu - used.cpu),
+        memory: Math.max(0, allocatable.memory - used.memory),
+        pods: Math.max(0, allocatable.pods - used.pods)
+      }
+    };
+  });
+}
+
+// Why the pod is still Pending: scheduler reasons, or the containers that never started
+function pendingReasons(pod, podEvents) {
+  const scheduled = pod.status?.conditions?.find(condition => condition.type === 'PodScheduled');
+  if (scheduled?.status === 'True' || pod.spec?.nodeName) {
+    const waiting = [...(pod.status?.initContainerStatuses || []), ...(pod.status?.containerStatuses || [])]
+      .filter(status => status.state?.waiting)
+      .map(status => `${status.name}: ${status.state.waiting.reason}${status.state.waiting.message ? ` - ${status.state.waiting.message}` : ''}`);
+    return {
+      scheduled: true,
+      message: waiting.join('; ') || 'Scheduled; containers not started yet',
+      reasons: [{ category: 'containers-not-started', nodes: null, detail: waiting.join('; ') || 'No container status yet' }]
+    };
+  }
+
+  // The newest FailedScheduling event says more than the condition when both exist
+  const failedScheduling = podEvents.find(event => event.reason === 'FailedScheduling');
+  const message = failedScheduling?.message || scheduled?.message || '';
+  const reasons = parseSchedulerMessage(message);
+  return {
+    scheduled: false,
+    message: message || 'Not scheduled yet',
+    reasons: reasons.length > 0 ? reasons : [{ category: 'other', nodes: null, detail: message || 'No scheduler event yet' }]
+  };
+}
+
+/**
+ * ⏳ Pods Pending for at least `minPendingMs`, longest first, with the
+ * scheduler's reasons. `events` may span namespaces; only each pod's own are used.
+ */
+export function findPendingPods(pods, events, { minPendingMs = 0, now = Date.now() } = {}) {
+  const eventsByPod = new Map();
+  for (const event of events) {
+    if (event.involvedObject?.kind && event.involvedObject.kind !== 'Pod') continue;
+    const key = `${event.involvedObject?.namespace}/${event.involvedObject?.name}`;
+    eventsByPod.set(key, [...(eventsByPod.get(key) || []), event]);
+  }
+
+  return pods
+    .filter(pod => pod.status?.phase === 'Pending' && !pod.metadata?.deletionTimestamp)
+    .map(pod => {
+      const since = new Date(pod.metadata.creationTimestamp).getTime();
+      const podEvents = (eventsByPod.get(`${pod.metadata.namespace}/${pod.metadata.name}`) || [])
+        .sort((a, b) => eventTimestamp(b) - eventTimestamp(a));
+      return { pod, since, ...pendingReasons(pod, podEvents) };
+    })
+    .filter(({ since }) => now - since >= minPendingMs)
+    .sort((a, b) => a.since - b.since);
+}
+
+/**
+ * 💡 Recommendations for one pending pod, checked against node capacity.
+ * `capacity` is nodeCapacity() of the cluster; `claims` maps PVC name → PVC.
+ */
+export function recommendForPendingPod(pod, reasons, capacity, claims = new Map()) {
+  const recommendations = [];
+  const add = (category, action, details) => recommendations.push({ category, action, details });
+  const requests = podRequests(pod);
+  // Nodes the pod could land on if resources were the only problem
+  const eligible = capacity.filter(node => node.ready && !node.unschedulable &&
+    blockingTaints(node.node, pod).length === 0 && matchesNodeSelector(node.node, pod));
+  const categories = new Set(reasons.map(reason => reason.category));
+
+  if (categories.has('insufficient-resources')) {
+    const resources = [...new Set(reasons.filter(reason => reason.category === 'insufficient-resources').map(reason => reason.resource))];
+    const format = { cpu: formatCpu, memory: formatMemory, pods: String };
+    for (const resource of resources.filter(resource => format[resource])) {
+      const requested = requests[resource];
+      const largestAllocatable = Math.max(0, ...eligible.map(node => node.allocatable[resource]));
+      const largestFree = Math.max(0, ...eligible.map(node => node.free[resource]));
+      if (eligible.length === 0) {
+        add('insufficient-resources', `Make a node available for ${resource}`,
+          `No ready, schedulable node matches the pod's taints and node selector, so no node can be checked for ${resource}.`);
+      } else if (resource !== 'pods' && requested > largestAllocatable) {
+        add('insufficient-resources', `Lower the ${resource} request or add larger nodes`,
+          `The pod requests ${format[resource](requested)} ${resource} but the largest eligible node only has ${format[resource](largestAllocatable)} allocatable; ` +
+          `it can never be scheduled as is. Lower the request below ${format[resource](largestAllocatable)} (less the DaemonSet overhead), or add a node pool with larger nodes.`);
+      } else {
+        add('insufficient-resources', `Free up ${resource} or add nodes`,
+          `The pod requests ${format[resource](requested)} ${resource}; the most free on an eligible node is ${format[resource](largestFree)} ` +
+          `(${eligible.length} eligible node(s)). Add nodes (or let the cluster autoscaler scale up), or reduce over-provisioned requests of other workloads ` +
+          `(analyze-resource-usage)${resource !== 'pods' && largestFree > 0 ? `; a request of at most ${format[resource](largestFree)} would fit now` : ''}.`);
+      }
+    }
+  }
+
+  if (categories.has('taint')) {
+    const taints = new Map();
+    for (const node of capacity) {
+      for (const taint of blockingTaints(node.node, pod)) {
+        const key = `${taint.key}${taint.value ? `=${taint.value}` : ''}:${taint.effect}`;
+        taints.set(key, [...(taints.get(key) || []), node.name]);
+      }
+    }
+    const cordoned = capacity.filter(node => node.unschedulable).map(node => node.name);
+    if (cordoned.length > 0) {
+      add('taint', 'Uncordon nodes', `Cordoned (unschedulable) nodes: ${cordoned.join(', ')}. Uncordon them once their maintenance is done.`);
+    }
+    for (const [taint, nodeNames] of taints) {
+      if (taint.startsWith('node.kubernetes.io/unschedulable')) continue;
+      add('taint', `Tolerate ${taint} or schedule elsewhere`,
+        `${nodeNames.length} node(s) (${nodeNames.slice(0, 5).join(', ')}${nodeNames.length > 5 ? ', ...' : ''}) have the taint ${taint} the pod does not tolerate. ` +
+        `Add a matching toleration only if the pod belongs on those nodes; otherwise add capacity without the taint.`);
+    }
+  }
+
+  if (categories.has('node-affinity')) {
+    const selector = Object.entries(pod.spec?.nodeSelector || {});
+    const unmatched = selector.filter(([key, value]) => !capacity.some(node => node.node.metadata?.labels?.[key] === value));
+    add('node-affinity', 'Fix the node selector / affinity or label nodes',
+      (unmatched.length > 0
+        ? `No node has ${unmatched.map(([key, value]) => `${key}=${value}`).join(', ')}. `
+        : '') +
+      `Check spec.nodeSelector and spec.affinity against the node labels (kubectl-get nodes --show-labels), ` +
+      `and for volume node affinity conflicts make sure the PersistentVolume's zone has nodes.`);
+  }
+
+  if (categories.has('unbound-pvc')) {
+    const claimNames = (pod.spec?.volumes || []).map(volume => volume.persistentVolumeClaim?.claimName).filter(Boolean);
+    for (const claimName of claimNames) {
+      const claim = claims.get(claimName);
+      if (!claim) {
+        add('unbound-pvc', `Create PersistentVolumeClaim ${claimName}`, `The pod mounts PVC ${claimName}, which does not exist in ${pod.metadata.namespace}.`);
+      } else if (claim.status?.phase !== 'Bound') {
+        const storageClass = claim.spec?.storageClassName;
+        add('unbound-pvc', `Bind PersistentVolumeClaim ${claimName}`,
+          `PVC ${claimName} is ${claim.status?.phase || 'Pending'} (storage class ${storageClass || 'none'}, ${claim.spec?.resources?.requests?.storage || 'no size'}). ` +
+          (storageClass
+            ? `Check that the ${storageClass} provisioner is running and its events on the PVC.`
+            : 'Without a storage class it needs a matching PersistentVolume; create one or set a storage class.'));
+      }
+    }
+  }
+
+  if (categories.has('containers-not-started')) {
+    add('containers-not-started', 'Diagnose the containers',
+      'The pod is scheduled but its containers never started (image pull, missing ConfigMap/Secret, volume mount). Run diagnose-crash on the pod.');
+  }
+
+  if (recommendations.length === 0) {
+    add('other', 'Describe the pod', 'The scheduler gave no recognised reason; check kubectl-describe on the pod and the FailedScheduling events.');
+  }
+  return recommendations;
+}
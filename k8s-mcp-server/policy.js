@@ -0,0 +1,426 @@
+/**
+ * 🚧 Policy Guardrails
+ *
+ * Declarative limits on what mutating tools and the auto-healer may do:
+ * - Allowed / denied namespaces
+ * - Resource kinds that may never be touched
+ * - Maximum CPU / memory / PVC storage values that may be set
+ * - Maximum replica count for scaling and autoscaling fixes
+ * - Which tools (or tool actions) are read-only, and a global read-only mode
+ * - Which automated fixes are low-risk enough to skip human approval
+ * - Which nodes may be cordoned or drained, and how many at once
+ * - The ready replicas restarts, scale-downs, pod deletions and drains must leave
+ *
+ * Loaded from a YAML file mounted from the chart ConfigMap. Every check throws
+ * a PolicyViolation naming the rule that was broken.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parseMemoryQuantity, parseCpuQuantity } from './resource-quantities.js';
+
+export const DEFAULT_POLICY = {
+  readOnlyMode: false,
+  namespaces: {
+    allowed: [],
+    denied: ['kube-system', 'kube-public', 'kube-node-lease']
+  },
+  forbiddenKinds: ['namespaces', 'nodes', 'customresourcedefinitions', 'clusterroles', 'clusterrolebindings'],
+  maxResources: {
+    cpu: '4',
+    memory: '8Gi',
+    storage: '1Ti'
+  },
+  maxReplicas: 20,
+  // Entries are tool names, or "tool:action" for tools whose action decides
+  readOnlyTools: [
+    'scan-cluster-health', 'list-clusters', 'get-pod-crashes', 'diagnose-crash', 'get-oom-events', 'analyze-resource-usage',
+    'get-healing-history', 'get-cluster-recommendations', 'list-pending-actions', 'reject-action',
+    'helm-list', 'kubectl-get', 'kubectl-describe', 'kubectl-logs', 'kubectl-top',
+    'kubectl-rollout:status', 'kubectl-rollout:history',
+    'kubectl-config:current-context', 'kubectl-config:get-contexts', 'kubectl-config:view'
+  ],
+  // node-cordon / node-drain; nodes stay forbidden for the generic kubectl tools
+  nodeMaintenance: {
+    enabled: true,
+    // Cordoned nodes allowed at once, counting the one about to be cordoned
+    maxCordonedNodes: 1,
+    // Nodes carrying any of these labels are never cordoned or drained
+    protectedNodeLabels: ['node-role.kubernetes.io/control-plane'],
+    // Denied namespaces whose pods a drain may still evict (e.g. CoreDNS)
+    evictableNamespaces: ['kube-system']
+  },
+  // Checks before kubectl-rollout restart, scaling down, deleting pods and node-drain
+  availability: {
+    enabled: true,
+    // Ready replicas to keep for workloads no PodDisruptionBudget covers
+    minReadyReplicas: 1
+  },
+  // Proposals matching every rule are approved without a human; disabled by default
+  autoApprove: {
+    enabled: false,
+    namespaces: [],
+    types: ['oom'],
+    maxIncreaseFactor: 2,
+    maxResources: {
+      cpu: '1',
+      memory: '2Gi'
+    }
+  }
+};
+
+export class PolicyViolation extends Error {
+  constructor(rule, message) {
+    super(`Policy denied: ${message} (rule: policy.${rule})`);
+    this.name = 'PolicyViolation';
+    this.rule = rule;
+  }
+}
+
+// 🏷️ "deploy", "Deployments", "deployments.apps", "deployment/web" → "deployment"
+const KIND_ALIASES = {
+  po: 'pod', svc: 'service', deploy: 'deployment', sts: 'statefulset', ds: 'daemonset', rs: 'replicaset',
+  cj: 'cronjob', ns: 'namespace', no: 'node', cm: 'configmap', pvc: 'persistentvolumeclaim',
+  pv: 'persistentvolume', crd: 'customresourcedefinition', crds: 'customresourcedefinition',
+  hpa: 'horizontalpodautoscaler', pdb: 'poddisruptionbudget', sa: 'serviceaccount', ing: 'ingress'
+};
+
+export function normalizeKind(kind) {
+  const name = String(kind).toLowerCase().split('/')[0].split('.')[0];
+  if (KIND_ALIASES[name]) return KIND_ALIASES[name];
+  if (name.endsWith('ies')) return `${name.slice(0, -3)}y`;
+  if (name.endsWith('sses')) return name.slice(0, -2);
+  if (name.endsWith('s') && !name.endsWith('ss')) return name.slice(0, -1);
+  return name;
+}
+
+const kindsOf = resource => (resource ? String(resource).split('/')[0].split(',').map(normalizeKind) : []);
+
+// 📏 Every requests/limits cpu or memory value found in an object (manifest, patch, values)
+function collectResourceValues(obj, path = [], found = []) {
+  if (!obj || typeof obj !== 'object') return found;
+  for (const [key, value] of Object.entries(obj)) {
+    if (['cpu', 'memory', 'storage'].includes(key) && ['limits', 'requests'].includes(path[path.length - 1]) &&
+      (typeof value === 'string' || typeof value === 'number')) {
+      found.push({ type: key, value: String(value), path: [...path, key].join('.') });
+    } else {
+      collectResourceValues(value, [...path, key], found);
+    }
+  }
+  return found;
+}
+
+// --set style keys: "server.resources.limits.memory" → nested object for collectResourceValues
+function expandDottedKeys(values = {}) {
+  const nested = {};
+  for (const [key, value] of Object.entries(values)) {
+    const parts = key.split('.');
+    let current = nested;
+    parts.slice(0, -1).forEach(part => { current = current[part] = current[part] || {}; });
+    current[parts[parts.length - 1]] = value;
+  }
+  return nested;
+}
+
+// 📄 Manifests / values files passed by path; only local files can be inspected.
+// A directory holds manifests like kubectl reads them: its .yaml, .yml and .json files,
+// and those of its subdirectories when `recursive` is set.
+function readYamlDocuments(filename, { recursive = false } = {}) {
+  if (/^https?:\/\//.test(filename)) {
+    throw new PolicyViolation('localFilesOnly', `remote file ${filename} cannot be inspected; download it and use a local copy`);
+  }
+  if (!fs.existsSync(filename)) {
+    throw new PolicyViolation('localFilesOnly', `${filename} must be a readable local file so it can be inspected`);
+  }
+  if (fs.statSync(filename).isDirectory()) {
+    return fs.readdirSync(filename, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap(entry => {
+        const entryPath = path.join(filename, entry.name);
+        if (entry.isDirectory()) return recursive ? readYamlDocuments(entryPath, { recursive }) : [];
+        return /\.(ya?ml|json)$/.test(entry.name) ? readYamlDocuments(entryPath) : [];
+      });
+  }
+  return yaml.loadAll(fs.readFileSync(filename, 'utf8')).filter(Boolean)
+    .flatMap(doc => (doc.kind === 'List' ? doc.items || [] : [doc]));
+}
+
+/**
+ * Load the policy file, falling back to the defaults for anything it omits.
+ * Only a missing file means the default policy; a file that is there but cannot
+ * be read or parsed throws, so the guardrails it sets are never silently dropped.
+ */
+export function loadPolicy(filePath) {
+  let filePolicy = {};
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      filePolicy = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Policy file ${filePath} is invalid: ${error.message}`);
+    }
+    if (typeof filePolicy !== 'object' || Array.isArray(filePolicy)) {
+      throw new Error(`Policy file ${filePath} is invalid: expected a mapping of policy settings`);
+    }
+  }
+
+  return {
+    ...DEFAULT_POLICY,
+    ...filePolicy,
+    namespaces: { ...DEFAULT_POLICY.namespaces, ...(filePolicy.namespaces || {}) },
+    maxResources: { ...DEFAULT_POLICY.maxResources, ...(filePolicy.maxResources || {}) },
+    nodeMaintenance: { ...DEFAULT_POLICY.nodeMaintenance, ...(filePolicy.nodeMaintenance || {}) },
+    availability: { ...DEFAULT_POLICY.availability, ...(filePolicy.availability || {}) },
+    autoApprove: {
+      ...DEFAULT_POLICY.autoApprove,
+      ...(filePolicy.autoApprove || {}),
+      maxResources: { ...DEFAULT_POLICY.autoApprove.maxResources, ...(filePolicy.autoApprove?.maxResources || {}) }
+    }
+  };
+}
+
+export class PolicyEnforcer {
+  constructor(policy = DEFAULT_POLICY) {
+    this.policy = policy;
+    this.forbiddenKinds = new Set((policy.forbiddenKinds || []).map(normalizeKind));
+    this.readOnlyTools = new Set(policy.readOnlyTools || []);
+  }
+
+  isReadOnly(tool, args = {}) {
+    return this.readOnlyTools.has(tool) || (args.action && this.readOnlyTools.has(`${tool}:${args.action}`));
+  }
+
+  checkNamespace(namespace, subject) {
+    const { allowed = [], denied = [] } = this.policy.namespaces || {};
+    if (denied.includes(namespace)) {
+      throw new PolicyViolation('namespaces.denied', `${subject} targets namespace "${namespace}", which is denied`);
+    }
+    if (allowed.length > 0 && !allowed.includes(namespace)) {
+      throw new PolicyViolation('namespaces.allowed', `${subject} targets namespace "${namespace}", which is not in the allowed list`);
+    }
+  }
+
+  checkKind(kind, subject) {
+    if (this.forbiddenKinds.has(normalizeKind(kind))) {
+      throw new PolicyViolation('forbiddenKinds', `${subject} touches forbidden kind "${kind}"`);
+    }
+  }
+
+  checkResourceValue(type, value, subject) {
+    const max = this.policy.maxResources?.[type];
+    if (!max) return;
+    const parse = type === 'cpu' ? parseCpuQuantity : parseMemoryQuantity;
+    const parsed = parse(value);
+    if (parsed === null) {
+      throw new PolicyViolation(`maxResources.${type}`, `${subject} sets unparseable ${type} value "${value}"`);
+    }
+    if (parsed > parse(max)) {
+      throw new PolicyViolation(`maxResources.${type}`, `${subject} sets ${type} to ${value}, above the maximum of ${max}`);
+    }
+  }
+
+  checkReplicas(replicas, subject) {
+    const max = this.policy.maxReplicas;
+    if (max && replicas > max) {
+      throw new PolicyViolation('maxReplicas', `${subject} sets ${replicas} replicas, above the maximum of ${max}`);
+    }
+  }
+
+  checkResourceValues(obj, subject) {
+    for (const { type, value, path } of collectResourceValues(obj)) {
+      this.checkResourceValue(type, value, `${subject} (${path})`);
+    }
+  }
+
+  /**
+   * Check a tool call before it runs. Read-only tools always pass;
+   * anything else is treated as mutating.
+   */
+  checkTool(tool, args = {}) {
+    if (this.isReadOnly(tool, args)) return;
+
+    const subject = tool + (args.action ? ` ${args.action}` : '');
+    if (this.policy.readOnlyMode) {
+      throw new PolicyViolation('readOnlyMode', `${subject} is a mutating tool and the policy is in read-only mode`);
+    }
+
+    // kubectl falls back to the "default" namespace when none is given
+    const namespace = args.namespace || 'default';
+
+    switch (tool) {
+      case 'helm-install':
+      case 'helm-upgrade':
+        this.checkNamespace(namespace, subject);
+        this.checkResourceValues(expandDottedKeys(args.values), subject);
+        if (args.valuesFile) {
+          readYamlDocuments(args.valuesFile).forEach(values => this.checkResourceValues(values, subject));
+        }
+        break;
+      case 'helm-uninstall':
+      case 'kubectl-exec':
+      case 'kubectl-port-forward':
+        this.checkNamespace(namespace, subject);
+        kindsOf(args.resource).forEach(kind => this.checkKind(kind, subject));
+        break;
+      case 'kubectl-apply':
+      case 'kubectl-create':
+      case 'kubectl-delete':
+        if (args.filename) {
+          for (const doc of readYamlDocuments(args.filename, { recursive: args.recursive })) {
+            const docSubject = `${subject} ${doc.kind || 'object'}/${doc.metadata?.name || '?'}`;
+            if (doc.kind) this.checkKind(doc.kind, docSubject);
+            this.checkNamespace(doc.metadata?.namespace || namespace, docSubject);
+            this.checkResourceValues(doc, docSubject);
+          }
+        } else {
+          kindsOf(args.resource).forEach(kind => this.checkKind(kind, subject));
+          this.checkNamespace(namespace, subject);
+        }
+        break;
+      case 'kubectl-patch': {
+        kindsOf(args.resource).forEach(kind => this.checkKind(kind, subject));
+        this.checkNamespace(namespace, subject);
+        let patch;
+        try {
+          patch = yaml.load(args.patch);
+        } catch {
+          patch = null;
+        }
+        this.checkResourceValues(patch, subject);
+        break;
+      }
+      case 'kubectl-scale':
+        kindsOf(args.resource).forEach(kind => this.checkKind(kind, subject));
+        this.checkNamespace(namespace, subject);
+        this.checkReplicas(args.replicas, subject);
+        break;
+      case 'kubectl-rollout':
+        kindsOf(args.resource).forEach(kind => this.checkKind(kind, subject));
+        this.checkNamespace(namespace, subject);
+        break;
+      case 'rerun-job':
+        this.checkKind('job', subject);
+        this.checkNamespace(namespace, subject);
+        break;
+      case 'auto-heal-deployment':
+        this.checkNamespace(namespace, subject);
+        this.checkResourceValues({ limits: args.resourceUpdates || {} }, subject);
+        break;
+      case 'node-cordon':
+      case 'node-uncordon':
+      case 'node-drain':
+        if (!this.policy.nodeMaintenance?.enabled) {
+          throw new PolicyViolation('nodeMaintenance.enabled', `${subject} is disabled by policy`);
+        }
+        break;
+      case 'update-github-values':
+        if (args.updates?.path) {
+          this.checkResourceValues(expandDottedKeys({ [args.updates.path]: args.updates.value }), subject);
+        }
+        break;
+      default:
+        // Other mutating tools (config changes, workflow triggers, fix PRs) only need the
+        // read-only mode check above; fix PRs are checked per fix with checkFix()
+        break;
+    }
+  }
+
+  /**
+   * 🖥️ Check cordoning or draining one node: protected labels, and how many nodes
+   * would be cordoned at once. `cordonedNodes` are the names of those already cordoned.
+   */
+  checkNode(node, subject, { cordonedNodes = [] } = {}) {
+    const rules = this.policy.nodeMaintenance || {};
+    const name = node.metadata.name;
+    const labels = node.metadata.labels || {};
+    const protectedLabel = (rules.protectedNodeLabels || []).find(label => label in labels);
+    if (protectedLabel) {
+      throw new PolicyViolation('nodeMaintenance.protectedNodeLabels', `${subject} targets node "${name}", which has the protected label ${protectedLabel}`);
+    }
+    const cordoned = new Set([...cordonedNodes, name]);
+    if (rules.maxCordonedNodes && cordoned.size > rules.maxCordonedNodes) {
+      throw new PolicyViolation('nodeMaintenance.maxCordonedNodes',
+        `${subject} would leave ${cordoned.size} nodes cordoned (${[...cordoned].join(', ')}), above the maximum of ${rules.maxCordonedNodes}`);
+    }
+  }
+
+  // 🛡️ Options for assessDisruption; null when the availability checks are turned off
+  availabilityRules() {
+    const rules = this.policy.availability || {};
+    return rules.enabled === false ? null : { minReadyReplicas: rules.minReadyReplicas ?? 1 };
+  }
+
+  // 🚜 Check the namespace of a pod a drain would evict
+  checkEviction(namespace, subject) {
+    if ((this.policy.nodeMaintenance?.evictableNamespaces || []).includes(namespace)) return;
+    this.checkNamespace(namespace, subject);
+  }
+
+  // 🔧 Check one automated fix (GitOps PR or auto-heal action)
+  checkFix(fix) {
+    const subject = `auto-fix for ${fix.namespace}/${fix.workload || fix.pod}`;
+    if (this.policy.readOnlyMode) {
+      throw new PolicyViolation('readOnlyMode', `${subject} is not allowed while the policy is in read-only mode`);
+    }
+    this.checkNamespace(fix.namespace, subject);
+    if (fix.type === 'autoscaling') {
+      // The replica range the HPA gets once deployed; a disabled HPA scales nothing
+      if (fix.settings?.enabled) {
+        this.checkReplicas(fix.settings.maxReplicas, `${subject} (maxReplicas)`);
+        this.checkReplicas(fix.settings.minReplicas, `${subject} (minReplicas)`);
+      }
+    } else if (fix.resourceType && fix.to) {
+      this.checkResourceValue(fix.resourceType, fix.to, subject);
+    }
+  }
+
+  /**
+   * ✋ Decide whether a fix proposal may skip human approval: only resource increases
+   * of a known current value, within the auto-approve factor, ceiling, types and namespaces.
+   * Probe changes carry no quantity, so the types and namespaces rules alone decide them.
+   */
+  evaluateAutoApprove(proposal) {
+    const rules = this.policy.autoApprove || {};
+    const deny = reason => ({ approved: false, reason });
+
+    if (!rules.enabled) return deny('auto-approve is disabled by policy');
+    if (this.policy.readOnlyMode) return deny('policy is in read-only mode');
+    if (!(rules.types || []).includes(proposal.type)) {
+      return deny(`${proposal.type} fixes are not auto-approved`);
+    }
+    if ((rules.namespaces || []).length > 0 && !rules.namespaces.includes(proposal.namespace)) {
+      return deny(`namespace "${proposal.namespace}" is not auto-approved`);
+    }
+
+    const quantityChanges = proposal.type === 'probe' ? [] : proposal.diff || [];
+    for (const change of quantityChanges) {
+      const parse = change.resourceType === 'cpu' ? parseCpuQuantity : parseMemoryQuantity;
+      const from = parse(change.from);
+      const to = parse(change.to);
+      const max = rules.maxResources?.[change.resourceType];
+      if (from === null || to === null) {
+        return deny(`${change.resourceType} change ${change.from} → ${change.to} has no known current value`);
+      }
+      if (to < from) return deny(`${change.resourceType} decrease ${change.from} → ${change.to} needs review`);
+      if (to > from * rules.maxIncreaseFactor) {
+        return deny(`${change.resourceType} increase ${change.from} → ${change.to} exceeds ${rules.maxIncreaseFactor}x`);
+      }
+      if (max && to > parse(max)) {
+        return deny(`${change.resourceType} ${change.to} is above the auto-approve ceiling of ${max}`);
+      }
+    }
+
+    return { approved: true, reason: `low-risk ${proposal.type} fix within auto-approve policy` };
+  }
+
+  // ✅ Non-throwing variant for callers that want to collect denials
+  evaluate(check) {
+    try {
+      check();
+      return { allowed: true };
+    } catch (error) {
+      if (error instanceof PolicyViolation) return { allowed: false, rule: error.rule, reason: error.message };
+      throw error;
+    }
+  }
+}
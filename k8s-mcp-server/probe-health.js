@@ -0,0 +1,231 @@
+/**
+ * 🩺 Probe Health Analysis
+ *
+ * Finds containers whose probes fail, from `Unhealthy` Events and the `Killing`
+ * Events of liveness- and startup-triggered restarts:
+ * - Liveness failures restarting the container, told apart as slow starts
+ *   (killed before the probe ever passed) or probes failing under load
+ * - Startup probes giving up before the container started
+ * - Readiness failures keeping pods out of their Services
+ *
+ * Each finding proposes probe settings for a GitOps fix instead of more memory:
+ * a startupProbe for slow starts, a longer timeoutSeconds when the probe timed
+ * out, a higher failureThreshold for intermittent liveness failures.
+ */
+
+import { eventTimestamp } from './cluster-watcher.js';
+
+export const PROBE_TYPES = ['livenessProbe', 'readinessProbe', 'startupProbe'];
+const PROBE_HANDLERS = ['httpGet', 'tcpSocket', 'exec', 'grpc'];
+const PROBE_SETTINGS = ['initialDelaySeconds', 'periodSeconds', 'timeoutSeconds', 'failureThreshold', 'successThreshold', 'terminationGracePeriodSeconds'];
+
+// Kubernetes defaults for fields a probe leaves unset
+const PROBE_DEFAULTS = { initialDelaySeconds: 0, periodSeconds: 10, timeoutSeconds: 1, failureThreshold: 3 };
+
+// Bounds of the settings proposed: enough room to start or answer, not enough to hide a dead container
+const STARTUP_BUDGET_SECONDS = 300;
+const MAX_STARTUP_SECONDS = 1800;
+const MAX_TIMEOUT_SECONDS = 10;
+const MAX_FAILURE_THRESHOLD = 10;
+
+// "Liveness probe failed: ..." / "Readiness probe errored: ..."
+const UNHEALTHY_MESSAGE = /^(Liveness|Readiness|Startup) probe (?:failed|errored)/i;
+// "Container app failed liveness probe, will be restarted"
+const KILLING_MESSAGE = /failed (liveness|startup) probe/i;
+const TIMEOUT_MESSAGE = /timeout|timed out|deadline exceeded/i;
+
+const probeKey = (namespace, pod, container) => `${namespace}/${pod}/${container}`;
+const withDefaults = probe => ({ ...PROBE_DEFAULTS, ...probe });
+const killWindowOf = probe => probe.initialDelaySeconds + probe.periodSeconds * probe.failureThreshold;
+
+// 🔌 The check a probe runs (httpGet, tcpSocket, exec or grpc), without its timing
+export function probeHandler(probe) {
+  return Object.fromEntries(PROBE_HANDLERS.filter(handler => probe?.[handler]).map(handler => [handler, probe[handler]]));
+}
+
+// Container an Event is about: spec.containers{name}, or the pod's only container
+function eventContainer(event, pod) {
+  const named = event.involvedObject?.fieldPath?.match(/\{(.+)\}/)?.[1];
+  if (named) return named;
+  const containers = pod.spec?.containers || [];
+  return containers.length === 1 ? containers[0].name : null;
+}
+
+/**
+ * ⚙️ Probe settings that address the failures seen, or null when tuning would only
+ * hide a broken endpoint. `probe` is the failing probe type and `spec` the container spec.
+ */
+export function recommendProbeSettings(probe, spec, { timedOut = false, slowStart = false } = {}) {
+  const current = withDefaults(spec[probe]);
+  const longerTimeout = Math.min(Math.max(current.timeoutSeconds * 2, 3), MAX_TIMEOUT_SECONDS);
+
+  // Killed before it ever answered: give startup its own, generous probe
+  if (probe === 'livenessProbe' && slowStart && !spec.startupProbe) {
+    const budget = Math.max(STARTUP_BUDGET_SECONDS, killWindowOf(current) * 4);
+    return {
+      probe: 'startupProbe',
+      settings: {
+        ...probeHandler(spec.livenessProbe),
+        periodSeconds: current.periodSeconds,
+        timeoutSeconds: timedOut ? longerTimeout : current.timeoutSeconds,
+        failureThreshold: Math.ceil(budget / current.periodSeconds)
+      }
+    };
+  }
+
+  if (probe === 'startupProbe') {
+    const failureThreshold = Math.min(current.failureThreshold * 2, Math.floor(MAX_STARTUP_SECONDS / current.periodSeconds));
+    const settings = {
+      ...(failureThreshold > current.failureThreshold && { failureThreshold }),
+      ...(timedOut && longerTimeout > current.timeoutSeconds && { timeoutSeconds: longerTimeout })
+    };
+    return Object.keys(settings).length > 0 ? { probe, settings } : null;
+  }
+
+  if (timedOut && longerTimeout > current.timeoutSeconds) {
+    return { probe, settings: { timeoutSeconds: longerTimeout } };
+  }
+  // A readiness probe that answers "not ready" is telling the truth
+  if (probe === 'livenessProbe' && current.failureThreshold < MAX_FAILURE_THRESHOLD) {
+    return { probe, settings: { failureThreshold: Math.min(current.failureThreshold * 2, MAX_FAILURE_THRESHOLD) } };
+  }
+  return null;
+}
+
+function describeChange({ probe, settings }, spec) {
+  if (probe === 'startupProbe' && !spec.startupProbe) {
+    return `Add a startupProbe allowing ${settings.failureThreshold * settings.periodSeconds}s to start, ` +
+      `so the livenessProbe only runs once the container is up`;
+  }
+  const current = withDefaults(spec[probe]);
+  return `Raise ${probe} ` + Object.entries(settings).map(([field, value]) => `${field} from ${current[field]} to ${value}`).join(' and ');
+}
+
+/**
+ * 🔎 Containers with probe failures inside the window: at least `minFailures`
+ * failed probes, or any restart the kubelet made because of one.
+ * Returns findings with the failures, the probe's current timing and the
+ * settings a create-gitops-fix-pr probe fix would apply.
+ */
+export function analyzeProbeFailures(pods, events, { now = Date.now(), windowMs = 60 * 60 * 1000, minFailures = 3 } = {}) {
+  const podsByKey = new Map(pods.map(pod => [`${pod.metadata.namespace}/${pod.metadata.name}`, pod]));
+  const failures = new Map();
+
+  for (const event of events) {
+    if (event.involvedObject?.kind !== 'Pod' || now - eventTimestamp(event) > windowMs) continue;
+    const unhealthy = event.reason === 'Unhealthy' && event.message?.match(UNHEALTHY_MESSAGE);
+    const killed = event.reason === 'Killing' && event.message?.match(KILLING_MESSAGE);
+    if (!unhealthy && !killed) continue;
+
+    const pod = podsByKey.get(`${event.involvedObject.namespace}/${event.involvedObject.name}`);
+    const container = pod && eventContainer(event, pod);
+    if (!container) continue;
+
+    const probe = `${(unhealthy || killed)[1].toLowerCase()}Probe`;
+    const key = `${probeKey(pod.metadata.namespace, pod.metadata.name, container)}/${probe}`;
+    const entry = failures.get(key) || { pod, container, probe, failures: 0, restarts: 0, timedOut: false, latest: null };
+    if (unhealthy) {
+      entry.failures += event.count || 1;
+      entry.timedOut = entry.timedOut || TIMEOUT_MESSAGE.test(event.message);
+      if (!entry.latest || eventTimestamp(event) > eventTimestamp(entry.latest)) entry.latest = event;
+    } else {
+      entry.restarts += event.count || 1;
+    }
+    failures.set(key, entry);
+  }
+
+  const findings = [];
+  for (const { pod, container, probe, failures: failed, restarts, timedOut, latest } of failures.values()) {
+    const spec = (pod.spec?.containers || []).find(candidate => candidate.name === container);
+    // The probe was removed since, or the Events only repeat a restart
+    if (!spec?.[probe] || (restarts === 0 && failed < minFailures)) continue;
+
+    const status = (pod.status?.containerStatuses || []).find(candidate => candidate.name === container);
+    const terminated = status?.lastState?.terminated;
+    const runtimeSeconds = terminated?.startedAt && terminated?.finishedAt
+      ? Math.round((new Date(terminated.finishedAt) - new Date(terminated.startedAt)) / 1000)
+      : null;
+    // Killed about as soon as the probe could kill it: it never got through startup
+    const slowStart = probe === 'livenessProbe' && restarts > 0 && runtimeSeconds !== null &&
+      runtimeSeconds <= killWindowOf(withDefaults(spec[probe])) * 2;
+
+    const recommendation = recommendProbeSettings(probe, spec, { timedOut, slowStart });
+    const label = { livenessProbe: 'Liveness', readinessProbe: 'Readiness', startupProbe: 'Startup' }[probe];
+    const namespace = pod.metadata.namespace;
+    findings.push({
+      namespace,
+      pod: pod.metadata.name,
+      container,
+      probe,
+      issue: slowStart ? 'Slow start killed by liveness probe'
+        : restarts > 0 ? `${label} probe restarting container`
+          : `${label} probe failing`,
+      severity: restarts > 0 ? 'critical' : 'warning',
+      details: `${failed} failed probe(s)${restarts > 0 ? `, ${restarts} restart(s)` : ''}` +
+        (runtimeSeconds !== null && restarts > 0 ? `, last run lasted ${runtimeSeconds}s` : '') +
+        (latest ? `: ${latest.message}` : ''),
+      failures: failed,
+      restarts,
+      timedOut,
+      slowStart,
+      current: Object.fromEntries(Object.entries(withDefaults(spec[probe])).filter(([field]) => PROBE_SETTINGS.includes(field))),
+      recommendedProbe: recommendation?.probe || null,
+      recommendedSettings: recommendation?.settings || null,
+      remediation: {
+        action: recommendation
+          ? `${describeChange(recommendation, spec)} (create-gitops-fix-pr with type "probe")`
+          : `The probe keeps failing although it has room: check the endpoint, port and what it depends on`,
+        command: `kubectl describe pod ${pod.metadata.name} -n ${namespace}`
+      }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * 🎯 Values change of a probe fix. `probes` maps each probe type the chart takes from
+ * values to `{ path, current }`. A startupProbe on a chart whose template has none
+ * becomes a longer livenessProbe initialDelaySeconds instead. New probe blocks borrow
+ * the livenessProbe's check when the settings bring none.
+ */
+export function planProbeFix(probes, { probe, settings }) {
+  if (!PROBE_TYPES.includes(probe) || !settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { resolved: false, reason: `Probe fixes need probe (${PROBE_TYPES.join(', ')}) and settings` };
+  }
+  const invalid = Object.entries(settings).find(([field, value]) => PROBE_HANDLERS.includes(field)
+    ? !value || typeof value !== 'object'
+    : !PROBE_SETTINGS.includes(field) || !Number.isInteger(value) || value < (field === 'initialDelaySeconds' ? 0 : 1));
+  if (invalid) {
+    return { resolved: false, reason: `Invalid probe setting ${invalid[0]}: ${JSON.stringify(invalid[1])}` };
+  }
+
+  let target = probe;
+  let changes = settings;
+  if (!probes[probe] && probe === 'startupProbe' && probes.livenessProbe) {
+    const current = withDefaults(probes.livenessProbe.current || {});
+    target = 'livenessProbe';
+    changes = {
+      initialDelaySeconds: Math.max(current.initialDelaySeconds,
+        (settings.periodSeconds || current.periodSeconds) * (settings.failureThreshold || current.failureThreshold))
+    };
+  }
+  if (!probes[target]) {
+    return { resolved: false, reason: `${probe} of the container is not sourced from .Values in the chart` };
+  }
+
+  const current = probes[target].current ?? null;
+  const proposed = { ...(current || {}), ...changes };
+  if (Object.keys(probeHandler(proposed)).length === 0) {
+    const handler = probeHandler(probes.livenessProbe?.current);
+    if (Object.keys(handler).length === 0) {
+      return { resolved: false, reason: `${target} has no check (httpGet, tcpSocket, exec or grpc) and none was given in settings` };
+    }
+    Object.assign(proposed, handler);
+  }
+  if (current && Object.entries(changes).every(([field, value]) => JSON.stringify(current[field]) === JSON.stringify(value))) {
+    return { resolved: false, reason: `${target} already has these settings` };
+  }
+
+  return { resolved: true, probe: target, probePath: probes[target].path, current, proposed };
+}
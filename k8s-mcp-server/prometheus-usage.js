@@ -0,0 +1,160 @@
+/**
+ * 📈 Prometheus Usage Analytics
+ *
+ * Pulls per-container usage percentiles from Prometheus (or any server speaking
+ * the Prometheus HTTP query API) and turns them into right-sizing advice:
+ * - p50/p95/p99/max memory working set over a window
+ * - p50/p95/p99/max CPU usage (cores) over the same window
+ * - Recommendations in both directions, for requests and limits
+ */
+
+import fetch from 'node-fetch';
+import { parseMemoryQuantity, parseCpuQuantity, formatMemory, formatCpu } from './resource-quantities.js';
+import { validate } from './command-runner.js';
+
+const QUANTILES = { p50: 0.5, p95: 0.95, p99: 0.99 };
+
+// 🔌 Minimal instant-query client for the Prometheus HTTP API
+export function createPrometheusClient(baseUrl, { timeoutMs = 10000 } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return {
+    baseUrl: root,
+    async query(promql) {
+      const url = `${root}/api/v1/query?${new URLSearchParams({ query: promql })}`;
+      let response;
+      try {
+        response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+      } catch (error) {
+        // node-fetch messages embed the full query URL; the error code is enough
+        throw new Error(`Prometheus unreachable (${error.code || error.name})`);
+      }
+      if (!response.ok) {
+        throw new Error(`Prometheus query failed with HTTP ${response.status}`);
+      }
+      const payload = await response.json();
+      if (payload.status !== 'success') {
+        throw new Error(`Prometheus query failed: ${payload.error || 'unknown error'}`);
+      }
+      return payload.data.result;
+    }
+  };
+}
+
+const seriesKey = ({ namespace, pod, container }) => `${namespace}/${pod}/${container}`;
+
+// Values are spliced into PromQL, so only a namespace name and a duration such as 24h or 1h30m get through
+function usageQueries(namespace, window) {
+  if (namespace) validate.namespace(namespace);
+  if (!/^(\d+[smhdwy])+$/.test(window)) throw new Error(`Invalid window "${window}": must be a duration such as 24h or 7d`);
+  const selector = `container!="",container!="POD"${namespace ? `,namespace="${namespace}"` : ''}`;
+  const memory = `container_memory_working_set_bytes{${selector}}`;
+  // CPU is a counter, so percentiles are taken over a 5m rate sampled every minute
+  const cpu = `rate(container_cpu_usage_seconds_total{${selector}}[5m])[${window}:1m]`;
+  const byContainer = 'max by (namespace, pod, container)';
+
+  const queries = [];
+  for (const [stat, quantile] of Object.entries(QUANTILES)) {
+    queries.push({ resource: 'memory', stat, promql: `${byContainer} (quantile_over_time(${quantile}, ${memory}[${window}]))` });
+    queries.push({ resource: 'cpu', stat, promql: `${byContainer} (quantile_over_time(${quantile}, ${cpu}))` });
+  }
+  queries.push({ resource: 'memory', stat: 'max', promql: `${byContainer} (max_over_time(${memory}[${window}]))` });
+  queries.push({ resource: 'cpu', stat: 'max', promql: `${byContainer} (max_over_time(${cpu}))` });
+  return queries;
+}
+
+/**
+ * Query usage percentiles for every container in scope.
+ * Returns a Map of `namespace/pod/container` → { memory: {p50,p95,p99,max}, cpu: {...} }
+ * with memory in bytes and CPU in cores.
+ */
+export async function getContainerUsage(client, { namespace, window = '24h' } = {}) {
+  const usage = new Map();
+  const queries = usageQueries(namespace, window);
+  const results = await Promise.all(queries.map(query => client.query(query.promql)));
+
+  queries.forEach((query, index) => {
+    for (const series of results[index]) {
+      const value = parseFloat(series.value?.[1]);
+      if (!series.metric?.pod || !Number.isFinite(value)) continue;
+
+      const key = seriesKey(series.metric);
+      if (!usage.has(key)) usage.set(key, { memory: {}, cpu: {} });
+      usage.get(key)[query.resource][query.stat] = value;
+    }
+  });
+
+  return usage;
+}
+
+/**
+ * 🎯 Compare observed usage with a container's requests and limits.
+ * Requests are sized from p95, limits from the observed max, each with headroom; a request
+ * never goes above the limit recommended alongside it, or the current one.
+ * Only changes beyond the tolerance band are recommended, so stable workloads stay quiet.
+ */
+export function recommendRightSizing(container, usage, {
+  requestHeadroom = 1.15,
+  limitHeadroom = 1.3,
+  overProvisionedRatio = 2,
+  limitPressureRatio = 0.9
+} = {}) {
+  const recommendations = [];
+  const resources = container.resources || {};
+
+  const resourceTypes = {
+    memory: { parse: parseMemoryQuantity, format: formatMemory, unit: 'working set' },
+    cpu: { parse: parseCpuQuantity, format: formatCpu, unit: 'usage' }
+  };
+
+  for (const [type, { parse, format, unit }] of Object.entries(resourceTypes)) {
+    const stats = usage?.[type];
+    if (!stats || stats.p95 === undefined || stats.max === undefined) continue;
+
+    const request = parse(resources.requests?.[type]);
+    const limit = parse(resources.limits?.[type]);
+    const targetRequest = stats.p95 * requestHeadroom;
+    const targetLimit = stats.max * limitHeadroom;
+    const observed = `p95 ${unit} ${format(stats.p95)}, max ${format(stats.max)}`;
+
+    let limitChange = null;
+    if (limit === null) {
+      // CPU limits are optional by design; only memory is unbounded without one
+      if (type === 'memory') {
+        limitChange = { type, field: 'limits', direction: 'increase', current: 'Not set',
+          recommended: format(targetLimit), reason: `No memory limit set (${observed})` };
+      }
+    } else if (stats.max >= limit * limitPressureRatio) {
+      limitChange = { type, field: 'limits', direction: 'increase', current: resources.limits[type],
+        recommended: format(Math.max(targetLimit, limit * 1.25)),
+        reason: `Under-provisioned: max ${unit} ${format(stats.max)} is at ${Math.round(stats.max / limit * 100)}% of the limit` +
+          (type === 'memory' ? ' (OOM risk)' : ' (throttling)') };
+    } else if (limit > targetLimit * overProvisionedRatio) {
+      limitChange = { type, field: 'limits', direction: 'decrease', current: resources.limits[type],
+        recommended: format(targetLimit), reason: `Over-provisioned: limit is ${(limit / stats.max).toFixed(1)}x the max ${unit} ${format(stats.max)}` };
+    }
+
+    // A request above the limit is rejected by the API server, so it is capped at the limit the container ends up with
+    const newLimit = limitChange ? parse(limitChange.recommended) : limit;
+    const cappedRequest = newLimit !== null && targetRequest > newLimit ? newLimit : targetRequest;
+    const capped = cappedRequest < targetRequest ? ', capped at the limit' : '';
+
+    if (request === null) {
+      recommendations.push({ type, field: 'requests', direction: 'increase', current: 'Not set',
+        recommended: format(cappedRequest), reason: `No ${type} request set (${observed})${capped}` });
+    } else if (stats.p95 > request) {
+      recommendations.push({ type, field: 'requests', direction: 'increase', current: resources.requests[type],
+        recommended: format(cappedRequest), reason: `Under-provisioned: ${observed} exceeds the request${capped}` });
+    } else if (request > targetRequest * overProvisionedRatio) {
+      recommendations.push({ type, field: 'requests', direction: 'decrease', current: resources.requests[type],
+        recommended: format(targetRequest), reason: `Over-provisioned: request is ${(request / stats.p95).toFixed(1)}x the ${observed}` });
+    }
+    if (limitChange) recommendations.push(limitChange);
+  }
+
+  return recommendations;
+}
+
+export function containerUsageKey(namespace, pod, container) {
+  return seriesKey({ namespace, pod, container });
+}
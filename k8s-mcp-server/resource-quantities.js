@@ -0,0 +1,31 @@
+/**
+ * 🔢 Kubernetes Resource Quantities
+ *
+ * Parses quantity strings from pod specs, metrics.k8s.io and Prometheus-derived
+ * values into plain numbers (bytes / cores) and formats them back.
+ */
+
+const MEMORY_UNITS = {
+  '': 1, k: 1e3, M: 1e6, G: 1e9, T: 1e12,
+  Ki: 1024, Mi: 1024 ** 2, Gi: 1024 ** 3, Ti: 1024 ** 4
+};
+
+// metrics-server reports CPU in nanocores (e.g. "12345678n")
+const CPU_UNITS = { '': 1, m: 1e-3, u: 1e-6, n: 1e-9 };
+
+export function parseMemoryQuantity(quantity) {
+  if (quantity === undefined || quantity === null) return null;
+  const match = String(quantity).match(/^([\d.]+)(Ki|Mi|Gi|Ti|k|M|G|T)?$/);
+  return match ? parseFloat(match[1]) * MEMORY_UNITS[match[2] || ''] : null;
+}
+
+export function parseCpuQuantity(quantity) {
+  if (quantity === undefined || quantity === null) return null;
+  const match = String(quantity).match(/^([\d.]+)(m|u|n)?$/);
+  return match ? parseFloat(match[1]) * CPU_UNITS[match[2] || ''] : null;
+}
+
+export const formatMemory = (bytes) => `${Math.ceil(bytes / (1024 * 1024))}Mi`;
+export const formatCpu = (cores) => `${Math.max(1, Math.ceil(cores * 1000))}m`;
+// Volumes are sized in whole Gi
+export const formatStorage = (bytes) => `${Math.max(1, Math.ceil(bytes / 1024 ** 3))}Gi`;
@@ -0,0 +1,220 @@
+/**
+ * 💾 Storage Health Analysis
+ *
+ * Inspects PersistentVolumeClaims and the pods using them for:
+ * - Claims stuck Pending (provisioning failures, no matching volume) or Lost
+ * - Pods blocked on volume attach or mount (FailedAttachVolume, FailedMount events)
+ * - Volumes above a usage threshold, from kubelet volume stats in Prometheus
+ *
+ * Full volumes on a StorageClass that allows expansion come with a
+ * recommended new size for a GitOps fix.
+ */
+
+import { eventTimestamp } from './cluster-watcher.js';
+import { parseMemoryQuantity, formatStorage } from './resource-quantities.js';
+
+// Pod events that mean a volume keeps the pod from starting
+const VOLUME_EVENT_ISSUES = {
+  FailedAttachVolume: 'Volume attach failed',
+  FailedMount: 'Volume mount failed',
+  FailedMapVolume: 'Volume mount failed'
+};
+
+// Usage a resized volume should start at; never grown by less than half
+const TARGET_UTILIZATION = 0.7;
+const MIN_GROWTH = 1.5;
+
+const claimKey = (namespace, name) => `${namespace}/${name}`;
+const gibibytes = bytes => `${(bytes / 1024 ** 3).toFixed(1)}Gi`;
+const describeClaim = (namespace, name) => `kubectl describe pvc ${name} -n ${namespace}`;
+
+// 🔗 namespace/claim → pods mounting it
+export function claimUsers(pods) {
+  const users = new Map();
+  for (const pod of pods) {
+    for (const volume of pod.spec?.volumes || []) {
+      if (!volume.persistentVolumeClaim) continue;
+      const key = claimKey(pod.metadata.namespace, volume.persistentVolumeClaim.claimName);
+      users.set(key, [...(users.get(key) || []), pod]);
+    }
+  }
+  return users;
+}
+
+// Newest events per involved object of one kind
+function eventsByObject(events, kind) {
+  const grouped = new Map();
+  for (const event of events) {
+    if (event.involvedObject?.kind !== kind) continue;
+    const key = claimKey(event.involvedObject.namespace, event.involvedObject.name);
+    grouped.set(key, [...(grouped.get(key) || []), event]);
+  }
+  for (const list of grouped.values()) list.sort((a, b) => eventTimestamp(b) - eventTimestamp(a));
+  return grouped;
+}
+
+const expansionOf = (claim, storageClasses) => {
+  const storageClass = storageClasses.get(claim.spec?.storageClassName);
+  return storageClass ? Boolean(storageClass.allowVolumeExpansion) : null;
+};
+
+const claimFields = (claim, storageClasses) => ({
+  namespace: claim.metadata.namespace,
+  claim: claim.metadata.name,
+  storageClass: claim.spec?.storageClassName || null,
+  requested: claim.spec?.resources?.requests?.storage || null,
+  capacity: claim.status?.capacity?.storage || null,
+  expandable: expansionOf(claim, storageClasses)
+});
+
+/**
+ * ⏳ Claims stuck Pending longer than `minPendingMs`, and Lost claims.
+ * A WaitForFirstConsumer claim no pod uses yet is Pending by design and not reported.
+ * `storageClasses` is a Map of name → StorageClass.
+ */
+export function analyzeClaims(claims, { storageClasses = new Map(), events = [], pods = [], minPendingMs = 0, now = Date.now() } = {}) {
+  const users = claimUsers(pods);
+  const claimEvents = eventsByObject(events, 'PersistentVolumeClaim');
+  const findings = [];
+
+  for (const claim of claims) {
+    const key = claimKey(claim.metadata.namespace, claim.metadata.name);
+    const usedBy = users.get(key) || [];
+    const phase = claim.status?.phase;
+
+    if (phase === 'Lost') {
+      findings.push({
+        ...claimFields(claim, storageClasses),
+        pod: usedBy[0]?.metadata.name,
+        issue: 'Claim lost',
+        severity: 'critical',
+        details: `The PersistentVolume${claim.spec?.volumeName ? ` ${claim.spec.volumeName}` : ''} bound to this claim no longer exists; pods using it cannot start`,
+        remediation: { action: 'Restore the volume from a backup or snapshot, or recreate the claim', command: describeClaim(claim.metadata.namespace, claim.metadata.name) }
+      });
+      continue;
+    }
+    if (phase !== 'Pending' || now - new Date(claim.metadata.creationTimestamp).getTime() < minPendingMs) continue;
+
+    const bindingMode = storageClasses.get(claim.spec?.storageClassName)?.volumeBindingMode;
+    if (bindingMode === 'WaitForFirstConsumer' && usedBy.length === 0) continue;
+
+    const latest = (claimEvents.get(key) || [])[0];
+    const provisioning = latest?.reason === 'ProvisioningFailed';
+    findings.push({
+      ...claimFields(claim, storageClasses),
+      pod: usedBy[0]?.metadata.name,
+      issue: 'Claim pending',
+      severity: usedBy.length > 0 ? 'critical' : 'warning',
+      details: (latest ? `${latest.reason}: ${latest.message}` : 'No volume bound yet') +
+        (usedBy.length > 0 ? ` (${usedBy.length} pod(s) waiting)` : ''),
+      remediation: provisioning
+        ? { action: 'Fix the provisioning error: StorageClass parameters, provisioner health or cloud quota', command: describeClaim(claim.metadata.namespace, claim.metadata.name) }
+        : { action: claim.spec?.storageClassName
+          ? `Check that StorageClass ${claim.spec.storageClassName} exists and its provisioner is running`
+          : 'Set a StorageClass on the claim or create a matching PersistentVolume', command: describeClaim(claim.metadata.namespace, claim.metadata.name) }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * 📎 Pods that are not running because a volume failed to attach or mount,
+ * with the newest such event. Running pods had a transient failure and are left out.
+ */
+export function findVolumeMountIssues(pods, events) {
+  const podEvents = eventsByObject(events, 'Pod');
+  const findings = [];
+
+  for (const pod of pods) {
+    if (pod.status?.phase !== 'Pending' || pod.metadata.deletionTimestamp) continue;
+    const event = (podEvents.get(claimKey(pod.metadata.namespace, pod.metadata.name)) || [])
+      .find(candidate => VOLUME_EVENT_ISSUES[candidate.reason]);
+    if (!event) continue;
+
+    const claims = (pod.spec?.volumes || []).filter(volume => volume.persistentVolumeClaim)
+      .map(volume => volume.persistentVolumeClaim.claimName);
+    const multiAttach = /Multi-Attach/i.test(event.message || '');
+    findings.push({
+      namespace: pod.metadata.namespace,
+      claim: claims.length === 1 ? claims[0] : undefined,
+      claims,
+      pod: pod.metadata.name,
+      issue: VOLUME_EVENT_ISSUES[event.reason],
+      severity: 'critical',
+      details: `${event.reason}${event.count > 1 ? ` (x${event.count})` : ''}: ${event.message}`,
+      remediation: multiAttach
+        ? { action: 'The ReadWriteOnce volume is still attached to another node; wait for the old pod to terminate or remove its VolumeAttachment', command: 'kubectl get volumeattachments' }
+        : { action: 'Check the CSI driver pods on the node and the volume in the cloud provider', command: `kubectl describe pod ${pod.metadata.name} -n ${pod.metadata.namespace}` }
+    });
+  }
+
+  return findings;
+}
+
+// 📐 Size that brings usage down to the target utilization, rounded up to whole Gi
+export function recommendClaimSize(capacityBytes, usedBytes) {
+  return formatStorage(Math.max(capacityBytes * MIN_GROWTH, usedBytes / TARGET_UTILIZATION));
+}
+
+// 📈 Kubelet volume stats per claim: namespace/claim → { used, capacity } in bytes
+export async function getVolumeUsage(client, { namespace } = {}) {
+  const selector = namespace ? `{namespace="${namespace}"}` : '';
+  const byClaim = 'max by (namespace, persistentvolumeclaim)';
+  const [used, capacity] = await Promise.all([
+    client.query(`${byClaim} (kubelet_volume_stats_used_bytes${selector})`),
+    client.query(`${byClaim} (kubelet_volume_stats_capacity_bytes${selector})`)
+  ]);
+
+  const usage = new Map();
+  const collect = (series, field) => {
+    for (const { metric, value } of series) {
+      const bytes = parseFloat(value?.[1]);
+      if (!metric?.persistentvolumeclaim || !Number.isFinite(bytes)) continue;
+      const key = claimKey(metric.namespace, metric.persistentvolumeclaim);
+      usage.set(key, { ...(usage.get(key) || {}), [field]: bytes });
+    }
+  };
+  collect(used, 'used');
+  collect(capacity, 'capacity');
+  return usage;
+}
+
+/**
+ * 🪣 Claims whose volume is at or above `threshold` percent full; 95% and above is critical.
+ * Expandable claims get a recommended size and point to create-gitops-fix-pr.
+ */
+export function findFullVolumes(claims, usage, { storageClasses = new Map(), pods = [], threshold = 85 } = {}) {
+  const users = claimUsers(pods);
+  const findings = [];
+
+  for (const claim of claims) {
+    const key = claimKey(claim.metadata.namespace, claim.metadata.name);
+    const stats = usage.get(key);
+    if (!stats?.capacity || stats.used === undefined) continue;
+    const utilization = Math.round(stats.used / stats.capacity * 1000) / 10;
+    if (utilization < threshold) continue;
+
+    const fields = claimFields(claim, storageClasses);
+    // The claim's requested size is what the values set; fall back to the volume's capacity
+    const currentBytes = parseMemoryQuantity(fields.requested) || stats.capacity;
+    const recommendedSize = fields.expandable ? recommendClaimSize(currentBytes, stats.used) : null;
+    findings.push({
+      ...fields,
+      pod: users.get(key)?.[0]?.metadata.name,
+      issue: 'Volume nearly full',
+      severity: utilization >= 95 ? 'critical' : 'warning',
+      details: `${gibibytes(stats.used)} of ${gibibytes(stats.capacity)} used (${utilization}%)`,
+      used: gibibytes(stats.used),
+      utilization,
+      recommendedSize,
+      remediation: fields.expandable
+        ? { action: `Expand the claim from ${fields.requested || gibibytes(stats.capacity)} to ${recommendedSize} in the chart values (create-gitops-fix-pr with type "storage")`, command: describeClaim(fields.namespace, fields.claim) }
+        : { action: fields.expandable === false
+          ? `StorageClass ${fields.storageClass} does not allow expansion; clean up data or migrate to a larger volume`
+          : 'Clean up data or move it to a larger volume; the StorageClass could not be checked for expansion', command: describeClaim(fields.namespace, fields.claim) }
+    });
+  }
+
+  return findings;
+}
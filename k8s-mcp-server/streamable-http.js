@@ -0,0 +1,223 @@
+/**
+ * 🌐 Streamable HTTP Transport
+ *
+ * Serves the MCP server over the MCP Streamable HTTP transport, for assistants
+ * that cannot spawn it over stdio (e.g. against the in-cluster deployment):
+ * - POST/GET/DELETE on one endpoint (default /mcp), responses streamed as SSE
+ * - A session per client: its own MCP server instance, keyed by Mcp-Session-Id
+ * - Resumability: recent events are kept per session and replayed after Last-Event-ID
+ * - Bearer token required unless explicitly opted out, idle sessions closed, /health for the probes
+ */
+
+import express from 'express';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * 🧾 Bounded in-memory event store for one session. Event IDs are
+ * "<streamId>/<sequence>", so a stream can still be resumed (without the
+ * evicted events) after its oldest events were dropped.
+ */
+export class SessionEventStore {
+  constructor({ maxEvents = 1000 } = {}) {
+    this.maxEvents = maxEvents;
+    this.events = new Map();
+    this.sequence = 0;
+  }
+
+  async storeEvent(streamId, message) {
+    const eventId = `${streamId}/${++this.sequence}`;
+    this.events.set(eventId, { streamId, sequence: this.sequence, message });
+    if (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+    return eventId;
+  }
+
+  async replayEventsAfter(lastEventId, { send }) {
+    const separator = lastEventId.lastIndexOf('/');
+    const streamId = lastEventId.slice(0, separator);
+    const lastSequence = Number(lastEventId.slice(separator + 1));
+    if (separator < 0 || !Number.isInteger(lastSequence)) {
+      throw new Error(`Invalid Last-Event-ID "${lastEventId}"`);
+    }
+
+    // Map iteration follows insertion order, which is sequence order
+    for (const [eventId, event] of this.events) {
+      if (event.streamId === streamId && event.sequence > lastSequence) {
+        await send(eventId, event.message);
+      }
+    }
+    return streamId;
+  }
+}
+
+// 🔐 Checks an Authorization header against `Bearer <token>` in constant time
+export function bearerTokenCheck(token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (header = '') => {
+    const received = Buffer.from(header);
+    return received.length === expected.length && timingSafeEqual(received, expected);
+  };
+}
+
+const jsonRpcError = (res, status, code, message) =>
+  res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
+
+/**
+ * 🚀 Start the Streamable HTTP server.
+ * `createServer()` returns a new, unconnected MCP Server for each session;
+ * `health()` returns extra fields for the /health response.
+ * Without `authToken` it refuses to start unless `allowUnauthenticated` is set.
+ * Resolves to { app, sessions, close() } once listening.
+ */
+export async function startStreamableHttpServer({
+  createServer,
+  health = () => ({}),
+  port = 3000,
+  healthPort = port,
+  path = '/mcp',
+  authToken,
+  allowUnauthenticated = false,
+  allowedHosts = [],
+  sessionIdleMs = 30 * 60 * 1000,
+  maxReplayEvents = 1000
+}) {
+  if (!authToken && !allowUnauthenticated) {
+    throw new Error('Refusing to serve MCP over HTTP without a bearer token: set MCP_AUTH_TOKEN, ' +
+      'or MCP_ALLOW_UNAUTHENTICATED=true to accept unauthenticated clients');
+  }
+
+  const sessions = new Map();
+  const app = express();
+  app.use(express.json({ limit: '4mb' }));
+
+  // 🔐 Every MCP request carries the bearer token when one is configured, compared in constant time
+  const authorized = authToken ? bearerTokenCheck(authToken) : null;
+  const authenticate = (req, res, next) => {
+    if (authorized && !authorized(req.get('authorization'))) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return jsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+    }
+    next();
+  };
+
+  // Known session from the Mcp-Session-Id header, or an error response
+  const sessionOf = (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    if (!sessionId) {
+      jsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+      // 404 tells the client to start a new session
+      jsonRpcError(res, 404, -32001, `Session ${sessionId} not found`);
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  };
+
+  const openSession = async () => {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: new SessionEventStore({ maxEvents: maxReplayEvents }),
+      enableDnsRebindingProtection: allowedHosts.length > 0,
+      allowedHosts,
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, { server, transport, lastSeen: Date.now(), openStreams: 0 });
+        console.log(`🔌 MCP session ${sessionId} opened (${sessions.size} active)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.log(`🔌 MCP session ${transport.sessionId} closed (${sessions.size} active)`);
+      }
+    };
+    await server.connect(transport);
+    return transport;
+  };
+
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`❌ MCP ${req.method} ${path} failed:`, error.message);
+      if (!res.headersSent) jsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  };
+
+  // 📨 Client → server messages; initialize opens a new session
+  app.post(path, authenticate, handle(async (req, res) => {
+    if (!req.get('mcp-session-id') && isInitializeRequest(req.body)) {
+      const transport = await openSession();
+      await transport.handleRequest(req, res, req.body);
+      return;
+    }
+    const session = sessionOf(req, res);
+    if (session) await session.transport.handleRequest(req, res, req.body);
+  }));
+
+  // 📡 Server → client SSE stream, resumed from Last-Event-ID when given
+  app.get(path, authenticate, handle(async (req, res) => {
+    const session = sessionOf(req, res);
+    if (!session) return;
+    // A session with an open stream is in use even when the client sends nothing
+    session.openStreams++;
+    res.on('close', () => {
+      session.openStreams--;
+      session.lastSeen = Date.now();
+    });
+    await session.transport.handleRequest(req, res);
+  }));
+
+  // 👋 Client ends its session
+  app.delete(path, authenticate, handle(async (req, res) => {
+    const session = sessionOf(req, res);
+    if (session) await session.transport.handleRequest(req, res);
+  }));
+
+  const healthApp = healthPort === port ? app : express();
+  healthApp.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      transport: 'streamable-http',
+      endpoint: path,
+      sessions: sessions.size,
+      timestamp: new Date().toISOString(),
+      ...health()
+    });
+  });
+
+  // 🧹 Clients that vanish without DELETE leave their session behind
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.openStreams === 0 && session.lastSeen < cutoff) {
+        console.log(`⏱️  Closing MCP session ${sessionId} after ${Math.round(sessionIdleMs / 60000)}m idle`);
+        session.transport.close().catch(error => console.error(`❌ Closing session ${sessionId} failed:`, error.message));
+      }
+    }
+  }, Math.min(sessionIdleMs, 60 * 1000));
+  sweeper.unref();
+
+  const listen = (target, listenPort) => new Promise((resolve, reject) => {
+    const httpServer = target.listen(listenPort, () => resolve(httpServer));
+    httpServer.once('error', reject);
+  });
+  const listeners = [await listen(app, port)];
+  if (healthApp !== app) listeners.push(await listen(healthApp, healthPort));
+
+  return {
+    app,
+    sessions,
+    async close() {
+      clearInterval(sweeper);
+      for (const session of sessions.values()) await session.transport.close();
+      await Promise.all(listeners.map(listener => new Promise(resolve => listener.close(resolve))));
+    }
+  };
+}
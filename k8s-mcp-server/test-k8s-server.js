@@ -6,6 +6,8 @@
 
 import { spawn } from 'child_process';
 import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import { TOOL_OUTPUT_SCHEMAS } from './tool-schemas.js';
 
 console.log('🧪 K8s Auto-Heal MCP Server Test Suite\n');
 
@@ -29,7 +31,7 @@ const tests = [
   {
     name: 'Analyze Resource Usage',
     tool: 'analyze-resource-usage',
-    args: { resourceType: 'both' }
+    args: { resourceType: 'both', window: '1h' }
   },
   {
     name: 'Get Cluster Recommendations',
@@ -46,6 +48,22 @@ const tests = [
 // Test results
 let passed = 0;
 let failed = 0;
+const ajv = new Ajv();
+
+const check = (name, condition) => {
+  if (condition) {
+    console.log(`✅ PASSED: ${name}`);
+    passed++;
+  } else {
+    console.log(`❌ FAILED: ${name}`);
+    failed++;
+  }
+};
+
+function finish() {
+  console.log(`\n📊 Passed: ${passed}, Failed: ${failed}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
 
 async function runTest(test) {
   return new Promise((resolve) => {
@@ -87,8 +105,17 @@ async function runTest(test) {
         console.log(`   Error: ${errorOutput || 'Unknown error'}\n`);
         failed++;
       } else if (output.includes('result') || output.includes('content')) {
-        console.log(`✅ PASSED: ${test.name}\n`);
-        passed++;
+        // The structuredContent has to match the outputSchema the tool advertises
+        const response = output.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line)).find(message => message.id === 1);
+        const structured = response?.result?.structuredContent;
+        if (structured && !ajv.validate(TOOL_OUTPUT_SCHEMAS[test.tool], structured)) {
+          console.log(`❌ FAILED: ${test.name}`);
+          console.log(`   structuredContent does not match the output schema: ${ajv.errorsText()}\n`);
+          failed++;
+        } else {
+          console.log(`✅ PASSED: ${test.name}\n`);
+          passed++;
+        }
       } else {
         console.log(`⚠️  TIMEOUT: ${test.name}\n`);
         failed++;
@@ -175,9 +202,901 @@ async function testHttpServer() {
   }
 }
 
+// Prometheus usage analytics against a local Prometheus-compatible stub
+async function testPrometheusUsage() {
+  console.log('📈 Testing Prometheus usage analytics...\n');
+
+  const http = await import('http');
+  const { createPrometheusClient, getContainerUsage, recommendRightSizing } = await import('./prometheus-usage.js');
+  const MiB = 1024 * 1024;
+
+  // Stub answers every instant query with two containers: one close to its limits, one mostly idle
+  const stats = {
+    memory: { '0.5': [200 * MiB, 20 * MiB], '0.95': [240 * MiB, 25 * MiB], '0.99': [250 * MiB, 28 * MiB], max: [250 * MiB, 30 * MiB] },
+    cpu: { '0.5': [0.4, 0.01], '0.95': [0.6, 0.02], '0.99': [0.7, 0.02], max: [0.95, 0.03] }
+  };
+  const stub = http.createServer((req, res) => {
+    const query = new URL(req.url, 'http://stub').searchParams.get('query');
+    const resource = query.includes('memory') ? 'memory' : 'cpu';
+    const stat = query.includes('max_over_time') ? 'max' : query.match(/quantile_over_time\(([\d.]+)/)[1];
+    const result = ['busy', 'idle'].map((pod, index) => ({
+      metric: { namespace: 'default', pod, container: 'app' },
+      value: [Date.now() / 1000, String(stats[resource][stat][index])]
+    }));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ status: 'success', data: { resultType: 'vector', result } }));
+  });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const client = createPrometheusClient(`http://127.0.0.1:${stub.address().port}`);
+    const usage = await getContainerUsage(client, { namespace: 'default', window: '1h' });
+    const busy = usage.get('default/busy/app');
+    const idle = usage.get('default/idle/app');
+    check('Usage percentiles parsed', busy?.memory.p95 === 240 * MiB && busy?.cpu.max === 0.95 && idle?.memory.p99 === 28 * MiB);
+
+    const resources = { requests: { memory: '128Mi', cpu: '250m' }, limits: { memory: '256Mi', cpu: '1' } };
+    const busyRecs = recommendRightSizing({ resources }, busy);
+    const idleRecs = recommendRightSizing({ resources }, idle);
+    check('Under-provisioned container gets increases', busyRecs.length > 0 && busyRecs.every(rec => rec.direction === 'increase'));
+    check('Over-provisioned container gets decreases', idleRecs.length > 0 && idleRecs.every(rec => rec.direction === 'decrease'));
+
+    // p95 plus headroom passes a limit the max stays well under, then one the max presses against
+    const nearLimit = { requests: { memory: '512Mi' }, limits: { memory: '1000Mi' } };
+    const [capped] = recommendRightSizing({ resources: nearLimit }, { memory: { p95: 880 * MiB, max: 890 * MiB } });
+    const unset = recommendRightSizing({ resources: { limits: { memory: '1000Mi' } } }, { memory: { p95: 880 * MiB, max: 890 * MiB } });
+    const pressed = recommendRightSizing({ resources: nearLimit }, { memory: { p95: 880 * MiB, max: 950 * MiB } });
+    check('A request increase is capped at the limit it would pass',
+      capped?.field === 'requests' && capped.recommended === '1000Mi' && /capped at the limit/.test(capped.reason) &&
+      unset.length === 1 && unset[0].recommended === '1000Mi');
+    check('A request increase is not capped when the limit is raised alongside it',
+      pressed.length === 2 && pressed[0].field === 'requests' && !/capped/.test(pressed[0].reason) &&
+      pressed[1].field === 'limits' && pressed[1].recommended === '1250Mi');
+  } catch (error) {
+    console.log(`❌ FAILED: Prometheus stub queries (${error.message})`);
+    failed++;
+  } finally {
+    stub.close();
+  }
+
+  finish();
+}
+
+// Argument validation of the shell-free command runner
+async function testCommandRunner() {
+  console.log('🛡️ Testing command argument validation...\n');
+
+  const { validate, createOptionArgs } = await import('./command-runner.js');
+  const rejects = (run) => {
+    try {
+      run();
+      return false;
+    } catch (error) {
+      return error.name === 'CommandValidationError';
+    }
+  };
+
+  check('Namespaces must be DNS-1123 labels',
+    validate.namespace('prod-1') === 'prod-1' && rejects(() => validate.namespace('--all-namespaces')) && rejects(() => validate.namespace('Prod')));
+  check('Names reject flags, spaces and shell metacharacters',
+    validate.name('web.v1') === 'web.v1' && ['-rf', '--token=x', 'a;rm -rf /', 'a b', '$(id)'].every(name => rejects(() => validate.name(name))));
+  check('Resources accept types and type/name only',
+    validate.resource('deployments.apps') && validate.resource('deployment/web') &&
+    ['--raw=/', 'pods --all-namespaces', 'pods;id'].every(resource => rejects(() => validate.resource(resource))));
+  check('Selectors, files and contexts cannot be flags',
+    rejects(() => validate.selector('--kubeconfig=/tmp/x')) && rejects(() => validate.file('-')) &&
+    rejects(() => validate.file('--token=x')) && rejects(() => validate.context('--server=https://evil')));
+  check('Free-form values reject control characters',
+    validate.text('a=b c', 'value') === 'a=b c' && rejects(() => validate.text('a\nb', 'value')));
+  check('Create options are allowlisted per resource',
+    JSON.stringify(createOptionArgs('deployment', { image: 'nginx', replicas: 2, 'dry-run': 'server' })) === '["--image=nginx","--replicas=2","--dry-run=server"]' &&
+    JSON.stringify(createOptionArgs('cm', { 'from-literal': ['a=1', 'b=2'] })) === '["--from-literal=a=1","--from-literal=b=2"]');
+  check('Create options reject injected flags',
+    ['namespace', 'as', 'token', 'server', 'kubeconfig', 'context', 'from-file'].every(key => rejects(() => createOptionArgs('configmap', { [key]: 'x' }))) &&
+    rejects(() => createOptionArgs('deployment', { port: 80, replicas: 1, 'from-literal': 'a=b' })) &&
+    rejects(() => createOptionArgs('deployment', { 'dry-run': 'all' })) &&
+    rejects(() => createOptionArgs('secret', {})));
+
+  finish();
+}
+
+// Policy decisions on tool calls: namespaces, kinds, read-only mode and manifests
+async function testPolicy() {
+  console.log('🚧 Testing policy decisions...\n');
+
+  const { mkdtempSync, mkdirSync, writeFileSync, rmSync } = await import('fs');
+  const { tmpdir } = await import('os');
+  const path = await import('path');
+  const { PolicyEnforcer, DEFAULT_POLICY, loadPolicy } = await import('./policy.js');
+
+  const enforcer = (overrides = {}) => new PolicyEnforcer({ ...DEFAULT_POLICY, ...overrides });
+  const deniedBy = (policy, tool, args) => {
+    try {
+      policy.checkTool(tool, args);
+      return null;
+    } catch (error) {
+      return error.name === 'PolicyViolation' ? error.rule : `unexpected ${error.message}`;
+    }
+  };
+
+  const policy = enforcer();
+  check('Mutating tool in an allowed namespace passes',
+    deniedBy(policy, 'kubectl-scale', { resource: 'deployment', name: 'web', namespace: 'prod', replicas: 3 }) === null);
+  check('Denied namespace is refused',
+    deniedBy(policy, 'kubectl-delete', { resource: 'pod', name: 'coredns-1', namespace: 'kube-system' }) === 'namespaces.denied');
+  check('Missing namespace is checked as "default"',
+    deniedBy(enforcer({ namespaces: { allowed: ['prod'], denied: [] } }), 'kubectl-rollout', { action: 'restart', resource: 'deployment', name: 'web' }) === 'namespaces.allowed');
+  check('Forbidden kinds are refused, aliases included',
+    deniedBy(policy, 'kubectl-delete', { resource: 'no/worker-1' }) === 'forbiddenKinds' &&
+    deniedBy(policy, 'kubectl-patch', { resource: 'clusterroles', name: 'admin', patch: '{}' }) === 'forbiddenKinds');
+  check('Replica and resource limits are enforced',
+    deniedBy(policy, 'kubectl-scale', { resource: 'deployment', name: 'web', namespace: 'prod', replicas: 50 }) === 'maxReplicas' &&
+    deniedBy(policy, 'auto-heal-deployment', { deploymentName: 'web', namespace: 'prod', resourceUpdates: { memory: '16Gi' } }) === 'maxResources.memory');
+  const readOnly = enforcer({ readOnlyMode: true });
+  check('Read-only mode allows read tools and refuses the rest',
+    deniedBy(readOnly, 'kubectl-get', { resource: 'pods' }) === null &&
+    deniedBy(readOnly, 'kubectl-rollout', { action: 'status', resource: 'deployment', name: 'web' }) === null &&
+    deniedBy(readOnly, 'kubectl-rollout', { action: 'restart', resource: 'deployment', name: 'web' }) === 'readOnlyMode');
+
+  const dir = mkdtempSync(path.join(tmpdir(), 'policy-test-'));
+  try {
+    const deployment = { apiVersion: 'apps/v1', kind: 'Deployment', metadata: { name: 'web', namespace: 'prod' },
+      spec: { template: { spec: { containers: [{ name: 'web', resources: { limits: { memory: '512Mi' } } }] } } } };
+    writeFileSync(path.join(dir, 'deployment.yaml'), JSON.stringify(deployment));
+    writeFileSync(path.join(dir, 'notes.txt'), 'not a manifest');
+    mkdirSync(path.join(dir, 'rbac'));
+    writeFileSync(path.join(dir, 'rbac', 'binding.yaml'), 'apiVersion: rbac.authorization.k8s.io/v1\nkind: ClusterRoleBinding\nmetadata:\n  name: everyone-admin\n');
+    writeFileSync(path.join(dir, 'system.yaml'), 'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: cfg\n  namespace: kube-system\n');
+
+    check('Manifest files are checked per document',
+      deniedBy(policy, 'kubectl-apply', { filename: path.join(dir, 'deployment.yaml') }) === null &&
+      deniedBy(policy, 'kubectl-apply', { filename: path.join(dir, 'system.yaml') }) === 'namespaces.denied');
+    writeFileSync(path.join(dir, 'system.yaml'), '');
+    check('Directories are read like kubectl, subdirectories only when recursive',
+      deniedBy(policy, 'kubectl-apply', { filename: dir }) === null &&
+      deniedBy(policy, 'kubectl-apply', { filename: dir, recursive: true }) === 'forbiddenKinds');
+    writeFileSync(path.join(dir, 'policy.yaml'), 'readOnlyMode: true\nmaxReplicas: 5\n');
+    const loaded = loadPolicy(path.join(dir, 'policy.yaml'));
+    check('A policy file overrides the defaults it sets',
+      loaded.readOnlyMode === true && loaded.maxReplicas === 5 && loaded.namespaces.denied.includes('kube-system'));
+    check('A missing policy file means the default policy',
+      JSON.stringify(loadPolicy(path.join(dir, 'missing-policy.yaml'))) === JSON.stringify(loadPolicy(undefined)));
+    const loadError = (contents) => {
+      writeFileSync(path.join(dir, 'broken-policy.yaml'), contents);
+      try {
+        loadPolicy(path.join(dir, 'broken-policy.yaml'));
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    check('A policy file that does not parse is refused instead of ignored',
+      /is invalid/.test(loadError('readOnlyMode: true\n  maxReplicas: [5\n')) && /is invalid/.test(loadError('- readOnlyMode\n')));
+    check('Remote and missing manifests are refused',
+      deniedBy(policy, 'kubectl-apply', { filename: 'https://example.com/app.yaml' }) === 'localFilesOnly' &&
+      deniedBy(policy, 'kubectl-apply', { filename: path.join(dir, 'missing.yaml') }) === 'localFilesOnly');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  finish();
+}
+
+// Scan and OOM results of a stubbed cluster, checked against the tools' output schemas
+async function testScanSchemas() {
+  console.log('🩺 Testing scan results against the tool output schemas...\n');
+
+  const { createMonitoringState } = await import('./cluster-registry.js');
+  const { scanSettings, collectClusterHealth, collectOOMEvents } = await import('./cluster-scan.js');
+
+  const ago = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  const pod = (name, uid, { memory, restartCount = 0, lastState = {}, state = { running: {} } }) => ({
+    metadata: { name, namespace: 'shop', uid, labels: { 'pod-template-hash': '5f7c9' },
+      ownerReferences: [{ kind: 'ReplicaSet', name: `${name.split('-')[0]}-5f7c9`, controller: true }] },
+    spec: { nodeName: 'node-1', containers: [{ name: 'app', resources: { limits: { memory } } }] },
+    status: { phase: 'Running', containerStatuses: [{ name: 'app', restartCount, ready: !state.waiting, lastState, state }] }
+  });
+  const pods = [
+    pod('api-1', '1111-aaaa', { memory: '64Mi', restartCount: 8, state: { waiting: { reason: 'CrashLoopBackOff' } },
+      lastState: { terminated: { reason: 'OOMKilled', exitCode: 137, finishedAt: ago(10) } } }),
+    pod('cart-1', '2222-bbbb', { memory: '512Mi', restartCount: 1,
+      lastState: { terminated: { reason: 'OOMKilled', exitCode: 137, finishedAt: ago(3 * 24 * 60) } } }),
+    pod('web-1', '3333-cccc', { memory: '256Mi' })
+  ];
+  const events = [{
+    reason: 'OOMKilling', type: 'Warning', involvedObject: { kind: 'Node', name: 'node-1' }, lastTimestamp: ago(30),
+    message: 'Memory cgroup out of memory: Killed process 4242 (app) pod 3333_cccc'
+  }];
+  const list = (items) => async () => ({ body: { items } });
+  const cluster = {
+    name: 'test', state: createMonitoringState(), watcher: null, metrics: null,
+    core: {
+      listPodForAllNamespaces: list(pods), listNamespacedPod: list(pods),
+      listEventForAllNamespaces: list(events), listNamespacedEvent: list(events),
+      listNode: list([{ metadata: { name: 'node-1' }, status: { conditions: [{ type: 'Ready', status: 'True' }], nodeInfo: { kubeletVersion: 'v1.29.0' } } }]),
+      listPersistentVolumeClaimForAllNamespaces: list([]), listNamespacedPersistentVolumeClaim: list([])
+    },
+    apps: {
+      listDeploymentForAllNamespaces: list([]), listStatefulSetForAllNamespaces: list([]), listDaemonSetForAllNamespaces: list([]),
+      listNamespacedDeployment: list([]), listNamespacedStatefulSet: list([]), listNamespacedDaemonSet: list([])
+    },
+    batch: { listJobForAllNamespaces: list([]), listCronJobForAllNamespaces: list([]), listNamespacedJob: list([]), listNamespacedCronJob: list([]) },
+    storage: { listStorageClass: list([]) },
+    version: { getCode: async () => ({ body: { gitVersion: 'v1.29.0' } }) },
+    prometheus: { query: async () => [] }
+  };
+  const settings = scanSettings();
+  const matches = (tool, structured) => ajv.validate(TOOL_OUTPUT_SCHEMAS[tool], JSON.parse(JSON.stringify(structured))) ||
+    console.log(`   ${tool}: ${ajv.errorsText()}`);
+
+  check('Every tool output schema is valid JSON Schema', Object.values(TOOL_OUTPUT_SCHEMAS).every(schema => ajv.validateSchema(schema)));
+  const scan = await collectClusterHealth(cluster, { timeRange: '1h' }, settings);
+  check('Scan result matches the scan-cluster-health schema', matches('scan-cluster-health', scan));
+  check('Scan reports every issue section',
+    ['crashingPods', 'oomEvents', 'resourceIssues', 'unhealthyDeployments', 'pendingPods', 'nodeIssues', 'storageIssues', 'jobIssues', 'probeIssues']
+      .every(section => Array.isArray(scan.issues[section])));
+  check('Scan counts OOM kills inside the window, including node OOM events',
+    JSON.stringify(scan.issues.oomEvents.map(event => `${event.pod}:${event.workload}`)) === '["api-1:api","web-1:web"]');
+  check('Scan flags low memory limits with a recommendation',
+    scan.issues.resourceIssues.some(issue => issue.pod === 'api-1' && issue.issue === 'Low memory limit'));
+
+  const oomDay = await collectOOMEvents(cluster, { timeRange: '24h' }, settings);
+  const oomWeek = await collectOOMEvents(cluster, { timeRange: '7d' }, settings);
+  check('OOM events match the get-oom-events schema', matches('get-oom-events', oomDay) && matches('get-oom-events', oomWeek));
+  check('OOM events honour timeRange',
+    oomDay.timeRange === '24h' && oomDay.total === 2 && oomWeek.total === 3 && oomWeek.oomEvents.some(event => event.pod === 'cart-1'));
+  check('OOM events recommend a larger memory limit',
+    oomDay.oomEvents.find(event => event.pod === 'api-1').recommendedMemoryLimit === '96Mi');
+  let invalid = null;
+  try {
+    await collectOOMEvents(cluster, { timeRange: 'yesterday' }, settings);
+  } catch (error) {
+    invalid = error.message;
+  }
+  check('Invalid time ranges are rejected', /Invalid duration/.test(invalid || ''));
+
+  finish();
+}
+
+// Bearer token checks of the Streamable HTTP transport
+async function testMcpAuth() {
+  console.log('🔐 Testing Streamable HTTP authentication...\n');
+
+  const fetch = (await import('node-fetch')).default;
+  const { Server } = await import('@modelcontextprotocol/sdk/server/index.js');
+  const { startStreamableHttpServer } = await import('./streamable-http.js');
+  const createServer = () => new Server({ name: 'auth-test', version: '1.0.0' }, { capabilities: {} });
+  const port = 18733;
+
+  let refusal = null;
+  try {
+    await startStreamableHttpServer({ createServer, port });
+  } catch (error) {
+    refusal = error.message;
+  }
+  check('Refuses to start without a token', /without a bearer token/.test(refusal || ''));
+
+  const http = await startStreamableHttpServer({ createServer, port, authToken: 's3cret-token' });
+  try {
+    const initialize = (authorization) => fetch(`http://127.0.0.1:${port}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...(authorization && { Authorization: authorization }) },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } })
+    }).then(response => response.status);
+
+    check('Missing, shorter and same-length wrong tokens are rejected',
+      await initialize() === 401 && await initialize('Bearer s3cret') === 401 && await initialize('Bearer s3cret-tokeN') === 401);
+    check('The configured token is accepted', await initialize('Bearer s3cret-token') === 200);
+  } finally {
+    await http.close();
+  }
+
+  const open = await startStreamableHttpServer({ createServer, port, allowUnauthenticated: true });
+  await open.close();
+  check('Starts without a token when unauthenticated access is allowed', true);
+
+  finish();
+}
+
+// PodDisruptionBudget, ready-replica and rollout gates, and the refusals of the kubectl guard
+async function testAvailability() {
+  console.log('🛡️ Testing availability checks...\n');
+
+  const { assessDisruption } = await import('./availability.js');
+  const { checkAvailability, restartDeploymentWithinBudget, deletePodWithinBudget } = await import('./kubectl-availability.js');
+
+  const pod = (name, app, ready = true) => ({
+    metadata: { name, namespace: 'shop', labels: { app }, ownerReferences: [{ kind: 'ReplicaSet', name: `${app}-5f7c9`, controller: true }] },
+    spec: { containers: [{ name: 'app' }] },
+    status: { phase: 'Running', conditions: [{ type: 'Ready', status: ready ? 'True' : 'False' }] }
+  });
+  const deployment = (name, replicas, { strategy, status = {} } = {}) => ({
+    metadata: { name, namespace: 'shop', generation: 1 },
+    spec: { replicas, selector: { matchLabels: { app: name } }, template: { metadata: { labels: { app: name } } }, ...(strategy && { strategy }) },
+    status: { observedGeneration: 1, replicas, updatedReplicas: replicas, readyReplicas: replicas, ...status }
+  });
+  const deployments = {
+    web: deployment('web', 3),
+    cart: deployment('cart', 2, { strategy: { type: 'Recreate' } }),
+    api: deployment('api', 3, { status: { replicas: 4, updatedReplicas: 1 } })
+  };
+  const pods = [
+    pod('web-1', 'web'), pod('web-2', 'web'), pod('web-3', 'web'),
+    pod('cart-1', 'cart'), pod('cart-2', 'cart', false),
+    pod('api-1', 'api'), pod('api-2', 'api'), pod('api-3', 'api'), pod('api-4', 'api', false)
+  ];
+  const pdbs = [{ metadata: { name: 'web-pdb', namespace: 'shop' }, spec: { minAvailable: 2, selector: { matchLabels: { app: 'web' } } } }];
+
+  // Answers `kubectl get ... -o json` from the fixtures and records every other command
+  const calls = [];
+  const run = async (argv) => {
+    const [verb, kind, name] = argv;
+    if (verb !== 'get') {
+      calls.push(argv.join(' '));
+      return { stdout: '' };
+    }
+    const body = kind === 'pods' ? { items: pods }
+      : kind === 'poddisruptionbudgets' ? { items: pdbs }
+      : kind === 'pod' ? pods.find(item => item.metadata.name === name)
+      : kind === 'replicaset' ? { metadata: { name, ownerReferences: [{ kind: 'Deployment', name: name.split('-')[0], controller: true }] } }
+      : deployments[name];
+    return { stdout: JSON.stringify(body) };
+  };
+  const assess = (action, name, options = {}) =>
+    assessDisruption({ action, kind: 'Deployment', workload: deployments[name], pods, pdbs, ...options });
+
+  const blocked = assess('scale', 'web', { replicas: 1 });
+  check('Scaling below a PodDisruptionBudget is blocked',
+    !blocked.allowed && blocked.minReady === 2 && blocked.budget === 'PodDisruptionBudget web-pdb' && /below the 2 required/.test(blocked.blockers[0]?.reason));
+  const allowed = assess('delete-pod', 'web', { targets: ['web-1'] });
+  check('A disruption within the budget is allowed',
+    allowed.allowed && allowed.ready === 3 && allowed.readyAfter === 2 && allowed.blockers.length === 0);
+  check('Taking down two pods exceeds the budget', !assess('evict', 'web', { targets: ['web-1', 'web-2'] }).allowed);
+  const rolling = assess('restart', 'api');
+  check('Restarting during a rollout is blocked', !rolling.allowed && rolling.rollout.inProgress && /rollout is in progress/.test(rolling.blockers[0]?.reason));
+
+  const refusedRestart = await restartDeploymentWithinBudget('api', 'shop', run);
+  check('A refused restart is a failure and runs nothing',
+    refusedRestart.success === false && refusedRestart.action === 'refused' && /rollout is in progress/.test(refusedRestart.error) && calls.length === 0);
+  const downgraded = await restartDeploymentWithinBudget('cart', 'shop', run);
+  check('A restart over budget deletes only the pods that are not ready',
+    downgraded.success && downgraded.details.downgraded_to === 'delete_unready_pods' && JSON.stringify(calls) === '["delete pod cart-2 -n shop"]');
+
+  calls.length = 0;
+  const refusedDelete = await deletePodWithinBudget('cart-1', 'shop', run);
+  check('A refused pod restart is a failure and deletes nothing',
+    refusedDelete.success === false && refusedDelete.action === 'refused' && /below the 1 required/.test(refusedDelete.error) && calls.length === 0);
+  const deleted = await deletePodWithinBudget('web-1', 'shop', run);
+  check('A pod restart within the budget deletes the pod',
+    deleted.success && deleted.action === 'direct_pod_restart' && JSON.stringify(calls) === '["delete pod web-1 -n shop"]');
+
+  let invalid = null;
+  try {
+    await checkAvailability('restart', { kind: 'Deployment', name: '--all', namespace: 'shop' }, {}, run);
+  } catch (error) {
+    invalid = error.name;
+  }
+  check('Names from alerts are validated before kubectl runs', invalid === 'CommandValidationError' && calls.length === 1);
+
+  finish();
+}
+
+// Proposal state machine of the approval queue, and which fixes the policy auto-approves
+async function testApprovalQueue() {
+  console.log('✋ Testing the approval queue...\n');
+
+  const { mkdtempSync, rmSync } = await import('fs');
+  const { tmpdir } = await import('os');
+  const path = await import('path');
+  const { ApprovalQueue, buildFixProposal } = await import('./approval-queue.js');
+  const { PolicyEnforcer, DEFAULT_POLICY } = await import('./policy.js');
+
+  const issue = (workload, currentLimit = '256Mi', recommendedLimit = '384Mi') => ({
+    type: 'oom', namespace: 'shop', workload, container: 'app', pod: `${workload}-1`, resourceType: 'memory', currentLimit, recommendedLimit
+  });
+  const fields = (workload, ...limits) => buildFixProposal({ issue: issue(workload, ...limits), source: 'test', rationale: 'OOMKilled' });
+  const conflict = async (promise) => {
+    try {
+      await promise;
+      return null;
+    } catch (error) {
+      return error.name === 'ApprovalError' ? `${error.code}: ${error.message}` : `unexpected ${error.message}`;
+    }
+  };
+
+  const dir = mkdtempSync(path.join(tmpdir(), 'approval-test-'));
+  try {
+    const queue = new ApprovalQueue({ filePath: path.join(dir, 'pending-actions.json'), ttlMs: 60 * 60 * 1000, executionTimeoutMs: 60 * 1000 });
+    queue.init();
+
+    const first = await queue.propose(fields('api'));
+    const repeat = await queue.propose(fields('api'));
+    check('A recurring issue bumps its open proposal instead of queueing another',
+      first.created && !repeat.created && repeat.proposal.id === first.proposal.id && repeat.proposal.occurrences === 2 &&
+      queue.list().length === 1);
+
+    const approved = await queue.approve(first.proposal.id, { actor: 'alice' });
+    check('Approving records the decision', approved.status === 'approved' && approved.decidedBy === 'alice');
+    check('A decided proposal cannot be approved or rejected again',
+      /^conflict: .* already approved/.test(await conflict(queue.approve(first.proposal.id))) &&
+      /^conflict: .* already approved/.test(await conflict(queue.reject(first.proposal.id))));
+    check('Unknown IDs are not found', /^not-found/.test(await conflict(queue.reject('missing'))));
+
+    const [claimed] = await queue.claimApproved();
+    check('Approved proposals are claimed once',
+      claimed?.id === first.proposal.id && claimed.status === 'executing' && (await queue.claimApproved()).length === 0);
+    await queue.complete(claimed.id, { status: 'executed', result: 'PR #1' });
+    check('A closed proposal no longer absorbs new detections', (await queue.propose(fields('api'))).created);
+
+    const cart = await queue.propose(fields('cart'));
+    await queue.approve(cart.proposal.id);
+    await queue.claimApproved([cart.proposal.id]);
+    check('An execution with no outcome keeps absorbing detections until it times out',
+      !(await queue.propose(fields('cart'))).created);
+    const closed = await queue.expireStale(Date.now() + 2 * 60 * 1000);
+    check('An execution past its timeout is failed',
+      closed.some(proposal => proposal.id === cart.proposal.id && proposal.status === 'failed' && /No outcome within 1 minute\(s\)/.test(proposal.error)) &&
+      queue.get(cart.proposal.id).status === 'failed');
+    check('A failed execution lets the issue be proposed again', (await queue.propose(fields('cart'))).created);
+
+    const stale = await queue.propose(fields('web'));
+    const expiresAt = Date.now() + 2 * 60 * 60 * 1000;
+    check('Pending proposals past their TTL expire',
+      (await queue.expireStale(expiresAt)).some(proposal => proposal.id === stale.proposal.id && proposal.status === 'expired'));
+    const late = await queue.propose(fields('db'));
+    const load = queue.load();
+    load.find(proposal => proposal.id === late.proposal.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+    queue.save(load);
+    check('Deciding an expired proposal is a conflict, and the expiry is saved',
+      /^conflict: .* expired/.test(await conflict(queue.approve(late.proposal.id))) &&
+      queue.load().find(proposal => proposal.id === late.proposal.id).status === 'expired');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  const autoApprove = (overrides = {}) => new PolicyEnforcer({ ...DEFAULT_POLICY, autoApprove: { ...DEFAULT_POLICY.autoApprove, enabled: true, ...overrides } });
+  const verdict = (policy, proposal) => policy.evaluateAutoApprove(proposal);
+  check('Auto-approve is off by default', !verdict(new PolicyEnforcer(DEFAULT_POLICY), fields('api')).approved);
+  check('A small OOM increase is auto-approved', verdict(autoApprove(), fields('api')).approved);
+  check('Decreases, large increases and values above the ceiling need review',
+    /decrease/.test(verdict(autoApprove(), fields('api', '1Gi', '512Mi')).reason) &&
+    /exceeds 2x/.test(verdict(autoApprove(), fields('api', '256Mi', '1Gi')).reason) &&
+    /above the auto-approve ceiling/.test(verdict(autoApprove(), fields('api', '2Gi', '3Gi')).reason));
+  check('Unknown current values, other types and other namespaces need review',
+    /no known current value/.test(verdict(autoApprove(), fields('api', 'Unknown')).reason) &&
+    /not auto-approved/.test(verdict(autoApprove(), { ...fields('api'), type: 'crash' }).reason) &&
+    /namespace "shop"/.test(verdict(autoApprove({ namespaces: ['prod'] }), fields('api')).reason));
+  check('Read-only mode auto-approves nothing',
+    !verdict(new PolicyEnforcer({ ...DEFAULT_POLICY, readOnlyMode: true, autoApprove: { ...DEFAULT_POLICY.autoApprove, enabled: true } }), fields('api')).approved);
+
+  finish();
+}
+
+// Workload findings: one finding per condition, and none for replicas a rollout is replacing
+async function testWorkloadHealth() {
+  console.log('🩺 Testing workload health analysis...\n');
+
+  const { analyzeWorkloadHealth } = await import('./workload-health.js');
+
+  const now = Date.now();
+  const metadata = (name, generation = 2) => ({ name, namespace: 'shop', generation });
+  const deployment = (name, status, conditions = []) => ({
+    metadata: metadata(name), spec: { replicas: 3 }, status: { observedGeneration: 2, ...status, conditions }
+  });
+  const statefulSet = (name, status) => ({
+    metadata: metadata(name), spec: { replicas: 3 }, status: { observedGeneration: 2, currentRevision: 'db-1', updateRevision: 'db-1', ...status }
+  });
+  const daemonSet = (name, status) => ({
+    metadata: metadata(name), status: { observedGeneration: 2, desiredNumberScheduled: 3, ...status }
+  });
+  const issues = (workloads) => analyzeWorkloadHealth(workloads, now).map(found => `${found.name}:${found.issue}:${found.severity}`);
+  const progressing = { type: 'Progressing', status: 'True', reason: 'ReplicaSetUpdated', lastUpdateTime: new Date(now - 60 * 1000).toISOString() };
+
+  check('Healthy workloads have no findings', issues({
+    deployments: [deployment('web', { replicas: 3, readyReplicas: 3, updatedReplicas: 3, availableReplicas: 3 })],
+    statefulSets: [statefulSet('db', { readyReplicas: 3, updatedReplicas: 3 })],
+    daemonSets: [daemonSet('agent', { numberReady: 3, updatedNumberScheduled: 3 })]
+  }).length === 0);
+  check('A Deployment rolling out within its deadline is not unavailable', issues({
+    deployments: [deployment('web', { readyReplicas: 2, updatedReplicas: 1, availableReplicas: 2, unavailableReplicas: 1 }, [progressing])]
+  }).length === 0);
+  check('Updated Deployment replicas that are not ready are one finding, critical at none available',
+    JSON.stringify(issues({ deployments: [deployment('web', { readyReplicas: 0, updatedReplicas: 3, availableReplicas: 0, unavailableReplicas: 3 })] })) ===
+      '["web:Updated replicas not ready:critical"]');
+
+  check('Updated StatefulSet replicas that are not ready are one finding',
+    JSON.stringify(issues({ statefulSets: [statefulSet('db', { readyReplicas: 2, updatedReplicas: 3 })] })) === '["db:Updated replicas not ready:warning"]');
+  check('Updated StatefulSet replicas none of which is ready are critical',
+    JSON.stringify(issues({ statefulSets: [statefulSet('db', { readyReplicas: 0, updatedReplicas: 3 })] })) === '["db:Updated replicas not ready:critical"]');
+  check('A StatefulSet rolling update is reported as incomplete only',
+    JSON.stringify(issues({ statefulSets: [statefulSet('db', { readyReplicas: 2, updatedReplicas: 1, updateRevision: 'db-2' })] })) === '["db:Rollout incomplete:warning"]');
+  check('A StatefulSet with no ready replica is unavailable even mid-rollout',
+    JSON.stringify(issues({ statefulSets: [statefulSet('db', { readyReplicas: 0, updatedReplicas: 1, updateRevision: 'db-2' })] })) ===
+      '["db:Unavailable replicas:critical","db:Rollout incomplete:warning"]');
+
+  check('Updated DaemonSet pods that are not ready are one finding',
+    JSON.stringify(issues({ daemonSets: [daemonSet('agent', { numberReady: 2, updatedNumberScheduled: 3, numberUnavailable: 1 })] })) ===
+      '["agent:Updated replicas not ready:warning"]');
+  check('A DaemonSet rolling update is reported as incomplete only',
+    JSON.stringify(issues({ daemonSets: [daemonSet('agent', { numberReady: 2, updatedNumberScheduled: 1, numberUnavailable: 1 })] })) ===
+      '["agent:Rollout incomplete:warning"]');
+  check('A DaemonSet unavailable before its controller saw the change is not reported',
+    issues({ daemonSets: [{ ...daemonSet('agent', { numberReady: 2, updatedNumberScheduled: 3, numberUnavailable: 1 }), metadata: metadata('agent', 3) }] }).length === 0);
+
+  finish();
+}
+
+// Fix verification: when a merged fix counts as deployed, and whether it helped
+async function testFixVerification() {
+  console.log('🔬 Testing fix verification...\n');
+
+  const { snapshotWorkload, isFixDeployed, evaluateFix } = await import('./fix-verification.js');
+
+  const snapshot = (fields = {}) => ({
+    desired: 3, ready: 3, updated: 3, rolledOut: true, templateValue: '768Mi', pods: 3, restarts: 0, oomKills: 0, restartRate: 0, ...fields
+  });
+  const memoryFix = { type: 'oom', resourceType: 'memory', to: '768Mi' };
+
+  check('A healthy workload after the window is verified', evaluateFix(snapshot({ ready: 1, restartRate: 4 }), snapshot()).status === 'verified');
+  const failed = evaluateFix(snapshot({ ready: 2, restarts: 4, restartRate: 2 }), snapshot({ ready: 2, restarts: 1, restartRate: 1, oomKills: 1 }));
+  check('Still unhealthy but no worse is failed',
+    failed.status === 'failed' && failed.findings.includes('1 containers OOMKilled since the rollout') && failed.findings.includes('only 2/3 replicas ready'));
+  const regressed = evaluateFix(snapshot({ ready: 3, restartRate: 0.5 }), snapshot({ ready: 1, restarts: 6, restartRate: 3 }));
+  check('Fewer ready replicas or a higher restart rate is regressed',
+    regressed.status === 'regressed' && regressed.findings[0] === 'ready replicas dropped from 3 to 1' && /restart rate rose from 0.5\/h to 3\/h/.test(regressed.findings[1]));
+  check('Without a baseline a fix can fail but not regress', evaluateFix(null, snapshot({ ready: 0, restarts: 2 })).status === 'failed');
+
+  check('A resource fix is deployed once rolled out with an equal quantity',
+    isFixDeployed(snapshot({ templateValue: '0.75Gi' }), memoryFix) && !isFixDeployed(snapshot({ templateValue: '512Mi' }), memoryFix) &&
+    !isFixDeployed(snapshot({ rolledOut: false }), memoryFix) && !isFixDeployed(snapshot({ templateValue: null }), memoryFix) &&
+    isFixDeployed(snapshot({ templateValue: '500m' }), { type: 'oom', resourceType: 'cpu', to: '0.5' }));
+  const storageFix = { type: 'storage', claim: 'data-db-0', resourceType: 'storage', to: '20Gi' };
+  check('A storage fix is deployed once the claim has at least the requested size',
+    isFixDeployed(snapshot({ templateValue: '20Gi' }), storageFix) && isFixDeployed(snapshot({ templateValue: '21474836480' }), storageFix) &&
+    isFixDeployed(snapshot({ templateValue: '25Gi' }), storageFix) && !isFixDeployed(snapshot({ templateValue: '10Gi' }), storageFix));
+  const probeFix = { type: 'probe', resourceType: 'livenessProbe', to: { httpGet: { path: '/healthz', port: 8080 }, timeoutSeconds: 5, failureThreshold: 6 } };
+  check('A probe fix is deployed once every timing setting it wrote is live',
+    isFixDeployed(snapshot({ templateValue: { httpGet: { path: '/ready', port: 80 }, timeoutSeconds: 5, failureThreshold: 6, periodSeconds: 10 } }), probeFix) &&
+    !isFixDeployed(snapshot({ templateValue: { timeoutSeconds: 5, failureThreshold: 3 } }), probeFix));
+  const autoscalingFix = { type: 'autoscaling', settings: { enabled: true, minReplicas: 2, maxReplicas: 6 } };
+  check('An autoscaling fix is deployed once the HPA has its settings, or is gone when it disabled autoscaling',
+    isFixDeployed(snapshot({ templateValue: { enabled: true, minReplicas: 2, maxReplicas: 6, targetCPUUtilizationPercentage: 80 } }), autoscalingFix) &&
+    !isFixDeployed(snapshot({ templateValue: { enabled: true, minReplicas: 2, maxReplicas: 4 } }), autoscalingFix) &&
+    isFixDeployed(snapshot({ templateValue: { enabled: false } }), { type: 'autoscaling', settings: { enabled: false } }) &&
+    !isFixDeployed(snapshot({ templateValue: { enabled: true, minReplicas: 2 } }), { type: 'autoscaling', settings: { enabled: false } }));
+
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  const deployment = {
+    metadata: { name: 'api', namespace: 'shop', generation: 4 },
+    spec: { replicas: 2, selector: { matchLabels: { app: 'api' } },
+      template: { spec: { containers: [{ name: 'app', resources: { limits: { memory: '768Mi' } } }] } } },
+    status: { observedGeneration: 4, replicas: 2, readyReplicas: 2, updatedReplicas: 2 }
+  };
+  const pod = (name, restartCount, lastState = {}) => ({
+    metadata: { name, creationTimestamp: '2026-01-01T10:00:00Z' },
+    status: { startTime: '2026-01-01T10:00:00Z', containerStatuses: [{ name: 'app', restartCount, lastState }, { name: 'sidecar', restartCount: 9 }] }
+  });
+  const apis = {
+    appsApi: { readNamespacedDeployment: async () => ({ body: deployment }) },
+    coreApi: { listNamespacedPod: async () => ({ body: { items: [pod('api-1', 2, { terminated: { reason: 'OOMKilled' } }), pod('api-2', 0)] } }) }
+  };
+  const taken = await snapshotWorkload(apis, { namespace: 'shop', workload: 'api', container: 'app', type: 'oom', resourceType: 'memory' }, now);
+  check('A workload snapshot counts the fixed container only, per pod-hour',
+    taken.rolledOut && taken.templateValue === '768Mi' && taken.restarts === 2 && taken.oomKills === 1 && taken.restartRate === 0.5 &&
+    isFixDeployed(taken, memoryFix));
+
+  finish();
+}
+
+// Helm values resolution against the charts under helm/, offline
+async function testHelmValues() {
+  console.log('🧭 Testing Helm values resolution...\n');
+
+  const { mkdtempSync, mkdirSync, writeFileSync, cpSync, readFileSync: readFile, rmSync } = await import('fs');
+  const { tmpdir } = await import('os');
+  const path = await import('path');
+  const { fileURLToPath } = await import('url');
+  const {
+    createLocalRepoReader, parseTemplateContainers, resolveHelmValuesPath, resolveClaimValuesPath, resolveAutoscalingValuesPath
+  } = await import('./helm-values-resolver.js');
+
+  const root = fileURLToPath(new URL('..', import.meta.url));
+  const repo = createLocalRepoReader(root);
+  const chartsPath = 'helm';
+  const metadata = (name, labels, release) => ({
+    name, namespace: 'apps', labels, annotations: release ? { 'meta.helm.sh/release-name': release } : {}
+  });
+  const workload = (kind, name, labels, release) => ({ kind, name, namespace: 'apps', metadata: metadata(name, labels, release) });
+  const pod = (...containers) => ({ metadata: metadata('pod-0', {}), spec: { containers: containers.map(name => ({ name })) } });
+
+  const alertmanagerTemplate = readFile(path.join(root, 'helm/prometheus/charts/alertmanager/templates/statefulset.yaml'), 'utf8');
+  const parsed = parseTemplateContainers(alertmanagerTemplate);
+  const reload = parsed.find(container => /configmapReload/.test(container.nameExpr));
+  const main = parsed.find(container => container.nameExpr === '{{ .Chart.Name }}');
+  check('Template containers carry the values paths of their resources and probes',
+    parsed.length === 2 && reload?.resourcesPath === 'configmapReload.resources' && reload.probePaths.livenessProbe === 'configmapReload.livenessProbe' &&
+    main?.resourcesPath === 'resources' && main.probePaths.readinessProbe === 'readinessProbe' && !('startupProbe' in main.probePaths));
+
+  const nginx = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('Deployment', 'nginx', { 'helm.sh/chart': 'nginx-0.1.0' }, 'nginx'), pod: pod('nginx')
+  });
+  check('A top-level chart resolves from its helm.sh/chart label',
+    nginx.resolved && nginx.chartDir === 'helm/nginx' && nginx.valuesFile === 'helm/nginx/values.yaml' && nginx.resourcesPath === 'resources' && nginx.subchart === null);
+  const byName = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('Deployment', 'k8s-auto-heal', { 'app.kubernetes.io/name': 'k8s-auto-heal', 'app.kubernetes.io/managed-by': 'Helm' }), pod: pod('k8s-auto-heal')
+  });
+  check('Without a helm.sh/chart label the chart comes from app.kubernetes.io/name', byName.resolved && byName.chart === 'k8s-auto-heal');
+  const server = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('Deployment', 'prometheus-server', { 'helm.sh/chart': 'prometheus-27.39.0' }, 'prometheus'),
+    pod: pod('prometheus-server-configmap-reload', 'prometheus-server'), containerName: 'prometheus-server'
+  });
+  check('A named container of a multi-container pod resolves to its own block', server.resolved && server.resourcesPath === 'server.resources');
+
+  const nodeExporter = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('DaemonSet', 'prometheus-prometheus-node-exporter', { 'helm.sh/chart': 'prometheus-node-exporter-4.48.0' }, 'prometheus'),
+    pod: pod('node-exporter')
+  });
+  check('A subchart resolves into its parent\'s values under the dependency name',
+    nodeExporter.resolved && nodeExporter.chartDir === 'helm/prometheus/charts/prometheus-node-exporter' &&
+    nodeExporter.valuesFile === 'helm/prometheus/values.yaml' && nodeExporter.resourcesPath === 'prometheus-node-exporter.resources');
+  const probes = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('StatefulSet', 'prometheus-alertmanager', { 'helm.sh/chart': 'alertmanager-1.26.0' }, 'prometheus'),
+    pod: pod('alertmanager'), target: 'probes'
+  });
+  check('Subchart probes resolve with their current value from the subchart\'s defaults',
+    probes.resolved && probes.probes.livenessProbe.path === 'alertmanager.livenessProbe' && probes.probes.livenessProbe.current?.httpGet?.path === '/' &&
+    !('startupProbe' in probes.probes));
+  const inlineProbes = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('Deployment', 'nginx', { 'helm.sh/chart': 'nginx-0.1.0' }, 'nginx'), pod: pod('nginx'), target: 'probes'
+  });
+  const unmanaged = await resolveHelmValuesPath({ repo, chartsPath, workload: workload('Deployment', 'api', { app: 'api' }), pod: pod('api') });
+  const unknown = await resolveHelmValuesPath({
+    repo, chartsPath, workload: workload('Deployment', 'api', { 'helm.sh/chart': 'api-v1.2.3' }, 'api'), pod: pod('api')
+  });
+  check('Inline probes, unmanaged workloads and unknown charts are not resolved',
+    !inlineProbes.resolved && /No probe of container "nginx"/.test(inlineProbes.reason) &&
+    !unmanaged.resolved && /not managed by Helm/.test(unmanaged.reason) &&
+    !unknown.resolved && unknown.reason === 'No chart named "api" found under helm/');
+
+  const claim = (name, labels, release) => ({ metadata: metadata(name, labels, release) });
+  const ownClaim = await resolveClaimValuesPath({ repo, chartsPath, claim: claim('k8s-auto-heal-data', { 'helm.sh/chart': 'k8s-auto-heal-1.0.0' }, 'k8s-auto-heal') });
+  const subchartClaim = await resolveClaimValuesPath({
+    repo, chartsPath, claim: claim('prometheus-prometheus-pushgateway', { 'helm.sh/chart': 'prometheus-pushgateway-3.4.1' }, 'prometheus')
+  });
+  check('A chart\'s own claims resolve to their size path, in a subchart under its prefix',
+    ownClaim.resolved && ownClaim.sizePath === 'persistence.size' && ownClaim.template === 'pvc.yaml' &&
+    subchartClaim.resolved && subchartClaim.sizePath === 'prometheus-pushgateway.persistentVolume.size');
+  const statefulSet = {
+    kind: 'StatefulSet', name: 'prometheus-alertmanager',
+    object: { spec: { volumeClaimTemplates: [{ metadata: { name: 'storage' } }] } }
+  };
+  const templated = await resolveClaimValuesPath({
+    repo, chartsPath, workload: statefulSet, claim: claim('storage-prometheus-alertmanager-0', { 'helm.sh/chart': 'alertmanager-1.26.0' }, 'prometheus')
+  });
+  check('Claims from a StatefulSet\'s volumeClaimTemplates are not resolved', !templated.resolved && /volumeClaimTemplates/.test(templated.reason));
+
+  const nginxScaling = await resolveAutoscalingValuesPath({ repo, chartsPath, workload: workload('Deployment', 'nginx', { 'helm.sh/chart': 'nginx-0.1.0' }, 'nginx') });
+  check('Autoscaling resolves to the HPA template\'s values block, its fields and current settings',
+    nginxScaling.resolved && nginxScaling.autoscalingPath === 'autoscaling' && nginxScaling.fields.targetCPUUtilizationPercentage === 'targetCPUUtilizationPercentage' &&
+    nginxScaling.current.enabled === false && nginxScaling.current.maxReplicas === 100);
+  const wrongKind = await resolveAutoscalingValuesPath({ repo, chartsPath, workload: workload('StatefulSet', 'nginx', { 'helm.sh/chart': 'nginx-0.1.0' }, 'nginx') });
+  const noTemplate = await resolveAutoscalingValuesPath({
+    repo, chartsPath, workload: workload('Deployment', 'prometheus-server', { 'helm.sh/chart': 'prometheus-27.39.0' }, 'prometheus')
+  });
+  check('Workloads no HPA template scales are not resolved',
+    !wrongKind.resolved && !noTemplate.resolved && /No HorizontalPodAutoscaler template in helm\/prometheus/.test(noTemplate.reason));
+
+  // Aliased and repeated dependencies need charts the repo does not ship
+  const dir = mkdtempSync(path.join(tmpdir(), 'helm-values-test-'));
+  try {
+    for (const parent of ['shop', 'blog']) {
+      mkdirSync(path.join(dir, 'charts', parent, 'charts'), { recursive: true });
+      cpSync(path.join(root, 'helm/nginx'), path.join(dir, 'charts', parent, 'charts', 'nginx'), { recursive: true });
+      writeFileSync(path.join(dir, 'charts', parent, 'Chart.yaml'),
+        `apiVersion: v2\nname: ${parent}\nversion: 1.0.0\ndependencies:\n  - name: nginx\n    version: 0.1.0\n${parent === 'shop' ? '    alias: web\n' : ''}`);
+      writeFileSync(path.join(dir, 'charts', parent, 'values.yaml'), `${parent === 'shop' ? 'web' : 'nginx'}:\n  autoscaling:\n    maxReplicas: 4\n`);
+    }
+    const fixtures = createLocalRepoReader(dir);
+    const nginxIn = release => workload('Deployment', `${release}-nginx`, { 'helm.sh/chart': 'nginx-0.1.0' }, release);
+    const aliased = await resolveHelmValuesPath({ repo: fixtures, chartsPath: 'charts', workload: nginxIn('shop'), pod: pod('nginx') });
+    const aliasedScaling = await resolveAutoscalingValuesPath({ repo: fixtures, chartsPath: 'charts', workload: nginxIn('shop') });
+    check('An aliased subchart resolves under its alias, with parent overrides over its defaults',
+      aliased.resolved && aliased.subchart === 'web' && aliased.chartDir === 'charts/shop/charts/nginx' && aliased.resourcesPath === 'web.resources' &&
+      aliasedScaling.autoscalingPath === 'web.autoscaling' && aliasedScaling.current.maxReplicas === 4 && aliasedScaling.current.minReplicas === 1);
+    const ambiguous = await resolveHelmValuesPath({ repo: fixtures, chartsPath: 'charts', workload: nginxIn('nginx'), pod: pod('nginx') });
+    const blog = await resolveHelmValuesPath({ repo: fixtures, chartsPath: 'charts', workload: nginxIn('blog'), pod: pod('nginx') });
+    check('A subchart used by several parents resolves only through its release name',
+      !ambiguous.resolved && /Chart "nginx" is ambiguous/.test(ambiguous.reason) && blog.resolved && blog.resourcesPath === 'nginx.resources');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  finish();
+}
+
+// Cron schedules, including zones and DST changes, and which batch runs get reported
+async function testBatchHealth() {
+  console.log('⏱️ Testing batch job health...\n');
+
+  const { parseCronSchedule, previousCronRun, analyzeBatchHealth, buildJobRerun, RERUN_ANNOTATION } = await import('./batch-health.js');
+
+  const previous = (schedule, before, timeZone) => {
+    const cron = parseCronSchedule(schedule, timeZone);
+    const run = cron && previousCronRun(cron, Date.parse(before));
+    return run === null || run === undefined ? run : new Date(run).toISOString();
+  };
+
+  check('Macros expand to their five-field schedules',
+    previous('@daily', '2026-03-10T05:30:00Z') === '2026-03-10T00:00:00.000Z' && previous('@hourly', '2026-03-10T05:30:00Z') === '2026-03-10T05:00:00.000Z' &&
+    previous('@weekly', '2026-03-10T05:30:00Z') === '2026-03-08T00:00:00.000Z' && previous('@monthly', '2026-03-10T05:30:00Z') === '2026-03-01T00:00:00.000Z' &&
+    parseCronSchedule('@reboot') === null);
+  check('Steps, ranges, names and Sunday as 7 are read',
+    previous('*/15 9-17 * * mon-fri', '2026-03-14T10:00:00Z') === '2026-03-13T17:45:00.000Z' &&
+    previous('0 0 * * 7', '2026-03-10T05:30:00Z') === '2026-03-08T00:00:00.000Z' && previous('0 6 * jun *', '2026-03-10T00:00:00Z') === '2025-06-30T06:00:00.000Z');
+  check('With both day fields restricted either one matching is enough',
+    previous('0 12 1 * mon', '2026-03-10T13:00:00Z') === '2026-03-09T12:00:00.000Z' && previous('0 12 1 * mon', '2026-03-02T11:00:00Z') === '2026-03-01T12:00:00.000Z' &&
+    previous('0 12 1 * *', '2026-03-10T13:00:00Z') === '2026-03-01T12:00:00.000Z');
+  check('A CRON_TZ= or TZ= prefix overrides the CronJob\'s timeZone',
+    parseCronSchedule('TZ=Asia/Kolkata 30 2 * * *', 'America/New_York').timeZone === 'Asia/Kolkata' &&
+    previous('CRON_TZ=America/New_York 0 9 * * *', '2026-03-10T12:00:00Z', 'Europe/Berlin') === '2026-03-09T13:00:00.000Z');
+  check('Schedules that cannot be read are null',
+    parseCronSchedule('61 * * * *') === null && parseCronSchedule('* * * *') === null && parseCronSchedule('0 0 * * *', 'Mars/Phobos') === null &&
+    parseCronSchedule('*/0 * * * *') === null);
+  check('Runs keep their wall-clock time across a DST change',
+    previous('0 9 * * *', '2026-03-08T12:00:00Z', 'America/New_York') === '2026-03-07T14:00:00.000Z' &&
+    previous('0 9 * * *', '2026-03-09T12:00:00Z', 'America/New_York') === '2026-03-08T13:00:00.000Z' &&
+    previous('0 9 * * *', '2026-11-02T12:00:00Z', 'America/New_York') === '2026-11-01T14:00:00.000Z');
+  check('A time the spring change skips does not run, a repeated one counts from its first occurrence',
+    previous('30 2 * * *', '2026-03-08T12:00:00Z', 'America/New_York') === '2026-03-07T07:30:00.000Z' &&
+    previous('30 1 * * *', '2026-11-01T12:00:00Z', 'America/New_York') === '2026-11-01T05:30:00.000Z');
+
+  const now = Date.parse('2026-03-10T12:02:00Z');
+  const cronOwner = { kind: 'CronJob', name: 'report', controller: true };
+  const job = (name, state, time, fields = {}) => ({
+    metadata: { name, namespace: 'batch', creationTimestamp: time, ownerReferences: [cronOwner], ...fields.metadata },
+    spec: { backoffLimit: 2, template: { metadata: { labels: { 'job-name': name } }, spec: { containers: [{ name: 'report' }] } } },
+    status: state === 'failed'
+      ? { failed: 3, conditions: [{ type: 'Failed', status: 'True', reason: 'BackoffLimitExceeded', lastTransitionTime: time }] }
+      : { succeeded: 1, completionTime: time, conditions: [{ type: 'Complete', status: 'True' }] }
+  });
+  const cronJob = (status, spec = {}) => ({
+    metadata: { name: 'report', namespace: 'batch', creationTimestamp: '2026-01-01T00:00:00Z' },
+    spec: { schedule: '0 * * * *', ...spec }, status
+  });
+  const failedRun = job('report-1', 'failed', '2026-03-10T11:01:00Z');
+  const rerun = buildJobRerun(failedRun, Date.parse('2026-03-10T11:30:00Z'));
+  const rerunDone = { ...rerun, metadata: { ...rerun.metadata, creationTimestamp: '2026-03-10T11:30:00Z' }, status: job('x', 'complete', '2026-03-10T11:40:00Z').status };
+  const staleStatus = { lastScheduleTime: '2026-03-10T12:00:00Z', lastSuccessfulTime: '2026-03-10T06:00:00Z' };
+
+  check('A re-run keeps the CronJob as a non-controller owner and drops the controller labels',
+    rerun.metadata.ownerReferences[0].controller === false && rerun.metadata.annotations[RERUN_ANNOTATION] === 'report-1' &&
+    !('job-name' in rerun.spec.template.metadata.labels));
+  const failing = analyzeBatchHealth({ jobs: [failedRun], cronJobs: [cronJob(staleStatus)] }, { now });
+  check('A CronJob whose latest run failed is reported once', failing.length === 1 && failing[0].issue === 'Last run failed: Backoff limit exceeded');
+  const rerunOnly = analyzeBatchHealth({ jobs: [failedRun, rerunDone], cronJobs: [cronJob(staleStatus)] }, { now });
+  check('A successful re-run supersedes the failure and counts as a success the controller does not record', rerunOnly.length === 0);
+  const missed = analyzeBatchHealth({ jobs: [], cronJobs: [cronJob({ lastScheduleTime: '2026-03-10T10:00:00Z', lastSuccessfulTime: '2026-03-10T10:05:00Z' })] }, { now });
+  check('A CronJob that missed its last run is reported', missed.some(finding => finding.issue === 'Missed schedule' && /2026-03-10T11:00:00.000Z/.test(finding.details)));
+  const gap = analyzeBatchHealth({
+    jobs: [], cronJobs: [cronJob({ lastScheduleTime: '2026-03-07T07:30:00Z', lastSuccessfulTime: '2026-03-07T07:31:00Z' }, { schedule: '30 2 * * *', timeZone: 'America/New_York' })]
+  }, { now: Date.parse('2026-03-08T08:00:00Z') });
+  check('A run the spring DST change skips is not reported as missed', gap.length === 0);
+
+  finish();
+}
+
+// Node conditions, kubelet skew and pod density, and what blocks a drain
+async function testNodeHealth() {
+  console.log('🖥️ Testing node health and drain planning...\n');
+
+  const { analyzeNodeHealth, planDrain, parseKubeVersion } = await import('./node-health.js');
+
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  const node = (name, { kubelet = 'v1.30.2', ready = 'True', conditions = [], pods = '110', spec = {} } = {}) => ({
+    metadata: { name },
+    spec,
+    status: {
+      nodeInfo: { kubeletVersion: kubelet },
+      allocatable: { cpu: '4', memory: '16Gi', pods },
+      conditions: [{ type: 'Ready', status: ready, lastTransitionTime: '2026-03-10T11:30:00Z', message: 'kubelet is posting ready status' }, ...conditions]
+    }
+  });
+  const issuesOf = (findings, name) => findings.filter(entry => entry.node === name).map(entry => `${entry.severity}:${entry.issue}`);
+
+  check('Kubernetes versions parse with or without a v and vendor suffix',
+    parseKubeVersion('v1.29.3-eks-1234').minor === 29 && parseKubeVersion('1.30').major === 1 && parseKubeVersion('unknown') === null);
+  const skewed = analyzeNodeHealth([
+    node('current'), node('one-behind', { kubelet: 'v1.29.8' }), node('two-behind', { kubelet: 'v1.28.0' }),
+    node('three-behind', { kubelet: 'v1.27.5-gke.100' }), node('four-behind', { kubelet: 'v1.26.1' }), node('newer', { kubelet: 'v1.31.0' })
+  ], [], { apiServerVersion: 'v1.30.4', now });
+  check('Kubelets up to one minor behind the API server are fine',
+    issuesOf(skewed, 'current').length === 0 && issuesOf(skewed, 'one-behind').length === 0);
+  check('Two or three minors behind warn before the next control plane upgrade',
+    issuesOf(skewed, 'two-behind')[0] === 'warning:Kubelet version skew' && issuesOf(skewed, 'three-behind')[0] === 'warning:Kubelet version skew' &&
+    /will leave it unsupported/.test(skewed.find(entry => entry.node === 'three-behind').details));
+  check('More than three minors behind, or any kubelet newer than the API server, is critical',
+    issuesOf(skewed, 'four-behind')[0] === 'critical:Kubelet version skew' && issuesOf(skewed, 'newer')[0] === 'critical:Kubelet version skew' &&
+    skewed[0].severity === 'critical');
+  const withoutApiServer = analyzeNodeHealth([node('a', { kubelet: 'v1.31.0' }), node('b', { kubelet: 'v1.27.0' })], [], { now });
+  check('Without the API server version kubelets are compared to the newest one',
+    issuesOf(withoutApiServer, 'a').length === 0 && issuesOf(withoutApiServer, 'b')[0] === 'critical:Kubelet version skew');
+
+  const onNode = (name, count) => Array.from({ length: count }, (_, index) => ({
+    metadata: { name: `pod-${index}`, namespace: 'apps' }, spec: { nodeName: name, containers: [] }, status: { phase: 'Running' }
+  }));
+  const conditions = analyzeNodeHealth([
+    node('down', { ready: 'Unknown' }),
+    node('pressured', { conditions: [{ type: 'MemoryPressure', status: 'True', message: 'low memory' }, { type: 'DiskPressure', status: 'False' }] }),
+    node('cordoned', { spec: { unschedulable: true, taints: [{ key: 'node.kubernetes.io/unschedulable', timeAdded: '2026-03-10T08:00:00Z' }] } }),
+    node('dense', { pods: '10' }), node('full', { pods: '10' })
+  ], [...onNode('dense', 9), ...onNode('full', 10)], { now });
+  check('Node conditions, cordons and pod density are reported',
+    issuesOf(conditions, 'down')[0] === 'critical:NotReady' && /stopped posting node status \(for 30m\)/.test(conditions.find(entry => entry.node === 'down').details) &&
+    issuesOf(conditions, 'pressured').join() === 'warning:MemoryPressure' && issuesOf(conditions, 'cordoned').join() === 'warning:Cordoned' &&
+    issuesOf(conditions, 'dense').join() === 'warning:Pod capacity' && issuesOf(conditions, 'full').join() === 'critical:Pod capacity');
+
+  const pod = (name, { owner = { kind: 'ReplicaSet', name: 'web-7d9', controller: true }, labels = { app: 'web' }, phase = 'Running', volumes = [], annotations } = {}) => ({
+    metadata: { name, namespace: 'apps', labels, annotations, ownerReferences: owner ? [owner] : [] },
+    spec: { nodeName: 'node-1', volumes },
+    status: { phase }
+  });
+  const pdb = (name, app, disruptionsAllowed) => ({
+    metadata: { name, namespace: 'apps' },
+    spec: { selector: { matchLabels: { app } } },
+    status: { disruptionsAllowed, currentHealthy: 3, desiredHealthy: 3 - disruptionsAllowed }
+  });
+  const skippedPods = [
+    pod('fluentd-x', { owner: { kind: 'DaemonSet', name: 'fluentd', controller: true } }),
+    pod('etcd-node-1', { owner: { kind: 'Node', name: 'node-1', controller: true }, annotations: { 'kubernetes.io/config.mirror': 'abc' } }),
+    pod('migrate-1', { owner: { kind: 'Job', name: 'migrate', controller: true }, phase: 'Succeeded' })
+  ];
+  const clean = planDrain([pod('web-1'), ...skippedPods], [pdb('web', 'web', 1)]);
+  check('DaemonSet, mirror and completed pods are skipped; a PDB with room does not block',
+    clean.evict.length === 1 && clean.skipped.map(entry => entry.reason).join('|') === 'DaemonSet fluentd|mirror pod (static, managed by the kubelet)|completed (Succeeded)' &&
+    clean.blockers.length === 0 && clean.warnings.length === 0 && clean.pdbs[0].podsOnNode[0] === 'apps/web-1');
+  const exhausted = planDrain([pod('web-1'), pod('api-1', { labels: { app: 'api' } })], [pdb('web', 'web', 0), pdb('other', 'other', 0)]);
+  check('A PDB with no disruptions left blocks the drain; PDBs covering no pod on the node are ignored',
+    exhausted.blockers.length === 1 && exhausted.blockers[0].pdb === 'apps/web' && /allows no disruptions \(3 healthy, 3 required\)/.test(exhausted.blockers[0].reason) &&
+    exhausted.pdbs.length === 1);
+  const slow = planDrain([pod('web-1'), pod('web-2')], [pdb('web', 'web', 1)]);
+  check('More covered pods than allowed disruptions only slows the drain', slow.blockers.length === 0 && /allows 1 disruption\(s\) for 2 pods/.test(slow.warnings[0]?.reason));
+  const scratch = pod('cache-1', { volumes: [{ name: 'scratch', emptyDir: {} }] });
+  const risky = planDrain([pod('bare', { owner: null }), scratch], []);
+  check('Unmanaged pods and emptyDir data block the drain unless that data may be deleted',
+    risky.blockers.map(entry => entry.pod).join() === 'apps/bare,apps/cache-1' && /not managed by a controller/.test(risky.blockers[0].reason) &&
+    planDrain([scratch], [], { deleteEmptyDirData: true }).blockers.length === 0);
+
+  finish();
+}
+
 // Main execution
 if (process.argv.includes('--http')) {
   testHttpServer();
+} else if (process.argv.includes('--prometheus')) {
+  testPrometheusUsage();
+} else if (process.argv.includes('--command-runner')) {
+  testCommandRunner();
+} else if (process.argv.includes('--policy')) {
+  testPolicy();
+} else if (process.argv.includes('--schemas')) {
+  testScanSchemas();
+} else if (process.argv.includes('--mcp-auth')) {
+  testMcpAuth();
+} else if (process.argv.includes('--availability')) {
+  testAvailability();
+} else if (process.argv.includes('--approvals')) {
+  testApprovalQueue();
+} else if (process.argv.includes('--workloads')) {
+  testWorkloadHealth();
+} else if (process.argv.includes('--verification')) {
+  testFixVerification();
+} else if (process.argv.includes('--helm-values')) {
+  testHelmValues();
+} else if (process.argv.includes('--batch')) {
+  testBatchHealth();
+} else if (process.argv.includes('--nodes')) {
+  testNodeHealth();
 } else {
   runAllTests();
 }
@@ -0,0 +1,555 @@
+/**
+ * 🧾 Tool Output Schemas
+ *
+ * The data shapes tool results carry, shared by both servers:
+ * - The MCP server declares them as each tool's `outputSchema` and returns matching `structuredContent`
+ * - The HTTP server returns the same shapes from its equivalent endpoints
+ * - commandOutput() builds the kubectl/helm result both servers return
+ */
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const object = { type: 'object' };
+const nullable = (type) => ({ type: [type, 'null'] });
+const arrayOf = (items) => ({ type: 'array', items });
+const shape = (properties, required = []) => ({ type: 'object', properties, required });
+
+// 🎯 Where a finding or action applies
+const TARGET = {
+  cluster: string,
+  namespace: string,
+  workload: string,
+  pod: string,
+  container: string
+};
+
+const SUMMARY = shape({ totalIssues: integer, criticalIssues: integer, warnings: integer }, ['totalIssues', 'criticalIssues', 'warnings']);
+
+// ⏱️ Termination stats from analyzeTerminations
+const TERMINATION_STATS = {
+  restartCount: integer,
+  count: integer,
+  firstSeen: nullable('string'),
+  lastSeen: nullable('string'),
+  perHour: number,
+  recurring: boolean
+};
+
+// 🩺 Probe settings a probe fix writes
+const PROBE_FIX = shape({
+  probe: { type: 'string', enum: ['livenessProbe', 'readinessProbe', 'startupProbe'] },
+  settings: { ...object, description: 'Probe fields to set, e.g. failureThreshold, timeoutSeconds; a new probe also carries its check' }
+}, ['probe', 'settings']);
+
+const CRASHING_POD = shape({
+  ...TARGET,
+  ...TERMINATION_STATS,
+  state: object,
+  cause: { type: 'string', description: 'liveness-probe when the kubelet restarts the container for failed probes' },
+  probeFix: { ...PROBE_FIX, description: 'Probe change remediating the restarts, used by auto-heal instead of a memory increase' }
+}, ['namespace', 'pod', 'container']);
+const OOM_EVENT = shape({
+  ...TARGET,
+  ...TERMINATION_STATS,
+  reason: string,
+  finishedAt: nullable('string'),
+  exitCode: nullable('integer'),
+  message: nullable('string'),
+  currentMemoryLimit: nullable('string'),
+  recommendedMemoryLimit: string
+}, ['namespace', 'pod', 'container']);
+const RESOURCE_ISSUE = shape({
+  ...TARGET,
+  issue: string,
+  current: string,
+  recommended: string,
+  usage: string,
+  utilization: nullable('number')
+}, ['namespace', 'pod', 'container', 'issue']);
+const WORKLOAD_FINDING = shape({
+  cluster: string,
+  kind: { type: 'string', enum: ['Deployment', 'StatefulSet', 'DaemonSet'] },
+  name: string,
+  namespace: string,
+  issue: string,
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  details: string,
+  remediation: shape({ action: string, command: string })
+}, ['kind', 'name', 'namespace', 'issue', 'severity']);
+
+const PENDING_POD = shape({
+  ...TARGET,
+  pendingSince: string,
+  pendingMinutes: integer,
+  scheduled: { ...boolean, description: 'true when the pod is on a node but its containers never started' },
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  message: string,
+  reasons: arrayOf(shape({
+    category: { type: 'string', enum: ['insufficient-resources', 'taint', 'node-affinity', 'unbound-pvc', 'containers-not-started', 'other'] },
+    nodes: nullable('integer'),
+    resource: string,
+    detail: string
+  }, ['category', 'detail'])),
+  requests: shape({ cpu: nullable('string'), memory: nullable('string') }),
+  recommendations: arrayOf(shape({ category: string, action: string, details: string }, ['category', 'action', 'details']))
+}, ['namespace', 'pod', 'pendingSince', 'severity', 'reasons', 'recommendations']);
+
+const NODE_ISSUE = shape({
+  cluster: string,
+  node: string,
+  issue: string,
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  details: string,
+  remediation: shape({ action: string, command: string }),
+  kubeletVersion: nullable('string'),
+  pods: { ...integer, description: 'Pods scheduled on the node' }
+}, ['node', 'issue', 'severity', 'details']);
+
+const STORAGE_ISSUE = shape({
+  ...TARGET,
+  claim: { ...string, description: 'PersistentVolumeClaim name; unset for a pod mounting several claims' },
+  claims: arrayOf(string),
+  storageClass: nullable('string'),
+  requested: nullable('string'),
+  capacity: nullable('string'),
+  expandable: { type: ['boolean', 'null'], description: 'Whether the StorageClass allows volume expansion; null when unknown' },
+  issue: string,
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  details: string,
+  used: string,
+  utilization: number,
+  recommendedSize: { ...nullable('string'), description: 'Size for a create-gitops-fix-pr storage fix; only for expandable claims' },
+  remediation: shape({ action: string, command: string })
+}, ['namespace', 'issue', 'severity', 'details']);
+
+const JOB_ISSUE = shape({
+  cluster: string,
+  kind: { type: 'string', enum: ['Job', 'CronJob'] },
+  name: string,
+  namespace: string,
+  job: { ...string, description: 'The Job run the finding is about; re-run it with rerun-job' },
+  cronJob: string,
+  issue: string,
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  details: string,
+  reason: { ...nullable('string'), description: 'Reason of the Failed condition, e.g. BackoffLimitExceeded or DeadlineExceeded' },
+  failed: integer,
+  succeeded: integer,
+  backoffLimit: integer,
+  finishedMinutesAgo: nullable('integer'),
+  schedule: string,
+  lastScheduleTime: nullable('string'),
+  lastSuccessfulTime: nullable('string'),
+  lastSuccessAgeMinutes: nullable('integer'),
+  remediation: shape({ action: string, command: string })
+}, ['kind', 'name', 'namespace', 'issue', 'severity', 'details']);
+
+const PROBE_ISSUE = shape({
+  ...TARGET,
+  probe: { type: 'string', enum: ['livenessProbe', 'readinessProbe', 'startupProbe'] },
+  issue: string,
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  details: string,
+  failures: integer,
+  restarts: { ...integer, description: 'Restarts the kubelet made for the failing probe' },
+  timedOut: boolean,
+  slowStart: { ...boolean, description: 'Killed by the liveness probe before it ever passed' },
+  current: { ...object, description: 'Timing of the failing probe, with Kubernetes defaults filled in' },
+  recommendedProbe: nullable('string'),
+  recommendedSettings: { type: ['object', 'null'], description: 'Settings for a create-gitops-fix-pr probe fix; null when tuning would only hide the failure' },
+  remediation: shape({ action: string, command: string })
+}, ['namespace', 'pod', 'container', 'probe', 'issue', 'severity', 'details']);
+
+// 📐 A workload whose CPU pressure scaling out should absorb, or whose HPA cannot keep up
+const AUTOSCALING_SETTINGS = shape({ enabled: boolean, minReplicas: integer, maxReplicas: integer, targetCPUUtilizationPercentage: nullable('integer') });
+const AUTOSCALING_ISSUE = shape({
+  kind: { type: 'string', enum: ['Deployment', 'StatefulSet'] },
+  namespace: string,
+  name: string,
+  hpa: { ...nullable('string'), description: 'HorizontalPodAutoscaler scaling the workload, if any' },
+  replicas: integer,
+  cpuUtilization: shape({ median: nullable('integer'), peak: nullable('integer') }),
+  issue: string,
+  severity: { type: 'string', enum: ['critical', 'warning'] },
+  details: string,
+  current: { ...AUTOSCALING_SETTINGS, type: ['object', 'null'], description: 'The HPA\'s settings; null without one' },
+  recommendedSettings: { ...AUTOSCALING_SETTINGS, type: ['object', 'null'], description: 'Settings for a create-gitops-fix-pr autoscaling fix' },
+  remediation: shape({ action: string, command: string })
+}, ['kind', 'namespace', 'name', 'issue', 'severity', 'details']);
+
+// 🚜 A pod a drain would evict, skip or be blocked by
+const DRAIN_ENTRY = shape({ pod: string, pdb: string, reason: string }, ['reason']);
+
+// 🛡️ assessDisruption result for a restart, scale-down, pod deletion or eviction
+const AVAILABILITY_ENTRY = shape({ pdb: string, reason: string }, ['reason']);
+const AVAILABILITY = shape({
+  action: { type: 'string', enum: ['restart', 'scale', 'delete-pod', 'evict'] },
+  kind: string,
+  name: string,
+  namespace: string,
+  replicas: { ...integer, description: 'Desired replicas before the action' },
+  scaleTo: integer,
+  ready: integer,
+  readyAfter: { ...integer, description: 'Ready replicas left by the action, at its low point for restarts' },
+  minReady: integer,
+  budget: { ...string, description: 'PodDisruptionBudget or policy rule minReady comes from' },
+  pdbs: arrayOf(shape({ name: string, minReady: integer, disruptionsAllowed: nullable('integer') }, ['name', 'minReady'])),
+  rollout: shape({ inProgress: boolean, stalled: boolean, details: nullable('string') }),
+  allowed: boolean,
+  blockers: arrayOf(AVAILABILITY_ENTRY),
+  warnings: arrayOf(AVAILABILITY_ENTRY),
+  alternative: {
+    type: ['object', 'null'],
+    properties: { action: string, replicas: integer, pods: arrayOf(string), reason: string },
+    description: 'A variant of the action that stays within the budget'
+  }
+}, ['action', 'kind', 'name', 'namespace', 'ready', 'readyAfter', 'minReady', 'allowed', 'blockers', 'warnings']);
+const DISRUPTION = {
+  executed: { ...boolean, description: 'false when the availability checks refused the action' },
+  availability: { ...AVAILABILITY, type: ['object', 'null'], description: 'null when nothing was disrupted or the checks are off' }
+};
+
+export const SCAN_RESULT_SCHEMA = shape({
+  cluster: { ...string, description: 'Cluster name, or "all" for a multi-cluster scan' },
+  timestamp: string,
+  namespace: string,
+  timeRange: string,
+  source: { type: 'string', description: 'watch-cache or api' },
+  metricsSource: { type: 'string', description: 'metrics.k8s.io or unavailable' },
+  volumeStatsSource: { type: 'string', description: 'prometheus or unavailable' },
+  summary: SUMMARY,
+  issues: shape({
+    crashingPods: arrayOf(CRASHING_POD),
+    oomEvents: arrayOf(OOM_EVENT),
+    resourceIssues: arrayOf(RESOURCE_ISSUE),
+    unhealthyDeployments: arrayOf(WORKLOAD_FINDING),
+    pendingPods: { ...arrayOf(PENDING_POD), description: 'Pods Pending longer than POD_PENDING_TIMEOUT_MINUTES' },
+    nodeIssues: { ...arrayOf(NODE_ISSUE), description: 'Node conditions, kubelet version skew and pod density; cluster-wide scans only' },
+    storageIssues: { ...arrayOf(STORAGE_ISSUE), description: 'Pending or lost PVCs, volumes failing to attach or mount, and volumes above VOLUME_USAGE_THRESHOLD' },
+    jobIssues: { ...arrayOf(JOB_ISSUE), description: 'Failed Jobs and CronJobs whose latest run failed, missed its schedule or has not succeeded for several runs' },
+    probeIssues: { ...arrayOf(PROBE_ISSUE), description: 'Containers failing liveness, readiness or startup probes, with probe settings to fix them' }
+  }, ['crashingPods', 'oomEvents', 'resourceIssues', 'unhealthyDeployments']),
+  clusters: {
+    ...arrayOf(shape({ cluster: string, summary: SUMMARY, source: string, metricsSource: string, volumeStatsSource: string, error: string }, ['cluster'])),
+    description: 'Per-cluster summaries of a multi-cluster scan; failed clusters carry an error'
+  }
+}, ['timestamp', 'namespace', 'summary', 'issues']);
+
+const RESOURCE_LIST = shape({ cpu: string, memory: string });
+const USAGE_STATS = shape({ p50: number, p95: number, p99: number, max: number });
+const RECOMMENDATION = shape({
+  pod: string,
+  namespace: string,
+  container: string,
+  type: { type: 'string', enum: ['memory', 'cpu'] },
+  field: { type: 'string', enum: ['requests', 'limits'] },
+  direction: { type: 'string', enum: ['increase', 'decrease'] },
+  current: string,
+  recommended: string,
+  reason: string
+}, ['type', 'field', 'direction', 'recommended']);
+
+// A quantity, or the whole probe or autoscaling block of a probe or autoscaling fix
+const FIX_VALUE = { type: ['string', 'object', 'null'] };
+
+// 🔧 One resource change of an auto-fix, as written to a values file
+const FIX = shape({
+  ...TARGET,
+  claim: { ...string, description: 'PersistentVolumeClaim a storage fix expands' },
+  type: string,
+  resourceType: { ...string, description: 'memory, cpu, storage, autoscaling, or the probe a probe fix changes' },
+  from: FIX_VALUE,
+  to: FIX_VALUE,
+  valuesFile: string,
+  yamlPath: string,
+  settings: { ...AUTOSCALING_SETTINGS, description: 'HPA settings an autoscaling fix deploys' },
+  fingerprint: string,
+  reason: { ...string, description: 'Why the fix was deferred, denied or left unresolved' }
+});
+const PULL_REQUEST = shape({ number: integer, url: string, title: string, branch: string, changed: boolean, fixes: arrayOf(FIX) }, ['number', 'url']);
+
+const HISTORY_RECORD = shape({
+  id: string,
+  timestamp: string,
+  kind: string,
+  action: string,
+  outcome: string,
+  ...TARGET,
+  reason: string,
+  prNumber: integer,
+  prUrl: string,
+  node: string,
+  error: string,
+  fixes: arrayOf(object)
+}, ['id', 'timestamp', 'kind', 'action', 'outcome']);
+
+const PROPOSAL = shape({
+  id: string,
+  status: { type: 'string', enum: ['pending', 'approved', 'executing', 'executed', 'failed', 'rejected', 'expired'] },
+  action: string,
+  source: string,
+  ...TARGET,
+  claim: string,
+  type: string,
+  fingerprint: string,
+  diff: arrayOf(shape({ resourceType: string, from: FIX_VALUE, to: FIX_VALUE, valuesFile: string, yamlPath: string })),
+  rationale: string,
+  occurrences: integer,
+  createdAt: string,
+  lastSeenAt: string,
+  expiresAt: string,
+  decidedBy: string,
+  decisionReason: string,
+  result: string,
+  error: string
+}, ['id', 'status', 'action', 'fingerprint']);
+
+/**
+ * 🛡️ Result of a kubectl/helm run. `output` is stdout; `success` is false only
+ * on failures the HTTP API reports with the command's output.
+ */
+const COMMAND_RESULT = {
+  success: boolean,
+  cluster: string,
+  command: { ...string, description: 'The command as run, or to run in a terminal for interactive modes' },
+  exitCode: integer,
+  output: string,
+  stderr: string,
+  truncated: boolean,
+  durationMs: number
+};
+const commandSchema = (properties = {}, required = ['command', 'exitCode', 'output']) =>
+  shape({ ...COMMAND_RESULT, ...properties }, required);
+
+export function commandOutput(result) {
+  return {
+    success: result.exitCode === 0,
+    command: result.command,
+    exitCode: result.exitCode,
+    output: result.stdout,
+    stderr: result.stderr,
+    truncated: result.truncated,
+    durationMs: result.durationMs
+  };
+}
+
+const RELEASE = { releaseName: string, chart: string, namespace: string };
+
+export const TOOL_OUTPUT_SCHEMAS = {
+  'scan-cluster-health': SCAN_RESULT_SCHEMA,
+  'list-clusters': shape({
+    default: nullable('string'),
+    clusters: arrayOf(shape({
+      name: string,
+      context: string,
+      default: boolean,
+      server: nullable('string'),
+      prometheusUrl: string,
+      chartsPath: string,
+      watch: { type: 'string', enum: ['synced', 'syncing', 'disabled'] },
+      lastScan: { ...nullable('object'), properties: { timestamp: string, totalIssues: integer } }
+    }, ['name', 'context', 'default']))
+  }, ['clusters']),
+  'get-pod-crashes': shape({
+    cluster: string,
+    total: integer,
+    crashes: arrayOf(shape({
+      ...TARGET,
+      restartCount: integer,
+      ready: boolean,
+      lastState: object,
+      currentState: object,
+      observedTerminations: integer
+    }, ['namespace', 'pod', 'container', 'restartCount']))
+  }, ['total', 'crashes']),
+  'diagnose-crash': shape({
+    ...TARGET,
+    restartCount: integer,
+    ready: boolean,
+    lastTermination: {
+      ...shape({ reason: nullable('string'), exitCode: nullable('integer'), signal: nullable('string'), message: nullable('string'), startedAt: nullable('string'), finishedAt: nullable('string') }),
+      type: ['object', 'null']
+    },
+    waiting: { ...shape({ reason: string, message: nullable('string') }), type: ['object', 'null'] },
+    logsSource: { type: 'string', enum: ['previous', 'current', 'unavailable'] },
+    logsError: nullable('string'),
+    causes: {
+      ...arrayOf(shape({
+        cause: { type: 'string', enum: ['oom', 'application-error', 'missing-config', 'liveness-probe', 'image-pull', 'permission-denied', 'port-conflict', 'unknown'] },
+        title: string,
+        score: number,
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+        evidence: arrayOf(shape({ source: { type: 'string', enum: ['status', 'logs', 'events'] }, detail: string }, ['source', 'detail'])),
+        remediation: string
+      }, ['cause', 'title', 'score', 'confidence', 'evidence', 'remediation'])),
+      description: 'Likely causes, most likely first'
+    },
+    keyLogLines: arrayOf(shape({ line: integer, text: string, causes: arrayOf(string) }, ['line', 'text'])),
+    events: arrayOf(shape({ type: string, reason: string, message: string, count: integer, lastSeen: nullable('string') }, ['reason', 'message']))
+  }, ['namespace', 'pod', 'container', 'restartCount', 'causes', 'keyLogLines']),
+  'get-oom-events': shape({ cluster: string, timeRange: string, total: integer, oomEvents: arrayOf(OOM_EVENT) }, ['total', 'oomEvents']),
+  'analyze-resource-usage': shape({
+    cluster: string,
+    timestamp: string,
+    namespace: string,
+    resourceType: string,
+    window: string,
+    usageSource: { type: 'string', enum: ['prometheus', 'unavailable'] },
+    usageError: string,
+    pods: arrayOf(shape({
+      name: string,
+      namespace: string,
+      containers: arrayOf(shape({
+        name: string,
+        resources: shape({ requests: RESOURCE_LIST, limits: RESOURCE_LIST }),
+        usage: { ...nullable('object'), properties: { memory: USAGE_STATS, cpu: USAGE_STATS } },
+        recommendations: arrayOf(RECOMMENDATION)
+      }))
+    })),
+    recommendations: arrayOf(RECOMMENDATION)
+  }, ['cluster', 'usageSource', 'pods', 'recommendations']),
+  'create-gitops-fix-pr': shape({
+    status: {
+      type: 'string',
+      enum: ['pr-opened', 'dry-run', 'no-new-pr', 'not-created'],
+      description: 'not-created: no issue mapped to a values path within policy; no-new-pr: everything went to open PRs or was deferred'
+    },
+    cluster: string,
+    pr: { ...PULL_REQUEST, type: ['object', 'null'], description: 'The PR opened; null for every other status' },
+    fixes: arrayOf(FIX),
+    updatedPRs: arrayOf(PULL_REQUEST),
+    deferred: arrayOf(FIX),
+    unresolved: arrayOf(FIX),
+    denied: arrayOf(FIX)
+  }, ['status', 'fixes']),
+  'update-github-values': shape({
+    filePath: string,
+    path: string,
+    value: {},
+    commitMessage: string,
+    branch: string,
+    pr: { ...PULL_REQUEST, type: ['object', 'null'], description: 'null when committed directly' }
+  }, ['filePath', 'path', 'branch', 'pr']),
+  'trigger-github-workflow': shape({ workflow: string, ref: string, inputs: object, actionsUrl: string }, ['workflow', 'ref']),
+  'get-healing-history': shape({
+    cluster: { ...string, description: 'Cluster name, or "all"' },
+    total: integer,
+    offset: integer,
+    limit: integer,
+    records: arrayOf(HISTORY_RECORD)
+  }, ['total', 'offset', 'limit', 'records']),
+  'list-pending-actions': shape({ status: string, count: integer, proposals: arrayOf(PROPOSAL) }, ['status', 'count', 'proposals']),
+  'approve-action': shape({
+    proposal: PROPOSAL,
+    execution: { ...string, description: 'executed, or when the approved fix will run' },
+    result: { ...string, description: 'Outcome of the execution, when it ran right away' }
+  }, ['proposal', 'execution']),
+  'reject-action': shape({ proposal: PROPOSAL }, ['proposal']),
+  'get-cluster-recommendations': shape({
+    cluster: string,
+    timestamp: string,
+    namespace: string,
+    focusArea: string,
+    recommendations: arrayOf(shape({
+      type: string,
+      priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+      title: string,
+      description: string,
+      action: string,
+      automation: string
+    }, ['type', 'priority', 'title'])),
+    autoscaling: shape({
+      usageSource: { type: 'string', enum: ['prometheus', 'unavailable'] },
+      usageError: string,
+      window: string,
+      error: { ...string, description: 'Why the autoscalers could not be analyzed' },
+      findings: arrayOf(AUTOSCALING_ISSUE)
+    }, ['findings'])
+  }, ['recommendations']),
+  'helm-install': commandSchema(RELEASE),
+  'helm-upgrade': commandSchema(RELEASE),
+  'helm-uninstall': commandSchema({ releaseName: string, namespace: string }),
+  'helm-list': commandSchema({ scope: string }),
+  'helm-repo-add': commandSchema({ name: string, url: string }),
+  'helm-repo-update': commandSchema(),
+  'kubectl-get': commandSchema({ resource: string, namespace: string, output: string }),
+  'kubectl-describe': commandSchema({ resource: string, name: string, namespace: string }),
+  'kubectl-logs': commandSchema({
+    podName: string,
+    namespace: string,
+    container: string,
+    follow: { ...boolean, description: 'Follow mode is not run; command is what to run in a terminal' }
+  }, ['command']),
+  'kubectl-exec': commandSchema({ podName: string, namespace: string }),
+  'kubectl-apply': commandSchema({ filename: string, namespace: string, dryRun: boolean }),
+  'kubectl-delete': commandSchema({ target: string, namespace: string, ...DISRUPTION }, ['target', 'executed']),
+  'kubectl-scale': commandSchema({ resource: string, name: string, namespace: string, replicas: integer, ...DISRUPTION },
+    ['resource', 'name', 'replicas', 'executed']),
+  'kubectl-rollout': commandSchema({ action: string, resource: string, name: string, namespace: string, revision: integer, ...DISRUPTION },
+    ['action', 'resource', 'name', 'executed']),
+  'kubectl-port-forward': commandSchema({
+    resource: string,
+    ports: string,
+    namespace: string,
+    background: boolean,
+    pid: integer,
+    url: string
+  }, ['command', 'background']),
+  'kubectl-top': shape({
+    cluster: string,
+    resource: string,
+    namespace: string,
+    metrics: arrayOf(shape({
+      node: string,
+      namespace: string,
+      pod: string,
+      container: string,
+      usage: shape({ cpu: number, memory: number }),
+      utilization: object
+    }))
+  }, ['resource', 'metrics']),
+  'kubectl-patch': commandSchema({ resource: string, name: string, namespace: string, type: string }),
+  'kubectl-create': commandSchema({ target: string, namespace: string }),
+  'kubectl-config': commandSchema({
+    action: string,
+    context: string,
+    user: string,
+    defaultCluster: { ...string, description: 'Cluster tool calls without `cluster` target (use-context / current-context)' }
+  }, ['action']),
+  'node-cordon': commandSchema({ node: string, dryRun: boolean }),
+  'node-uncordon': commandSchema({ node: string, dryRun: boolean }),
+  'node-drain': commandSchema({
+    node: string,
+    dryRun: boolean,
+    executed: { ...boolean, description: 'true when the node was drained; blocked drains and dry runs are not' },
+    evict: arrayOf(shape({ pod: string, workload: string }, ['pod'])),
+    skipped: { ...arrayOf(DRAIN_ENTRY), description: 'DaemonSet, mirror and completed pods' },
+    blockers: { ...arrayOf(DRAIN_ENTRY), description: 'Why the drain was not started' },
+    warnings: arrayOf(DRAIN_ENTRY),
+    pdbs: arrayOf(shape({
+      name: string,
+      disruptionsAllowed: integer,
+      currentHealthy: nullable('integer'),
+      desiredHealthy: nullable('integer'),
+      podsOnNode: arrayOf(string)
+    }, ['name', 'disruptionsAllowed', 'podsOnNode']))
+  }, ['node', 'executed', 'evict', 'blockers']),
+  'rerun-job': shape({
+    cluster: string,
+    namespace: string,
+    job: { ...string, description: 'The failed Job' },
+    cronJob: nullable('string'),
+    rerun: { ...string, description: 'Name of the new Job' },
+    dryRun: boolean,
+    deletedFailed: boolean
+  }, ['namespace', 'job', 'rerun', 'dryRun'])
+};
+
+// 📋 A tools/list entry with its output schema attached
+export function withOutputSchema(tool) {
+  const outputSchema = TOOL_OUTPUT_SCHEMAS[tool.name];
+  if (!outputSchema) throw new Error(`Tool ${tool.name} has no output schema`);
+  return { ...tool, outputSchema };
+}
@@ -0,0 +1,172 @@
+/**
+ * 🩺 Workload Health Analysis
+ *
+ * Inspects Deployments, StatefulSets and DaemonSets for:
+ * - Unavailable replicas
+ * - ProgressDeadlineExceeded / stuck rollouts
+ * - Mismatched updated vs ready counts
+ * - Paused rollouts
+ *
+ * Every finding carries a severity and a suggested remediation.
+ * Shared by the stdio MCP server and the HTTP server.
+ */
+
+const STUCK_ROLLOUT_MS = (parseInt(process.env.STUCK_ROLLOUT_MINUTES) || 10) * 60 * 1000;
+
+// 📦 List the workloads to analyze (all namespaces when none given)
+export async function listWorkloads(appsApi, namespace) {
+  const [deployments, statefulSets, daemonSets] = await Promise.all(namespace
+    ? [
+      appsApi.listNamespacedDeployment(namespace),
+      appsApi.listNamespacedStatefulSet(namespace),
+      appsApi.listNamespacedDaemonSet(namespace)
+    ]
+    : [
+      appsApi.listDeploymentForAllNamespaces(),
+      appsApi.listStatefulSetForAllNamespaces(),
+      appsApi.listDaemonSetForAllNamespaces()
+    ]);
+
+  return {
+    deployments: deployments.body.items,
+    statefulSets: statefulSets.body.items,
+    daemonSets: daemonSets.body.items
+  };
+}
+
+const finding = (kind, workload, issue, severity, details, remediation) => ({
+  kind,
+  name: workload.metadata.name,
+  namespace: workload.metadata.namespace,
+  issue,
+  severity,
+  details,
+  remediation
+});
+
+const rolloutCommand = (kind, workload, action) =>
+  `kubectl rollout ${action} ${kind.toLowerCase()}/${workload.metadata.name} -n ${workload.metadata.namespace}`;
+
+function analyzeDeployment(deployment, now) {
+  const findings = [];
+  const spec = deployment.spec || {};
+  const status = deployment.status || {};
+  const desired = spec.replicas ?? 1;
+  const ready = status.readyReplicas || 0;
+  const updated = status.updatedReplicas || 0;
+  const available = status.availableReplicas || 0;
+  const unavailable = status.unavailableReplicas || 0;
+  const progressing = (status.conditions || []).find(condition => condition.type === 'Progressing');
+  // A rollout the controller has not seen yet, or one still progressing inside its deadline,
+  // has replicas missing by design
+  const deadlineMs = (spec.progressDeadlineSeconds ?? 600) * 1000;
+  const rolling = (status.observedGeneration ?? 0) < (deployment.metadata.generation ?? 0) ||
+    (progressing?.status === 'True' && progressing.reason !== 'NewReplicaSetAvailable' &&
+      now - new Date(progressing.lastUpdateTime || 0).getTime() < deadlineMs);
+
+  if (spec.paused) {
+    findings.push(finding('Deployment', deployment, 'Rollout paused', 'warning',
+      `Rollout is paused with ${updated}/${desired} replicas updated`,
+      { action: 'Resume the rollout once the pending change is verified', command: rolloutCommand('Deployment', deployment, 'resume') }));
+  }
+
+  if (progressing?.status === 'False' && progressing.reason === 'ProgressDeadlineExceeded') {
+    findings.push(finding('Deployment', deployment, 'ProgressDeadlineExceeded', 'critical',
+      progressing.message || 'Rollout exceeded its progress deadline',
+      { action: 'Inspect new pods for crashes or scheduling failures, then roll back if the new revision is broken', command: rolloutCommand('Deployment', deployment, 'undo') }));
+  } else if (!spec.paused && updated < desired && progressing?.lastUpdateTime &&
+    now - new Date(progressing.lastUpdateTime).getTime() > STUCK_ROLLOUT_MS) {
+    findings.push(finding('Deployment', deployment, 'Stuck rollout', 'warning',
+      `Only ${updated}/${desired} replicas updated and no progress for ${Math.round((now - new Date(progressing.lastUpdateTime).getTime()) / 60000)}m`,
+      { action: 'Check rollout status and events for the new ReplicaSet', command: rolloutCommand('Deployment', deployment, 'status') }));
+  }
+
+  if (updated === desired && ready < updated && !rolling) {
+    findings.push(finding('Deployment', deployment, 'Updated replicas not ready', available === 0 ? 'critical' : 'warning',
+      `${updated} replicas updated but only ${ready} ready`,
+      { action: 'New revision may be failing readiness checks; verify probes and resources', command: rolloutCommand('Deployment', deployment, 'status') }));
+  } else if ((unavailable > 0 || (desired > 0 && available < desired)) && !(rolling && available > 0)) {
+    findings.push(finding('Deployment', deployment, 'Unavailable replicas', available === 0 && desired > 0 ? 'critical' : 'warning',
+      `${available}/${desired} replicas available (${unavailable || desired - available} unavailable)`,
+      { action: 'Check pod events and logs for crashes, OOM kills or scheduling failures', command: `kubectl describe deployment ${deployment.metadata.name} -n ${deployment.metadata.namespace}` }));
+  }
+
+  return findings;
+}
+
+function analyzeStatefulSet(statefulSet) {
+  const findings = [];
+  const status = statefulSet.status || {};
+  const desired = statefulSet.spec?.replicas ?? 1;
+  const ready = status.readyReplicas || 0;
+  const updated = status.updatedReplicas || 0;
+  // Replicas go down one at a time while pods move to the update revision
+  const updating = Boolean(status.updateRevision) && status.currentRevision !== status.updateRevision && updated < desired;
+  const rolling = updating || (status.observedGeneration ?? 0) < (statefulSet.metadata.generation ?? 0);
+
+  if (updating) {
+    findings.push(finding('StatefulSet', statefulSet, 'Rollout incomplete', 'warning',
+      `${updated}/${desired} replicas on revision ${status.updateRevision}`,
+      { action: 'Check whether the rollout is blocked by a failing pod or a partition', command: rolloutCommand('StatefulSet', statefulSet, 'status') }));
+  }
+
+  if (updated === desired && ready < updated && !rolling) {
+    findings.push(finding('StatefulSet', statefulSet, 'Updated replicas not ready', ready === 0 ? 'critical' : 'warning',
+      `${updated} replicas updated but only ${ready} ready`,
+      { action: 'New revision may be failing readiness checks; verify probes and resources', command: rolloutCommand('StatefulSet', statefulSet, 'status') }));
+  } else if (ready < desired && !(rolling && ready > 0)) {
+    findings.push(finding('StatefulSet', statefulSet, 'Unavailable replicas', ready === 0 && desired > 0 ? 'critical' : 'warning',
+      `${ready}/${desired} replicas ready`,
+      { action: 'StatefulSets roll out in order; check the lowest-ordinal pod that is not ready', command: `kubectl describe statefulset ${statefulSet.metadata.name} -n ${statefulSet.metadata.namespace}` }));
+  }
+
+  return findings;
+}
+
+function analyzeDaemonSet(daemonSet) {
+  const findings = [];
+  const status = daemonSet.status || {};
+  const desired = status.desiredNumberScheduled || 0;
+  const ready = status.numberReady || 0;
+  const updated = status.updatedNumberScheduled || 0;
+  const unavailable = status.numberUnavailable || 0;
+  // Node pods are replaced up to maxUnavailable at a time while the rollout runs
+  const rolling = updated < desired || (status.observedGeneration ?? 0) < (daemonSet.metadata.generation ?? 0);
+
+  if (updated < desired) {
+    findings.push(finding('DaemonSet', daemonSet, 'Rollout incomplete', 'warning',
+      `${updated}/${desired} nodes running the latest revision`,
+      { action: 'Check rollout status; maxUnavailable may be blocking on an unhealthy node', command: rolloutCommand('DaemonSet', daemonSet, 'status') }));
+  }
+
+  if (desired > 0 && updated === desired && ready < updated && !rolling) {
+    findings.push(finding('DaemonSet', daemonSet, 'Updated replicas not ready', ready === 0 ? 'critical' : 'warning',
+      `${updated} nodes running the latest revision but only ${ready} ready`,
+      { action: 'New revision may be failing readiness checks; verify probes and resources', command: rolloutCommand('DaemonSet', daemonSet, 'status') }));
+  } else if ((unavailable > 0 || ready < desired) && !(rolling && ready > 0)) {
+    findings.push(finding('DaemonSet', daemonSet, 'Unavailable replicas', ready === 0 && desired > 0 ? 'critical' : 'warning',
+      `${ready}/${desired} nodes running a ready pod`,
+      { action: 'Check the failing node pods for crashes, taints or resource pressure', command: `kubectl describe daemonset ${daemonSet.metadata.name} -n ${daemonSet.metadata.namespace}` }));
+  }
+
+  if ((status.numberMisscheduled || 0) > 0) {
+    findings.push(finding('DaemonSet', daemonSet, 'Misscheduled pods', 'warning',
+      `${status.numberMisscheduled} pods running on nodes they should not`,
+      { action: 'Review nodeSelector/tolerations against current node labels and taints', command: `kubectl get pods -n ${daemonSet.metadata.namespace} -o wide` }));
+  }
+
+  return findings;
+}
+
+/**
+ * Analyze listed workloads and return unhealthy findings, most severe first.
+ */
+export function analyzeWorkloadHealth({ deployments = [], statefulSets = [], daemonSets = [] }, now = Date.now()) {
+  const findings = [
+    ...deployments.flatMap(deployment => analyzeDeployment(deployment, now)),
+    ...statefulSets.flatMap(analyzeStatefulSet),
+    ...daemonSets.flatMap(analyzeDaemonSet)
+  ];
+  const rank = { critical: 0, warning: 1 };
+  return findings.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
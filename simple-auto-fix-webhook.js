@@ -6,6 +6,8 @@ import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'yaml';
+import { restartDeploymentWithinBudget, deletePodWithinBudget, checkAvailability, blockerReasons } from './k8s-mcp-server/kubectl-availability.js';
+import { runKubectl } from './k8s-mcp-server/command-runner.js';
 
 const execAsync = promisify(exec);
 
@@ -171,6 +173,7 @@ class SimpleAutoFixWebhook {
         { name: 'check_resources', action: () => this.checkAndFixResources(podName, namespace) }
       ];
 
+      const failures = [];
       for (const strategy of fixStrategies) {
         console.log(`🔄 Trying fix strategy: ${strategy.name}`);
         const result = await strategy.action();
@@ -187,6 +190,7 @@ class SimpleAutoFixWebhook {
             }
           };
         }
+        failures.push({ strategy: strategy.name, error: result.error });
       }
 
       // If all strategies fail, return failure
@@ -195,7 +199,8 @@ class SimpleAutoFixWebhook {
         action: 'all_strategies_failed',
         details: {
           deployment: deploymentInfo.deploymentName,
-          strategies_tried: fixStrategies.map(s => s.name)
+          strategies_tried: fixStrategies.map(s => s.name),
+          failures
         }
       };
 
@@ -240,24 +245,7 @@ class SimpleAutoFixWebhook {
 
   async restartDeployment(deploymentName, namespace) {
     try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      
-      console.log(`🔄 Restarting deployment: ${deploymentName}`);
-      await execAsync(`kubectl rollout restart deployment/${deploymentName} -n ${namespace}`);
-      
-      // Wait a bit and check status
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      const { stdout } = await execAsync(`kubectl rollout status deployment/${deploymentName} -n ${namespace} --timeout=60s`);
-      
-      return {
-        success: true,
-        details: {
-          restart_completed: true,
-          status: stdout.trim()
-        }
-      };
+      return await restartDeploymentWithinBudget(deploymentName, namespace);
     } catch (error) {
       console.error('Error restarting deployment:', error);
       return { success: false, error: error.message };
@@ -266,26 +254,33 @@ class SimpleAutoFixWebhook {
 
   async scaleDeployment(deploymentName, namespace) {
     try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      
-      console.log(`📏 Scaling deployment: ${deploymentName} (scale down then up)`);
+      const availability = await checkAvailability('scale', { kind: 'Deployment', name: deploymentName, namespace }, { replicas: 0 });
+      let scaleDownTo = 0;
+      if (!availability.allowed) {
+        if (availability.alternative?.action !== 'scale') {
+          return { success: false, error: blockerReasons(availability), action: 'refused' };
+        }
+        // Scaling down removes pods that are not ready first, so a partial bounce still replaces the crashing ones
+        scaleDownTo = availability.alternative.replicas;
+      }
+
+      console.log(`📏 Scaling deployment: ${deploymentName} (scale down to ${scaleDownTo} then back to ${availability.replicas})`);
       
-      // Scale down to 0
-      await execAsync(`kubectl scale deployment/${deploymentName} --replicas=0 -n ${namespace}`);
+      await runKubectl(['scale', `deployment/${deploymentName}`, `--replicas=${scaleDownTo}`, '-n', namespace]);
       await new Promise(resolve => setTimeout(resolve, 3000));
       
-      // Scale back up to 1
-      await execAsync(`kubectl scale deployment/${deploymentName} --replicas=1 -n ${namespace}`);
+      // Scale back up to the replica count it had
+      await runKubectl(['scale', `deployment/${deploymentName}`, `--replicas=${availability.replicas}`, '-n', namespace]);
       await new Promise(resolve => setTimeout(resolve, 5000));
       
-      const { stdout } = await execAsync(`kubectl rollout status deployment/${deploymentName} -n ${namespace} --timeout=60s`);
+      const { stdout } = await runKubectl(['rollout', 'status', `deployment/${deploymentName}`, '-n', namespace, '--timeout=60s']);
       
       return {
         success: true,
         details: {
-          scale_operation: 'down_then_up',
+          scale_operation: scaleDownTo === 0 ? 'down_then_up' : 'partial_down_then_up',
+          scaled_down_to: scaleDownTo,
+          replicas: availability.replicas,
           status: stdout.trim()
         }
       };
@@ -343,23 +338,11 @@ class SimpleAutoFixWebhook {
 
   async restartPod(podName, namespace) {
     try {
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
-      
-      console.log(`🔄 Restarting pod directly: ${podName}`);
-      await execAsync(`kubectl delete pod ${podName} -n ${namespace}`);
-      
-      return {
-        message: `Pod ${podName} restarted directly`,
-        action: 'direct_pod_restart',
-        details: {
-          pod_restarted: true,
-          method: 'direct_delete'
-        }
-      };
+      return await deletePodWithinBudget(podName, namespace);
     } catch (error) {
       return {
+        success: false,
+        error: error.message,
         message: `Failed to restart pod ${podName}: ${error.message}`,
         action: 'error'
       };